@@ -0,0 +1,18 @@
+-- 参加者の確定データ（設定内容確認画面の「設定データ保存＆次へ」で送信されたもの）
+CREATE TABLE IF NOT EXISTS submissions (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  nickname TEXT NOT NULL,
+  image_mode TEXT NOT NULL,
+  building_type TEXT NOT NULL,
+  other_building TEXT,
+  free_text TEXT NOT NULL DEFAULT '',
+  auto_prompt INTEGER NOT NULL DEFAULT 0,
+  prompt TEXT,
+  template_version TEXT,
+  image_url TEXT,
+  -- 生成データ全体（JSON、画面の sessionStorage.generationData と同じ形式）
+  generation_data TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_submissions_created_at ON submissions (created_at);
@@ -0,0 +1,5 @@
+-- 会場（シーン）の追加に伴い、投稿がどの会場のものかを記録する
+-- 既存の投稿は駅前ロータリー（station-front）のもの
+ALTER TABLE submissions ADD COLUMN scene_id TEXT NOT NULL DEFAULT 'station-front';
+
+CREATE INDEX IF NOT EXISTS idx_submissions_scene_id ON submissions (scene_id);
@@ -0,0 +1,15 @@
+-- 有料APIの利用制限にかかった記録（回数制限・1日の費用上限）
+-- 管理画面の利用状況で運営者が確認する
+CREATE TABLE IF NOT EXISTS limit_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at TEXT NOT NULL,
+  -- session / ip: 回数制限、budget: 費用上限
+  kind TEXT NOT NULL,
+  -- generate / creative / translate
+  endpoint TEXT NOT NULL,
+  -- セッションIDまたはIPアドレス（費用上限の場合はNULL）
+  client TEXT,
+  detail TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_limit_events_created_at ON limit_events (created_at);
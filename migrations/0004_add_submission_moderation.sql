@@ -0,0 +1,5 @@
+-- 参加者の入力チェック（NGワード・モデル判定）の結果を投稿と一緒に記録する
+-- moderation_status: passed / rejected（この機能より前の投稿はNULL = 未チェック）
+-- moderation: 判定結果全体（JSON、src/lib/moderation.ts の ModerationResult）
+ALTER TABLE submissions ADD COLUMN moderation_status TEXT;
+ALTER TABLE submissions ADD COLUMN moderation TEXT;
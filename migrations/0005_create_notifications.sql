@@ -0,0 +1,23 @@
+-- 投稿の通知メールの送信キュー（アウトボックス）
+-- 投稿の保存と同時に1通ずつ登録し、送信に失敗したものは間隔を空けて再送する（src/lib/outbox.ts）
+-- 送信状況は管理画面で確認する
+CREATE TABLE IF NOT EXISTS notifications (
+  id TEXT PRIMARY KEY,
+  submission_id TEXT NOT NULL,
+  -- staff: 運営者への通知、participant: 参加者へのひかえ
+  kind TEXT NOT NULL,
+  -- 宛先（カンマ区切り、参加者のアドレスは送信が終わったら消す）
+  recipients TEXT,
+  -- pending: 送信待ち（再送待ちを含む）、sent: 送信済み、skipped: 設定がないため送らず、failed: 再送の上限に達した
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  -- 次に送信してよい日時（送信中は他の処理が重ねて送らないよう先に延ばす）
+  next_attempt_at TEXT NOT NULL,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  sent_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_submission_id ON notifications (submission_id);
@@ -0,0 +1,12 @@
+-- プロジェクターの壁（/wall）への表示の可否と、表示順を投稿と一緒に記録する
+-- wall_status: pending（運営者の承認待ち）/ approved（表示する）/ rejected（表示しない）
+--   WALL_APPROVAL=true の場合は pending で保存し、管理画面で承認したものだけを表示する
+-- wall_at: 表示を許可した日時（承認なしの場合は投稿日時、壁にはこの順で追加する）
+ALTER TABLE submissions ADD COLUMN wall_status TEXT;
+ALTER TABLE submissions ADD COLUMN wall_at TEXT;
+
+-- この機能より前の投稿は、入力チェックを通ったものを承認済みとする（キオスクのトップ画面の作品の表示を続けるため）
+-- それ以外はNULL = 表示しない
+UPDATE submissions SET wall_status = 'approved', wall_at = created_at WHERE moderation_status = 'passed';
+
+CREATE INDEX IF NOT EXISTS idx_submissions_wall ON submissions (wall_status, wall_at);
@@ -0,0 +1,22 @@
+-- ワークショップのセッション（学校・公民館などの回ごとに運営者が作成する）
+-- 参加者は参加コード（/join/:code）から入り、その回の会場・生成タイプ・建物だけを選べる
+CREATE TABLE IF NOT EXISTS workshop_sessions (
+  id TEXT PRIMARY KEY,
+  -- 参加コード（英大文字と数字6文字、見間違えやすい文字は使わない）
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  -- 開催日（YYYY-MM-DD）
+  date TEXT NOT NULL,
+  scene_id TEXT NOT NULL,
+  -- 選べる生成タイプ・建物（カンマ区切り）
+  image_modes TEXT NOT NULL,
+  building_types TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_workshop_sessions_date ON workshop_sessions (date);
+
+-- 投稿がどのセッションのものか（セッションを通さない投稿・この機能より前の投稿はNULL）
+ALTER TABLE submissions ADD COLUMN session_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_session_id ON submissions (session_id);
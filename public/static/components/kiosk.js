@@ -0,0 +1,155 @@
+/**
+ * キオスクモード（共通部品）
+ * イベント会場の無人タブレット向けに、参加者向けの各画面で読み込む（KIOSK_MODE=true の場合のみ）
+ * - 一定時間操作がなければ、入力内容（sessionStorage）を消してトップ画面に戻す
+ *   戻る前にカウントダウンを表示し、画面にふれると続けられる
+ *   画像の生成を待っている間は戻さない
+ * - アプリの外への移動を止める（外部リンク・新しいタブ・ダウンロード・長押しメニュー・画像のドラッグ・ブラウザの戻る）
+ *
+ * 戻るまでの秒数は scriptタグの data-idle-seconds で受け取る（src/lib/kiosk.ts）
+ */
+
+// ========================================
+// 定数定義
+// ========================================
+
+// 操作がない場合にトップ画面に戻すまでの秒数
+const KIOSK_IDLE_SECONDS = Number(document.currentScript.dataset.idleSeconds) || 90;
+
+// トップ画面に戻る前にカウントダウンを表示する秒数
+const KIOSK_WARNING_SECONDS = 10;
+
+// 操作とみなすイベント
+const KIOSK_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel', 'input'];
+
+// ========================================
+// 初期化
+// ========================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  // 長押しでの文字・画像の選択を止める（styles.css）
+  document.body.classList.add('kiosk');
+  blockLeavingApp();
+
+  if (window.location.pathname === '/') {
+    // トップ画面では前の参加者の入力内容を消すだけにする
+    sessionStorage.clear();
+    return;
+  }
+
+  setupIdleReset();
+});
+
+// ========================================
+// 操作がない場合のリセット
+// ========================================
+
+/**
+ * 操作がない場合にトップ画面に戻すタイマーを設定
+ */
+function setupIdleReset() {
+  const overlay = createIdleOverlay();
+  const countdown = overlay.querySelector('.kiosk-idle-count');
+  let warningTimer = null;
+  let countdownTimer = null;
+
+  // タイマーをやり直す（カウントダウン中なら閉じる）
+  const restart = () => {
+    clearTimeout(warningTimer);
+    clearInterval(countdownTimer);
+    overlay.classList.remove('active');
+    warningTimer = setTimeout(startCountdown, (KIOSK_IDLE_SECONDS - KIOSK_WARNING_SECONDS) * 1000);
+  };
+
+  // カウントダウンを表示し、0になったらトップ画面に戻す（生成を待っている間はタイマーをやり直す）
+  const startCountdown = () => {
+    if (isWaitingForImage()) {
+      restart();
+      return;
+    }
+    let remaining = KIOSK_WARNING_SECONDS;
+    countdown.textContent = remaining;
+    overlay.classList.add('active');
+    countdownTimer = setInterval(() => {
+      remaining -= 1;
+      countdown.textContent = remaining;
+      if (remaining <= 0) {
+        clearInterval(countdownTimer);
+        resetKiosk();
+      }
+    }, 1000);
+  };
+
+  KIOSK_ACTIVITY_EVENTS.forEach((type) => {
+    document.addEventListener(type, restart, { capture: true, passive: true });
+  });
+  restart();
+}
+
+/**
+ * 画像の生成を待っているかどうか（生成中のジョブがある、または読み込み中の表示が出ている）
+ * @returns {boolean}
+ */
+function isWaitingForImage() {
+  return Boolean(sessionStorage.getItem('pendingJobId')) || Boolean(document.querySelector('.loading-overlay.active'));
+}
+
+/**
+ * カウントダウンの表示要素を作成
+ * @returns {HTMLElement}
+ */
+function createIdleOverlay() {
+  const overlay = document.createElement('div');
+  overlay.className = 'kiosk-idle-overlay';
+  overlay.innerHTML = `
+    <div class="kiosk-idle-content">
+      <p class="kiosk-idle-text">まだつかっていますか？</p>
+      <p class="kiosk-idle-count"></p>
+      <p class="kiosk-idle-hint">画面にふれるとつづけられます</p>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+/**
+ * 入力内容を消してトップ画面に戻す
+ */
+function resetKiosk() {
+  sessionStorage.clear();
+  window.location.replace('/');
+}
+
+// ========================================
+// アプリの外への移動を止める
+// ========================================
+
+/**
+ * アプリの外への移動につながる操作を止める
+ */
+function blockLeavingApp() {
+  // 外部リンク・新しいタブで開くリンク・ダウンロードリンク
+  document.addEventListener('click', (event) => {
+    const link = event.target.closest && event.target.closest('a[href]');
+    if (!link) {
+      return;
+    }
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || link.target === '_blank' || link.hasAttribute('download')) {
+      event.preventDefault();
+    }
+  }, true);
+
+  // 長押しメニュー（新しいタブで開く・画像を保存など）と、画像・リンクのドラッグ
+  document.addEventListener('contextmenu', (event) => event.preventDefault());
+  document.addEventListener('dragstart', (event) => event.preventDefault());
+
+  // 新しいウィンドウ
+  window.open = () => null;
+
+  // ブラウザの戻るでアプリの前のページ（ブラウザのホームなど）に戻らないようにする
+  history.pushState(null, '', window.location.href);
+  window.addEventListener('popstate', () => {
+    history.pushState(null, '', window.location.href);
+  });
+}
@@ -0,0 +1,421 @@
+/**
+ * マスクエディタ（共通部品）
+ * - 元画像の上に変更する範囲（マスク）を重ねて表示
+ * - ブラシ・消しゴム・多角形（かこむ）で範囲を編集（タッチ操作対応）
+ * - 会場の既定マスクから開始し、リセットで既定マスクに戻す
+ * - 送信用の白黒マスク（白=変更領域、黒=固定領域）を元画像と同じサイズで出力
+ *
+ * 画像表示画面で編集し、結果画面（renderMaskOutline）・設定内容確認画面（renderMaskOverlay）では表示のみ行う
+ */
+
+// ========================================
+// 定数定義
+// ========================================
+
+// 変更範囲の表示色
+const MASK_OVERLAY_COLOR = 'rgba(255, 107, 157, 1)';
+
+// 変更範囲の輪郭の表示色と太さ（マスク画像上のピクセル）
+const MASK_OUTLINE_COLOR = [255, 215, 0];
+const MASK_OUTLINE_WIDTH = 3;
+
+// 多角形の始点をタップしたとみなす距離（表示上のピクセル）
+const POLYGON_CLOSE_DISTANCE = 16;
+
+// ========================================
+// 画像読み込み
+// ========================================
+
+/**
+ * 画像を読み込む
+ * @param {string} url - 画像のURL（Data URIも可）
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadMaskEditorImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('画像の読み込みに失敗しました: ' + url));
+    img.src = url;
+  });
+}
+
+/**
+ * 白黒マスク画像を表示用の範囲（色付き・それ以外は透明）に変換して描画
+ * @param {HTMLCanvasElement} canvas - 描画先（サイズは設定済み）
+ * @param {HTMLImageElement} maskImg - 白黒マスク画像
+ */
+function drawMaskAsSelection(canvas, maskImg) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  // マスク画像のサイズが元画像と異なる場合は元画像のサイズに合わせる
+  ctx.drawImage(maskImg, 0, 0, canvas.width, canvas.height);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const pixels = imageData.data;
+  for (let i = 0; i < pixels.length; i += 4) {
+    // 明るい画素（白）を変更領域とする
+    const isSelected = pixels[i] + pixels[i + 1] + pixels[i + 2] > 382;
+    pixels[i] = 255;
+    pixels[i + 1] = 107;
+    pixels[i + 2] = 157;
+    pixels[i + 3] = isSelected ? 255 : 0;
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
+
+// ========================================
+// 表示のみ（結果画面・設定内容確認画面）
+// ========================================
+
+/**
+ * マスクを画像の上に重ねて表示
+ * @param {HTMLCanvasElement} canvas - 画像の上に重ねるキャンバス
+ * @param {string} maskUrl - マスク画像のURL（Data URIも可）
+ * @returns {Promise<void>}
+ */
+async function renderMaskOverlay(canvas, maskUrl) {
+  const maskImg = await loadMaskEditorImage(maskUrl);
+  canvas.width = maskImg.naturalWidth;
+  canvas.height = maskImg.naturalHeight;
+  drawMaskAsSelection(canvas, maskImg);
+}
+
+/**
+ * マスクの輪郭（変更範囲の境目）を描画
+ * 変更領域のうち、MASK_OUTLINE_WIDTH 以内に固定領域がある画素を輪郭とする
+ * @param {HTMLCanvasElement} canvas - 画像の上に重ねるキャンバス
+ * @param {string} maskUrl - マスク画像のURL（Data URIも可）
+ * @returns {Promise<void>}
+ */
+async function renderMaskOutline(canvas, maskUrl) {
+  const maskImg = await loadMaskEditorImage(maskUrl);
+  const width = maskImg.naturalWidth;
+  const height = maskImg.naturalHeight;
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(maskImg, 0, 0);
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const pixels = imageData.data;
+
+  // 変更領域かどうか（明るい画素）
+  const selected = new Uint8Array(width * height);
+  for (let i = 0; i < selected.length; i++) {
+    selected[i] = pixels[i * 4] + pixels[i * 4 + 1] + pixels[i * 4 + 2] > 382 ? 1 : 0;
+  }
+
+  /**
+   * 指定位置が固定領域かどうか（画像の外は固定領域とみなさない）
+   */
+  function isFixed(x, y) {
+    return x >= 0 && y >= 0 && x < width && y < height && selected[y * width + x] === 0;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      let isEdge = false;
+      if (selected[index]) {
+        for (let d = 1; d <= MASK_OUTLINE_WIDTH && !isEdge; d++) {
+          isEdge = isFixed(x - d, y) || isFixed(x + d, y) || isFixed(x, y - d) || isFixed(x, y + d);
+        }
+      }
+      pixels[index * 4] = MASK_OUTLINE_COLOR[0];
+      pixels[index * 4 + 1] = MASK_OUTLINE_COLOR[1];
+      pixels[index * 4 + 2] = MASK_OUTLINE_COLOR[2];
+      pixels[index * 4 + 3] = isEdge ? 255 : 0;
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
+
+// ========================================
+// マスクエディタ
+// ========================================
+
+/**
+ * マスクエディタを作成
+ * @param {Object} elements - 画面の要素
+ * @param {HTMLCanvasElement} elements.canvas - 元画像の上に重ねる編集用キャンバス
+ * @param {HTMLElement} elements.toolbar - ツールボタン（data-tool）を含むツールバー
+ * @param {HTMLInputElement} elements.brushSize - ブラシの太さ
+ * @param {HTMLButtonElement} elements.resetButton - リセットボタン
+ * @param {HTMLButtonElement} elements.closePolygonButton - 多角形を閉じるボタン
+ * @returns {Object} エディタ操作（load, reset, isEdited, isEmpty, toDataUrl）
+ */
+function createMaskEditor(elements) {
+  const { canvas, toolbar, brushSize, resetButton, closePolygonButton } = elements;
+  const ctx = canvas.getContext('2d');
+
+  // 編集状態
+  let defaultMaskImg = null;
+  let tool = 'brush';
+  let edited = false;
+  let drawing = false;
+  let lastPoint = null;
+  let polygonPoints = [];
+  // 多角形の途中経過を描く前の範囲（描き直し用）
+  let polygonBase = null;
+  // 最後に開始した読み込み（会場を続けて切り替えた場合は古い読み込みを捨てる）
+  let loadCount = 0;
+
+  /**
+   * 元画像と既定マスクを読み込み、編集を初期状態にする
+   * @param {string} baseImageUrl - 元画像のURL
+   * @param {string} maskUrl - 既定マスクのURL
+   */
+  async function load(baseImageUrl, maskUrl) {
+    const current = ++loadCount;
+    const [baseImg, maskImg] = await Promise.all([
+      loadMaskEditorImage(baseImageUrl),
+      loadMaskEditorImage(maskUrl)
+    ]);
+    if (current !== loadCount) {
+      return;
+    }
+    // 編集用キャンバスは元画像と同じサイズ（送信するマスクも同じサイズになる）
+    canvas.width = baseImg.naturalWidth;
+    canvas.height = baseImg.naturalHeight;
+    defaultMaskImg = maskImg;
+    reset();
+  }
+
+  /**
+   * 既定マスクに戻す
+   */
+  function reset() {
+    if (!defaultMaskImg) {
+      return;
+    }
+    cancelPolygon();
+    drawMaskAsSelection(canvas, defaultMaskImg);
+    edited = false;
+  }
+
+  /**
+   * 画面上の位置をキャンバスの座標に変換
+   * @param {PointerEvent} e - ポインターイベント
+   */
+  function toCanvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  }
+
+  /**
+   * ブラシ・消しゴムで線を描く
+   * @param {Object} from - 始点
+   * @param {Object} to - 終点
+   */
+  function strokeLine(from, to) {
+    ctx.save();
+    ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = MASK_OVERLAY_COLOR;
+    ctx.fillStyle = MASK_OVERLAY_COLOR;
+    ctx.lineWidth = Number(brushSize.value);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.restore();
+    edited = true;
+  }
+
+  /**
+   * 多角形の途中経過を描画
+   */
+  function drawPolygonPreview() {
+    ctx.putImageData(polygonBase, 0, 0);
+    ctx.save();
+    ctx.strokeStyle = MASK_OVERLAY_COLOR;
+    ctx.fillStyle = MASK_OVERLAY_COLOR;
+    ctx.lineWidth = Math.max(2, canvas.width / 200);
+    ctx.beginPath();
+    polygonPoints.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+    ctx.stroke();
+    polygonPoints.forEach((point) => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, ctx.lineWidth * 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * 多角形に頂点を追加（始点の近くをタップしたら閉じる）
+   * @param {Object} point - 追加する頂点
+   */
+  function addPolygonPoint(point) {
+    if (polygonPoints.length === 0) {
+      polygonBase = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    } else if (polygonPoints.length >= 3) {
+      const first = polygonPoints[0];
+      const scale = canvas.getBoundingClientRect().width / canvas.width;
+      const distance = Math.hypot(point.x - first.x, point.y - first.y) * scale;
+      if (distance <= POLYGON_CLOSE_DISTANCE) {
+        closePolygon();
+        return;
+      }
+    }
+    polygonPoints.push(point);
+    drawPolygonPreview();
+    closePolygonButton.disabled = polygonPoints.length < 3;
+  }
+
+  /**
+   * 多角形を閉じて範囲に追加
+   */
+  function closePolygon() {
+    if (polygonPoints.length < 3) {
+      return;
+    }
+    ctx.putImageData(polygonBase, 0, 0);
+    ctx.save();
+    ctx.fillStyle = MASK_OVERLAY_COLOR;
+    ctx.beginPath();
+    polygonPoints.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+    edited = true;
+    polygonPoints = [];
+    polygonBase = null;
+    closePolygonButton.disabled = true;
+  }
+
+  /**
+   * 描きかけの多角形を破棄
+   */
+  function cancelPolygon() {
+    if (polygonBase) {
+      ctx.putImageData(polygonBase, 0, 0);
+    }
+    polygonPoints = [];
+    polygonBase = null;
+    closePolygonButton.disabled = true;
+  }
+
+  /**
+   * ツールを切り替え
+   * @param {string} nextTool - brush / eraser / polygon
+   */
+  function selectTool(nextTool) {
+    if (tool === 'polygon' && nextTool !== 'polygon') {
+      cancelPolygon();
+    }
+    tool = nextTool;
+    toolbar.querySelectorAll('[data-tool]').forEach((button) => {
+      button.classList.toggle('active', button.dataset.tool === tool);
+    });
+    closePolygonButton.hidden = tool !== 'polygon';
+  }
+
+  // ポインター操作（マウス・タッチ・ペン共通）
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!defaultMaskImg) {
+      return;
+    }
+    e.preventDefault();
+    const point = toCanvasPoint(e);
+    if (tool === 'polygon') {
+      addPolygonPoint(point);
+      return;
+    }
+    canvas.setPointerCapture(e.pointerId);
+    drawing = true;
+    lastPoint = point;
+    strokeLine(point, point);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drawing) {
+      return;
+    }
+    e.preventDefault();
+    const point = toCanvasPoint(e);
+    strokeLine(lastPoint, point);
+    lastPoint = point;
+  });
+
+  ['pointerup', 'pointercancel'].forEach((type) => {
+    canvas.addEventListener(type, () => {
+      drawing = false;
+      lastPoint = null;
+    });
+  });
+
+  // ツールバー
+  toolbar.querySelectorAll('[data-tool]').forEach((button) => {
+    button.addEventListener('click', () => selectTool(button.dataset.tool));
+  });
+  resetButton.addEventListener('click', reset);
+  closePolygonButton.addEventListener('click', closePolygon);
+  selectTool(tool);
+
+  /**
+   * 変更範囲が空かどうか
+   * @returns {boolean}
+   */
+  function isEmpty() {
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    for (let i = 3; i < pixels.length; i += 4) {
+      if (pixels[i] > 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 送信用の白黒マスク（PNG）を出力
+   * @returns {string} Base64データURI
+   */
+  function toDataUrl() {
+    // 描きかけの多角形は含めない
+    cancelPolygon();
+
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+    const outputCtx = output.getContext('2d');
+
+    // 範囲を白で塗る
+    outputCtx.drawImage(canvas, 0, 0);
+    outputCtx.globalCompositeOperation = 'source-in';
+    outputCtx.fillStyle = '#FFF';
+    outputCtx.fillRect(0, 0, output.width, output.height);
+
+    // 範囲外を黒で塗る
+    outputCtx.globalCompositeOperation = 'destination-over';
+    outputCtx.fillStyle = '#000';
+    outputCtx.fillRect(0, 0, output.width, output.height);
+
+    return output.toDataURL('image/png');
+  }
+
+  return {
+    load: load,
+    reset: reset,
+    isEdited: () => edited,
+    isEmpty: isEmpty,
+    toDataUrl: toDataUrl
+  };
+}
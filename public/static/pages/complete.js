@@ -0,0 +1,35 @@
+/**
+ * 完了画面用JavaScript
+ * - 作品の共有ページ（/share/:id）のQRコード表示
+ * - トップに戻るボタン処理（セッションストレージをクリア）
+ */
+
+// ========================================
+// DOM要素取得・初期化
+// ========================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  // DOM要素の取得
+  const shareQr = document.getElementById('shareQr');
+  const shareQrImage = document.getElementById('shareQrImage');
+  const shareLink = document.getElementById('shareLink');
+  const homeButton = document.getElementById('homeButton');
+
+  // 共有ページのURL（設定内容確認画面で保存）があれば、QRコードを表示
+  const shareUrl = sessionStorage.getItem('shareUrl');
+  if (shareUrl) {
+    shareQrImage.src = `${shareUrl}/qr.svg`;
+    // 作品ページへのリンクはキオスクモードでは表示しない
+    if (shareLink) {
+      shareLink.href = shareUrl;
+    }
+    shareQr.hidden = false;
+  }
+
+  // トップに戻るボタン
+  homeButton.addEventListener('click', () => {
+    // セッションストレージをクリア
+    sessionStorage.clear();
+    window.location.href = '/';
+  });
+});
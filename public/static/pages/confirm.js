@@ -2,9 +2,9 @@
  * 設定内容確認画面用JavaScript
  * - 生成画像の表示
  * - 名前（ニックネーム）入力
- * - 生成時の設定内容表示
+ * - 生成時の設定内容表示（変更した範囲を含む）
  * - 画像保存機能
- * - メール送信＆次画面遷移
+ * - 投稿保存（サーバーのDBに記録し、運営へメール通知、設定により参加者にひかえのメール）＆次画面遷移
  */
 
 // ========================================
@@ -17,6 +17,16 @@ const BUILDING_TYPE_NAMES_JA = {
   'other': 'その他'
 };
 
+// ========================================
+// 画像形式ごとの拡張子（保存するファイル名に使用）
+// ========================================
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
 // ========================================
 // DOM要素取得・初期化
 // ========================================
@@ -70,10 +80,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // 画像保存ボタン
-  saveImageButton.addEventListener('click', () => {
-    saveImage(generatedImageUrl);
-  });
+  // 画像保存ボタン（キオスクモードでは表示しない）
+  if (saveImageButton) {
+    saveImageButton.addEventListener('click', () => {
+      saveImage(generatedImageUrl);
+    });
+  }
 
   // 設定データ保存＆次へボタン
   saveAndNextButton.addEventListener('click', () => {
@@ -96,6 +108,23 @@ document.addEventListener('DOMContentLoaded', () => {
 function displaySettings(data) {
   const options = data.options || {};
 
+  // 変更した範囲（マスクがある生成タイプのみ）
+  if (data.maskImageUrl) {
+    const maskSection = document.getElementById('maskSection');
+    document.getElementById('maskBaseImage').src = data.baseImageUrl;
+    renderMaskOverlay(document.getElementById('maskCanvas'), data.maskImageUrl)
+      .then(() => {
+        maskSection.hidden = false;
+      })
+      .catch((error) => {
+        console.error('マスクの表示エラー:', error);
+      });
+  }
+
+  // 場所（会場）
+  const confirmScene = document.getElementById('confirmScene');
+  confirmScene.textContent = options.sceneName || '-';
+
   // 生成タイプ
   const confirmImageMode = document.getElementById('confirmImageMode');
   confirmImageMode.textContent = options.imageModeName || options.imageMode || '-';
@@ -133,11 +162,11 @@ async function saveImage(imageUrl) {
     const response = await fetch(imageUrl);
     const blob = await response.blob();
     
-    // ダウンロードリンクを作成
+    // ダウンロードリンクを作成（拡張子は画像の形式に合わせる）
     const url = window.URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `yumemachi_canvas_${Date.now()}.jpg`;
+    link.download = `yumemachi_canvas_${Date.now()}.${IMAGE_EXTENSIONS[blob.type] || 'jpg'}`;
     
     // ダウンロード実行
     document.body.appendChild(link);
@@ -155,70 +184,122 @@ async function saveImage(imageUrl) {
 }
 
 // ========================================
-// メール送信＆次画面遷移
+// 投稿保存＆次画面遷移
 // ========================================
 
+/**
+ * 投稿APIに送る生成データ
+ * 選択内容・編集したマスク・参加中のワークショップのみを送る（プロンプトなどはサーバーがジョブの記録から保存する）
+ * @param {Object|null} generationData - 生成データ
+ * @returns {Object|null}
+ */
+function submissionGenerationData(generationData) {
+  if (!generationData) {
+    return null;
+  }
+
+  const options = generationData.options || {};
+  const data = {
+    options: {
+      sceneId: options.sceneId,
+      imageMode: options.imageMode,
+      buildingType: options.buildingType,
+      otherBuilding: options.otherBuilding,
+      freeText: options.freeText,
+      autoPrompt: options.autoPrompt,
+      style: options.style,
+      lighting: options.lighting,
+      composition: options.composition
+    }
+  };
+  // 範囲を編集した場合のみ、編集後のマスク（Data URI）を送る
+  if (generationData.maskEdited && generationData.maskImageUrl) {
+    data.maskData = generationData.maskImageUrl;
+  }
+  if (generationData.session) {
+    data.session = { id: generationData.session.id };
+  }
+  return data;
+}
+
 /**
  * 設定データ保存＆次へボタンの処理
+ * 投稿はサーバーのDBに保存される（メール通知はサーバー側で任意に行う）
+ * 保存に失敗した場合はこの画面に留まり、再度ボタンを押せるようにする
  * @param {HTMLInputElement} nicknameInput - ニックネーム入力要素
  * @param {Object} generationData - 生成データ
  * @param {HTMLElement} loadingOverlay - ローディングオーバーレイ
  */
 async function handleSaveAndNext(nicknameInput, generationData, loadingOverlay) {
   const nickname = nicknameInput.value.trim();
-  const options = generationData?.options || {};
+
+  // ひかえのメールの宛先（入力欄はサーバーの設定で表示される）
+  const participantEmailInput = document.getElementById('participantEmail');
+  const participantEmail = participantEmailInput ? participantEmailInput.value.trim() : '';
 
   // 生成画像URLを取得
   const generatedImageUrl = sessionStorage.getItem('generatedImageUrl');
 
-  // 建物名の取得
-  const buildingType = options.buildingType || '';
-  let buildingName;
-  if (buildingType === 'other') {
-    buildingName = options.buildingPrompt || 'その他';
-  } else {
-    buildingName = BUILDING_TYPE_NAMES_JA[buildingType] || buildingType || '-';
-  }
-
-  // メール送信データを構築（画像URLを含む）
-  const emailData = {
-    nickname: nickname || '（未入力）',
-    imageMode: options.imageModeName || options.imageMode || '-',
-    building: buildingName,
-    freeText: options.freeText || '（未入力）',
-    autoPrompt: options.autoPrompt ? '使用' : '未使用',
-    imageUrl: generatedImageUrl || null  // 生成画像URLを追加
+  // 投稿データを構築（プロンプトなどの生成内容は、サーバーがジョブIDから記録する）
+  const submissionData = {
+    nickname: nickname,
+    imageUrl: generatedImageUrl,
+    jobId: sessionStorage.getItem('generationJobId'),
+    generationData: submissionGenerationData(generationData)
   };
+  if (participantEmail) {
+    submissionData.email = participantEmail;
+  }
 
   // ローディング表示
   loadingOverlay.classList.add('active');
 
   try {
-    // メール送信API呼び出し
-    const response = await fetch('/api/send-email', {
+    // 投稿保存API呼び出し
+    const response = await fetch('/api/submissions', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(emailData)
+      body: JSON.stringify(submissionData)
     });
 
     const result = await response.json();
-    console.log('メール送信結果:', result);
+    console.log('投稿保存結果:', result);
+
+    if (result.code === 'moderation_rejected') {
+      // ニックネームなどに使えない言葉がある場合は、書き直してもらう
+      loadingOverlay.classList.remove('active');
+      alert(result.error);
+      nicknameInput.focus();
+      return;
+    }
+
+    if (!response.ok && participantEmailInput && result.details && result.details.some((detail) => detail.field === 'email')) {
+      // メールアドレスの形式が正しくない場合は、書き直してもらう
+      loadingOverlay.classList.remove('active');
+      alert(result.error);
+      participantEmailInput.focus();
+      return;
+    }
+
+    if (!result.success) {
+      throw new Error(result.error || '投稿の保存に失敗しました');
+    }
 
-    // メール送信の成功/失敗に関わらず次の画面へ遷移
-    // セッションストレージにニックネームを保存（次の画面で使用する可能性）
+    // セッションストレージにニックネーム・投稿ID・共有ページのURLを保存（完了画面でQRコードを表示する）
     sessionStorage.setItem('nickname', nickname);
+    sessionStorage.setItem('submissionId', result.submissionId);
+    sessionStorage.setItem('shareUrl', result.shareUrl);
 
-    // 次の画面へ遷移（現在は仮でトップページへ）
-    // TODO: 次の画面のパスを設定
+    // 完了画面へ遷移
     window.location.href = '/complete';
 
   } catch (error) {
-    console.error('メール送信エラー:', error);
-    
-    // エラーでも次の画面へ遷移（要件：メール送信確認不要）
-    sessionStorage.setItem('nickname', nickname);
-    window.location.href = '/complete';
+    console.error('投稿保存エラー:', error);
+
+    // ローディング非表示（もう一度送信できるようにする）
+    loadingOverlay.classList.remove('active');
+    alert('データの保存に失敗しました。\nもう一度「設定データ保存＆次へ」を押してください。');
   }
 }
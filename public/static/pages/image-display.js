@@ -1,188 +1,14 @@
 /**
  * 画像表示画面用JavaScript
+ * - 会場選択（元画像・マスク画像・選べる建物の切り替え）
+ * - 変更する範囲（マスク）の編集（components/mask-editor.js）
  * - 自由文入力バリデーション
- * - 自動プロンプト機能（GPT-4.1-mini による翻訳・拡張）
- * - プロンプト構築（スタイル/ライティング/構図は固定）
- * - fal.ai Inpainting API呼び出し（マスク付き）
- * 
- * 固定パラメータ:
- * - スタイル: 写真風
- * - ライティング: 自然光
- * - 構図: 全体像
- * - strength: 0.75
- * - steps: 45
- * - guidance: 9.5
+ * - 選択内容（会場・生成タイプ・建物・自由文・自動プロンプト）の送信
+ *   ※ プロンプトの組み立てはサーバー側のテンプレートで行う（src/lib/prompts.ts）
+ * - fal.ai Inpainting API呼び出し（マスク付き、参考画像はサーバー側で選択）
+ * - 生成ジョブの状況ポーリング（再読み込み時は生成中のジョブを再開）
  */
 
-// ========================================
-// 定数定義（すべて固定）
-// ========================================
-
-// 画像パス
-const BASE_IMAGE_PATH = '/static/images/base-image.jpg';
-const MASK_IMAGE_PATH = '/static/images/mask-image.png';
-
-// 参考画像パス（建物タイプ別）
-const REFERENCE_IMAGES = {
-  'fountain': [
-    '/static/images/references/001-funsui-01.png',
-    '/static/images/references/001-funsui-02.png',
-    '/static/images/references/001-funsui-03.png'
-  ],
-  'merry-go-round': [
-    '/static/images/references/002-merigoland-01.png',
-    '/static/images/references/002-merigoland-02.png',
-    '/static/images/references/002-merigoland-03.png'
-  ],
-  'cafe-stand': [
-    '/static/images/references/003-cafestand-01.png',
-    '/static/images/references/003-cafestand-02.png',
-    '/static/images/references/003-cafestand-03.png'
-  ]
-};
-
-// 建物タイプの英語名マッピング
-const BUILDING_TYPE_NAMES = {
-  'fountain': 'fountain',
-  'merry-go-round': 'merry-go-round',
-  'cafe-stand': 'Stylish cafe stand',
-  'other': ''  // その他は入力値を使用
-};
-
-// 建物別プロンプト（建物タイプごとの詳細指示）
-const BUILDING_PROMPTS = {
-  'fountain': `Install an elegant fountain with water jets in the central plaza area.
-The fountain should have a modern design with multiple water streams.
-Include decorative elements and proper lighting fixtures.`,
-  'merry-go-round': `Install a colorful merry-go-round carousel in the central plaza area.
-The carousel should have classic horses and decorative elements.
-Include ornate canopy and lighting.`,
-  'cafe-stand': `Install a stylish outdoor cafe stand in the central plaza area.
-The cafe should have modern furniture, umbrellas, and attractive display.
-Include seating area for customers.`
-};
-
-// シーンベース（固定：駅前ロータリー用）
-const SCENE_BASE = 'In an existing station-front urban plaza and rotary';
-
-// 変更範囲の指示（固定：中央の花壇と周りの広場のみ変更）
-const MODIFICATION_INSTRUCTION = 'Modify only the central flower bed and surrounding plaza area. Keep the existing station buildings, roads, and rotary unchanged.';
-
-// スタイル（固定：写真風）
-const STYLE_TAG = 'photorealistic, professional photography, high resolution';
-
-// ライティング（固定：自然光）
-const LIGHTING_TAG = 'natural lighting, daylight';
-
-// 構図（固定：全体像）
-const COMPOSITION_TAG = 'full body shot, wide angle';
-
-// 人と構造物の可視性（強化版）
-// ★変更：人数の最低保証 + 分布 + 少人数禁止 を追加
-const VISIBILITY_TAG =
-  'Include AT LEAST 30 to 50 people as a mandatory and essential part of the scene. ' +
-  'People are distributed across the entire plaza, visible in the foreground and midground. ' +
-  'People are clearly visible, expressive, and in focus. ' +
-  'Do not generate the scene without people. ' +
-  'Do not generate scenes with sparse crowds or only a few people.';
-
-// fal.aiパラメータ（固定）
-const FAL_PARAMS = {
-  strength: 0.75,
-  steps: 45,
-  guidance: 9.5
-};
-
-// ネガティブプロンプト（写真風用）
-const NEGATIVE_PROMPT = [
-  "cartoon, anime, illustration, painting, 3d render",
-  "low quality, blurry, noise, jpeg artifacts",
-  "distorted face, deformed hands, extra limbs, bad anatomy",
-  "text, watermark, logo, signage, subtitles",
-  "overexposed, underexposed, unnatural colors"
-].join(", ");
-
-// ========================================
-// プロンプト構築
-// ========================================
-
-/**
- * プロンプトを構築する（自動プロンプトOFFの場合）
- * @param {string} freeText - 自由文（日本語）
- * @returns {string} 構築されたプロンプト
- */
-function buildPrompt(freeText) {
-  // プロンプト構築
-  // 【制御用】英語 + 【意味追加】日本語（自由文）
-  const parts = [
-    SCENE_BASE,
-    MODIFICATION_INSTRUCTION,
-    STYLE_TAG,
-    LIGHTING_TAG,
-    COMPOSITION_TAG,
-    VISIBILITY_TAG,  // ★人数の最低保証・分布・少人数禁止
-    '',  // 空行で区切り
-    freeText  // 日本語自由文
-  ];
-
-  return parts.join(',\n');
-}
-
-/**
- * プロンプトを構築する（建物指定あり）
- * @param {string} freeText - 自由文（日本語）
- * @param {string} buildingInstruction - 建物の指示（英語）
- * @returns {string} 構築されたプロンプト
- */
-function buildPromptWithBuilding(freeText, buildingInstruction) {
-  // プロンプト構築
-  // 【制御用】英語 + 【建物指定】+ 【意味追加】日本語（自由文）
-  const parts = [
-    SCENE_BASE,
-    MODIFICATION_INSTRUCTION,
-    buildingInstruction,  // ★建物の指示を追加
-    STYLE_TAG,
-    LIGHTING_TAG,
-    COMPOSITION_TAG,
-    VISIBILITY_TAG,  // ★人数の最低保証・分布・少人数禁止
-    '',  // 空行で区切り
-    freeText  // 日本語自由文
-  ].filter(Boolean);  // 空文字列を除去
-
-  return parts.join(',\n');
-}
-
-/**
- * GPT-4.1-miniで自動プロンプトを生成
- * @param {string} freeText - 自由文（日本語）
- * @returns {Promise<string>} 生成されたプロンプト
- */
-async function generateAutoPrompt(freeText) {
-  console.log('=== 自動プロンプト生成開始 ===');
-  console.log('入力テキスト:', freeText);
-
-  const response = await fetch('/api/translate-prompt', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      text: freeText
-    })
-  });
-
-  const result = await response.json();
-
-  if (!result.success) {
-    throw new Error(result.error || '自動プロンプト生成に失敗しました');
-  }
-
-  console.log('=== 生成されたプロンプト ===');
-  console.log(result.prompt);
-
-  return result.prompt;
-}
-
 // ========================================
 // DOM要素取得・初期化
 // ========================================
@@ -190,12 +16,15 @@ async function generateAutoPrompt(freeText) {
 document.addEventListener('DOMContentLoaded', () => {
   // フォーム要素の取得
   const form = document.getElementById('optionsForm');
+  const sceneSelect = document.getElementById('sceneId');
   const freeText = document.getElementById('freeText');
   const charCount = document.getElementById('charCount');
   const generateButton = document.getElementById('generateButton');
   const loadingOverlay = document.getElementById('loadingOverlay');
   const baseImage = document.getElementById('baseImage');
-  const maskImage = document.getElementById('maskImage');
+  const maskEditorElement = document.getElementById('maskEditor');
+  const maskEditToggle = document.getElementById('maskEditToggle');
+  const maskToolbar = document.getElementById('maskToolbar');
   const autoPromptCheckbox = document.getElementById('autoPromptCheckbox');
   const imageModeSelect = document.getElementById('imageMode');
   const buildingTypeSelect = document.getElementById('buildingType');
@@ -212,21 +41,39 @@ document.addEventListener('DOMContentLoaded', () => {
   // 建物選択の変更イベント（その他選択時に入力欄を表示）
   setupBuildingTypeHandler(buildingTypeSelect, otherBuildingGroup, otherBuildingInput, otherCharCount);
 
+  // マスクエディタ（変更する範囲の編集）
+  const maskEditor = createMaskEditor({
+    canvas: document.getElementById('maskCanvas'),
+    toolbar: maskToolbar,
+    brushSize: document.getElementById('maskBrushSize'),
+    resetButton: document.getElementById('maskResetButton'),
+    closePolygonButton: document.getElementById('maskClosePolygon')
+  });
+  setupMaskEditToggle(maskEditToggle, maskEditorElement, maskToolbar);
+
+  // 会場選択の変更イベント（元画像・マスク画像・選べる建物を切り替え）
+  setupSceneHandler(sceneSelect, baseImage, maskEditor, buildingTypeSelect);
+
   // フォーム送信イベント
   form.addEventListener('submit', (e) => {
     e.preventDefault();
     handleGenerate(
+      sceneSelect,
       freeText,
       loadingOverlay,
       generateButton,
       baseImage,
-      maskImage,
+      maskEditor,
       autoPromptCheckbox,
       imageModeSelect,
       buildingTypeSelect,
-      otherBuildingInput
+      otherBuildingInput,
+      readWorkshop(form)
     );
   });
+
+  // 生成中のジョブがあれば再開（再読み込み・通信断からの復帰）
+  resumePendingJob(loadingOverlay, generateButton);
 });
 
 // ========================================
@@ -255,11 +102,11 @@ function setupTextValidation(textarea, countDisplay, button) {
 
 /**
  * 生成ボタンの状態更新
- * 自由文は任意なので、常にボタンを有効にする
+ * 自由文は任意なので、1日の上限に達した場合を除いて常にボタンを有効にする
  */
 function updateButtonState(textarea, button) {
-  // 自由文は任意のため、常に有効
-  button.disabled = false;
+  // 自由文は任意のため、常に有効（上限に達した後は無効のまま）
+  button.disabled = button.dataset.closed === 'true';
 }
 
 /**
@@ -295,47 +142,69 @@ function setupBuildingTypeHandler(buildingSelect, otherGroup, otherInput, otherC
 }
 
 /**
- * 建物タイプから参考画像をランダムに選択
- * @param {string} buildingType - 建物タイプ
- * @returns {string|null} 参考画像のパス（その他の場合はnull）
+ * 会場選択の変更ハンドラ設定
+ * 選択した会場の元画像・既定マスクに切り替え、その会場で選べる建物のみ表示する
+ * @param {HTMLSelectElement} sceneSelect - 会場選択
+ * @param {HTMLImageElement} baseImage - 元画像
+ * @param {Object} maskEditor - マスクエディタ
+ * @param {HTMLSelectElement} buildingSelect - 建物選択
  */
-function getRandomReferenceImage(buildingType) {
-  const images = REFERENCE_IMAGES[buildingType];
-  if (!images || images.length === 0) {
-    return null;
-  }
-  const randomIndex = Math.floor(Math.random() * images.length);
-  return images[randomIndex];
-}
+function setupSceneHandler(sceneSelect, baseImage, maskEditor, buildingSelect) {
+  function updateScene() {
+    const scene = sceneSelect.selectedOptions[0];
+    const allowedTypes = scene.dataset.buildingTypes.split(',');
+
+    // 画像を切り替え（同じ画像の場合は再読み込みしない）
+    if (baseImage.getAttribute('src') !== scene.dataset.baseImage) {
+      baseImage.src = scene.dataset.baseImage;
+    }
 
-/**
- * 建物タイプから英語名を取得
- * @param {string} buildingType - 建物タイプ
- * @param {string} otherValue - その他の場合の入力値
- * @returns {string} 英語の建物名
- */
-function getBuildingTypeName(buildingType, otherValue) {
-  if (buildingType === 'other') {
-    return otherValue || '';
+    // 会場の既定マスクから編集をやり直す
+    maskEditor.load(scene.dataset.baseImage, scene.dataset.maskImage).catch((error) => {
+      console.error('マスクの読み込みエラー:', error);
+    });
+
+    // 選べない建物を非表示にする
+    Array.from(buildingSelect.options).forEach((option) => {
+      const allowed = allowedTypes.includes(option.value);
+      option.hidden = !allowed;
+      option.disabled = !allowed;
+    });
+
+    // 選択中の建物が選べない場合は先頭の建物を選択
+    if (!allowedTypes.includes(buildingSelect.value)) {
+      buildingSelect.value = allowedTypes[0];
+      buildingSelect.dispatchEvent(new Event('change'));
+    }
   }
-  return BUILDING_TYPE_NAMES[buildingType] || '';
+
+  // 初期状態を設定
+  updateScene();
+
+  // 変更イベントを設定
+  sceneSelect.addEventListener('change', updateScene);
 }
 
 /**
- * 建物タイプから建物別プロンプトを取得
- * @param {string} buildingType - 建物タイプ
- * @param {string} otherValue - その他の場合の入力値
- * @returns {string} 建物別プロンプト
+ * 範囲編集の表示切り替え設定
+ * 「変える場所をえらぶ」で編集ツールを表示し、元画像の上で描けるようにする
+ * @param {HTMLButtonElement} toggleButton - 表示切り替えボタン
+ * @param {HTMLElement} editorElement - 元画像とキャンバスを含む要素
+ * @param {HTMLElement} toolbar - 編集ツールバー
  */
-function getBuildingPrompt(buildingType, otherValue) {
-  if (buildingType === 'other') {
-    // 「その他」の場合：ユーザー入力内容をそのまま建物別プロンプトとして使用
-    if (otherValue && otherValue.trim()) {
-      return otherValue.trim();
-    }
-    return '';
+function setupMaskEditToggle(toggleButton, editorElement, toolbar) {
+  function setEditing(editing) {
+    editorElement.classList.toggle('editing', editing);
+    toolbar.classList.toggle('active', editing);
+    toggleButton.textContent = editing ? '✅ えらび終わった' : '✏️ 変える場所をえらぶ';
   }
-  return BUILDING_PROMPTS[buildingType] || '';
+
+  toggleButton.addEventListener('click', () => {
+    setEditing(!editorElement.classList.contains('editing'));
+  });
+
+  // 初期状態を設定
+  setEditing(false);
 }
 
 /**
@@ -393,22 +262,6 @@ function imageToBase64Jpeg(img) {
   return canvas.toDataURL('image/jpeg', 0.9);
 }
 
-/**
- * 画像をBase64に変換（PNG形式、マスク用）
- * @param {HTMLImageElement} img - 画像要素
- * @returns {string} Base64データURI
- */
-function imageToBase64Png(img) {
-  const canvas = document.createElement('canvas');
-  canvas.width = img.naturalWidth;
-  canvas.height = img.naturalHeight;
-  
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, 0, 0);
-  
-  return canvas.toDataURL('image/png');
-}
-
 // ========================================
 // タイマー管理
 // ========================================
@@ -418,18 +271,20 @@ let elapsedSeconds = 0;
 
 /**
  * 経過時間タイマーを開始
+ * @param {number} [startedAt] - 開始時刻（エポックミリ秒、ジョブ再開時に指定）
  */
-function startElapsedTimer() {
+function startElapsedTimer(startedAt) {
   // 初期化
-  elapsedSeconds = 0;
+  const startTime = startedAt || Date.now();
+  elapsedSeconds = Math.max(0, Math.floor((Date.now() - startTime) / 1000));
   const elapsedTimeElement = document.getElementById('elapsedTime');
   if (elapsedTimeElement) {
-    elapsedTimeElement.textContent = '0';
+    elapsedTimeElement.textContent = elapsedSeconds;
   }
 
   // 1秒ごとにカウントアップ
   elapsedTimerInterval = setInterval(() => {
-    elapsedSeconds++;
+    elapsedSeconds = Math.floor((Date.now() - startTime) / 1000);
     if (elapsedTimeElement) {
       elapsedTimeElement.textContent = elapsedSeconds;
     }
@@ -446,24 +301,167 @@ function stopElapsedTimer() {
   }
 }
 
+// ========================================
+// ジョブ状況ポーリング
+// ========================================
+
+// ポーリング間隔（ミリ秒）
+const JOB_POLL_INTERVAL_MS = 3000;
+
+// ポーリングを打ち切るまでの時間（ミリ秒）
+const JOB_POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * 指定時間待機する
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * ジョブ状況をローディング表示に反映
+ * @param {Object|null} job - ジョブ状況（通信エラー時はnull）
+ */
+function updateLoadingStatus(job) {
+  const statusElement = document.getElementById('loadingStatus');
+  if (!statusElement) {
+    return;
+  }
+
+  if (!job) {
+    statusElement.textContent = '通信が不安定です。再接続しています...';
+  } else if (job.status === 'queued') {
+    statusElement.textContent = job.position > 0
+      ? `順番待ち中（あと${job.position}件）`
+      : 'まもなく生成を開始します';
+  } else if (job.status === 'running') {
+    statusElement.textContent = 'AIが画像を描いています';
+  } else {
+    statusElement.textContent = '';
+  }
+}
+
+/**
+ * 生成中のジョブ情報をクリア
+ */
+function clearPendingJob() {
+  sessionStorage.removeItem('pendingJobId');
+  sessionStorage.removeItem('pendingJobStartedAt');
+}
+
+/**
+ * ジョブが完了するまで状況をポーリング
+ * 通信エラーやサーバーの一時的なエラーでは諦めずに再試行する（会場Wi-Fi対策）
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<Object>} 完了したジョブ
+ */
+async function waitForJob(jobId) {
+  const pollStartedAt = Date.now();
+
+  while (Date.now() - pollStartedAt < JOB_POLL_TIMEOUT_MS) {
+    let response;
+    let job;
+    try {
+      response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+      job = await response.json();
+    } catch (error) {
+      console.warn('ジョブ状況の取得に失敗しました（再試行します）:', error);
+      updateLoadingStatus(null);
+      await sleep(JOB_POLL_INTERVAL_MS);
+      continue;
+    }
+
+    // ジョブが存在しない（期限切れなど）場合は再試行しない
+    if (response.status === 404) {
+      throw new Error(job.error || 'ジョブが見つかりません');
+    }
+
+    if (!job.success) {
+      console.warn('ジョブ状況の取得エラー（再試行します）:', job.error);
+      updateLoadingStatus(null);
+      await sleep(JOB_POLL_INTERVAL_MS);
+      continue;
+    }
+
+    console.log('ジョブ状況:', job.status, job.position);
+    updateLoadingStatus(job);
+
+    if (job.status === 'done') {
+      return job;
+    }
+    if (job.status === 'failed') {
+      throw apiError(job, '画像生成に失敗しました');
+    }
+
+    await sleep(JOB_POLL_INTERVAL_MS);
+  }
+
+  throw new Error('画像生成がタイムアウトしました');
+}
+
+/**
+ * 生成中のジョブを再開
+ * 生成待ちの間にページが再読み込みされた場合でも、同じジョブの結果を待つ
+ * @param {HTMLElement} loadingOverlay - ローディングオーバーレイ
+ * @param {HTMLButtonElement} generateButton - 生成ボタン
+ */
+async function resumePendingJob(loadingOverlay, generateButton) {
+  const jobId = sessionStorage.getItem('pendingJobId');
+  if (!jobId) {
+    return;
+  }
+
+  console.log('=== 生成中のジョブを再開 ===', jobId);
+
+  generateButton.disabled = true;
+  loadingOverlay.classList.add('active');
+  startElapsedTimer(Number(sessionStorage.getItem('pendingJobStartedAt')) || Date.now());
+
+  try {
+    const job = await waitForJob(jobId);
+    completeGeneration(getImageUrls(job), job.jobId);
+  } catch (error) {
+    failGeneration(error, loadingOverlay, generateButton);
+  }
+}
+
 // ========================================
 // 生成処理
 // ========================================
 
+/**
+ * 参加中のワークショップを取得（参加コードから入った場合、フォームにセッションが埋め込まれている）
+ * @param {HTMLFormElement} form - オプション選択フォーム
+ * @returns {Object|null} セッション（id, code, name）
+ */
+function readWorkshop(form) {
+  const { workshopId, workshopCode, workshopName } = form.dataset;
+  return workshopId ? { id: workshopId, code: workshopCode, name: workshopName } : null;
+}
+
 /**
  * 生成ボタン押下時の処理
+ * 選択内容のみをAPIに送り、プロンプトはサーバー側で組み立てる
  */
 async function handleGenerate(
+  sceneSelect,
   freeText,
   loadingOverlay,
   generateButton,
   baseImage,
-  maskImage,
+  maskEditor,
   autoPromptCheckbox,
   imageModeSelect,
   buildingTypeSelect,
-  otherBuildingInput
+  otherBuildingInput,
+  workshop
 ) {
+  // 会場を取得
+  const sceneOption = sceneSelect.selectedOptions[0];
+  const sceneId = sceneOption.value;
+
   // 自由文を取得
   const freeTextValue = freeText.value.trim();
   
@@ -475,27 +473,32 @@ async function handleGenerate(
   // 建物タイプを取得
   const buildingType = buildingTypeSelect.value;
   const otherBuildingValue = otherBuildingInput.value.trim();
-  const buildingTypeName = getBuildingTypeName(buildingType, otherBuildingValue);
-  
-  // 参考画像を取得（生成画像中心以外で、その他以外の場合）
-  const referenceImagePath = !isImageCenteredMode && buildingType !== 'other' 
-    ? getRandomReferenceImage(buildingType) 
-    : null;
-  
-  // 建物別プロンプトを取得
-  const buildingPrompt = getBuildingPrompt(buildingType, otherBuildingValue);
-  
-  console.log('=== 建物選択 ===');
-  console.log('建物タイプ:', buildingType);
-  console.log('建物名（英語）:', buildingTypeName);
-  console.log('参考画像:', referenceImagePath || 'なし');
   
   // 自動プロンプトのON/OFF確認（生成画像中心モードでは無効）
   const isAutoPromptEnabled = !isImageCenteredMode && autoPromptCheckbox.checked;
 
-  console.log('=== 生成タイプ ===');
-  console.log('モード:', imageMode);
-  console.log('建物別プロンプト:', buildingPrompt);
+  // APIに送る選択内容
+  const choices = {
+    sceneId: sceneId,
+    imageMode: imageMode,
+    buildingType: buildingType,
+    otherBuilding: otherBuildingValue,
+    freeText: freeTextValue,
+    autoPrompt: isAutoPromptEnabled
+  };
+
+  // 変更する範囲が空の場合は生成しない
+  if (maskEditor.isEmpty()) {
+    alert('変える場所をえらんでください');
+    return;
+  }
+
+  // 送信するマスク（PNG）と、範囲を編集したかどうか
+  const maskData = maskEditor.toDataUrl();
+  const isMaskEdited = maskEditor.isEdited();
+
+  console.log('=== 選択内容 ===');
+  console.log(choices);
 
   // ボタンを無効化
   generateButton.disabled = true;
@@ -507,122 +510,6 @@ async function handleGenerate(
   startElapsedTimer();
 
   try {
-    // プロンプトを構築（自動プロンプトの有無で分岐）
-    let prompt;
-    
-    // 生成タイプに応じてプロンプトを構築
-    if (imageMode === 'faithful') {
-      // ========================================
-      // 1) 指示に忠実: 現行通りプロンプトに追加
-      // ========================================
-      console.log('=== 指示に忠実モード ===');
-      
-      if (isAutoPromptEnabled) {
-        // 自動プロンプト ON: GPT-4.1-miniで翻訳・拡張
-        prompt = await generateAutoPrompt(freeTextValue);
-        // 建物別プロンプト + 自動生成プロンプト + 自由文
-        prompt = [
-          SCENE_BASE,
-          MODIFICATION_INSTRUCTION,
-          buildingPrompt,
-          STYLE_TAG,
-          LIGHTING_TAG,
-          COMPOSITION_TAG,
-          VISIBILITY_TAG,
-          '',
-          prompt,
-          freeTextValue  // 自由文も追加
-        ].filter(Boolean).join(',\n');
-      } else {
-        // 自動プロンプト OFF: 建物別プロンプト + 自由文
-        prompt = [
-          SCENE_BASE,
-          MODIFICATION_INSTRUCTION,
-          buildingPrompt,
-          STYLE_TAG,
-          LIGHTING_TAG,
-          COMPOSITION_TAG,
-          VISIBILITY_TAG,
-          '',
-          freeTextValue  // 自由文をプロンプトに追加
-        ].filter(Boolean).join(',\n');
-      }
-
-    } else if (imageMode === 'modern' || imageMode === 'creative') {
-      // ========================================
-      // 2) モダン性加味 / 3) 創造性加味:
-      //    入力された場合は、建物別プロンプトの後に追加
-      // ========================================
-      console.log(`=== ${imageMode === 'modern' ? 'モダン性加味' : '創造性加味'}モード ===`);
-      
-      // モード別の追加指示
-      const modeInstruction = imageMode === 'modern'
-        ? 'Apply modern, contemporary design aesthetics. Use clean lines, minimalist forms, and current architectural trends.'
-        : 'Apply creative and imaginative design. Allow artistic expression, unique forms, and innovative concepts while maintaining realism.';
-      
-      if (isAutoPromptEnabled) {
-        // 自動プロンプト ON: GPT-4.1-miniで翻訳・拡張
-        prompt = await generateAutoPrompt(freeTextValue);
-        // 建物別プロンプト + モード指示 + 自動生成プロンプト + 自由文（入力された場合）
-        const parts = [
-          SCENE_BASE,
-          MODIFICATION_INSTRUCTION,
-          buildingPrompt,
-          modeInstruction,
-          STYLE_TAG,
-          LIGHTING_TAG,
-          COMPOSITION_TAG,
-          VISIBILITY_TAG,
-          '',
-          prompt
-        ];
-        // 自由文が入力されている場合は建物別プロンプトの後に追加
-        if (freeTextValue) {
-          parts.push(freeTextValue);
-        }
-        prompt = parts.filter(Boolean).join(',\n');
-      } else {
-        // 自動プロンプト OFF: 建物別プロンプト + モード指示 + 自由文（入力された場合）
-        const parts = [
-          SCENE_BASE,
-          MODIFICATION_INSTRUCTION,
-          buildingPrompt,
-          modeInstruction,
-          STYLE_TAG,
-          LIGHTING_TAG,
-          COMPOSITION_TAG,
-          VISIBILITY_TAG
-        ];
-        // 自由文が入力されている場合は建物別プロンプトの後に追加
-        if (freeTextValue) {
-          parts.push('');
-          parts.push(freeTextValue);
-        }
-        prompt = parts.filter(Boolean).join(',\n');
-      }
-
-    } else {
-      // ========================================
-      // 4) 生成画像中心: 現行通り User request: として追加
-      //    （GPT-Image-1.5で処理するため、ここではプロンプトのみ構築）
-      // ========================================
-      console.log('=== 生成画像中心モード ===');
-      // このモードはisImageCenteredMode=trueで後続処理で分岐
-      prompt = freeTextValue;
-    }
-
-    console.log('=== 画像生成パラメータ ===');
-    console.log('生成タイプ:', imageMode);
-    console.log('自動プロンプト:', isAutoPromptEnabled ? 'ON' : 'OFF');
-    console.log('建物タイプ:', buildingType);
-    console.log('建物別プロンプト:', buildingPrompt);
-    console.log('スタイル: 写真風（固定）');
-    console.log('ライティング: 自然光（固定）');
-    console.log('構図: 全体像（固定）');
-    console.log('最終プロンプト:', prompt);
-    console.log('ネガティブプロンプト:', NEGATIVE_PROMPT);
-    console.log('パラメータ:', FAL_PARAMS);
-
     // 生成モード名の日本語マッピング
     const imageModeNames = {
       'faithful': '指示に忠実',
@@ -631,14 +518,24 @@ async function handleGenerate(
       'image-centered': '生成画像中心'
     };
 
-    // 生成データをセッションストレージに保存
+    // 生成データ（プロンプト等はAPIの応答で確定する）
     const generationData = {
-      prompt: prompt,
-      negativePrompt: isImageCenteredMode ? null : NEGATIVE_PROMPT,
-      baseImageUrl: BASE_IMAGE_PATH,
-      maskImageUrl: isImageCenteredMode ? null : MASK_IMAGE_PATH,
-      params: isImageCenteredMode ? null : FAL_PARAMS,
+      prompt: null,
+      negativePrompt: null,
+      templateVersion: null,
+      sceneVersion: null,
+      baseImageUrl: sceneOption.dataset.baseImage,
+      // 範囲を編集した場合は編集後のマスク（Data URI）を記録
+      maskImageUrl: isMaskEdited ? maskData : sceneOption.dataset.maskImage,
+      maskEdited: isMaskEdited,
+      // 参考画像（Inpaintingのみ、サーバーが選んだものを記録）
+      referenceImageUrl: null,
+      params: null,
+      // 参加中のワークショップ（投稿の保存時にサーバーで確認する）
+      session: workshop,
       options: {
+        sceneId: sceneId,
+        sceneName: sceneOption.textContent.trim(),
         style: isImageCenteredMode ? '自動' : '写真風',
         lighting: isImageCenteredMode ? '自動' : '自然光',
         composition: isImageCenteredMode ? '自動' : '全体像',
@@ -647,97 +544,69 @@ async function handleGenerate(
         imageMode: imageMode,
         imageModeName: imageModeNames[imageMode] || imageMode,
         buildingType: buildingType,
-        buildingPrompt: buildingPrompt
+        otherBuilding: otherBuildingValue,
+        buildingPrompt: null
       }
     };
-    sessionStorage.setItem('generationData', JSON.stringify(generationData));
 
     let response;
     let result;
 
-    if (isImageCenteredMode) {
-      // ========================================
-      // 4) 生成画像中心モード: GPT-Image-1.5 (images/generations)
-      //    現行通り User request: として追加
-      // ========================================
-      console.log('=== 生成画像中心モード: GPT-Image-1.5 ===');
-      console.log('ユーザー入力:', freeTextValue);
-
-      // 建物別プロンプトを含める
-      const buildingLine = buildingPrompt 
-        ? `\n\nBuilding specification:\n${buildingPrompt}` 
-        : '';
-      
-      const imageCenteredPrompt = `Preserve all existing background elements exactly as they are, including station buildings, surrounding roads, sidewalks, trees, sky, lighting, perspective, and camera angle.
-Do not modify, replace, stylize, reinterpret, or regenerate any background structures or environment outside the central circular plaza area.
+    // 元画像をBase64に変換（JPEG）
+    const imageData = imageToBase64Jpeg(baseImage);
+    console.log('元画像をBase64に変換完了');
 
-Replace ONLY the central circular plaza area with a highly creative, non-traditional public-space installation.
-Do not assume or default to any conventional plaza, playground, or fountain design.${buildingLine}
+    console.log('マスク:', isMaskEdited ? '編集あり' : '既定のマスク');
 
-Install an imaginative, sculptural, or experiential centerpiece that may include water, light, landscape, art, or play elements, but is not limited to a fountain.
-Allow abstract, organic, or story-like forms that prioritize artistic expression and emotional impact over clear function or usability.
-
-Use low-height elements, gentle curves, and human-scale proportions suitable for families and children.
-The design should feel safe, approachable, and emotionally engaging rather than monumental or architectural.
-
-Maintain realistic materials, believable physics, and accurate scale.
-Ensure the installation integrates naturally with the existing plaza paving and surroundings.
-
-Do NOT include people unless strictly required for scale reference.
-If included, keep them minimal and visually subordinate.
-
-Maintain photorealistic quality with natural daylight, consistent shadows, and color temperature matching the original image.
-Ensure seamless blending at the boundary between the modified central plaza and the unchanged background.
+    // APIリクエストボディを構築（どちらのAPIも同じ形式で受け取る）
+    const requestBody = {
+      ...choices,
+      imageData: imageData,
+      maskData: maskData
+    };
 
-Output a single, cohesive, high-resolution photorealistic image.
+    // デモ用: URLに ?reuse=1 がある場合は、同じ入力の生成画像をキャッシュから返してもらう
+    const reuseParam = new URLSearchParams(location.search).get('reuse');
+    if (reuseParam !== null) {
+      requestBody.reuse = reuseParam !== '0';
+    }
 
-User request: ${freeTextValue}`;
-      console.log('最終プロンプト:', imageCenteredPrompt);
+    if (isImageCenteredMode) {
+      // ========================================
+      // 4) 生成画像中心モード: GPT-Image-1.5 (images/edits)
+      // ========================================
+      console.log('=== 生成画像中心モード: GPT-Image-1.5 ===');
 
       response = await fetch('/api/creative', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          prompt: imageCenteredPrompt
-        })
+        body: JSON.stringify(requestBody)
       });
 
       result = await response.json();
       console.log('GPT-Image-1.5 API応答:', result);
+      if (result.cache) {
+        console.log('キャッシュ:', result.cache);
+      }
+
+      // サーバーで組み立てたプロンプトを生成データに記録
+      if (result.success) {
+        generationData.prompt = result.prompt;
+        generationData.templateVersion = result.templateVersion;
+        generationData.sceneVersion = result.sceneVersion;
+        generationData.params = result.params;
+        generationData.options.buildingPrompt = result.buildingPrompt;
+        saveGenerationData(generationData);
+      }
 
     } else {
       // ========================================
-      // 通常モード: fal.ai Inpainting API
+      // 1〜3) 通常モード: fal.ai Inpainting API
       // ========================================
 
-      // 元画像をBase64に変換（JPEG）
-      const imageData = imageToBase64Jpeg(baseImage);
-      console.log('元画像をBase64に変換完了');
-
-      // マスク画像をBase64に変換（PNG）
-      const maskData = imageToBase64Png(maskImage);
-      console.log('マスク画像をBase64に変換完了');
-
-      // APIリクエストボディを構築
-      const requestBody = {
-        prompt: prompt,
-        negativePrompt: NEGATIVE_PROMPT,
-        imageData: imageData,
-        maskData: maskData,
-        strength: FAL_PARAMS.strength,
-        steps: FAL_PARAMS.steps,
-        guidance: FAL_PARAMS.guidance
-      };
-
-      // 参考画像がある場合はURLをそのまま送付（本番環境で公開URL経由でfal.aiがアクセス）
-      if (referenceImagePath) {
-        requestBody.referenceImageUrl = referenceImagePath;
-        console.log('参考画像URL:', referenceImagePath);
-      }
-
-      // fal.ai Inpainting APIを呼び出し
+      // fal.ai Inpainting APIにジョブを投入
       response = await fetch('/api/generate', {
         method: 'POST',
         headers: {
@@ -746,32 +615,156 @@ User request: ${freeTextValue}`;
         body: JSON.stringify(requestBody)
       });
 
-      result = await response.json();
-      console.log('fal.ai API応答:', result);
+      const submitted = await response.json();
+      console.log('fal.ai ジョブ投入応答:', submitted);
+      if (submitted.cache) {
+        console.log('キャッシュ:', submitted.cache);
+      }
+
+      if (!submitted.success || !submitted.jobId) {
+        throw apiError(submitted, '画像生成の開始に失敗しました');
+      }
+
+      // サーバーで組み立てたプロンプトを生成データに記録
+      generationData.prompt = submitted.prompt;
+      generationData.negativePrompt = submitted.negativePrompt;
+      generationData.templateVersion = submitted.templateVersion;
+      generationData.sceneVersion = submitted.sceneVersion;
+      generationData.referenceImageUrl = submitted.referenceImageUrl;
+      generationData.params = submitted.params;
+      generationData.options.buildingPrompt = submitted.buildingPrompt;
+      saveGenerationData(generationData);
+
+      // 再読み込み時に再開できるようジョブIDを保存
+      sessionStorage.setItem('pendingJobId', submitted.jobId);
+      sessionStorage.setItem('pendingJobStartedAt', String(Date.now()));
+      updateLoadingStatus(submitted);
+
+      // 完了までポーリング
+      result = await waitForJob(submitted.jobId);
     }
 
     if (result.success && result.imageUrl) {
-      // 生成成功：タイマー停止、画像URLを保存して結果画面へ
-      stopElapsedTimer();
-      sessionStorage.setItem('generatedImageUrl', result.imageUrl);
-      window.location.href = '/result';
+      // 生成成功：候補画像のURLを保存して結果画面へ
+      completeGeneration(getImageUrls(result), result.jobId);
     } else {
-      throw new Error(result.error || '画像生成に失敗しました');
+      throw apiError(result, '画像生成に失敗しました');
     }
 
   } catch (error) {
-    console.error('画像生成エラー:', error);
-    
-    // タイマー停止
-    stopElapsedTimer();
-    
-    // ローディング非表示
-    loadingOverlay.classList.remove('active');
-    
-    // ボタンを再有効化
-    generateButton.disabled = false;
-    
-    // エラーメッセージ表示
-    alert('画像生成中にエラーが発生しました:\n' + error.message);
+    failGeneration(error, loadingOverlay, generateButton);
+  }
+}
+
+/**
+ * 生成データをセッションストレージに保存
+ * @param {Object} generationData - 生成データ
+ */
+function saveGenerationData(generationData) {
+  console.log('=== 生成データ ===');
+  console.log('テンプレート:', generationData.templateVersion);
+  console.log('最終プロンプト:', generationData.prompt);
+  sessionStorage.setItem('generationData', JSON.stringify(generationData));
+}
+
+/**
+ * APIの応答から候補画像のURL一覧を取得
+ * @param {Object} result - /api/creative または /api/jobs/:id の応答
+ * @returns {string[]} 候補画像のURL（1枚以上）
+ */
+function getImageUrls(result) {
+  return result.imageUrls && result.imageUrls.length > 0
+    ? result.imageUrls
+    : [result.imageUrl];
+}
+
+/**
+ * 生成成功時の処理
+ * タイマーを停止し、候補画像のURLとジョブIDを保存して結果画面へ遷移
+ * 1枚目を選択済みとし、結果画面で別の候補に選び直せる
+ * ジョブIDは投稿の保存時に送り、サーバーがジョブに記録した生成内容を使う
+ * @param {string[]} imageUrls - 候補画像のURL
+ * @param {string} jobId - ジョブID
+ */
+function completeGeneration(imageUrls, jobId) {
+  stopElapsedTimer();
+  clearPendingJob();
+  sessionStorage.setItem('generationJobId', jobId);
+  sessionStorage.setItem('generatedImageUrl', imageUrls[0]);
+  try {
+    sessionStorage.setItem('generatedImageUrls', JSON.stringify(imageUrls));
+  } catch (error) {
+    // Data URIの候補が多くて保存しきれない場合は1枚目のみ
+    console.warn('候補画像を保存できませんでした（1枚目のみ表示）:', error);
+    sessionStorage.removeItem('generatedImageUrls');
+  }
+  window.location.href = '/result';
+}
+
+/**
+ * APIのエラー応答からエラーを作成（利用制限・入力チェック・安全フィルターの code と項目を引き継ぐ）
+ * @param {Object} result - APIの応答
+ * @param {string} fallbackMessage - エラーメッセージがない場合のメッセージ
+ * @returns {Error} エラー
+ */
+function apiError(result, fallbackMessage) {
+  const error = new Error(result.error || fallbackMessage);
+  error.code = result.code || null;
+  error.details = result.details || [];
+  return error;
+}
+
+/**
+ * 生成失敗時の処理
+ * @param {Error} error - 発生したエラー
+ * @param {HTMLElement} loadingOverlay - ローディングオーバーレイ
+ * @param {HTMLButtonElement} generateButton - 生成ボタン
+ */
+function failGeneration(error, loadingOverlay, generateButton) {
+  console.error('画像生成エラー:', error);
+
+  // タイマー停止・ジョブ情報クリア
+  stopElapsedTimer();
+  clearPendingJob();
+  updateLoadingStatus({ status: 'failed' });
+
+  // ローディング非表示
+  loadingOverlay.classList.remove('active');
+
+  // 利用制限（回数・1日の上限）は参加者向けのメッセージをそのまま表示する
+  // 1日の上限に達した場合はボタンを無効のままにする
+  if (error.code === 'budget_exhausted') {
+    generateButton.dataset.closed = 'true';
+    generateButton.textContent = '今日はおしまい';
+    alert(error.message);
+    return;
+  }
+
+  // ボタンを再有効化
+  generateButton.disabled = false;
+
+  if (error.code === 'rate_limited') {
+    alert(error.message);
+    return;
   }
+
+  // 安全フィルターで止められた場合は、内容を変えてもう一度ためしてもらう
+  if (error.code === 'nsfw_flagged') {
+    alert(error.message);
+    return;
+  }
+
+  // 入力チェックで止められた場合は、その入力欄に戻って書き直してもらう
+  if (error.code === 'moderation_rejected') {
+    alert(error.message);
+    const field = error.details.length > 0 ? document.getElementById(error.details[0].field) : null;
+    if (field) {
+      field.focus();
+      field.select();
+    }
+    return;
+  }
+
+  // エラーメッセージ表示
+  alert('画像生成中にエラーが発生しました:\n' + error.message);
 }
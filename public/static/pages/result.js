@@ -1,28 +1,68 @@
 /**
  * 結果画面用JavaScript
- * - 生成画像の表示
+ * - 元画像（生成した会場の画像）と生成画像の比較表示
+ *   - スライダー（境目の線）をドラッグして左右でくらべる
+ *   - タップで元画像／生成画像を切り替え
+ *   - ピンチ・ホイールで拡大（両方の画像を同じ位置・倍率で表示）
+ * - 変更した範囲（マスク）の輪郭を重ねて表示（切り替え可）
+ * - 候補画像の選択（選んだ画像のみ次の画面へ）
  * - 戻るボタン処理
  * - 次へボタン処理（設定内容確認画面へ遷移）
  */
 
+// ========================================
+// 定数定義
+// ========================================
+
+// 生成データに元画像がない場合（旧データ）の元画像
+const DEFAULT_BASE_IMAGE_PATH = '/static/images/base-image.jpg';
+
+// 比較表示の設定
+const COMPARE_MAX_SCALE = 4;          // 最大倍率
+const COMPARE_HANDLE_HIT_WIDTH = 24;  // 境目の線をつかめる幅（ピクセル）
+const COMPARE_TAP_MAX_MOVE = 6;       // タップとみなす移動量（ピクセル）
+const COMPARE_TAP_MAX_DURATION = 300; // タップとみなす時間（ミリ秒）
+
 // ========================================
 // DOM要素取得・初期化
 // ========================================
 
 document.addEventListener('DOMContentLoaded', () => {
   // 要素の取得
+  const baseImage = document.getElementById('baseImage');
+  const maskCanvas = document.getElementById('maskCanvas');
+  const maskOutlineControl = document.getElementById('maskOutlineControl');
+  const maskOutlineToggle = document.getElementById('maskOutlineToggle');
   const generatedImage = document.getElementById('generatedImage');
+  const candidateStrip = document.getElementById('candidateStrip');
   const backButton = document.getElementById('backButton');
   const nextButton = document.getElementById('nextButton');
 
   // セッションストレージから生成データを取得
   const generationData = getGenerationData();
 
+  // 元画像と生成画像の比較表示
+  baseImage.src = getBaseImageUrl(generationData);
+  createComparison({
+    viewport: document.getElementById('compareViewport'),
+    before: document.getElementById('compareBefore'),
+    handle: document.getElementById('compareHandle'),
+    resetButton: document.getElementById('compareResetButton'),
+    layers: [generatedImage, baseImage, maskCanvas],
+    sizeSource: generatedImage
+  });
+
+  // 変更した範囲の輪郭
+  displayMaskOutline(maskCanvas, maskOutlineControl, maskOutlineToggle, generationData);
+
   // 生成画像の表示
   displayGeneratedImage(generatedImage, generationData);
 
+  // 候補画像の表示・選択
+  setupCandidatePicker(candidateStrip, generatedImage, generationData);
+
   // ボタンイベント設定
-  setupButtons(backButton, nextButton);
+  setupButtons(backButton, nextButton, generationData);
 });
 
 // ========================================
@@ -48,6 +88,267 @@ function getGenerationData() {
   }
 }
 
+/**
+ * 生成データから元画像のURLを取得
+ * @param {Object|null} generationData - 生成データ
+ * @returns {string} 元画像のURL（不明な場合は既定の会場の画像）
+ */
+function getBaseImageUrl(generationData) {
+  return (generationData && generationData.baseImageUrl) || DEFAULT_BASE_IMAGE_PATH;
+}
+
+// ========================================
+// 比較表示
+// ========================================
+
+/**
+ * 元画像と生成画像の比較表示を作成
+ * 元画像（左側）を境目の位置で切り抜いて生成画像に重ね、拡大・移動は全レイヤーに同じ変形をかける
+ * @param {Object} elements - 画面の要素
+ * @param {HTMLElement} elements.viewport - 表示枠
+ * @param {HTMLElement} elements.before - 元画像を切り抜く要素
+ * @param {HTMLElement} elements.handle - 境目の線
+ * @param {HTMLButtonElement} elements.resetButton - 拡大を元に戻すボタン
+ * @param {HTMLElement[]} elements.layers - 同じ変形をかける要素（画像・輪郭）
+ * @param {HTMLImageElement} elements.sizeSource - 表示枠の縦横比の基準にする画像
+ */
+function createComparison(elements) {
+  const { viewport, before, handle, resetButton, layers, sizeSource } = elements;
+
+  // 境目の位置（左から何%まで元画像を表示するか）
+  let wipe = 50;
+  // 拡大・移動（表示枠の左上を原点とするピクセル）
+  let scale = 1;
+  let offsetX = 0;
+  let offsetY = 0;
+
+  // 操作中のポインター
+  const pointers = new Map();
+  let gesture = null;
+
+  /**
+   * 境目の位置を設定
+   * @param {number} value - 0〜100
+   */
+  function setWipe(value) {
+    wipe = Math.min(100, Math.max(0, value));
+    before.style.clipPath = `inset(0 ${100 - wipe}% 0 0)`;
+    handle.style.left = `${wipe}%`;
+    handle.setAttribute('aria-valuenow', String(Math.round(wipe)));
+  }
+
+  /**
+   * 拡大・移動を反映（画像が表示枠からはみ出さないよう制限）
+   */
+  function applyTransform() {
+    const rect = viewport.getBoundingClientRect();
+    scale = Math.min(COMPARE_MAX_SCALE, Math.max(1, scale));
+    offsetX = Math.min(0, Math.max(rect.width - rect.width * scale, offsetX));
+    offsetY = Math.min(0, Math.max(rect.height - rect.height * scale, offsetY));
+    const transform = `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
+    layers.forEach((layer) => {
+      layer.style.transform = transform;
+    });
+    // 拡大中は画面のスクロールより画像の移動を優先
+    viewport.classList.toggle('zoomed', scale > 1);
+    resetButton.disabled = scale === 1;
+  }
+
+  /**
+   * 指定位置を中心に拡大・縮小
+   * @param {number} nextScale - 新しい倍率
+   * @param {number} centerX - 中心（表示枠内のX座標）
+   * @param {number} centerY - 中心（表示枠内のY座標）
+   */
+  function zoomAt(nextScale, centerX, centerY) {
+    const clamped = Math.min(COMPARE_MAX_SCALE, Math.max(1, nextScale));
+    offsetX = centerX - (centerX - offsetX) * (clamped / scale);
+    offsetY = centerY - (centerY - offsetY) * (clamped / scale);
+    scale = clamped;
+    applyTransform();
+  }
+
+  /**
+   * ポインターの位置を表示枠内の座標に変換
+   * @param {PointerEvent|Object} e - clientX / clientY を持つ値
+   */
+  function toViewportPoint(e) {
+    const rect = viewport.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top, width: rect.width };
+  }
+
+  /**
+   * 2本指の中心と距離
+   */
+  function pinchState() {
+    const [a, b] = Array.from(pointers.values());
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      distance: Math.hypot(a.x - b.x, a.y - b.y)
+    };
+  }
+
+  viewport.addEventListener('pointerdown', (e) => {
+    viewport.setPointerCapture(e.pointerId);
+    const point = toViewportPoint(e);
+    pointers.set(e.pointerId, point);
+
+    if (pointers.size === 2) {
+      // 2本指: ピンチで拡大
+      const pinch = pinchState();
+      gesture = { type: 'pinch', startScale: scale, ...pinch };
+    } else if (pointers.size === 1) {
+      // 1本指: 境目の線の近くならスライダー、それ以外は移動（動かさなければタップ）
+      const handleX = point.width * wipe / 100;
+      gesture = {
+        type: Math.abs(point.x - handleX) <= COMPARE_HANDLE_HIT_WIDTH ? 'wipe' : 'pan',
+        startX: point.x,
+        startY: point.y,
+        lastX: point.x,
+        lastY: point.y,
+        startedAt: Date.now(),
+        moved: false
+      };
+    }
+  });
+
+  viewport.addEventListener('pointermove', (e) => {
+    if (!pointers.has(e.pointerId) || !gesture) {
+      return;
+    }
+    const point = toViewportPoint(e);
+    pointers.set(e.pointerId, point);
+
+    if (gesture.type === 'pinch' && pointers.size === 2) {
+      const pinch = pinchState();
+      // 2本指の移動分だけ画像も動かす
+      offsetX += pinch.x - gesture.x;
+      offsetY += pinch.y - gesture.y;
+      gesture.x = pinch.x;
+      gesture.y = pinch.y;
+      zoomAt(gesture.startScale * pinch.distance / gesture.distance, pinch.x, pinch.y);
+      return;
+    }
+
+    if (Math.hypot(point.x - gesture.startX, point.y - gesture.startY) > COMPARE_TAP_MAX_MOVE) {
+      gesture.moved = true;
+    }
+
+    if (gesture.type === 'wipe') {
+      setWipe(point.x / point.width * 100);
+    } else if (gesture.type === 'pan' && scale > 1) {
+      offsetX += point.x - gesture.lastX;
+      offsetY += point.y - gesture.lastY;
+      applyTransform();
+    }
+    gesture.lastX = point.x;
+    gesture.lastY = point.y;
+  });
+
+  /**
+   * 指を離したときの処理
+   */
+  function endPointer(e) {
+    if (!pointers.has(e.pointerId)) {
+      return;
+    }
+    pointers.delete(e.pointerId);
+
+    if (gesture && gesture.type === 'pan' && pointers.size === 0 && e.type === 'pointerup') {
+      // 動かさずにすぐ離した場合はタップ: 元画像／生成画像を切り替え
+      const isTap = !gesture.moved && Date.now() - gesture.startedAt <= COMPARE_TAP_MAX_DURATION;
+      if (isTap) {
+        setWipe(wipe >= 50 ? 0 : 100);
+      }
+    }
+
+    if (pointers.size === 1) {
+      // ピンチの後に1本指が残った場合は移動として続ける（タップにはしない）
+      const [remaining] = Array.from(pointers.values());
+      gesture = {
+        type: 'pan',
+        startX: remaining.x,
+        startY: remaining.y,
+        lastX: remaining.x,
+        lastY: remaining.y,
+        startedAt: 0,
+        moved: true
+      };
+    } else if (pointers.size === 0) {
+      gesture = null;
+    }
+  }
+
+  viewport.addEventListener('pointerup', endPointer);
+  viewport.addEventListener('pointercancel', endPointer);
+
+  // マウスホイールで拡大・縮小
+  viewport.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const point = toViewportPoint(e);
+    zoomAt(scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), point.x, point.y);
+  }, { passive: false });
+
+  // キーボードで境目を移動
+  handle.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      setWipe(wipe + (e.key === 'ArrowLeft' ? -5 : 5));
+    }
+  });
+
+  // 拡大を元に戻す
+  resetButton.addEventListener('click', () => {
+    scale = 1;
+    offsetX = 0;
+    offsetY = 0;
+    applyTransform();
+  });
+
+  // 表示枠の縦横比を生成画像に合わせる（候補の切り替えでも更新）
+  function updateAspectRatio() {
+    if (sizeSource.naturalWidth && sizeSource.naturalHeight) {
+      viewport.style.aspectRatio = `${sizeSource.naturalWidth} / ${sizeSource.naturalHeight}`;
+      applyTransform();
+    }
+  }
+  sizeSource.addEventListener('load', updateAspectRatio);
+  updateAspectRatio();
+
+  // 画面サイズが変わった場合は移動範囲を再計算
+  window.addEventListener('resize', applyTransform);
+
+  setWipe(wipe);
+  applyTransform();
+}
+
+/**
+ * 変更した範囲（マスク）の輪郭を比較表示に重ねる
+ * マスクが記録されていない古い生成データでは表示しない
+ * @param {HTMLCanvasElement} canvas - 輪郭を描くキャンバス
+ * @param {HTMLElement} control - 表示切り替えの要素
+ * @param {HTMLInputElement} toggle - 表示切り替えのチェックボックス
+ * @param {Object|null} generationData - 生成データ
+ */
+function displayMaskOutline(canvas, control, toggle, generationData) {
+  if (!generationData || !generationData.maskImageUrl) {
+    return;
+  }
+  renderMaskOutline(canvas, generationData.maskImageUrl)
+    .then(() => {
+      control.hidden = false;
+      canvas.hidden = !toggle.checked;
+    })
+    .catch((error) => {
+      console.error('マスクの表示エラー:', error);
+    });
+
+  toggle.addEventListener('change', () => {
+    canvas.hidden = !toggle.checked;
+  });
+}
+
 // ========================================
 // 生成画像表示
 // ========================================
@@ -82,6 +383,80 @@ function displayGeneratedImage(imageElement, generationData) {
   };
 }
 
+/**
+ * 候補画像の選択欄を設定
+ * 選んだ画像を生成画像として表示・保存し、生成データに何枚目を選んだかを記録する
+ * @param {HTMLElement} strip - 候補画像の表示欄
+ * @param {HTMLImageElement} imageElement - 生成画像の要素
+ * @param {Object|null} generationData - 生成データ
+ */
+function setupCandidatePicker(strip, imageElement, generationData) {
+  const imageUrls = getCandidateImageUrls();
+  if (imageUrls.length < 2) {
+    return;
+  }
+
+  const selectedUrl = sessionStorage.getItem('generatedImageUrl');
+
+  imageUrls.forEach((url, index) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'candidate-item';
+    button.classList.toggle('selected', url === selectedUrl);
+    button.setAttribute('aria-label', `候補${index + 1}`);
+
+    const thumbnail = document.createElement('img');
+    thumbnail.src = url;
+    thumbnail.alt = `候補${index + 1}`;
+    button.appendChild(thumbnail);
+
+    button.addEventListener('click', () => {
+      strip.querySelectorAll('.candidate-item').forEach((item) => {
+        item.classList.toggle('selected', item === button);
+      });
+      imageElement.src = url;
+      selectCandidate(url, index, imageUrls.length, generationData);
+    });
+
+    strip.appendChild(button);
+  });
+
+  strip.hidden = false;
+
+  // 初期表示の候補を生成データに記録
+  const selectedIndex = Math.max(0, imageUrls.indexOf(selectedUrl));
+  selectCandidate(imageUrls[selectedIndex], selectedIndex, imageUrls.length, generationData);
+}
+
+/**
+ * セッションストレージから候補画像のURL一覧を取得
+ * @returns {string[]} 候補画像のURL（候補がない場合は空）
+ */
+function getCandidateImageUrls() {
+  try {
+    return JSON.parse(sessionStorage.getItem('generatedImageUrls') || '[]');
+  } catch (e) {
+    console.error('候補画像の解析エラー:', e);
+    return [];
+  }
+}
+
+/**
+ * 候補画像を選択
+ * @param {string} url - 選んだ画像のURL
+ * @param {number} index - 選んだ候補の番号（0始まり）
+ * @param {number} count - 候補の枚数
+ * @param {Object|null} generationData - 生成データ
+ */
+function selectCandidate(url, index, count, generationData) {
+  sessionStorage.setItem('generatedImageUrl', url);
+  if (generationData) {
+    generationData.candidateCount = count;
+    generationData.selectedCandidate = index;
+    sessionStorage.setItem('generationData', JSON.stringify(generationData));
+  }
+}
+
 /**
  * 生成情報を表示
  * @param {Object} generationData - 生成データ
@@ -102,6 +477,19 @@ function showGenerationInfo(generationData) {
     </details>
   `;
 
+  // 参考画像のURLは HTML に埋め込まず、要素の属性として設定する
+  if (generationData.referenceImageUrl) {
+    const label = document.createElement('p');
+    label.innerHTML = '<strong>参考画像:</strong>';
+
+    const reference = document.createElement('img');
+    reference.src = generationData.referenceImageUrl;
+    reference.alt = '参考画像';
+    reference.className = 'generation-info-reference';
+
+    infoDiv.querySelector('.info-content').append(label, reference);
+  }
+
   // スタイル設定
   infoDiv.style.cssText = `
     background: #F0F8FF;
@@ -125,7 +513,7 @@ function showGenerationInfo(generationData) {
  */
 function showErrorState(imageElement, generationData) {
   // プレースホルダー画像として元画像を表示
-  imageElement.src = '/static/images/base-image.jpg';
+  imageElement.src = getBaseImageUrl(generationData);
   imageElement.alt = '画像の生成に失敗しました';
 
   // エラーメッセージを表示
@@ -170,13 +558,18 @@ function showErrorState(imageElement, generationData) {
  * ボタンのイベント設定
  * @param {HTMLButtonElement} backButton - 戻るボタン
  * @param {HTMLButtonElement} nextButton - 次へボタン
+ * @param {Object|null} generationData - 生成データ
  */
-function setupButtons(backButton, nextButton) {
-  // 戻るボタン：画像表示画面へ戻る
+function setupButtons(backButton, nextButton, generationData) {
+  // 戻るボタン：画像表示画面へ戻る（同じ会場を選択した状態で）
   backButton.addEventListener('click', () => {
     // 生成画像URLのみクリア
     sessionStorage.removeItem('generatedImageUrl');
-    window.location.href = '/image-display';
+    sessionStorage.removeItem('generatedImageUrls');
+    const sceneId = generationData && generationData.options && generationData.options.sceneId;
+    window.location.href = sceneId
+      ? `/image-display?scene=${encodeURIComponent(sceneId)}`
+      : '/image-display';
   });
 
   // 次へボタン：設定内容確認画面へ遷移
@@ -1,6 +1,7 @@
 /**
  * トップ画面用JavaScript
  * - クラッカーアニメーション制御
+ * - キオスクモードの最近の作品の表示（背景で順番に切り替え、切り替えるたびにクラッカーを鳴らす）
  * - スタートボタン処理
  */
 
@@ -23,6 +24,10 @@ const CONFETTI_COLORS = [
 // 紙吹雪の形状
 const CONFETTI_SHAPES = ['●', '■', '★', '♦', '♥', '▲'];
 
+// 最近の作品の表示（キオスクモード）
+const ATTRACT_INTERVAL_MS = 6000;          // 作品を切り替える間隔
+const ATTRACT_REFRESH_MS = 5 * 60 * 1000;  // 新しい作品を読み込み直す間隔
+
 // ========================================
 // DOM要素取得
 // ========================================
@@ -36,12 +41,20 @@ document.addEventListener('DOMContentLoaded', () => {
   const crackerRight = document.getElementById('crackerRight');
   const confettiContainer = document.getElementById('confettiContainer');
   const startButton = document.getElementById('startButton');
+  const attractLoop = document.getElementById('attractLoop');
 
   // クラッカーアニメーション開始（少し遅延させる）
   setTimeout(() => {
     playCrackerAnimation(crackerLeft, crackerRight, confettiContainer);
   }, 500);
 
+  // 最近の作品の表示（キオスクモードのみ表示欄がある）
+  if (attractLoop) {
+    startAttractLoop(attractLoop, () => {
+      playCrackerAnimation(crackerLeft, crackerRight, confettiContainer);
+    });
+  }
+
   // スタートボタンのイベント設定
   setupStartButton(startButton);
 });
@@ -57,7 +70,10 @@ document.addEventListener('DOMContentLoaded', () => {
  * @param {HTMLElement} confettiContainer - 紙吹雪コンテナ
  */
 function playCrackerAnimation(crackerLeft, crackerRight, confettiContainer) {
-  // 左右のクラッカーにアニメーションクラスを追加
+  // 左右のクラッカーにアニメーションクラスを追加（もう一度鳴らす場合は付け直す）
+  crackerLeft.classList.remove('pop');
+  crackerRight.classList.remove('pop');
+  void crackerLeft.offsetWidth;
   crackerLeft.classList.add('pop');
   crackerRight.classList.add('pop');
 
@@ -129,6 +145,66 @@ function createConfetti(container, side) {
   }
 }
 
+// ========================================
+// 最近の作品の表示（キオスクモード）
+// ========================================
+
+/**
+ * 最近の作品を背景で順番に切り替えて表示
+ * @param {HTMLElement} container - 表示欄
+ * @param {Function} onChange - 作品を切り替えたときの処理
+ */
+function startAttractLoop(container, onChange) {
+  let items = [];
+  let index = 0;
+
+  // 作品を読み込む（失敗した場合は前の一覧のまま）
+  const load = async () => {
+    try {
+      const response = await fetch('/api/kiosk/showcase');
+      const result = await response.json();
+      if (result.success) {
+        items = result.items;
+      }
+    } catch (error) {
+      console.error('最近の作品の取得エラー:', error);
+    }
+  };
+
+  // 次の作品に切り替える
+  const showNext = () => {
+    if (items.length === 0) {
+      return;
+    }
+    const item = items[index % items.length];
+    index += 1;
+
+    const slide = document.createElement('figure');
+    slide.className = 'attract-slide';
+    const image = document.createElement('img');
+    image.src = item.imageUrl;
+    image.alt = '';
+    const caption = document.createElement('figcaption');
+    caption.textContent = item.building;
+    slide.append(image, caption);
+
+    // 読み込めたら前の作品と入れ替える（フェードはCSS）
+    image.onload = () => {
+      container.appendChild(slide);
+      requestAnimationFrame(() => slide.classList.add('active'));
+      Array.from(container.children).slice(0, -1).forEach((old) => {
+        old.classList.remove('active');
+        setTimeout(() => old.remove(), 1500);
+      });
+      onChange();
+    };
+  };
+
+  load().then(showNext);
+  setInterval(showNext, ATTRACT_INTERVAL_MS);
+  setInterval(load, ATTRACT_REFRESH_MS);
+}
+
 // ========================================
 // スタートボタン
 // ========================================
@@ -0,0 +1,184 @@
+/**
+ * プロジェクターの壁用JavaScript
+ * - 確定した作品を受け取り、モザイクの先頭にアニメーションで追加（名前・建物・ねがいを表示）
+ * - 受け取り方はSSE（/api/wall/stream）、使えない場合は定期取得（/api/wall/submissions）
+ *   ?poll=1 の場合や、SSEが続けて失敗した場合（ローカルの開発サーバーなど）は定期取得にする
+ * - ?session= の場合は、そのワークショップのセッションの作品だけを受け取る
+ */
+
+// ========================================
+// 定数定義
+// ========================================
+
+// 壁に並べる作品の上限（古いものから消す）
+const WALL_MAX_TILES = 48;
+
+// 定期取得の間隔（ミリ秒）
+const WALL_POLL_INTERVAL_MS = 5000;
+
+// 定期取得に切り替えるまでのSSEの連続失敗回数
+const WALL_SSE_MAX_FAILURES = 3;
+
+// ========================================
+// DOM要素取得・初期化
+// ========================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  // DOM要素の取得
+  const grid = document.getElementById('wallGrid');
+  const count = document.getElementById('wallCount');
+  const status = document.getElementById('wallStatus');
+  const empty = document.getElementById('wallEmpty');
+
+  // 表示中の作品ID（再接続で同じ作品が届いても重ねて表示しない）
+  const shown = new Set();
+  let total = 0;
+
+  // 作品を壁に追加する
+  const addItem = (item) => {
+    if (shown.has(item.id)) {
+      return;
+    }
+    shown.add(item.id);
+    total += 1;
+    count.textContent = total;
+    empty.hidden = true;
+    grid.prepend(createTile(item));
+
+    // 上限を超えたら古いものから消す
+    while (grid.children.length > WALL_MAX_TILES) {
+      grid.lastElementChild.remove();
+    }
+  };
+
+  const params = new URLSearchParams(window.location.search);
+  const session = params.get('session');
+  const usePolling = params.get('poll') === '1' || !window.EventSource;
+  if (usePolling) {
+    startPolling(null, session, addItem, status);
+  } else {
+    startStream(session, addItem, status);
+  }
+});
+
+// ========================================
+// 作品の表示
+// ========================================
+
+/**
+ * 作品のタイルを作成
+ * @param {Object} item - 作品（nickname, building, wish, imageUrl）
+ * @returns {HTMLElement}
+ */
+function createTile(item) {
+  const tile = document.createElement('figure');
+  tile.className = 'wall-tile';
+
+  const image = document.createElement('img');
+  image.src = item.imageUrl;
+  image.alt = item.building;
+
+  const caption = document.createElement('figcaption');
+  const nickname = document.createElement('div');
+  nickname.className = 'wall-tile-nickname';
+  nickname.textContent = item.nickname || 'ななしさん';
+  const building = document.createElement('div');
+  building.className = 'wall-tile-building';
+  building.textContent = item.building;
+  caption.append(nickname, building);
+  if (item.wish) {
+    const wish = document.createElement('div');
+    wish.className = 'wall-tile-wish';
+    wish.textContent = item.wish;
+    caption.appendChild(wish);
+  }
+
+  tile.append(image, caption);
+  return tile;
+}
+
+// ========================================
+// 作品の受け取り
+// ========================================
+
+/**
+ * 作品の取得APIのURL
+ * @param {string} path - APIのパス
+ * @param {string|null} after - この位置より後の作品から受け取る
+ * @param {string|null} session - ワークショップのセッションID
+ * @returns {string}
+ */
+function wallApiUrl(path, after, session) {
+  const query = new URLSearchParams();
+  if (after) {
+    query.set('after', after);
+  }
+  if (session) {
+    query.set('session', session);
+  }
+  const search = query.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+/**
+ * SSEで作品を受け取る（続けて失敗した場合は定期取得に切り替える）
+ * @param {string|null} session - ワークショップのセッションID（nullの場合はすべての作品）
+ * @param {Function} addItem - 作品を壁に追加する処理
+ * @param {HTMLElement} status - 接続状況の表示
+ */
+function startStream(session, addItem, status) {
+  const source = new EventSource(wallApiUrl('/api/wall/stream', null, session));
+  let cursor = null;
+  let failures = 0;
+
+  source.addEventListener('ready', () => {
+    failures = 0;
+    status.textContent = 'ライブ';
+  });
+
+  source.addEventListener('submission', (event) => {
+    const item = JSON.parse(event.data);
+    cursor = item.cursor;
+    addItem(item);
+  });
+
+  source.addEventListener('error', () => {
+    failures += 1;
+    status.textContent = '再接続中...';
+    if (failures >= WALL_SSE_MAX_FAILURES) {
+      // 受け取った位置から定期取得で続ける
+      source.close();
+      startPolling(cursor, session, addItem, status);
+    }
+  });
+}
+
+/**
+ * 定期取得で作品を受け取る
+ * @param {string|null} after - この位置より後の作品から受け取る（nullの場合は最新の作品から）
+ * @param {string|null} session - ワークショップのセッションID（nullの場合はすべての作品）
+ * @param {Function} addItem - 作品を壁に追加する処理
+ * @param {HTMLElement} status - 接続状況の表示
+ */
+function startPolling(after, session, addItem, status) {
+  let cursor = after;
+
+  const poll = async () => {
+    try {
+      const response = await fetch(wallApiUrl('/api/wall/submissions', cursor, session));
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      result.items.forEach(addItem);
+      cursor = result.cursor;
+      status.textContent = '自動更新';
+    } catch (error) {
+      console.error('壁の作品の取得エラー:', error);
+      status.textContent = '再接続中...';
+    }
+    setTimeout(poll, WALL_POLL_INTERVAL_MS);
+  };
+
+  poll();
+}
@@ -1,21 +1,106 @@
 /**
  * 創造性モード画像生成APIエンドポイント
- * GPT-Image-1.5 (images/generations) を使用して画像を生成
- * 
+ * 画像編集プロバイダー（本番は gpt-image-1 images/edits、src/lib/providers/）を使用して、元画像のマスク領域を編集する
+ *
  * POST /api/creative
- * リクエストボディ: { prompt: string }
- * レスポンス: { success: boolean, imageUrl?: string, error?: string }
+ * リクエストボディ: { sceneId?, imageMode: 'image-centered', buildingType, otherBuilding?, freeText?, numImages?, imageData, maskData, reuse? }
+ * レスポンス: { success: boolean, jobId?: string, imageUrl?: string, imageUrls?: string[], prompt?: string, templateVersion?: string, sceneVersion?: string, cache?: { translation, images }, error?: string }
+ *
+ * プロンプトはサーバー側のテンプレート（src/lib/prompts.ts）で組み立てる
+ * 元画像・マスク画像は /api/generate と同じ形式で受け取る
+ * - imageData: 元画像のBase64データ
+ * - maskData: マスク画像のBase64データ（白=変更領域、黒=固定領域）
+ *   ※ OpenAI のマスクは透明=変更領域のため、サーバー側で変換してから送る（src/lib/providers/live.ts）
+ *
+ * 生成画像はR2にコピーし、アプリのURL（/images/:id）で返す（src/lib/images.ts）
+ * 生成結果は完了済みのジョブとして記録し、投稿の保存時は jobId から生成内容を確認する（src/lib/jobs.ts）
+ * 生成画像はキャッシュに保存し、再利用が有効な場合（reuse、省略時は CACHE_REUSE_IMAGES）は
+ * 同じ入力の結果をキャッシュから返す（src/lib/cache.ts）
  */
 import { Hono } from 'hono'
+import { z } from 'zod'
+import { choicesTemplateVersion, composeImageCenteredPrompt, requireScene, resolveCandidateCount, CANDIDATE_COUNT, IMAGE_MODES } from '../lib/prompts'
+import { sceneLabel } from '../lib/scenes'
+import { getProviders, type ProviderBindings } from '../lib/providers'
+import { dailyBudget, rateLimit, COST_ESTIMATES_USD, type LimitBindings } from '../lib/limits'
+import { choiceTexts, moderateBody, type ModerationBindings } from '../lib/moderation'
+import { cacheKey, readCache, sha256Hex, shouldReuseImages, writeCache, type CacheBindings, type CacheInfo } from '../lib/cache'
+import { storeImages, type ImageBindings } from '../lib/images'
+import { createCompletedJob } from '../lib/jobs'
+import { imageDataField, jsonBody, rangedNumber, refineChoices, BASE_IMAGE_RULE, CHOICES_SHAPE, MASK_IMAGE_RULE } from '../lib/validation'
 
 // 環境変数の型定義
-type Bindings = {
-  OPENAI_API_KEY: string
+type Bindings = ProviderBindings & LimitBindings & ModerationBindings & CacheBindings & ImageBindings & {
+  CANDIDATE_COUNT?: string
 }
 
-// リクエストボディの型定義
-interface CreativeRequest {
+// リクエストボディのスキーマ（生成タイプは生成画像中心のみ、省略可）
+const creativeSchema = z.object({
+  ...CHOICES_SHAPE,
+  imageMode: z.literal('image-centered', {
+    error: (issue) => typeof issue.input === 'string' && (IMAGE_MODES as readonly string[]).includes(issue.input)
+      ? 'この生成タイプは /api/generate を使用してください'
+      : '生成タイプが不正です'
+  }).default('image-centered'),
+  imageData: imageDataField(BASE_IMAGE_RULE, '元画像データは必須です'),
+  maskData: imageDataField(MASK_IMAGE_RULE, 'マスク画像データは必須です'),
+  numImages: rangedNumber('numImages', CANDIDATE_COUNT.min, CANDIDATE_COUNT.max, true).optional(),  // 候補画像の枚数（任意、省略時は CANDIDATE_COUNT）
+  reuse: z.boolean({ error: 'キャッシュの再利用の指定が不正です' }).optional()
+}, { error: 'リクエストの形式が正しくありません' }).superRefine(refineChoices)
+
+/**
+ * 概算費用（候補画像の枚数分の画像編集）
+ * @param body - 検証済みのリクエストボディ
+ * @param env - 環境変数
+ */
+function estimateCost(body: z.output<typeof creativeSchema>, env: Bindings): number {
+  return resolveCandidateCount(body.numImages, env.CANDIDATE_COUNT) * COST_ESTIMATES_USD.imageEdit
+}
+
+// キャッシュに保存する生成結果
+interface CachedCreativeResult {
+  imageUrls: string[]
   prompt: string
+  buildingPrompt: string
+  templateVersion: string
+  sceneVersion: string
+  params: { numImages: number }
+}
+
+/**
+ * 生成画像のキャッシュのキー（選択内容・テンプレートの版・枚数・元画像とマスク画像）
+ * @param body - 検証済みのリクエストボディ
+ * @param numImages - 候補画像の枚数
+ */
+async function imageCacheKey(body: z.output<typeof creativeSchema>, numImages: number): Promise<string> {
+  return await cacheKey('creative', {
+    scene: sceneLabel(requireScene(body.sceneId)),
+    template: choicesTemplateVersion(body),
+    buildingType: body.buildingType,
+    otherBuilding: body.otherBuilding?.trim() || '',
+    freeText: body.freeText?.trim() || '',
+    params: { numImages },
+    images: [await sha256Hex(body.imageData), await sha256Hex(body.maskData)]
+  })
+}
+
+/**
+ * 生成結果を完了済みのジョブとして記録する
+ * @param env - 環境変数
+ * @param model - 画像編集のモデル
+ * @param result - 生成結果
+ * @param cached - キャッシュの生成結果を使った場合はtrue
+ */
+async function recordJob(env: Bindings, model: string, result: CachedCreativeResult, cached: boolean) {
+  return await createCompletedJob(env.JOBS, {
+    model: model,
+    prompt: result.prompt,
+    negativePrompt: '',
+    templateVersion: result.templateVersion,
+    referenceImageUrl: null,
+    params: result.params,
+    imageUrls: result.imageUrls
+  }, cached)
 }
 
 const creativeApi = new Hono<{ Bindings: Bindings }>()
@@ -23,86 +108,87 @@ const creativeApi = new Hono<{ Bindings: Bindings }>()
 /**
  * 創造性モード画像生成エンドポイント
  * POST /api/creative
+ *
+ * 入力が不正な場合は400（src/lib/validation.ts の形式）
+ * 回数制限は429、1日の費用上限を超える場合は503（src/lib/limits.ts）
+ * 自由文・その他の建物に不適切な言葉を含む場合は422（src/lib/moderation.ts）
  */
-creativeApi.post('/', async (c) => {
+creativeApi.post('/', jsonBody(creativeSchema), rateLimit('creative'), moderateBody(choiceTexts), dailyBudget('creative', estimateCost), async (c) => {
   try {
-    // リクエストボディを取得
-    const body: CreativeRequest = await c.req.json()
-    const { prompt } = body
-
-    // バリデーション
-    if (!prompt || prompt.trim().length === 0) {
-      return c.json({
-        success: false,
-        error: 'プロンプトは必須です'
-      }, 400)
-    }
+    // 検証済みのリクエストボディ
+    const body = c.get('body')
 
-    // OpenAI APIキーの確認
-    const apiKey = c.env.OPENAI_API_KEY
-    if (!apiKey) {
+    // 画像編集のプロバイダー（OpenAI APIキー未設定の場合はnull）
+    const provider = getProviders(c.env).imageEdit
+    if (!provider) {
       return c.json({
         success: false,
         error: 'OpenAI APIキーが設定されていません'
       }, 500)
     }
 
-    console.log('=== GPT-Image-1.5 画像生成開始 ===')
-    console.log('プロンプト:', prompt)
+    const numImages = resolveCandidateCount(body.numImages, c.env.CANDIDATE_COUNT)
+    const cache: CacheInfo = { translation: null, images: null }
+
+    // 生成画像のキャッシュ: 再利用が有効で同じ入力の結果があれば、そのまま返す
+    const imageKey = await imageCacheKey(body, numImages)
+    if (shouldReuseImages(c.env, body.reuse)) {
+      const cached = await readCache<CachedCreativeResult>(c.env, imageKey)
+      cache.images = cached ? 'hit' : 'miss'
+      if (cached) {
+        const job = await recordJob(c.env, provider.model, cached, true)
+        console.log('=== 画像編集（キャッシュ） ===', job.id, '候補:', cached.imageUrls.length, '枚')
+        c.set('spent', 0)
+        return c.json({
+          success: true,
+          jobId: job.id,
+          imageUrl: cached.imageUrls[0],
+          ...cached,
+          cache
+        })
+      }
+    }
 
-    // OpenAI Images API 呼び出し (GPT-Image-1.5 / gpt-image-1)
-    const response = await fetch('https://api.openai.com/v1/images/generations', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-image-1',
-        prompt: prompt,
-        n: 1,
-        size: '1024x1024',
-        quality: 'high'
-      })
+    // テンプレートからプロンプトを構築
+    const { prompt, buildingPrompt, templateVersion, sceneVersion } = composeImageCenteredPrompt(body)
+
+    console.log('=== 画像編集開始 ===')
+    console.log('モデル:', provider.model)
+    console.log('テンプレート:', templateVersion, '会場:', sceneVersion)
+    console.log('プロンプト:', prompt)
+    console.log('候補画像:', numImages, '枚')
+
+    // 生成された画像（URL または Data URI）
+    const outputs = await provider.edit({
+      imageData: body.imageData,
+      maskData: body.maskData,
+      prompt: prompt,
+      numImages: numImages
     })
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      console.error('OpenAI Images API エラー:', response.status, errorData)
-      return c.json({
-        success: false,
-        error: `OpenAI Images API エラー: ${response.status}`
-      }, 500)
-    }
+    console.log('=== 画像編集完了 ===')
 
-    const data = await response.json() as {
-      data?: Array<{
-        url?: string
-        b64_json?: string
-      }>
-    }
+    // R2にコピーしてアプリのURLにする
+    const imageUrls = await storeImages(c.env, outputs)
 
-    console.log('=== GPT-Image-1.5 画像生成完了 ===')
-
-    // 生成された画像URLを返す
-    if (data.data && data.data.length > 0) {
-      const imageData = data.data[0]
-      
-      // URL または Base64 で返す
-      if (imageData.url) {
-        return c.json({
-          success: true,
-          imageUrl: imageData.url,
-          prompt: prompt
-        })
-      } else if (imageData.b64_json) {
-        // Base64の場合はData URIとして返す
-        return c.json({
-          success: true,
-          imageUrl: `data:image/png;base64,${imageData.b64_json}`,
-          prompt: prompt
-        })
+    if (imageUrls.length > 0) {
+      const result: CachedCreativeResult = {
+        imageUrls: imageUrls,
+        prompt: prompt,
+        buildingPrompt: buildingPrompt,
+        templateVersion: templateVersion,
+        sceneVersion: sceneVersion,
+        params: { numImages }
       }
+      await writeCache(c.env, imageKey, result)
+      const job = await recordJob(c.env, provider.model, result, false)
+      return c.json({
+        success: true,
+        jobId: job.id,
+        imageUrl: imageUrls[0],
+        ...result,
+        cache
+      })
     }
 
     return c.json({
@@ -1,200 +1,267 @@
 /**
  * 画像生成APIエンドポイント
- * fal.ai Inpainting APIを使用してマスク領域のみを変更する
- * 
- * パラメータはフロントエンドで計算され、APIに渡される
+ * Inpaintingプロバイダー（本番は fal.ai、src/lib/providers/）を使用してマスク領域のみを変更する
+ *
+ * 生成には1〜2分かかるため、プロバイダーのキューに投入してジョブIDを即座に返す
+ * 進捗と結果は GET /api/jobs/:id で取得する（src/api/jobs.ts）
+ *
+ * クライアントは選択内容（会場・生成タイプ・建物・自由文・自動プロンプト）のみを送り、
+ * 最終プロンプトはサーバー側のテンプレート（src/lib/prompts.ts）で組み立てる
  * - imageData: 元画像のBase64データ
  * - maskData: マスク画像のBase64データ（白=変更領域、黒=固定領域）
- * - strength: 変更の強度
- * - steps: 推論ステップ数
- * - guidance: プロンプトへの忠実度
- * - negativePrompt: 除外したい要素
- * - referenceImageUrl: 参考画像の相対パス（本番URLに変換してfal.aiに渡す）
+ * - referenceImageUrl: 参考画像のパス（プロバイダーにアップロードして Reference-Only の入力に使う）
+ *
+ * 自動プロンプトと生成画像はキャッシュを使う（src/lib/cache.ts）
+ * 再利用が有効で同じ入力の生成結果がある場合は、投入せずに完了済みのジョブを返す
  */
 import { Hono } from 'hono'
-import { fal } from '@fal-ai/client'
+import { z } from 'zod'
+import { createCachedJob, createJob, toJobResponse, type CachedJobResult } from '../lib/jobs'
+import {
+  choicesTemplateVersion,
+  composeInpaintPrompt,
+  getBuildingPrompt,
+  requireScene,
+  resolveCandidateCount,
+  CANDIDATE_COUNT,
+  INPAINT_MODES,
+  INPAINT_PARAMS,
+  type StructuredPrompt
+} from '../lib/prompts'
+import { sceneLabel } from '../lib/scenes'
+import { translateWithCache } from '../lib/translator'
+import { isReferenceImage, pickReferenceImage, uploadReferenceImage, REFERENCE_PARAMS } from '../lib/references'
+import { getProviders, type ProviderBindings } from '../lib/providers'
+import { dailyBudget, rateLimit, COST_ESTIMATES_USD, type LimitBindings } from '../lib/limits'
+import { choiceTexts, moderateBody, type ModerationBindings } from '../lib/moderation'
+import { cacheKey, readCache, sha256Hex, shouldReuseImages, type CacheBindings, type CacheInfo } from '../lib/cache'
+import { imageDataField, jsonBody, rangedNumber, refineChoices, BASE_IMAGE_RULE, CHOICES_SHAPE, MASK_IMAGE_RULE } from '../lib/validation'
 
 // 環境変数の型定義
-type Bindings = {
-  FAL_KEY: string
+type Bindings = ProviderBindings & LimitBindings & ModerationBindings & CacheBindings & {
+  ASSETS?: Fetcher
+  CANDIDATE_COUNT?: string
 }
 
-// リクエストボディの型定義
-interface GenerateRequest {
-  prompt: string
-  imageData: string
-  maskData: string
-  negativePrompt?: string
-  strength?: number
-  steps?: number
-  guidance?: number
-  referenceImageUrl?: string  // 参考画像の相対パス（/static/images/references/...）
-}
-
-// 本番環境のベースURL
-const PRODUCTION_BASE_URL = 'https://yumemachi-canvas.pages.dev'
+// リクエストボディのスキーマ
+const generateSchema = z.object({
+  ...CHOICES_SHAPE,
+  imageMode: z.enum(INPAINT_MODES, {
+    error: (issue) => issue.input === 'image-centered'
+      ? 'この生成タイプは /api/creative を使用してください'
+      : '生成タイプが不正です'
+  }),
+  imageData: imageDataField(BASE_IMAGE_RULE, '元画像データは必須です'),
+  maskData: imageDataField(MASK_IMAGE_RULE, 'マスク画像データは必須です'),
+  strength: rangedNumber('strength', 0, 1).optional(),
+  steps: rangedNumber('steps', 1, 50, true).optional(),
+  guidance: rangedNumber('guidance', 0, 20).optional(),
+  numImages: rangedNumber('numImages', CANDIDATE_COUNT.min, CANDIDATE_COUNT.max, true).optional(),
+  referenceImageUrl: z.string({ error: '参考画像が不正です' }).optional(),  // 参考画像のパス（/static/images/references/...）
+  reuse: z.boolean({ error: 'キャッシュの再利用の指定が不正です' }).optional()
+}, { error: 'リクエストの形式が正しくありません' }).superRefine((body, ctx) => {
+  refineChoices(body, ctx)
+  if (body.referenceImageUrl && !isReferenceImage(body.buildingType, body.referenceImageUrl)) {
+    ctx.addIssue({ code: 'custom', path: ['referenceImageUrl'], message: '参考画像が不正です' })
+  }
+})
 
-const generateApi = new Hono<{ Bindings: Bindings }>()
+/**
+ * 概算費用（候補画像の枚数分のInpainting＋自動プロンプト）
+ * @param body - 検証済みのリクエストボディ
+ * @param env - 環境変数
+ */
+function estimateCost(body: z.output<typeof generateSchema>, env: Bindings): number {
+  const numImages = resolveCandidateCount(body.numImages, env.CANDIDATE_COUNT)
+  return numImages * COST_ESTIMATES_USD.inpaint + (body.autoPrompt ? COST_ESTIMATES_USD.promptRewrite : 0)
+}
 
 /**
- * Base64データをBlobに変換してfal.aiにアップロード
- * @param base64Data - Base64エンコードされた画像データ
- * @param mimeType - MIMEタイプ
- * @returns アップロードされた画像のURL
+ * 生成画像のキャッシュのキー（選択内容・テンプレートの版・パラメータ・元画像とマスク画像）
+ * @param body - 検証済みのリクエストボディ
+ * @param numImages - 候補画像の枚数
  */
-async function uploadBase64Image(base64Data: string, mimeType: string): Promise<string> {
-  const base64 = base64Data.replace(/^data:image\/\w+;base64,/, '')
-  const binaryData = atob(base64)
-  const bytes = new Uint8Array(binaryData.length)
-  for (let i = 0; i < binaryData.length; i++) {
-    bytes[i] = binaryData.charCodeAt(i)
-  }
-  const blob = new Blob([bytes], { type: mimeType })
-  return await fal.storage.upload(blob)
+async function imageCacheKey(body: z.output<typeof generateSchema>, numImages: number): Promise<string> {
+  return await cacheKey('inpaint', {
+    scene: sceneLabel(requireScene(body.sceneId)),
+    template: choicesTemplateVersion(body),
+    imageMode: body.imageMode,
+    buildingType: body.buildingType,
+    otherBuilding: body.otherBuilding?.trim() || '',
+    freeText: body.freeText?.trim() || '',
+    autoPrompt: body.autoPrompt === true,
+    params: {
+      strength: body.strength ?? INPAINT_PARAMS.strength,
+      steps: body.steps ?? INPAINT_PARAMS.steps,
+      guidance: body.guidance ?? INPAINT_PARAMS.guidance,
+      numImages
+    },
+    // 参考画像の指定がない場合は毎回ランダムに選ぶため、指定の有無だけをキーにする
+    referenceImageUrl: body.referenceImageUrl ?? null,
+    images: [await sha256Hex(body.imageData), await sha256Hex(body.maskData)]
+  })
 }
 
+const generateApi = new Hono<{ Bindings: Bindings }>()
+
 /**
  * 画像生成エンドポイント（Inpainting）
  * POST /api/generate
- * 
+ *
+ * プロンプトを組み立ててプロバイダーのキューに投入し、202でジョブIDを返す
+ *
  * リクエストボディ:
- * - prompt: 生成プロンプト（必須）
- * - imageData: 元画像のBase64データ（必須）
- * - maskData: マスク画像のBase64データ（必須）
- * - negativePrompt: ネガティブプロンプト（任意）
- * - strength: 変更の強度（任意、デフォルト0.52）
- * - steps: 推論ステップ数（任意、デフォルト35）
- * - guidance: プロンプトへの忠実度（任意、デフォルト7.0）
- * - referenceImageUrl: 参考画像の相対パス（任意）
+ * - sceneId: 会場（任意、省略時は駅前ロータリー）
+ * - imageMode: 生成タイプ（必須、faithful / modern / creative）
+ * - buildingType: 建物タイプ（必須）
+ * - otherBuilding: その他の建物（任意、30文字以内）
+ * - freeText: 自由文（任意、100文字以内）
+ * - autoPrompt: 自動プロンプトを使用するか（任意）
+ * - imageData: 元画像のBase64データ（必須、JPEG / PNG、4MB・2048×2048ピクセルまで）
+ * - maskData: マスク画像のBase64データ（必須、PNG、4MB・2048×2048ピクセルまで）
+ * - strength / steps / guidance: テンプレートの既定値を上書きする場合のみ（任意、0〜1 / 1〜50 / 0〜20）
+ * - numImages: 候補画像の枚数（任意、1〜4、省略時は CANDIDATE_COUNT）
+ * - referenceImageUrl: 参考画像のパス（任意、省略時は建物タイプの参考画像からランダムに選ぶ）
+ * - reuse: 同じ入力の生成画像をキャッシュから返すか（任意、省略時は CACHE_REUSE_IMAGES）
+ *
+ * 応答の cache: { translation, images } は自動プロンプト・生成画像のキャッシュの利用状況（hit / miss / null）
+ *
+ * 入力が不正な場合は400（src/lib/validation.ts の形式）
+ * 回数制限は429、1日の費用上限を超える場合は503（src/lib/limits.ts）
+ * 自由文・その他の建物に不適切な言葉を含む場合は422（src/lib/moderation.ts）
  */
-generateApi.post('/', async (c) => {
+generateApi.post('/', jsonBody(generateSchema), rateLimit('generate'), moderateBody(choiceTexts), dailyBudget('generate', estimateCost), async (c) => {
   try {
-    // リクエストボディを取得
-    const body: GenerateRequest = await c.req.json()
+    // 検証済みのリクエストボディ
+    const body = c.get('body')
     const { 
-      prompt, 
       imageData, 
-      maskData,
-      negativePrompt,
-      strength = 0.52,
-      steps = 35,
-      guidance = 7.0,
-      referenceImageUrl
+      maskData
     } = body
 
-    // バリデーション
-    if (!prompt) {
+    // Inpaintingのプロバイダー（fal.ai APIキー未設定の場合はnull）
+    const providers = getProviders(c.env)
+    const inpaint = providers.inpaint
+    if (!inpaint) {
       return c.json({ 
         success: false, 
-        error: 'プロンプトは必須です' 
-      }, 400)
+        error: 'APIキーが設定されていません' 
+      }, 500)
     }
 
-    if (!imageData) {
-      return c.json({ 
-        success: false, 
-        error: '元画像データは必須です' 
-      }, 400)
-    }
+    const numImages = resolveCandidateCount(body.numImages, c.env.CANDIDATE_COUNT)
+    const cache: CacheInfo = { translation: null, images: null }
 
-    if (!maskData) {
-      return c.json({ 
-        success: false, 
-        error: 'マスク画像データは必須です' 
-      }, 400)
+    // 生成画像のキャッシュ: 再利用が有効で同じ入力の結果があれば、投入せずに完了済みのジョブを返す
+    const imageKey = await imageCacheKey(body, numImages)
+    if (shouldReuseImages(c.env, body.reuse)) {
+      const cached = await readCache<CachedJobResult>(c.env, imageKey)
+      cache.images = cached ? 'hit' : 'miss'
+      if (cached) {
+        const job = await createCachedJob(c.env.JOBS, cached)
+        const scene = requireScene(body.sceneId)
+        console.log('=== 生成画像（キャッシュ） ===', job.id, '候補:', job.imageUrls.length, '枚')
+        c.set('spent', 0)
+        return c.json({
+          success: true,
+          ...toJobResponse(job),
+          buildingPrompt: getBuildingPrompt(scene, body.buildingType, body.otherBuilding),
+          sceneVersion: sceneLabel(scene),
+          statusUrl: `/api/jobs/${job.id}`,
+          cache
+        }, 202)
+      }
     }
 
-    // fal.aiクライアントの設定
-    const falKey = c.env.FAL_KEY
-    if (!falKey) {
-      return c.json({ 
-        success: false, 
-        error: 'APIキーが設定されていません' 
-      }, 500)
+    // 自動プロンプト ON: GPT-4.1-miniで自由文を項目ごとの英語プロンプトに変換
+    let autoPrompt: StructuredPrompt | null = null
+    if (body.autoPrompt) {
+      if (!providers.promptRewrite) {
+        return c.json({
+          success: false,
+          error: 'OpenAI APIキーが設定されていません'
+        }, 500)
+      }
+      const translated = await translateWithCache(c.env, providers.promptRewrite, body.freeText, requireScene(body.sceneId))
+      autoPrompt = translated.prompt
+      cache.translation = translated.cache
+      if (translated.cache === 'hit') {
+        c.set('spent', numImages * COST_ESTIMATES_USD.inpaint)
+      }
     }
 
-    fal.config({
-      credentials: falKey
-    })
+    // テンプレートからプロンプトを構築
+    const composed = composeInpaintPrompt(body, autoPrompt)
+    const { prompt, negativePrompt, templateVersion, sceneVersion } = composed
+    const strength = body.strength ?? composed.params.strength
+    const steps = body.steps ?? composed.params.steps
+    const guidance = body.guidance ?? composed.params.guidance
 
-    // 元画像とマスク画像を並列でアップロード（サブリクエスト数削減）
-    console.log('画像アップロード開始...')
-    const [imageUrl, maskUrl] = await Promise.all([
-      uploadBase64Image(imageData, 'image/jpeg'),
-      uploadBase64Image(maskData, 'image/png')
-    ])
-    console.log('元画像アップロード完了:', imageUrl)
-    console.log('マスク画像アップロード完了:', maskUrl)
-
-    // 参考画像がある場合は本番URLに変換
-    let fullReferenceUrl: string | null = null
+    // 参考画像をプロバイダーにアップロード（失敗した場合は参考画像なしで生成する）
+    let referenceImageUrl = body.referenceImageUrl || pickReferenceImage(body.buildingType)
+    let uploadedReferenceUrl: string | null = null
     if (referenceImageUrl) {
-      // 相対パスを本番URLに変換
-      fullReferenceUrl = PRODUCTION_BASE_URL + referenceImageUrl
-      console.log('参考画像URL:', fullReferenceUrl)
+      try {
+        uploadedReferenceUrl = await uploadReferenceImage(c.env, inpaint, referenceImageUrl, new URL(c.req.url).origin)
+        console.log('参考画像アップロード完了:', referenceImageUrl, uploadedReferenceUrl)
+      } catch (error) {
+        console.warn('参考画像を使用せずに生成します:', referenceImageUrl, error)
+        referenceImageUrl = null
+      }
     }
+    const referenceStrength = uploadedReferenceUrl ? REFERENCE_PARAMS.strength : null
 
-    console.log('=== fal.ai Inpainting 開始 ===')
+    console.log('=== Inpainting 開始 ===', inpaint.model)
+    console.log('テンプレート:', templateVersion, '会場:', sceneVersion)
+    if (autoPrompt) {
+      console.log('自動プロンプト:', autoPrompt.category, autoPrompt.intent, autoPrompt.fallback ? '（既定の変換）' : '')
+    }
     console.log('プロンプト:', prompt)
-    console.log('ネガティブプロンプト:', negativePrompt || 'なし')
-    console.log('参考画像:', fullReferenceUrl || 'なし')
-    console.log('パラメータ:', { strength, steps, guidance })
-
-    // fal.ai Inpainting API入力パラメータを構築
-    // eslint-disable-next-line @typescript-eslint/no-explicit-any
-    const falInput: Record<string, any> = {
-      image_url: imageUrl,
-      mask_url: maskUrl,
+    console.log('ネガティブプロンプト:', negativePrompt)
+    console.log('参考画像:', referenceImageUrl || 'なし')
+    console.log('パラメータ:', { strength, steps, guidance, numImages, referenceStrength })
+
+    // キューに投入（元画像・マスク画像のアップロードはプロバイダーが行う）
+    const queued = await inpaint.submit({
+      imageData: imageData,
+      maskData: maskData,
       prompt: prompt,
+      negativePrompt: negativePrompt,
       strength: strength,
-      num_inference_steps: steps,
-      guidance_scale: guidance,
-      num_images: 1,
-      enable_safety_checker: true,
-      output_format: 'jpeg'
-    }
-
-    // ネガティブプロンプトがあれば追加
-    // ※ Inpainting APIが対応していない場合はエラーになる可能性あり
-    if (negativePrompt) {
-      falInput.negative_prompt = negativePrompt
-    }
-
-    // 注意: fal-ai/flux-general/inpainting は reference_image_url をサポートしていない
-    // 参考画像はプロンプトに建物名として反映される（フロントエンドで処理済み）
-    // 将来的に対応するAPIが見つかれば、ここで参考画像URLを追加可能
-    if (fullReferenceUrl) {
-      console.log('参考画像URL（現在は未使用）:', fullReferenceUrl)
-      // falInput.reference_image_url = fullReferenceUrl  // 未サポートのためコメントアウト
-    }
+      steps: steps,
+      guidance: guidance,
+      numImages: numImages,
+      // 参考画像（Reference-Only）: 建物の形やスタイルを参考画像に寄せる
+      referenceImageUrl: uploadedReferenceUrl,
+      referenceStrength: referenceStrength,
+      referenceEnd: uploadedReferenceUrl ? REFERENCE_PARAMS.end : null
+    })
 
-    // fal.ai Flux General Inpainting APIを呼び出し
-    // fal.run を使用（同期的に結果を待つ）
-    console.log('fal.ai API呼び出し開始...')
-    
-    const result = await fal.run('fal-ai/flux-general/inpainting', {
-      input: falInput
+    const job = await createJob(c.env.JOBS, {
+      model: inpaint.model,
+      requestId: queued.requestId,
+      position: queued.position,
+      prompt: prompt,
+      negativePrompt: negativePrompt,
+      templateVersion: templateVersion,
+      referenceImageUrl: referenceImageUrl,
+      params: { strength, steps, guidance, numImages, referenceStrength },
+      retryInput: queued.retryInput,
+      cacheKey: imageKey
     })
 
-    console.log('=== Inpainting 完了 ===')
-
-    // 生成された画像URLを返す
-    // fal.run の戻り値は { data: {...}, requestId: string } または直接データ
-    const resultData = result.data || result
-    if (resultData && resultData.images && resultData.images.length > 0) {
-      return c.json({
-        success: true,
-        imageUrl: resultData.images[0].url,
-        prompt: prompt,
-        params: { strength, steps, guidance }
-      })
-    } else {
-      console.error('画像生成結果:', JSON.stringify(result))
-      return c.json({
-        success: false,
-        error: '画像の生成に失敗しました'
-      }, 500)
-    }
+    console.log('=== キュー投入完了 ===')
+    console.log('ジョブID:', job.id, 'リクエストID:', queued.requestId)
+
+    // ジョブIDを返す（結果は GET /api/jobs/:id で取得）
+    return c.json({
+      success: true,
+      ...toJobResponse(job),
+      buildingPrompt: composed.buildingPrompt,
+      sceneVersion: sceneVersion,
+      statusUrl: `/api/jobs/${job.id}`,
+      cache
+    }, 202)
 
   } catch (error) {
     console.error('画像生成エラー:', error)
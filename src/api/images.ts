@@ -0,0 +1,68 @@
+/**
+ * 生成画像の配信エンドポイント
+ * R2に保存した生成画像（src/lib/images.ts）を、アプリのURLで配信する
+ *
+ * GET /images/:id
+ * レスポンス: 画像（Content-Type は保存時の形式）
+ *
+ * IDは画像のSHA-256で内容が変わらないため、ブラウザ・CDNに長期間キャッシュさせる
+ * SVG（モック）を同じオリジンで開いてもスクリプトが動かないよう、CSPで制限する
+ */
+import { Hono } from 'hono'
+import { z } from 'zod'
+import { loadImage, type ImageBindings } from '../lib/images'
+import { pathParams } from '../lib/validation'
+
+// パスパラメーターのスキーマ（画像IDはSHA-256の16進数）
+const imageParamsSchema = z.object({
+  id: z.string().regex(/^[0-9a-f]{64}$/, '画像IDが不正です')
+})
+
+// 配信時のヘッダー
+const IMAGE_HEADERS = {
+  'Cache-Control': 'public, max-age=31536000, immutable',
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Security-Policy': "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox"
+}
+
+const imagesApi = new Hono<{ Bindings: ImageBindings }>()
+
+/**
+ * 生成画像の取得
+ * GET /images/:id
+ */
+imagesApi.get('/:id', pathParams(imageParamsSchema), async (c) => {
+  const { id } = c.get('params')
+  const etag = `"${id}"`
+
+  // 内容が変わらないため、ETagが一致すれば本文は返さない
+  if (c.req.header('If-None-Match') === etag) {
+    return c.body(null, 304, { ...IMAGE_HEADERS, ETag: etag })
+  }
+
+  try {
+    const image = await loadImage(c.env, id)
+    if (!image) {
+      return c.json({
+        success: false,
+        error: '画像が見つかりません'
+      }, 404)
+    }
+
+    return c.body(image.body, 200, {
+      ...IMAGE_HEADERS,
+      'Content-Type': image.contentType,
+      'Content-Length': String(image.size),
+      ETag: etag
+    })
+
+  } catch (error) {
+    console.error('画像取得エラー:', id, error)
+    return c.json({
+      success: false,
+      error: '画像の取得中にエラーが発生しました'
+    }, 500)
+  }
+})
+
+export default imagesApi
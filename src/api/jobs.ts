@@ -0,0 +1,300 @@
+/**
+ * 画像生成ジョブ状況APIエンドポイント
+ * POST /api/generate で投入したジョブの進捗と結果を返す
+ *
+ * GET /api/jobs/:id
+ * レスポンス: {
+ *   success: boolean,
+ *   jobId, status: 'queued' | 'running' | 'done' | 'failed',
+ *   position: キュー内の順番（queued時のみ）,
+ *   imageUrl: 生成画像URL（done時のみ、1枚目）,
+ *   imageUrls: 候補画像URLの一覧（done時のみ）,
+ *   error: エラーメッセージ（failed時のみ）,
+ *   code: 失敗の原因（failed時のみ、'nsfw_flagged': 安全フィルターで止められた）,
+ *   cached: キャッシュの結果から作成したジョブかどうか
+ * }
+ *
+ * 安全フィルターで不適切と判定された候補画像（黒い画像）は結果から除く
+ * すべての候補が不適切な場合は、NSFW_RETRY_LIMIT 回（既定1回）までシードを変えて自動で再投入する
+ * 同じジョブへの問い合わせが同時に届いても、再投入は保存済みのジョブで確保した1件だけが行う
+ * 生成画像はプロバイダーのURLが期限切れになるため、完了時にR2へコピーしてアプリのURL（/images/:id）で返す
+ */
+import { Hono } from 'hono'
+import { z } from 'zod'
+import { loadJob, saveJob, isFinished, toCachedResult, toJobResponse, JOB_ID_PATTERN, NSFW_MESSAGE, type GenerationJob } from '../lib/jobs'
+import { getProviders, type InpaintOutput, type InpaintProvider, type ProviderBindings } from '../lib/providers'
+import { addDailySpend, withinBudget, COST_ESTIMATES_USD, type LimitBindings } from '../lib/limits'
+import { writeCache, type CacheBindings } from '../lib/cache'
+import { storeImages, type ImageBindings } from '../lib/images'
+import { pathParams } from '../lib/validation'
+
+// 環境変数の型定義
+type Bindings = ProviderBindings & LimitBindings & CacheBindings & ImageBindings & {
+  NSFW_RETRY_LIMIT?: string
+}
+
+// 安全フィルターで止められた場合の自動再投入の既定回数
+const DEFAULT_NSFW_RETRY_LIMIT = 1
+
+// 再投入の確保を有効とみなす時間（この間は別の問い合わせがプロバイダーに問い合わせない）
+const RETRY_CLAIM_SECONDS = 30
+
+// 再投入の結果
+// - resubmitted: 再投入した
+// - taken: 別の問い合わせが再投入した（保存済みのジョブの内容を使い、保存し直さない）
+// - skipped: 再投入しない
+type RetryOutcome = 'resubmitted' | 'taken' | 'skipped'
+
+// パスパラメーターのスキーマ
+const jobParamsSchema = z.object({
+  id: z.string().regex(JOB_ID_PATTERN, 'ジョブIDが不正です')
+})
+
+const jobsApi = new Hono<{ Bindings: Bindings }>()
+
+/**
+ * 別の問い合わせが再投入している最中かどうか
+ * @param job - ジョブ
+ */
+function retryInProgress(job: GenerationJob): boolean {
+  return !!job.retryClaim && Date.now() - Date.parse(job.retryClaim.claimedAt) < RETRY_CLAIM_SECONDS * 1000
+}
+
+/**
+ * 再投入を確保する
+ * 保存済みのジョブが同じ状態であれば確保を書き込み、読み直して自分の確保が残っている場合だけ確保できたとする
+ * 確保できなかった場合は、ジョブを保存済みの内容に置き換える
+ * @param env - 環境変数
+ * @param job - 更新するジョブ
+ * @returns 確保できた場合はtrue
+ */
+async function claimRetry(env: Bindings, job: GenerationJob): Promise<boolean> {
+  const latest = await loadJob(env.JOBS, job.id)
+  if (latest && (
+    isFinished(latest) ||
+    retryInProgress(latest) ||
+    latest.requestId !== job.requestId ||
+    (latest.nsfwRetries ?? 0) !== (job.nsfwRetries ?? 0)
+  )) {
+    Object.assign(job, latest)
+    return false
+  }
+
+  const claim = { id: crypto.randomUUID(), claimedAt: new Date().toISOString() }
+  job.retryClaim = claim
+  await saveJob(env.JOBS, job)
+
+  const claimed = await loadJob(env.JOBS, job.id)
+  if (claimed && claimed.retryClaim?.id !== claim.id) {
+    Object.assign(job, claimed)
+    return false
+  }
+  return true
+}
+
+/**
+ * すべての候補が安全フィルターで止められたジョブを、シードを変えて再投入する
+ * 回数の上限に達した場合・今日の予算が足りない場合・再投入に失敗した場合は再投入しない
+ * @param env - 環境変数
+ * @param provider - Inpaintingのプロバイダー
+ * @param job - 更新するジョブ
+ * @returns 再投入の結果
+ */
+async function retryFlaggedJob(env: Bindings, provider: InpaintProvider, job: GenerationJob): Promise<RetryOutcome> {
+  const parsedLimit = Number.parseInt(env.NSFW_RETRY_LIMIT || '', 10)
+  const limit = Number.isNaN(parsedLimit) ? DEFAULT_NSFW_RETRY_LIMIT : Math.max(0, parsedLimit)
+  const retries = job.nsfwRetries ?? 0
+  if (!job.retryInput || retries >= limit) {
+    return 'skipped'
+  }
+
+  const cost = job.params.numImages * COST_ESTIMATES_USD.inpaint
+  if (!(await withinBudget(env, cost)).ok) {
+    console.warn('予算が足りないため再投入しません:', job.id)
+    return 'skipped'
+  }
+
+  // 同時に届いた問い合わせが二重に再投入しないよう、プロバイダーに投入する直前に確保する
+  if (!(await claimRetry(env, job))) {
+    console.log('別の問い合わせが再投入するため再投入しません:', job.id)
+    return 'taken'
+  }
+
+  try {
+    const seed = Math.floor(Math.random() * 2 ** 31)
+    const queued = await provider.resubmit(job.retryInput, seed)
+    await addDailySpend(env, cost)
+    job.requestId = queued.requestId
+    job.retryInput = queued.retryInput
+    job.nsfwRetries = retries + 1
+    job.status = 'queued'
+    job.position = queued.position
+    console.log('=== 再投入（シード変更） ===', job.id, 'シード:', seed, `${job.nsfwRetries}/${limit}回目`)
+    return 'resubmitted'
+  } catch (error) {
+    console.error('再投入エラー:', job.id, error)
+    return 'skipped'
+  } finally {
+    job.retryClaim = null
+  }
+}
+
+/**
+ * 生成結果をジョブに反映する
+ * 安全フィルターで止められた画像は除き、すべて止められた場合は再投入または失敗にする
+ * @param env - 環境変数
+ * @param provider - Inpaintingのプロバイダー
+ * @param job - 更新するジョブ
+ * @param outputs - 生成結果の画像一覧
+ * @returns ジョブを保存する場合はtrue（別の問い合わせが再投入した場合はfalse）
+ */
+async function applyResult(env: Bindings, provider: InpaintProvider, job: GenerationJob, outputs: InpaintOutput[]): Promise<boolean> {
+  const safeUrls = outputs.filter((output) => !output.nsfw).map((output) => output.url)
+  const flagged = outputs.length - safeUrls.length
+  if (flagged > 0) {
+    job.nsfwFlagged = (job.nsfwFlagged ?? 0) + flagged
+    console.warn('=== NSFW判定 ===', job.id, `${flagged}/${outputs.length}枚`, '累計:', job.nsfwFlagged, '枚', '再投入:', job.nsfwRetries ?? 0, '回')
+  }
+
+  if (safeUrls.length > 0) {
+    // プロバイダーの画像をR2にコピーする（コピーできない画像は後で参照できないため、ジョブを失敗にする）
+    let imageUrls: string[]
+    try {
+      imageUrls = await storeImages(env, safeUrls)
+    } catch (error) {
+      console.error('生成画像の保存エラー:', job.id, error)
+      job.status = 'failed'
+      job.position = null
+      job.error = `生成画像の保存中にエラーが発生しました: ${error instanceof Error ? error.message : '不明なエラー'}`
+      return true
+    }
+
+    job.position = null
+    job.status = 'done'
+    job.imageUrls = imageUrls
+    job.imageUrl = imageUrls[0]
+    console.log('=== Inpainting 完了 ===', job.id, '候補:', job.imageUrls.length, '枚')
+    // 同じ入力の生成で再利用できるように保存する（src/lib/cache.ts）
+    if (job.cacheKey) {
+      await writeCache(env, job.cacheKey, toCachedResult(job))
+    }
+    return true
+  }
+
+  const outcome = await retryFlaggedJob(env, provider, job)
+  if (outcome !== 'skipped') {
+    return outcome === 'resubmitted'
+  }
+
+  console.warn('=== NSFW判定で失敗 ===', job.id, '累計:', job.nsfwFlagged, '枚')
+  job.status = 'failed'
+  job.position = null
+  job.error = NSFW_MESSAGE
+  job.errorCode = 'nsfw_flagged'
+  return true
+}
+
+/**
+ * プロバイダーのキューに問い合わせてジョブの状態を更新
+ * 状態確認自体の通信エラーは一時的なものとみなし、ジョブは失敗にしない
+ * @param env - 環境変数
+ * @param provider - Inpaintingのプロバイダー
+ * @param job - 更新するジョブ
+ * @returns 状態が変化して保存する必要がある場合はtrue
+ */
+async function refreshJob(env: Bindings, provider: InpaintProvider, job: GenerationJob): Promise<boolean> {
+  // 別の問い合わせが再投入している間は、再投入前のリクエストを問い合わせない
+  if (retryInProgress(job)) {
+    return false
+  }
+
+  let queueStatus
+  try {
+    queueStatus = await provider.status(job.requestId)
+  } catch (error) {
+    console.warn('状態確認エラー（次回再試行）:', job.id, error)
+    return false
+  }
+
+  if (queueStatus.status === 'queued') {
+    const changed = job.status !== 'queued' || job.position !== queueStatus.position
+    job.status = 'queued'
+    job.position = queueStatus.position
+    return changed
+  }
+
+  if (queueStatus.status === 'running') {
+    const changed = job.status !== 'running'
+    job.status = 'running'
+    job.position = null
+    return changed
+  }
+
+  // completed: 結果を取得する
+  let outputs: InpaintOutput[]
+  try {
+    outputs = await provider.result(job.requestId)
+  } catch (error) {
+    console.error('結果取得エラー:', job.id, error)
+    if (typeof error === 'object' && error !== null && 'body' in error) {
+      console.error('fal.ai エラー詳細:', (error as { body: unknown }).body)
+    }
+    job.status = 'failed'
+    job.position = null
+    job.error = `画像生成中にエラーが発生しました: ${error instanceof Error ? error.message : '不明なエラー'}`
+    return true
+  }
+
+  return await applyResult(env, provider, job, outputs)
+}
+
+/**
+ * ジョブ状況取得エンドポイント
+ * GET /api/jobs/:id
+ */
+jobsApi.get('/:id', pathParams(jobParamsSchema), async (c) => {
+  try {
+    const job = await loadJob(c.env.JOBS, c.get('params').id)
+    if (!job) {
+      return c.json({
+        success: false,
+        error: 'ジョブが見つかりません'
+      }, 404)
+    }
+
+    // 終了済みのジョブは保存済みの結果をそのまま返す
+    if (!isFinished(job)) {
+      const provider = getProviders(c.env).inpaint
+      if (!provider) {
+        return c.json({
+          success: false,
+          error: 'APIキーが設定されていません'
+        }, 500)
+      }
+
+      if (await refreshJob(c.env, provider, job)) {
+        await saveJob(c.env.JOBS, job)
+      }
+    }
+
+    return c.json({
+      success: true,
+      ...toJobResponse(job)
+    })
+
+  } catch (error) {
+    console.error('ジョブ状況取得エラー:', error)
+
+    let errorMessage = '不明なエラー'
+    if (error instanceof Error) {
+      errorMessage = error.message
+    }
+
+    return c.json({
+      success: false,
+      error: `ジョブ状況の取得中にエラーが発生しました: ${errorMessage}`
+    }, 500)
+  }
+})
+
+export default jobsApi
@@ -0,0 +1,66 @@
+/**
+ * キオスクモードAPIエンドポイント
+ * トップ画面の背景に順番に表示する最近の作品を返す（src/lib/kiosk.ts）
+ * 参加者の作品を公開するため、キオスクモード（KIOSK_MODE=true）の場合のみ有効
+ *
+ * GET /api/kiosk/showcase
+ * レスポンス: {
+ *   success: boolean,
+ *   items?: Array<{ id: string, imageUrl: string（/images/:id）, building: string }>（新しい順）,
+ *   error?: string
+ * }
+ */
+import { Hono } from 'hono'
+import { listRecentApproved, buildingLabel } from '../lib/submissions'
+import { kioskEnabled, KIOSK_SHOWCASE_COUNT, type KioskBindings } from '../lib/kiosk'
+
+// 環境変数の型定義
+type Bindings = KioskBindings & {
+  DB?: D1Database
+}
+
+const kioskApi = new Hono<{ Bindings: Bindings }>()
+
+/**
+ * 最近の作品の取得
+ * GET /api/kiosk/showcase
+ */
+kioskApi.get('/showcase', async (c) => {
+  if (!kioskEnabled(c.env)) {
+    return c.json({
+      success: false,
+      error: 'キオスクモードが無効です'
+    }, 404)
+  }
+
+  const db = c.env.DB
+  if (!db) {
+    return c.json({
+      success: false,
+      error: 'データベースが設定されていません'
+    }, 500)
+  }
+
+  try {
+    const submissions = await listRecentApproved(db, KIOSK_SHOWCASE_COUNT)
+    // 新しい作品がすぐに表示されるよう、キャッシュは短くする
+    c.header('Cache-Control', 'public, max-age=60')
+    return c.json({
+      success: true,
+      items: submissions.map((submission) => ({
+        id: submission.id,
+        imageUrl: submission.imageUrl,
+        building: buildingLabel(submission)
+      }))
+    })
+
+  } catch (error) {
+    console.error('最近の作品の取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '作品の取得中にエラーが発生しました'
+    }, 500)
+  }
+})
+
+export default kioskApi
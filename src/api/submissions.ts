@@ -0,0 +1,240 @@
+/**
+ * 投稿APIエンドポイント
+ * 設定内容確認画面から送信される参加者のデータをD1に保存し、
+ * 保存後に運営者へのメール通知を送信キューに登録する（src/lib/outbox.ts）
+ * メールは任意の通知で、送信は応答を待たせずに行い、失敗した場合は後で再送する
+ * email を受け取り PARTICIPANT_EMAIL=true の場合は、参加者へのひかえも登録する（アドレスは投稿に保存しない）
+ * プロンプト・パラメータ・テンプレートの版・参考画像は、生成画像を作ったジョブ（jobId）にサーバーが記録したものを保存する（src/lib/jobs.ts）
+ * 画面から受け取るのは選択内容・編集したマスク・ワークショップのセッションのみで、編集したマスクはR2に保存する
+ * generationData.session がある場合は、ワークショップのセッションで選べる内容か確認してセッションを記録する（src/lib/workshops.ts）
+ *
+ * POST /api/submissions
+ * リクエストボディ: {
+ *   nickname, imageUrl（生成画像のURL /images/:id）, jobId（生成画像を作ったジョブのID）,
+ *   generationData: { options（選択内容）, maskData?（範囲を編集した場合のマスク画像）, session?: { id } },
+ *   email?
+ * }
+ * レスポンス: {
+ *   success: boolean,
+ *   submissionId?: string,
+ *   createdAt?: string,
+ *   shareUrl?: string（作品の共有ページ /share/:id）,
+ *   notification?: { id: string, status: 'pending' }（送信キューに登録した通知、登録できなかった場合はnull）,
+ *   confirmation?: 参加者へのひかえ（notification と同じ形式、送らない場合はnull）,
+ *   error?: string
+ * }
+ */
+import { Hono } from 'hono'
+import { z } from 'zod'
+import { createSubmission, type GenerationData } from '../lib/submissions'
+import { deliverNotifications, enqueueNotifications, type OutboxBindings, type OutboxEntry } from '../lib/outbox'
+import { imageDataField, jsonBody, refineChoices, validationError, CHOICES_SHAPE, MASK_IMAGE_RULE } from '../lib/validation'
+import { moderateBody, type ModerationBindings } from '../lib/moderation'
+import { imageExists, imageIdFromUrl, storeImage } from '../lib/images'
+import { getBuildingPrompt, requireScene, IMAGE_MODE_LABELS } from '../lib/prompts'
+import { sceneLabel } from '../lib/scenes'
+import { loadJob, JOB_ID_PATTERN } from '../lib/jobs'
+import { sharePath } from '../lib/share'
+import { initialWallStatus, type WallBindings } from '../lib/wall'
+import { getWorkshopSession, workshopChoiceErrors, workshopTag, WORKSHOP_ID_PATTERN } from '../lib/workshops'
+
+// 環境変数の型定義
+type Bindings = OutboxBindings & ModerationBindings & WallBindings
+
+// ニックネームの上限文字数（画面の maxlength と合わせる）
+const NICKNAME_MAX_LENGTH = 20
+
+// メールアドレスの上限文字数
+const EMAIL_MAX_LENGTH = 254
+
+// 表示用の選択内容（画風・光・構図）の上限文字数
+const OPTION_LABEL_MAX_LENGTH = 20
+
+/**
+ * 表示用の選択内容の項目
+ * @param label - エラーメッセージに使う項目名
+ */
+function optionLabel(label: string) {
+  return z.string({ error: `${label}が不正です` })
+    .max(OPTION_LABEL_MAX_LENGTH, `${label}が不正です`)
+    .optional()
+}
+
+// リクエストボディのスキーマ
+// generationData は画面から受け取る項目だけを決まった形で受け付け、生成内容はジョブの記録から組み立てる
+const submissionSchema = z.object({
+  nickname: z.string({ error: '名前が不正です' })
+    .trim()
+    .max(NICKNAME_MAX_LENGTH, `名前は${NICKNAME_MAX_LENGTH}文字以内で入力してください`)
+    .default(''),
+  imageUrl: z.string({ error: '生成画像は必須です' })
+    .min(1, '生成画像は必須です')
+    // 生成画像はR2に保存した画像のURL（/images/:id、src/lib/images.ts）のみ
+    .refine((imageUrl) => imageIdFromUrl(imageUrl) !== null, '生成画像のURLが不正です'),
+  jobId: z.string({ error: '生成ジョブは必須です' }).regex(JOB_ID_PATTERN, '生成ジョブが不正です'),
+  generationData: z.strictObject({
+    options: z.strictObject({
+      ...CHOICES_SHAPE,
+      style: optionLabel('画風'),
+      lighting: optionLabel('光'),
+      composition: optionLabel('構図')
+    }, { error: '生成データは必須です' }).superRefine(refineChoices),
+    // 範囲を編集した場合のマスク画像（R2に保存してURLを記録する）
+    maskData: imageDataField(MASK_IMAGE_RULE, 'マスク画像が不正です').optional(),
+    // 参加コードから入った場合のワークショップのセッション（IDのみ受け取り、名前などはD1の内容を記録する）
+    session: z.strictObject({
+      id: z.string({ error: 'ワークショップが不正です' }).regex(WORKSHOP_ID_PATTERN, 'ワークショップが不正です')
+    }, { error: 'ワークショップが不正です' }).nullish()
+  }, { error: '生成データは必須です' }),
+  // ひかえのメールの宛先（任意、空文字は未入力として扱う）
+  email: z.string({ error: 'メールアドレスが正しくありません' })
+    .trim()
+    .max(EMAIL_MAX_LENGTH, 'メールアドレスが正しくありません')
+    .refine((email) => email === '' || z.email().safeParse(email).success, 'メールアドレスが正しくありません')
+    .optional()
+}, { error: 'リクエストの形式が正しくありません' })
+
+const submissionsApi = new Hono<{ Bindings: Bindings }>()
+
+/**
+ * 投稿保存エンドポイント
+ * POST /api/submissions
+ *
+ * ニックネーム・自由文・その他の建物は保存前にもう一度入力チェックを行い、結果を投稿と一緒に保存する
+ * 不適切な言葉を含む場合は422（src/lib/moderation.ts）
+ */
+submissionsApi.post('/', jsonBody(submissionSchema), moderateBody((body: z.output<typeof submissionSchema>) => ({
+  nickname: body.nickname,
+  freeText: body.generationData.options.freeText,
+  otherBuilding: body.generationData.options.otherBuilding
+})), async (c) => {
+  try {
+    // 検証済みのリクエストボディ
+    const { nickname, imageUrl, jobId, email, generationData: input } = c.get('body')
+
+    // データベースの確認
+    const db = c.env.DB
+    if (!db) {
+      return c.json({
+        success: false,
+        error: 'データベースが設定されていません'
+      }, 500)
+    }
+
+    // 生成画像が保存済みか確認（画像のない投稿を作らない）
+    if (!await imageExists(c.env, imageIdFromUrl(imageUrl) ?? '')) {
+      return validationError(c, [{ field: 'imageUrl', message: '生成画像が見つかりません' }])
+    }
+
+    // 生成内容は、サーバーがプロンプトを組み立てたときにジョブに記録したものを使う
+    const job = await loadJob(c.env.JOBS, jobId)
+    if (!job || job.status !== 'done') {
+      return validationError(c, [{ field: 'jobId', message: '生成結果が見つかりません。もう一度生成してください' }])
+    }
+    const selectedCandidate = job.imageUrls.indexOf(imageUrl)
+    if (selectedCandidate < 0) {
+      return validationError(c, [{ field: 'imageUrl', message: '生成画像が生成結果と一致しません' }])
+    }
+
+    // ワークショップのセッションで選べる内容か確認（画面ではセッションの選択肢だけを表示している）
+    let session: GenerationData['session'] = null
+    if (input.session) {
+      const workshop = await getWorkshopSession(db, input.session.id)
+      if (!workshop) {
+        return validationError(c, [{ field: 'generationData.session.id', message: 'ワークショップが見つかりません' }])
+      }
+      const errors = workshopChoiceErrors(workshop, input.options)
+      if (errors.length > 0) {
+        return validationError(c, errors)
+      }
+      session = workshopTag(workshop)
+    }
+
+    // 編集したマスクはR2に保存し、投稿にはURLを記録する（編集していない場合は会場の既定のマスク）
+    const scene = requireScene(input.options.sceneId)
+    const maskImageUrl = input.maskData ? await storeImage(c.env, input.maskData) : scene.maskImage
+
+    const generationData: GenerationData = {
+      prompt: job.prompt,
+      negativePrompt: job.negativePrompt || null,
+      templateVersion: job.templateVersion,
+      sceneVersion: sceneLabel(scene),
+      baseImageUrl: scene.baseImage,
+      maskImageUrl: maskImageUrl,
+      maskEdited: input.maskData !== undefined,
+      referenceImageUrl: job.referenceImageUrl,
+      candidateCount: job.imageUrls.length,
+      selectedCandidate: selectedCandidate,
+      params: { ...job.params },
+      session: session,
+      options: {
+        ...input.options,
+        sceneId: scene.id,
+        sceneName: scene.name,
+        imageModeName: IMAGE_MODE_LABELS[input.options.imageMode],
+        buildingPrompt: getBuildingPrompt(scene, input.options.buildingType, input.options.otherBuilding)
+      }
+    }
+
+    // 投稿を保存（これが正本の記録）
+    // WALL_APPROVAL=true の場合、壁には運営者が承認するまで表示しない
+    const submission = await createSubmission(db, {
+      nickname,
+      imageUrl,
+      generationData,
+      moderation: c.get('moderation'),
+      wallStatus: initialWallStatus(c.env)
+    })
+    console.log('=== 投稿保存完了 ===', submission.id)
+
+    // メール通知を送信キューに登録（登録に失敗しても投稿は保存済みのため、応答は成功にする）
+    let entries: OutboxEntry[] = []
+    try {
+      entries = await enqueueNotifications(c.env, db, submission, email || null)
+    } catch (error) {
+      console.error('通知の登録エラー:', error)
+    }
+
+    // 参加者を待たせないよう、送信は応答とは別に行う（実行コンテキストがない場合はその場で送る）
+    if (entries.length > 0) {
+      const delivery = deliverNotifications(c.env, db, submission, entries)
+        .catch((error) => console.error('通知の送信エラー:', error))
+      try {
+        c.executionCtx.waitUntil(delivery)
+      } catch {
+        await delivery
+      }
+    }
+
+    const queued = (kind: OutboxEntry['kind']) => {
+      const entry = entries.find((item) => item.kind === kind)
+      return entry ? { id: entry.id, status: entry.status } : null
+    }
+    const notification = queued('staff')
+    const confirmation = queued('participant')
+
+    return c.json({
+      success: true,
+      submissionId: submission.id,
+      createdAt: submission.createdAt,
+      shareUrl: sharePath(submission.id),
+      notification,
+      confirmation
+    }, 201)
+
+  } catch (error) {
+    console.error('投稿保存エラー:', error)
+
+    let errorMessage = '不明なエラー'
+    if (error instanceof Error) {
+      errorMessage = error.message
+    }
+
+    return c.json({
+      success: false,
+      error: `投稿の保存中にエラーが発生しました: ${errorMessage}`
+    }, 500)
+  }
+})
+
+export default submissionsApi
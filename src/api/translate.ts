@@ -1,176 +1,87 @@
 /**
  * 自動プロンプト生成APIエンドポイント
  * GPT-4.1-mini を使用して日本語の自由文を英語のInpaintingプロンプトに変換
+ * （変換ルールは src/lib/prompts.ts の TRANSLATE_TEMPLATE で管理）
+ * モデルの出力が不正な場合は既定の変換を使い、structured.fallback を true にする
  * 
  * POST /api/translate-prompt
- * リクエストボディ: { text: string }
- * レスポンス: { success: boolean, prompt?: string, error?: string }
+ * リクエストボディ: { text: string, sceneId?: string }
+ * レスポンス: {
+ *   success: boolean,
+ *   prompt?: string（設置物の指示、structured.positive と同じ）,
+ *   structured?: { positive, negative, people, structure, intent, category, fallback },
+ *   cache?: { translation: 'hit' | 'miss', images: null }（同じ入力の変換結果をキャッシュから返した場合は hit）,
+ *   error?: string
+ * }
  */
 import { Hono } from 'hono'
+import { z } from 'zod'
+import { translateWithCache } from '../lib/translator'
+import { requireScene, type StructuredPrompt } from '../lib/prompts'
+import { getProviders, type ProviderBindings } from '../lib/providers'
+import { dailyBudget, rateLimit, COST_ESTIMATES_USD, type LimitBindings } from '../lib/limits'
+import { moderateBody, type ModerationBindings } from '../lib/moderation'
+import type { CacheBindings, CacheInfo } from '../lib/cache'
+import { jsonBody, CHOICES_SHAPE } from '../lib/validation'
 
 // 環境変数の型定義
-type Bindings = {
-  OPENAI_API_KEY: string
-}
+type Bindings = ProviderBindings & LimitBindings & ModerationBindings & CacheBindings
 
-// リクエストボディの型定義
-interface TranslateRequest {
-  text: string
-}
+// リクエストボディのスキーマ（text は自由文と同じ上限）
+const translateSchema = z.object({
+  text: CHOICES_SHAPE.freeText,
+  sceneId: CHOICES_SHAPE.sceneId
+}, { error: 'リクエストの形式が正しくありません' })
 
 const translateApi = new Hono<{ Bindings: Bindings }>()
 
-// システムメッセージ（プロンプト生成ルール）
-const SYSTEM_MESSAGE = `You are a prompt generator for fal.ai image inpainting using the model fal-ai/flux-general/inpainting.
-
-Your task:
-- Convert a short Japanese user request into a SINGLE English image-generation prompt.
-- The output MUST be construction-style instructions, not a description or narration.
-- The output MUST be directly usable as a fal.ai inpainting prompt.
-
-Strict rules:
-- Write in English ONLY.
-- Output ONLY the final prompt text. No explanations, no greetings, no acknowledgements.
-- NEVER use first-person language (I, we, understood, will, should, here is, etc.).
-- NEVER write descriptive or narrative sentences.
-- Use ONLY imperative construction verbs such as:
-  Remove, Install, Include, Keep, Capture.
-- Allow imperative prohibition sentences such as:
-  "Do not generate the scene without people."
-
-Inpainting rules:
-- Always assume the original central flower bed is completely removed.
-- ALWAYS include the following sentence as the FIRST line of the output:
-  "The original flower bed is completely removed and replaced."
-- Modify ONLY the masked central plaza area.
-- Keep existing station buildings, roads, and rotary completely unchanged.
-
-Physical specification rules:
-- Always specify numeric ranges for size and scale (meters).
-- Always specify whether the installation is active, operating, or open to the public.
-- Always specify ground contact, base structure, or foundation type.
-
-People rules (ENHANCED, MANDATORY):
-- If the request implies public use, ALWAYS include people.
-- People are a mandatory structural element of the scene.
-- The output is INVALID if people are not included.
-- Explicitly forbid generating scenes without people.
-- Increase crowd density by default:
-  specify no fewer than 10 people unless explicitly requested otherwise.
-- Specify the number of people with numeric ranges (e.g., 20–40 people).
-- Specify age ranges for children if children are implied.
-- Specify clear, observable actions using verbs such as:
-  playing, running, laughing, talking, pointing, watching, walking.
-- Explicitly require visible facial expressions and gestures
-  (e.g., smiling faces, expressive body language).
-- Explicitly state that people are clearly visible, expressive, and in focus.
-
-Architectural creativity rules (CONTROLLED):
-- Allow creative and contemporary architectural design elements.
-- Encourage distinctive forms, materials, or structures
-  (e.g., curved geometry, layered volumes, canopy structures),
-  while maintaining realistic, buildable architecture.
-- Do NOT allow abstract, surreal, or non-physical designs.
-- Always ensure the structure appears functional and structurally plausible.
-
-Photography rules:
-- Always include photorealistic, professional photography.
-- Always include natural daylight.
-- Always include wide-angle composition that shows both people and architecture clearly.
-
-Negative constraints:
-- Always include a negative section at the end.
-- Include at least:
-  No text, no logos, no watermarks.
-  No signage changes.
-  No distorted geometry, no extra buildings.
-  No blurry faces, no deformed hands, no extra limbs.
-  No cartoon, no illustration, no low resolution.`
-
 /**
  * 自動プロンプト生成エンドポイント
  * POST /api/translate-prompt
+ * 
+ * 入力が不正な場合は400（src/lib/validation.ts の形式）
+ * 回数制限は429、1日の費用上限を超える場合は503（src/lib/limits.ts）
+ * 自由文に不適切な言葉を含む場合は422（src/lib/moderation.ts）
  */
-translateApi.post('/', async (c) => {
+translateApi.post('/', jsonBody(translateSchema), rateLimit('translate'), moderateBody((body: { text?: string }) => ({ text: body.text })), dailyBudget('translate', () => COST_ESTIMATES_USD.promptRewrite), async (c) => {
   try {
-    // リクエストボディを取得
-    const body: TranslateRequest = await c.req.json()
+    // 検証済みのリクエストボディ（会場はスキーマで確認済み）
+    const body = c.get('body')
     const { text } = body
+    const scene = requireScene(body.sceneId)
 
-    // 空テキストの場合はデフォルトのプロンプトを使用
-    const DEFAULT_PROMPT = '駅前広場に人々が集まる賑やかで楽しい雰囲気'
-    const inputText = (text && text.trim().length > 0) ? text.trim() : DEFAULT_PROMPT
-
-    // OpenAI APIキーの確認
-    const apiKey = c.env.OPENAI_API_KEY
-    if (!apiKey) {
+    // 自動プロンプトのプロバイダー（OpenAI APIキー未設定の場合はnull）
+    const provider = getProviders(c.env).promptRewrite
+    if (!provider) {
       return c.json({
         success: false,
         error: 'OpenAI APIキーが設定されていません'
       }, 500)
     }
 
-    console.log('=== GPT-4.1-mini プロンプト生成開始 ===')
-    console.log('入力テキスト:', inputText)
-    console.log('デフォルト使用:', text !== inputText)
-
-    // OpenAI API呼び出し
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4.1-mini',
-        messages: [
-          {
-            role: 'system',
-            content: SYSTEM_MESSAGE
-          },
-          {
-            role: 'user',
-            content: inputText
-          }
-        ],
-        temperature: 0.1
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      console.error('OpenAI API エラー:', response.status, errorData)
+    let structured: StructuredPrompt
+    const cache: CacheInfo = { translation: null, images: null }
+    try {
+      const translated = await translateWithCache(c.env, provider, text, scene)
+      structured = translated.prompt
+      cache.translation = translated.cache
+      // キャッシュから返した場合は費用に含めない
+      if (translated.cache === 'hit') {
+        c.set('spent', 0)
+      }
+    } catch (error) {
       return c.json({
         success: false,
-        error: `OpenAI API エラー: ${response.status}`
+        error: error instanceof Error ? error.message : 'プロンプトの生成に失敗しました'
       }, 500)
     }
 
-    const data = await response.json() as {
-      choices?: Array<{
-        message?: {
-          content?: string
-        }
-      }>
-    }
-
-    // レスポンスからプロンプトを抽出
-    const generatedPrompt = data.choices?.[0]?.message?.content?.trim()
-
-    if (!generatedPrompt) {
-      return c.json({
-        success: false,
-        error: 'プロンプトの生成に失敗しました'
-      }, 500)
-    }
-
-    console.log('=== 生成されたプロンプト ===')
-    console.log(generatedPrompt)
-
     return c.json({
       success: true,
-      prompt: generatedPrompt,
-      originalText: text
+      prompt: structured.positive,
+      structured: structured,
+      originalText: text,
+      cache: cache
     })
 
   } catch (error) {
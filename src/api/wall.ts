@@ -0,0 +1,146 @@
+/**
+ * プロジェクターの壁APIエンドポイント
+ * 壁（/wall）に表示する投稿を、届いた順に返す（src/lib/wall.ts）
+ * 参加者のニックネームとねがいを含むため、管理画面と同じBasic認証で保護する
+ *
+ * GET /api/wall/stream?after=カーソル&session=セッションID
+ * レスポンス: Server-Sent Events
+ *   event: submission / id: カーソル / data: WallItem（新しい投稿ごと）
+ *   after がない場合は最新の投稿から始める。接続は一定時間で閉じ、ブラウザが Last-Event-ID つきで再接続する
+ *   Durable Objects を使わず、接続中にD1を数秒ごとに確認する
+ *
+ * GET /api/wall/submissions?after=カーソル&session=セッションID（SSEが使えない場合の定期取得）
+ * レスポンス: {
+ *   success: boolean,
+ *   items?: WallItem[]（古い順）,
+ *   cursor?: string | null（次の取得で after に渡す位置）,
+ *   error?: string
+ * }
+ *
+ * session を指定した場合は、そのワークショップのセッションの投稿だけを返す
+ */
+import { Hono } from 'hono'
+import { streamSSE } from 'hono/streaming'
+import { adminAuth, type AdminBindings } from '../lib/auth'
+import { listWallItems, isWallCursor } from '../lib/wall'
+import { validationError, type FieldError } from '../lib/validation'
+import { WORKSHOP_ID_PATTERN } from '../lib/workshops'
+
+// 環境変数の型定義
+type Bindings = AdminBindings & {
+  DB?: D1Database
+}
+
+// SSEの接続中にD1を確認する間隔
+const STREAM_POLL_MS = 3000
+
+// SSEの接続を閉じるまでの時間（ブラウザが自動で再接続する）
+const STREAM_DURATION_MS = 5 * 60 * 1000
+
+// 接続が切れた場合にブラウザが再接続するまでの時間
+const STREAM_RETRY_MS = 3000
+
+const wallApi = new Hono<{ Bindings: Bindings }>()
+
+/**
+ * 表示位置とセッションの指定を確認
+ * @param after - 表示位置（カーソル）
+ * @param sessionId - ワークショップのセッションID
+ * @returns 項目ごとのエラー（問題なければ空）
+ */
+function queryErrors(after: string | null, sessionId: string | null): FieldError[] {
+  const errors: FieldError[] = []
+  if (after && !isWallCursor(after)) {
+    errors.push({ field: 'after', message: '表示位置が不正です' })
+  }
+  if (sessionId && !WORKSHOP_ID_PATTERN.test(sessionId)) {
+    errors.push({ field: 'session', message: 'ワークショップが不正です' })
+  }
+  return errors
+}
+
+// Basic認証（管理画面と同じ、src/lib/auth.ts）
+wallApi.use('*', adminAuth)
+
+/**
+ * 新しい投稿の配信（SSE）
+ * GET /api/wall/stream
+ */
+wallApi.get('/stream', (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.json({
+      success: false,
+      error: 'データベースが設定されていません'
+    }, 500)
+  }
+
+  // 再接続の場合はブラウザが最後に受け取った位置を送ってくる
+  let after = c.req.header('Last-Event-ID') || c.req.query('after') || null
+  const sessionId = c.req.query('session') || null
+  const errors = queryErrors(after, sessionId)
+  if (errors.length > 0) {
+    return validationError(c, errors)
+  }
+
+  return streamSSE(c, async (stream) => {
+    const deadline = Date.now() + STREAM_DURATION_MS
+    await stream.writeSSE({ event: 'ready', data: JSON.stringify({ cursor: after }), retry: STREAM_RETRY_MS })
+
+    try {
+      while (!stream.aborted && Date.now() < deadline) {
+        const items = await listWallItems(db, after, sessionId)
+        for (const item of items) {
+          await stream.writeSSE({ event: 'submission', id: item.cursor, data: JSON.stringify(item) })
+          after = item.cursor
+        }
+        if (items.length === 0) {
+          // 途中のプロキシに切断されないよう、コメント行を送る
+          await stream.write(': ping\n\n')
+        }
+        await stream.sleep(STREAM_POLL_MS)
+      }
+    } catch (error) {
+      console.error('壁の配信エラー:', error)
+    }
+  })
+})
+
+/**
+ * 新しい投稿の取得（定期取得用）
+ * GET /api/wall/submissions
+ */
+wallApi.get('/submissions', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.json({
+      success: false,
+      error: 'データベースが設定されていません'
+    }, 500)
+  }
+
+  const after = c.req.query('after') || null
+  const sessionId = c.req.query('session') || null
+  const errors = queryErrors(after, sessionId)
+  if (errors.length > 0) {
+    return validationError(c, errors)
+  }
+
+  try {
+    const items = await listWallItems(db, after, sessionId)
+    return c.json({
+      success: true,
+      items,
+      cursor: items.length > 0 ? items[items.length - 1].cursor : after
+    })
+
+  } catch (error) {
+    console.error('壁の投稿の取得エラー:', error)
+    return c.json({
+      success: false,
+      error: '投稿の取得中にエラーが発生しました'
+    }, 500)
+  }
+})
+
+export default wallApi
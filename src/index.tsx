@@ -4,16 +4,71 @@
  */
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
+import { bodyLimit } from 'hono/body-limit'
 import generateApi from './api/generate'
+import jobsApi from './api/jobs'
 import translateApi from './api/translate'
 import creativeApi from './api/creative'
-import emailApi from './api/email'
+import submissionsApi from './api/submissions'
+import imagesApi from './api/images'
+import kioskApi from './api/kiosk'
+import wallApi from './api/wall'
+import adminApp from './pages/admin'
+import shareApp from './pages/share'
+import wallApp from './pages/wall'
+import joinApp from './pages/join'
+import { htmlHead, htmlFoot, escapeHtml } from './pages/layout'
+import { SCENES, getScene } from './lib/scenes'
+import { BUILDING_TYPES, BUILDING_TYPE_LABELS, IMAGE_MODES } from './lib/prompts'
+import { BODY_MAX_BYTES } from './lib/validation'
+import { participantEmailEnabled } from './lib/email'
+import { kioskEnabled, kioskScript } from './lib/kiosk'
+import { currentWorkshopSession, workshopBuildingTypes } from './lib/workshops'
 
 // 環境変数の型定義
 type Bindings = {
   FAL_KEY: string
   OPENAI_API_KEY: string
   RESEND_API_KEY?: string
+  // 外部サービスの切り替え（live / mock、src/lib/providers/）
+  PROVIDER?: string
+  MOCK_DELAY_MS?: string
+  JOBS?: KVNamespace
+  DB?: D1Database
+  // 生成画像の保存先（src/lib/images.ts）
+  IMAGES?: R2Bucket
+  ASSETS?: Fetcher
+  ADMIN_USERNAME?: string
+  ADMIN_PASSWORD?: string
+  CANDIDATE_COUNT?: string
+  // 有料APIの利用制限（src/lib/limits.ts）
+  RATE_LIMIT_SESSION?: string
+  RATE_LIMIT_IP?: string
+  RATE_LIMIT_WINDOW_SECONDS?: string
+  DAILY_BUDGET_USD?: string
+  // 参加者の入力チェック（src/lib/moderation.ts）
+  NG_WORDS?: string
+  MODERATION_MODEL?: string
+  // 安全フィルターで止められた場合の再投入（src/api/jobs.ts）
+  NSFW_RETRY_LIMIT?: string
+  // 自動プロンプト・生成画像のキャッシュ（src/lib/cache.ts）
+  CACHE_TTL_SECONDS?: string
+  CACHE_REUSE_IMAGES?: string
+  // メール通知の宛先・差出人・件名と、参加者へのひかえ（src/lib/email.ts）
+  EMAIL_TO?: string
+  EMAIL_FROM?: string
+  EMAIL_SUBJECT?: string
+  PARTICIPANT_EMAIL?: string
+  PARTICIPANT_EMAIL_SUBJECT?: string
+  // 通知メールの送信の上限回数（src/lib/outbox.ts）
+  NOTIFICATION_MAX_ATTEMPTS?: string
+  // 共有ページのURLの基準（src/lib/share.ts）
+  SHARE_BASE_URL?: string
+  // キオスクモード（src/lib/kiosk.ts）
+  KIOSK_MODE?: string
+  KIOSK_IDLE_SECONDS?: string
+  // プロジェクターの壁に運営者の承認を必要とするか（src/lib/wall.ts）
+  WALL_APPROVAL?: string
 }
 
 const app = new Hono<{ Bindings: Bindings }>()
@@ -21,54 +76,80 @@ const app = new Hono<{ Bindings: Bindings }>()
 // CORS設定（API用）
 app.use('/api/*', cors())
 
+// リクエストサイズの上限（画像データを含むJSON全体）
+app.use('/api/*', bodyLimit({
+  maxSize: BODY_MAX_BYTES,
+  onError: (c) => c.json({
+    success: false,
+    error: 'リクエストが大きすぎます',
+    details: [{ field: '', message: 'リクエストが大きすぎます' }]
+  }, 413)
+}))
+
 // 画像生成APIルート（通常モード: fal.ai Inpainting）
 app.route('/api/generate', generateApi)
 
+// 画像生成ジョブ状況APIルート（/api/generate で投入したジョブのポーリング用）
+app.route('/api/jobs', jobsApi)
+
 // 自動プロンプト生成APIルート（GPT-4.1-mini）
 app.route('/api/translate-prompt', translateApi)
 
-// 創造性モード画像生成APIルート（GPT-Image-1.5）
+// 創造性モード画像生成APIルート（gpt-image-1）
 app.route('/api/creative', creativeApi)
 
-// メール送信APIルート
-app.route('/api/send-email', emailApi)
+// 投稿APIルート（D1に保存し、メール通知を送信キューに登録）
+app.route('/api/submissions', submissionsApi)
 
-/**
- * 共通HTMLヘッダー生成
- * @param title - ページタイトル
- */
-const htmlHead = (title: string) => `
-  <!DOCTYPE html>
-  <html lang="ja">
-  <head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
-    <title>${title} - ゆめまち☆キャンバス【テスト版】</title>
-    <link rel="stylesheet" href="/static/styles.css">
-  </head>
-  <body>
-`
+// 生成画像の配信ルート（R2に保存した画像）
+app.route('/images', imagesApi)
 
-/**
- * 共通HTMLフッター生成
- */
-const htmlFoot = `
-  </body>
-  </html>
-`
+// キオスクモードAPIルート（トップ画面に表示する最近の作品）
+app.route('/api/kiosk', kioskApi)
+
+// プロジェクターの壁APIルート（新しい投稿のSSE配信・定期取得、Basic認証）
+app.route('/api/wall', wallApi)
+
+// 管理画面ルート（運営者向け、Basic認証）
+app.route('/admin', adminApp)
+
+// 作品の共有ページルート（参加者向け、完了画面のQRコードから開く）
+app.route('/share', shareApp)
+
+// プロジェクターの壁ルート（運営者向け、Basic認証）
+app.route('/wall', wallApp)
+
+// ワークショップへの参加ルート（参加コードのURL・入力）
+app.route('/join', joinApp)
+
+// 生成タイプ選択の表示名（画像表示画面）
+const IMAGE_MODE_OPTION_LABELS: Record<string, string> = {
+  'faithful': '1) 指示に忠実',
+  'modern': '2) モダン性加味',
+  'creative': '3) 創造性加味',
+  'image-centered': '4) 生成画像中心'
+}
 
 /**
  * トップ画面
  * - タイトル表示
  * - クラッカーアニメーション
+ * - 最近の作品（キオスクモードのみ、背景で順番に表示）
+ * - 参加中のワークショップ名（参加コードから入った場合）
  * - スタートボタン
  */
-app.get('/', (c) => {
+app.get('/', async (c) => {
+  const workshop = await currentWorkshopSession(c, c.env.DB)
+
   return c.html(`
     ${htmlHead('トップ画面')}
     <div class="screen-container">
       <!-- 画面名（右上） -->
       <div class="screen-name">トップ画面</div>
+      ${kioskEnabled(c.env) ? `
+      <!-- 最近の作品（キオスクモード） -->
+      <div class="attract-loop" id="attractLoop" aria-hidden="true"></div>
+      ` : ''}
       
       <!-- メインコンテンツ -->
       <main class="main-content">
@@ -84,6 +165,10 @@ app.get('/', (c) => {
         <!-- タイトル -->
         <h1 class="title">ゆめまち☆キャンバス</h1>
         <p class="subtitle">【テスト版】</p>
+        ${workshop ? `
+        <!-- 参加中のワークショップ -->
+        <p class="workshop-badge">${escapeHtml(workshop.name)}</p>
+        ` : ''}
         
         <!-- スタートボタン -->
         <button class="start-button" id="startButton">
@@ -93,18 +178,27 @@ app.get('/', (c) => {
     </div>
     
     <script src="/static/pages/top.js"></script>
+    ${kioskScript(c.env)}
     ${htmlFoot}
   `)
 })
 
 /**
  * 画像表示画面
+ * - 会場選択（src/lib/scenes.ts のシーン、?scene= で初期選択）
  * - 元画像表示
  * - 自由文入力
  * - 生成ボタン
  * ※ スタイル/ライティング/構図は固定（写真風/自然光/全体像）
+ * ※ ワークショップに参加中の場合は、セッションの会場・生成タイプ・建物だけを選べる
  */
-app.get('/image-display', (c) => {
+app.get('/image-display', async (c) => {
+  const workshop = await currentWorkshopSession(c, c.env.DB)
+  const workshopScene = workshop ? getScene(workshop.sceneId) : null
+  const scenes = workshopScene ? [workshopScene] : SCENES
+  const scene = workshopScene || getScene(c.req.query('scene')) || SCENES[0]
+  const imageModes = workshop ? IMAGE_MODES.filter((mode) => workshop.imageModes.includes(mode)) : IMAGE_MODES
+
   return c.html(`
     ${htmlHead('画像表示画面')}
     <div class="screen-container">
@@ -113,27 +207,66 @@ app.get('/image-display', (c) => {
       
       <!-- メインコンテンツ -->
       <main class="main-content image-display-content">
-        <!-- 元画像表示 -->
+        <!-- 元画像表示（変更する範囲を重ねて表示・編集） -->
         <div class="image-container">
-          <img src="/static/images/base-image.jpg" alt="元画像" class="base-image" id="baseImage">
+          <div class="mask-editor" id="maskEditor">
+            <img src="${scene.baseImage}" alt="元画像" class="base-image" id="baseImage">
+            <canvas class="mask-canvas" id="maskCanvas"></canvas>
+          </div>
+          
+          <!-- 範囲編集ツール（「変える場所をえらぶ」で表示） -->
+          <button type="button" class="mask-edit-toggle" id="maskEditToggle">
+            ✏️ 変える場所をえらぶ
+          </button>
+          <div class="mask-toolbar" id="maskToolbar">
+            <div class="mask-tools">
+              <button type="button" class="mask-tool" data-tool="brush">🖌️ ぬる</button>
+              <button type="button" class="mask-tool" data-tool="eraser">🧽 けす</button>
+              <button type="button" class="mask-tool" data-tool="polygon">📐 かこむ</button>
+            </div>
+            <label class="mask-brush-size">
+              太さ
+              <input type="range" id="maskBrushSize" min="10" max="120" value="40">
+            </label>
+            <div class="mask-actions">
+              <button type="button" class="mask-action" id="maskClosePolygon" hidden>かこみ完了</button>
+              <button type="button" class="mask-action" id="maskResetButton">元にもどす</button>
+            </div>
+            <p class="mask-hint">ピンクの場所が新しくなります</p>
+          </div>
         </div>
         
-        <!-- マスク画像（非表示、API送信用） -->
-        <img src="/static/images/mask-image.png" alt="マスク画像" id="maskImage" style="display: none;">
-        
         <!-- タイトル -->
         <h2 class="section-title">すてきな画像にしてみましょう</h2>
         
         <!-- オプション選択フォーム -->
-        <form class="options-form" id="optionsForm">
+        <form class="options-form" id="optionsForm"${workshop ? `
+          data-workshop-id="${escapeHtml(workshop.id)}"
+          data-workshop-code="${escapeHtml(workshop.code)}"
+          data-workshop-name="${escapeHtml(workshop.name)}"` : ''}>
+          <!-- 会場選択（会場ごとに元画像・マスク・選べる建物が変わる） -->
+          <div class="form-group">
+            <label for="sceneId" class="form-label">場所</label>
+            <select id="sceneId" class="form-select">
+              ${scenes.map((item) => `
+              <option
+                value="${item.id}"
+                data-base-image="${item.baseImage}"
+                data-mask-image="${item.maskImage}"
+                data-building-types="${(workshop ? workshopBuildingTypes(workshop) : item.buildingTypes).join(',')}"
+                ${item.id === scene.id ? 'selected' : ''}
+              >${escapeHtml(item.name)}</option>
+              `).join('')}
+            </select>
+          </div>
+          
           <!-- 生成タイプ選択 -->
           <div class="form-group">
             <label for="imageMode" class="form-label">生成タイプ</label>
             <select id="imageMode" class="form-select">
-              <option value="faithful" selected>1) 指示に忠実</option>
-              <option value="modern">2) モダン性加味</option>
-              <option value="creative">3) 創造性加味</option>
-              <option value="image-centered">4) 生成画像中心</option>
+              ${imageModes.map((mode, index) => `
+              <option value="${mode}" ${index === 0 ? 'selected' : ''}>${IMAGE_MODE_OPTION_LABELS[mode]}</option>
+              `).join('')}
             </select>
           </div>
           
@@ -141,10 +274,9 @@ app.get('/image-display', (c) => {
           <div class="form-group">
             <label for="buildingType" class="form-label">建物</label>
             <select id="buildingType" class="form-select">
-              <option value="fountain" selected>噴水</option>
-              <option value="merry-go-round">メリーゴーランド</option>
-              <option value="cafe-stand">おしゃれなカフェスタンド</option>
-              <option value="other">その他</option>
+              ${BUILDING_TYPES.map((type) => `
+              <option value="${type}">${BUILDING_TYPE_LABELS[type]}</option>
+              `).join('')}
             </select>
           </div>
           
@@ -195,19 +327,24 @@ app.get('/image-display', (c) => {
       <div class="loading-content">
         <div class="loading-spinner"></div>
         <p class="loading-text">生成中...</p>
+        <p class="loading-status" id="loadingStatus"></p>
         <p class="loading-notice">画像生成には1〜2分<br>かかる場合があります</p>
         <p class="loading-timer">経過時間: <span id="elapsedTime">0</span>秒</p>
       </div>
     </div>
     
+    <script src="/static/components/mask-editor.js"></script>
     <script src="/static/pages/image-display.js"></script>
+    ${kioskScript(c.env)}
     ${htmlFoot}
   `)
 })
 
 /**
  * 結果画面
- * - 元画像と生成画像の比較表示
+ * - 元画像と生成画像の比較表示（元画像は生成データの会場の画像）
+ *   スライダーで左右をくらべる・タップで切り替え・ピンチで拡大・変えた場所の輪郭表示
+ * - 候補画像から1枚を選択（選んだ画像のみ設定内容確認画面へ進む）
  * - 戻るボタン
  * - 次へボタン
  */
@@ -220,20 +357,40 @@ app.get('/result', (c) => {
       
       <!-- メインコンテンツ -->
       <main class="main-content result-content">
-        <!-- 元画像 -->
+        <!-- 元画像と生成画像の比較（左: 元の画像 / 右: 生成された画像） -->
         <div class="result-image-section">
-          <h3 class="result-label">元の画像</h3>
+          <h3 class="result-label">元の画像と生成された画像をくらべる</h3>
           <div class="result-image-container">
-            <img src="/static/images/base-image.jpg" alt="元画像" class="result-image">
+            <div class="compare-viewport" id="compareViewport">
+              <img src="" alt="生成画像" class="compare-image" id="generatedImage">
+              <div class="compare-before" id="compareBefore">
+                <img src="" alt="元画像" class="compare-image" id="baseImage">
+              </div>
+              <canvas class="compare-image compare-outline" id="maskCanvas" hidden></canvas>
+              <div
+                class="compare-handle"
+                id="compareHandle"
+                role="slider"
+                tabindex="0"
+                aria-label="元の画像と生成された画像の境目"
+                aria-valuemin="0"
+                aria-valuemax="100"
+              ></div>
+              <span class="compare-tag compare-tag-before">元の画像</span>
+              <span class="compare-tag compare-tag-after">生成画像</span>
+            </div>
           </div>
-        </div>
-        
-        <!-- 生成画像 -->
-        <div class="result-image-section">
-          <h3 class="result-label">生成された画像</h3>
-          <div class="result-image-container">
-            <img src="" alt="生成画像" class="result-image" id="generatedImage">
+          <div class="compare-controls">
+            <label class="compare-outline-toggle" id="maskOutlineControl" hidden>
+              <input type="checkbox" id="maskOutlineToggle" checked>
+              変えた場所を線で表示
+            </label>
+            <button type="button" class="compare-reset" id="compareResetButton">もとの大きさ</button>
           </div>
+          <p class="compare-hint">線を左右に動かしてくらべてね（タップで切り替え・2本指で拡大）</p>
+          
+          <!-- 候補画像（2枚以上の場合のみ表示、タップで選択） -->
+          <div class="candidate-strip" id="candidateStrip" hidden></div>
         </div>
         
         <!-- ボタンエリア -->
@@ -248,7 +405,9 @@ app.get('/result', (c) => {
       </main>
     </div>
     
+    <script src="/static/components/mask-editor.js"></script>
     <script src="/static/pages/result.js"></script>
+    ${kioskScript(c.env)}
     ${htmlFoot}
   `)
 })
@@ -257,6 +416,7 @@ app.get('/result', (c) => {
  * 設定内容確認画面
  * - 生成した画像表示
  * - 名前（ニックネーム）入力
+ * - ひかえのメールの宛先入力（PARTICIPANT_EMAIL=true の場合のみ）
  * - 生成時の設定内容表示
  * - 画像保存ボタン
  * - 設定データ保存＆次へボタン
@@ -278,6 +438,15 @@ app.get('/confirm', (c) => {
           </div>
         </div>
         
+        <!-- 変更した範囲（マスクがある生成タイプのみ表示） -->
+        <div class="confirm-image-section" id="maskSection" hidden>
+          <h3 class="confirm-label">変えた場所</h3>
+          <div class="confirm-image-container mask-preview">
+            <img src="" alt="元画像" class="confirm-image" id="maskBaseImage">
+            <canvas class="mask-canvas" id="maskCanvas"></canvas>
+          </div>
+        </div>
+        
         <!-- 名前入力 -->
         <div class="form-group">
           <label for="nickname" class="form-label">名前（ニックネーム）（20文字以内）</label>
@@ -290,11 +459,30 @@ app.get('/confirm', (c) => {
           >
           <div class="char-count"><span id="nicknameCharCount">0</span> / 20</div>
         </div>
+        ${participantEmailEnabled(c.env) ? `
+        <!-- ひかえのメールの宛先（任意） -->
+        <div class="form-group">
+          <label for="participantEmail" class="form-label">メールアドレス（任意・作品のひかえを送ります）</label>
+          <input 
+            type="email" 
+            id="participantEmail" 
+            class="form-input" 
+            maxlength="254" 
+            autocomplete="email"
+            placeholder="例：yume@example.com"
+          >
+        </div>
+        ` : ''}
         
         <!-- 設定内容表示 -->
         <div class="confirm-settings">
           <h3 class="confirm-settings-title">生成時の設定内容</h3>
           
+          <div class="confirm-setting-item">
+            <span class="confirm-setting-label">場所：</span>
+            <span class="confirm-setting-value" id="confirmScene">-</span>
+          </div>
+          
           <div class="confirm-setting-item">
             <span class="confirm-setting-label">生成タイプ：</span>
             <span class="confirm-setting-value" id="confirmImageMode">-</span>
@@ -318,9 +506,11 @@ app.get('/confirm', (c) => {
         
         <!-- ボタンエリア -->
         <div class="confirm-buttons">
+          ${kioskEnabled(c.env) ? '' : `
           <button class="save-image-button" id="saveImageButton">
             画像保存
           </button>
+          `}
           <button class="save-and-next-button" id="saveAndNextButton">
             設定データ保存＆次へ
           </button>
@@ -336,14 +526,17 @@ app.get('/confirm', (c) => {
       </div>
     </div>
     
+    <script src="/static/components/mask-editor.js"></script>
     <script src="/static/pages/confirm.js"></script>
+    ${kioskScript(c.env)}
     ${htmlFoot}
   `)
 })
 
 /**
- * 完了画面（仮）
- * - 次の画面が指示されるまでの仮画面
+ * 完了画面
+ * - 送信完了メッセージ
+ * - 作品の共有ページ（/share/:id）のQRコード（スマートフォンで読み取って持ち帰る）
  */
 app.get('/complete', (c) => {
   return c.html(`
@@ -362,19 +555,23 @@ app.get('/complete', (c) => {
           ご参加ありがとうございます！
         </p>
         
+        <!-- 共有ページのQRコード（投稿IDがある場合のみ表示） -->
+        <div class="share-qr" id="shareQr" hidden>
+          <p class="share-qr-text">スマートフォンで読み取ると、<br>作品を持ち帰れます</p>
+          <img src="" alt="作品ページのQRコード" class="share-qr-image" id="shareQrImage">
+          ${kioskEnabled(c.env) ? '' : `
+          <a href="" class="share-qr-link" id="shareLink" target="_blank" rel="noopener">作品ページを開く</a>
+          `}
+        </div>
+        
         <button class="complete-button" id="homeButton">
           トップに戻る
         </button>
       </main>
     </div>
     
-    <script>
-      document.getElementById('homeButton').addEventListener('click', () => {
-        // セッションストレージをクリア
-        sessionStorage.clear();
-        window.location.href = '/';
-      });
-    </script>
+    <script src="/static/pages/complete.js"></script>
+    ${kioskScript(c.env)}
     ${htmlFoot}
   `)
 })
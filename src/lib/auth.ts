@@ -0,0 +1,31 @@
+/**
+ * 運営者向け画面の認証
+ * 管理画面（src/pages/admin.ts）とプロジェクターの壁（/wall、src/api/wall.ts）で共有する
+ *
+ * Basic認証で保護する（ADMIN_USERNAME / ADMIN_PASSWORD）
+ * ADMIN_PASSWORD が未設定の場合は運営者向け画面自体を無効にする
+ */
+import { basicAuth } from 'hono/basic-auth'
+import { createMiddleware } from 'hono/factory'
+
+// 環境変数の型定義
+export type AdminBindings = {
+  ADMIN_USERNAME?: string
+  ADMIN_PASSWORD?: string
+}
+
+/**
+ * Basic認証ミドルウェア（パスワード未設定時は503）
+ */
+export const adminAuth = createMiddleware<{ Bindings: AdminBindings }>(async (c, next) => {
+  const password = c.env.ADMIN_PASSWORD
+  if (!password) {
+    return c.text('管理画面は無効です（ADMIN_PASSWORD が設定されていません）', 503)
+  }
+  const auth = basicAuth({
+    username: c.env.ADMIN_USERNAME || 'admin',
+    password: password,
+    realm: 'yumemachi-canvas admin'
+  })
+  return auth(c, next)
+})
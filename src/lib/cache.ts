@@ -0,0 +1,134 @@
+/**
+ * 生成結果・自動プロンプトのキャッシュ
+ * デモでは同じ選択内容（例: 噴水＋「ワクワクするもの」）で何度も生成するため、
+ * 正規化した入力のハッシュをキーにして、有料APIの結果を一定時間使い回す
+ *
+ * - 自動プロンプト: 同じ自由文・会場・テンプレートなら常にキャッシュを使う（既定の変換は保存しない）
+ * - 生成画像: 結果は常に保存し、再利用が有効な場合（リクエストの reuse、
+ *   省略時は環境変数 CACHE_REUSE_IMAGES=true）だけキャッシュから返す
+ *
+ * キャッシュはKV（JOBS、未設定時はメモリ）に保存し、CACHE_TTL_SECONDS（既定24時間、0で無効）で期限切れになる
+ * 応答の cache に、キャッシュを使ったか（hit / miss、対象外はnull）を返す
+ */
+import { kvStore } from './kv'
+import { normalizeText } from './moderation'
+
+// 環境変数の型定義
+export type CacheBindings = {
+  JOBS?: KVNamespace
+  CACHE_TTL_SECONDS?: string
+  CACHE_REUSE_IMAGES?: string
+}
+
+// キャッシュの種類
+// - translate: 自動プロンプト
+// - inpaint: Inpaintingの生成画像（/api/generate）
+// - creative: 画像編集の生成画像（/api/creative）
+export type CacheKind = 'translate' | 'inpaint' | 'creative'
+
+// 応答に含めるキャッシュの利用状況（hit: キャッシュを使った、miss: 使えなかった、null: 対象外）
+export type CacheStatus = 'hit' | 'miss' | null
+
+export interface CacheInfo {
+  translation: CacheStatus
+  images: CacheStatus
+}
+
+// キャッシュの既定の保持期間（24時間）
+export const DEFAULT_CACHE_TTL_SECONDS = 60 * 60 * 24
+
+/**
+ * キャッシュの保持期間（秒、0ならキャッシュしない）
+ * @param env - 環境変数
+ */
+export function cacheTtlSeconds(env: CacheBindings): number {
+  const ttl = Number.parseInt(env.CACHE_TTL_SECONDS || '', 10)
+  return Number.isNaN(ttl) ? DEFAULT_CACHE_TTL_SECONDS : Math.max(0, ttl)
+}
+
+/**
+ * 生成画像をキャッシュから返すかどうか
+ * @param env - 環境変数
+ * @param requested - リクエストの reuse（省略時は CACHE_REUSE_IMAGES）
+ */
+export function shouldReuseImages(env: CacheBindings, requested: boolean | undefined): boolean {
+  return cacheTtlSeconds(env) > 0 && (requested ?? env.CACHE_REUSE_IMAGES === 'true')
+}
+
+/**
+ * 文字列・バイト列のSHA-256（16進数）
+ * @param input - 入力
+ */
+export async function sha256Hex(input: string | Uint8Array): Promise<string> {
+  const hash = await crypto.subtle.digest('SHA-256', typeof input === 'string' ? new TextEncoder().encode(input) : input)
+  return Array.from(new Uint8Array(hash), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * キャッシュのキー用に入力を正規化する
+ * 文字列は全角・半角、大文字・小文字、空白の違いを無視し、オブジェクトはキーの順に並べる
+ * @param value - 入力
+ */
+function normalizeForKey(value: unknown): unknown {
+  if (typeof value === 'string') {
+    return normalizeText(value)
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeForKey)
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, item]) => [key, normalizeForKey(item)])
+    )
+  }
+  return value ?? null
+}
+
+/**
+ * 正規化した入力からキャッシュのキーを作る
+ * @param kind - キャッシュの種類
+ * @param parts - キーに含める入力（選択内容・テンプレートの版・パラメータなど）
+ * @returns 例: inpaint:3f2a…
+ */
+export async function cacheKey(kind: CacheKind, parts: Record<string, unknown>): Promise<string> {
+  return `${kind}:${await sha256Hex(JSON.stringify(normalizeForKey(parts)))}`
+}
+
+/**
+ * キャッシュを読む（無効・期限切れ・読み込みエラーの場合はnull）
+ * @param env - 環境変数
+ * @param key - キャッシュのキー
+ */
+export async function readCache<T>(env: CacheBindings, key: string): Promise<T | null> {
+  if (cacheTtlSeconds(env) === 0) {
+    return null
+  }
+  try {
+    return await kvStore(env.JOBS, 'cache').get<T>(key)
+  } catch (error) {
+    console.error('キャッシュの読み込みエラー:', key, error)
+    return null
+  }
+}
+
+/**
+ * キャッシュに保存する（無効の場合は保存しない、保存の失敗は応答を止めないようログのみ）
+ * @param env - 環境変数
+ * @param key - キャッシュのキー
+ * @param value - 保存する値（JSONにできる値）
+ */
+export async function writeCache(env: CacheBindings, key: string, value: unknown): Promise<void> {
+  const ttl = cacheTtlSeconds(env)
+  if (ttl === 0) {
+    return
+  }
+  try {
+    await kvStore(env.JOBS, 'cache').put(key, value, { expirationTtl: ttl })
+    console.log('キャッシュ保存:', key)
+  } catch (error) {
+    console.error('キャッシュの保存エラー:', key, error)
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * メール通知
+ * 投稿の保存後に、設定内容と生成画像を運営者へメールで通知する
+ * 投稿データの正本は D1 の submissions テーブルで、メールは任意の通知
+ * 送信は送信キュー（src/lib/outbox.ts）から1通ずつ行い、失敗したものは再送する
+ *
+ * - 宛先・差出人・件名は環境変数で設定する（EMAIL_TO はカンマ・改行区切り、未設定なら送信しない）
+ * - 本文はHTML（生成画像を設定内容の表の横にインラインで表示）とテキストの両方を送る
+ * - 生成画像はR2に保存した画像（/images/:id）を、実際の形式（JPEG / PNG / WebP / SVG）の添付ファイルにする
+ *   （R2の導入前の投稿は、保存されたURL・Data URIから取得する）
+ * - PARTICIPANT_EMAIL=true の場合は、参加者が入力したアドレスにひかえのメールを送る
+ *   （アドレスは投稿には保存せず、送信キューにも送信が終わるまでしか残さない）
+ */
+import { buildingLabel, sceneName, type Submission } from './submissions'
+import { IMAGE_MODE_LABELS } from './prompts'
+import { encodeBase64 } from './masks'
+import { detectImageType } from './png'
+import { escapeHtml } from '../pages/layout'
+import { getProviders, type MailAttachment, type ProviderBindings } from './providers'
+import { imageIdFromUrl, loadImageBytes, type ImageBindings } from './images'
+
+// 環境変数の型定義（送信はメールプロバイダー、本番は Resend）
+export type EmailBindings = ProviderBindings & ImageBindings & {
+  EMAIL_TO?: string
+  EMAIL_FROM?: string
+  EMAIL_SUBJECT?: string
+  PARTICIPANT_EMAIL?: string
+  PARTICIPANT_EMAIL_SUBJECT?: string
+}
+
+// 通知の種類（staff: 運営者への通知、participant: 参加者へのひかえ）
+export type NotificationKind = 'staff' | 'participant'
+
+// 通知結果
+// - sent: 送信成功
+// - skipped: メールプロバイダー未設定（APIキーなし）・宛先未設定のため送信せず（ログのみ）
+// - failed: 送信失敗
+export interface NotificationResult {
+  status: 'sent' | 'skipped' | 'failed'
+  error?: string
+}
+
+// 差出人・件名の既定値
+export const EMAIL_DEFAULTS = {
+  from: 'Yumecan <onboarding@resend.dev>',
+  subject: '<Yumecan> ゆめきゃん画像生成',
+  participantSubject: 'ゆめまち☆キャンバス 作品のひかえ'
+}
+
+// HTML本文から参照する生成画像のID
+const IMAGE_CONTENT_ID = 'submission-image'
+
+// 画像形式ごとの拡張子
+const IMAGE_EXTENSIONS: Record<string, string> = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+}
+
+/**
+ * 運営者への通知の宛先（EMAIL_TO、カンマ・改行区切り）
+ * @param env - 環境変数
+ */
+export function emailRecipients(env: EmailBindings): string[] {
+  return (env.EMAIL_TO || '').split(/[,\n]/)
+    .map((address) => address.trim())
+    .filter((address) => address.length > 0)
+}
+
+/**
+ * 参加者へのひかえのメールを送るかどうか
+ * @param env - 環境変数
+ */
+export function participantEmailEnabled(env: EmailBindings): boolean {
+  return env.PARTICIPANT_EMAIL === 'true'
+}
+
+/**
+ * 添付ファイル名（タイムスタンプ付き、拡張子は画像形式に合わせる）
+ * @param contentType - 画像形式
+ */
+function attachmentFilename(contentType: string): string {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)
+  return `yumemachi_canvas_${timestamp}.${IMAGE_EXTENSIONS[contentType] || 'bin'}`
+}
+
+/**
+ * 生成画像を添付ファイルにする
+ * アプリの画像（/images/:id）はR2から読み、Data URI はそのまま使い、URLは取得してBase64に変換する
+ * 形式は中身から判定し、判定できない場合は宣言された形式（保存時の形式 / Content-Type / Data URI）を使う
+ * @param env - 環境変数
+ * @param imageUrl - 画像のURL（Data URIも可）
+ * @returns 添付ファイル（取得できない場合はnull）
+ */
+export async function loadImageAttachment(env: ImageBindings, imageUrl: string): Promise<MailAttachment | null> {
+  try {
+    const imageId = imageIdFromUrl(imageUrl)
+    if (imageId) {
+      const image = await loadImageBytes(env, imageId)
+      if (!image) {
+        console.error('保存した画像が見つかりません:', imageId)
+        return null
+      }
+      const contentType = detectImageType(image.bytes) || image.contentType
+      console.log('画像（R2）:', imageId, contentType, 'サイズ:', image.bytes.byteLength, 'bytes')
+      return { filename: attachmentFilename(contentType), content: encodeBase64(image.bytes), contentType, contentId: IMAGE_CONTENT_ID }
+    }
+
+    const dataUri = imageUrl.match(/^data:([\w/+.-]+);base64,/)
+    if (dataUri) {
+      const content = imageUrl.slice(dataUri[0].length)
+      const head = Uint8Array.from(atob(content.slice(0, 24)), (char) => char.charCodeAt(0))
+      const contentType = detectImageType(head) || dataUri[1]
+      console.log('画像（Data URI）:', contentType, 'サイズ:', Math.floor(content.length * 3 / 4), 'bytes')
+      return { filename: attachmentFilename(contentType), content, contentType, contentId: IMAGE_CONTENT_ID }
+    }
+
+    console.log('画像取得開始:', imageUrl)
+    const response = await fetch(imageUrl)
+    if (!response.ok) {
+      console.error('画像取得エラー:', response.status)
+      return null
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer())
+    const declared = (response.headers.get('Content-Type') || '').split(';')[0].trim()
+    const contentType = detectImageType(bytes) || (declared.startsWith('image/') ? declared : 'application/octet-stream')
+    const filename = attachmentFilename(contentType)
+    console.log('画像取得完了:', filename, contentType, 'サイズ:', bytes.byteLength, 'bytes')
+
+    return { filename, content: encodeBase64(bytes), contentType, contentId: IMAGE_CONTENT_ID }
+  } catch (error) {
+    console.error('画像取得エラー:', error)
+    return null
+  }
+}
+
+/**
+ * メールに載せる設定内容（項目名と値）
+ * @param submission - 投稿レコード
+ * @param includeId - 投稿IDを含めるか（運営者向け）
+ */
+function settingRows(submission: Submission, includeId: boolean): Array<[string, string]> {
+  const rows: Array<[string, string]> = [
+    ['名前', submission.nickname || '（未入力）'],
+    ['会場', sceneName(submission)],
+    ['生成タイプ', IMAGE_MODE_LABELS[submission.imageMode] || submission.imageMode],
+    ['建物', buildingLabel(submission)],
+    ['自由文', submission.freeText || '（未入力）'],
+    ['自動プロンプト', submission.autoPrompt ? '使用' : '未使用']
+  ]
+  // ワークショップのセッションから入った投稿は、どの回のものかを先頭に載せる
+  const session = submission.generationData.session
+  if (session) {
+    rows.unshift(['ワークショップ', session.name])
+  }
+  return includeId ? [['投稿ID', submission.id], ...rows] : rows
+}
+
+/**
+ * テキスト本文を作成
+ * @param rows - 設定内容
+ * @param intro - 冒頭の文（任意）
+ */
+function buildText(rows: Array<[string, string]>, intro?: string): string {
+  const lines = rows.map(([label, value]) => `${label}：${value}`).join('\n')
+  return intro ? `${intro}\n\n${lines}` : lines
+}
+
+/**
+ * HTML本文を作成（メールソフトで崩れないよう、表組みとインラインのスタイルで組む）
+ * 画像がある場合は左に生成画像、右に設定内容の表を並べる（幅が狭い画面では縦に並ぶ）
+ * @param rows - 設定内容
+ * @param options - 見出し・冒頭の文・画像を表示するか
+ */
+export function buildEmailHtml(
+  rows: Array<[string, string]>,
+  options: { heading: string; intro?: string; hasImage: boolean }
+): string {
+  const settings = rows.map(([label, value]) => `
+          <tr>
+            <th style="padding:6px 12px 6px 0;text-align:left;vertical-align:top;white-space:nowrap;color:#666;font-weight:normal;">${escapeHtml(label)}</th>
+            <td style="padding:6px 0;vertical-align:top;color:#333;">${escapeHtml(value)}</td>
+          </tr>`).join('')
+
+  const image = options.hasImage
+    ? `<img src="cid:${IMAGE_CONTENT_ID}" alt="生成画像" width="360" style="display:block;width:100%;max-width:360px;height:auto;border-radius:8px;">`
+    : '<p style="color:#888;">（画像なし）</p>'
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head><meta charset="UTF-8"><title>${escapeHtml(options.heading)}</title></head>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:sans-serif;">
+  <table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;max-width:760px;margin:0 auto;background:#fff;border-radius:12px;">
+    <tr>
+      <td colspan="2" style="padding:24px 24px 8px;">
+        <h1 style="margin:0;font-size:20px;color:#333;">${escapeHtml(options.heading)}</h1>
+        ${options.intro ? `<p style="margin:12px 0 0;color:#555;">${escapeHtml(options.intro)}</p>` : ''}
+      </td>
+    </tr>
+    <tr>
+      <td style="padding:16px 24px 24px;vertical-align:top;width:360px;">
+        ${image}
+      </td>
+      <td style="padding:16px 24px 24px 0;vertical-align:top;">
+        <table role="presentation" cellpadding="0" cellspacing="0" style="font-size:14px;">${settings}
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`
+}
+
+/**
+ * メールを送信する（プロバイダー・宛先がない場合はログのみ）
+ * @param env - 環境変数
+ * @param message - 宛先・件名・本文・添付ファイル
+ * @returns 通知結果
+ */
+async function deliver(
+  env: EmailBindings,
+  message: { to: string[]; subject: string; text: string; html: string; attachment: MailAttachment | null }
+): Promise<NotificationResult> {
+  try {
+    // メールプロバイダーの確認（Resend APIキー未設定の場合はnull）
+    const mail = getProviders(env).mail
+    if (!mail || message.to.length === 0) {
+      // APIキー・宛先がない場合はログのみ出力（投稿自体はDBに保存済み）
+      console.log('=== メール送信（ログのみ） ===')
+      console.log('宛先:', message.to.join(', ') || '（未設定）')
+      console.log('件名:', message.subject)
+      console.log('============================')
+      return { status: 'skipped' }
+    }
+
+    await mail.send({
+      from: env.EMAIL_FROM || EMAIL_DEFAULTS.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachment ? [message.attachment] : undefined
+    })
+    return { status: 'sent' }
+
+  } catch (error) {
+    console.error('メール送信エラー:', error)
+
+    let errorMessage = '不明なエラー'
+    if (error instanceof Error) {
+      errorMessage = error.message
+    }
+
+    return { status: 'failed', error: errorMessage }
+  }
+}
+
+/**
+ * 投稿の通知メールを1通送る（送信キューから呼び出す、src/lib/outbox.ts）
+ * @param env - 環境変数（PROVIDER / RESEND_API_KEY / EMAIL_*）
+ * @param kind - staff: 運営者への通知、participant: 参加者へのひかえ
+ * @param submission - 保存済みの投稿レコード
+ * @param to - 宛先
+ * @param attachment - 生成画像の添付ファイル（ない場合は添付なしで送る）
+ * @returns 通知結果
+ */
+export async function sendNotificationEmail(
+  env: EmailBindings,
+  kind: NotificationKind,
+  submission: Submission,
+  to: string[],
+  attachment: MailAttachment | null
+): Promise<NotificationResult> {
+  console.log('=== メール送信 ===')
+  console.log('投稿ID:', submission.id, '種類:', kind)
+  console.log('添付ファイル:', attachment ? attachment.filename : '無し')
+
+  if (kind === 'participant') {
+    // 参加者へのひかえ
+    const intro = 'ゆめまち☆キャンバスに参加してくれてありがとう！あなたがつくった「ゆめのまち」です。'
+    const rows = settingRows(submission, false)
+    return await deliver(env, {
+      to,
+      subject: env.PARTICIPANT_EMAIL_SUBJECT || EMAIL_DEFAULTS.participantSubject,
+      text: buildText(rows, intro),
+      html: buildEmailHtml(rows, { heading: 'あなたの作品', intro, hasImage: attachment !== null }),
+      attachment
+    })
+  }
+
+  // 運営者への通知
+  const rows = settingRows(submission, true)
+  const emailBody = buildText(rows)
+  console.log('=== メール本文 ===')
+  console.log(emailBody)
+
+  return await deliver(env, {
+    to,
+    subject: env.EMAIL_SUBJECT || EMAIL_DEFAULTS.subject,
+    text: emailBody,
+    html: buildEmailHtml(rows, { heading: '新しい投稿がありました', hasImage: attachment !== null }),
+    attachment
+  })
+}
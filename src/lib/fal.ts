@@ -0,0 +1,32 @@
+/**
+ * fal.ai クライアント共通処理
+ * 画像生成APIとジョブ状況APIの両方から利用する
+ */
+import { fal } from '@fal-ai/client'
+import { decodeBase64Image } from './masks'
+
+// Inpaintingに使用するモデル（キューAPIのエンドポイントID）
+export const INPAINTING_MODEL = 'fal-ai/flux-general/inpainting'
+
+/**
+ * fal.aiクライアントに認証情報を設定
+ * @param falKey - fal.ai APIキー
+ */
+export function configureFal(falKey: string) {
+  fal.config({
+    credentials: falKey
+  })
+}
+
+/**
+ * Base64データをBlobに変換してfal.aiにアップロード
+ * @param base64Data - Base64エンコードされた画像データ
+ * @param mimeType - MIMEタイプ
+ * @returns アップロードされた画像のURL
+ */
+export async function uploadBase64Image(base64Data: string, mimeType: string): Promise<string> {
+  const blob = new Blob([decodeBase64Image(base64Data)], { type: mimeType })
+  return await fal.storage.upload(blob)
+}
+
+export { fal }
@@ -0,0 +1,180 @@
+/**
+ * 生成画像の保存先（Cloudflare R2）
+ * プロバイダーの画像URL（fal.ai のCDNは期限切れになる）や大きなData URIを、生成した時点でR2にコピーし、
+ * アプリのURL（/images/:id）で配信する
+ * 投稿・共有・メールはこのURLだけを参照するため、ワークショップの後でも画像が消えない
+ *
+ * - IDは画像のSHA-256（同じ画像は同じIDになり、内容が変わらないため長期間キャッシュできる）
+ * - バインディング（IMAGES）が未設定の場合はメモリ上で代替する（同一isolate内でのみ有効）
+ *   npm run dev / wrangler pages dev では wrangler.jsonc の設定でローカルのR2が使われる
+ */
+import { decodeBase64Image } from './masks'
+import { detectImageType } from './png'
+import { sha256Hex } from './cache'
+
+// 環境変数の型定義
+export type ImageBindings = {
+  IMAGES?: R2Bucket
+}
+
+// 保存した画像
+export interface StoredImage {
+  body: ReadableStream | Uint8Array<ArrayBuffer>
+  contentType: string
+  size: number
+}
+
+// 保存できる画像形式（プロバイダーの結果はJPEG / PNG / WebP、モックはSVG）
+export const STORED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/svg+xml'] as const
+
+// 画像IDの形式（SHA-256の16進数）と、配信URLの形式
+const IMAGE_ID_PATTERN = /^[0-9a-f]{64}$/
+const IMAGE_URL_PATTERN = /^\/images\/([0-9a-f]{64})$/
+
+// R2のキーの接頭辞
+const KEY_PREFIX = 'generated/'
+
+// バインディングがない場合のメモリ上の保存先（isolate内で共有）
+const memoryImages = new Map<string, { bytes: Uint8Array; contentType: string }>()
+
+/**
+ * 画像IDから配信URLを作る
+ * @param id - 画像ID
+ */
+export function imageUrlFor(id: string): string {
+  return `/images/${id}`
+}
+
+/**
+ * 配信URLから画像IDを取り出す
+ * @param url - 画像のURL
+ * @returns 画像ID（アプリの画像URLでない場合はnull）
+ */
+export function imageIdFromUrl(url: string): string | null {
+  return url.match(IMAGE_URL_PATTERN)?.[1] ?? null
+}
+
+/**
+ * 画像IDの形式か
+ * @param id - 画像ID
+ */
+export function isImageId(id: string): boolean {
+  return IMAGE_ID_PATTERN.test(id)
+}
+
+/**
+ * 画像のURL・Data URIからバイト列と形式を取得
+ * 形式は中身から判定し、判定できない場合（SVG）は宣言された形式を使う
+ * @param source - 画像のURL（Data URIも可）
+ */
+async function readSource(source: string): Promise<{ bytes: Uint8Array; contentType: string }> {
+  let bytes: Uint8Array
+  let declared: string
+  const dataUri = source.match(/^data:([\w/+.-]+);base64,/)
+  if (dataUri) {
+    bytes = decodeBase64Image(source.slice(dataUri[0].length))
+    declared = dataUri[1]
+  } else {
+    const response = await fetch(source)
+    if (!response.ok) {
+      throw new Error(`生成画像の取得に失敗しました: ${response.status}`)
+    }
+    bytes = new Uint8Array(await response.arrayBuffer())
+    declared = (response.headers.get('Content-Type') || '').split(';')[0].trim()
+  }
+
+  const contentType = detectImageType(bytes) || declared
+  if (!(STORED_IMAGE_TYPES as readonly string[]).includes(contentType)) {
+    throw new Error(`保存できない画像形式です: ${contentType || '不明'}`)
+  }
+  return { bytes, contentType }
+}
+
+/**
+ * 生成画像をR2に保存する（保存済みの同じ画像は上書きしない）
+ * @param env - 環境変数
+ * @param source - プロバイダーの画像URL、またはData URI（アプリの画像URLはそのまま返す）
+ * @returns アプリの画像URL（/images/:id）
+ */
+export async function storeImage(env: ImageBindings, source: string): Promise<string> {
+  if (imageIdFromUrl(source)) {
+    return source
+  }
+
+  const { bytes, contentType } = await readSource(source)
+  const id = await sha256Hex(bytes)
+
+  if (!env.IMAGES) {
+    memoryImages.set(id, { bytes, contentType })
+  } else if (!await env.IMAGES.head(`${KEY_PREFIX}${id}`)) {
+    await env.IMAGES.put(`${KEY_PREFIX}${id}`, bytes, { httpMetadata: { contentType } })
+  }
+
+  console.log('生成画像を保存:', id, contentType, bytes.byteLength, 'bytes')
+  return imageUrlFor(id)
+}
+
+/**
+ * 複数の生成画像を保存する（順番は保つ）
+ * @param env - 環境変数
+ * @param sources - 画像URL・Data URIの一覧
+ * @returns アプリの画像URLの一覧
+ */
+export async function storeImages(env: ImageBindings, sources: string[]): Promise<string[]> {
+  return await Promise.all(sources.map((source) => storeImage(env, source)))
+}
+
+/**
+ * 保存した画像を取得
+ * @param env - 環境変数
+ * @param id - 画像ID
+ * @returns 画像（存在しない場合はnull）
+ */
+export async function loadImage(env: ImageBindings, id: string): Promise<StoredImage | null> {
+  if (!isImageId(id)) {
+    return null
+  }
+  if (!env.IMAGES) {
+    const image = memoryImages.get(id)
+    return image ? { body: image.bytes.slice(), contentType: image.contentType, size: image.bytes.byteLength } : null
+  }
+
+  const object = await env.IMAGES.get(`${KEY_PREFIX}${id}`)
+  if (!object) {
+    return null
+  }
+  return {
+    body: object.body,
+    contentType: object.httpMetadata?.contentType || 'application/octet-stream',
+    size: object.size
+  }
+}
+
+/**
+ * 保存した画像があるか
+ * @param env - 環境変数
+ * @param id - 画像ID
+ */
+export async function imageExists(env: ImageBindings, id: string): Promise<boolean> {
+  if (!isImageId(id)) {
+    return false
+  }
+  if (!env.IMAGES) {
+    return memoryImages.has(id)
+  }
+  return await env.IMAGES.head(`${KEY_PREFIX}${id}`) !== null
+}
+
+/**
+ * 保存した画像をバイト列で取得（メールの添付に使う）
+ * @param env - 環境変数
+ * @param id - 画像ID
+ */
+export async function loadImageBytes(env: ImageBindings, id: string): Promise<{ bytes: Uint8Array; contentType: string } | null> {
+  const image = await loadImage(env, id)
+  if (!image) {
+    return null
+  }
+  const bytes = image.body instanceof Uint8Array ? image.body : new Uint8Array(await new Response(image.body).arrayBuffer())
+  return { bytes, contentType: image.contentType }
+}
@@ -0,0 +1,230 @@
+/**
+ * 画像生成ジョブ管理
+ * Inpaintingプロバイダー（本番は fal.ai）のキューに投入したリクエストをジョブIDで追跡する
+ *
+ * ジョブはKV（JOBSバインディング）に保存し、未設定時はメモリで代替する
+ * ブラウザの再読み込みや通信断があっても、ジョブIDから結果を取り戻せる
+ */
+import { kvStore } from './kv'
+
+// ジョブの状態
+// - queued: キュー待ち
+// - running: 生成中
+// - done: 完了（imageUrls あり、imageUrl は1枚目）
+// - failed: 失敗（errorあり、原因によっては errorCode あり）
+export type JobStatus = 'queued' | 'running' | 'done' | 'failed'
+
+// 失敗の原因を画面で見分けるためのコード
+// - nsfw_flagged: すべての候補画像が安全フィルターで不適切と判定された（リトライ後も）
+export type JobErrorCode = 'nsfw_flagged'
+
+// 安全フィルターで止められた場合に参加者に表示するメッセージ
+export const NSFW_MESSAGE = 'うまく絵がつくれなかったよ。別の内容で試してみてね'
+
+// 生成パラメータ（strength・steps・guidance・referenceStrength は Inpainting のみ）
+export interface JobParams {
+  strength?: number
+  steps?: number
+  guidance?: number
+  // 候補画像の枚数
+  numImages: number
+  // 参考画像の強さ（参考画像なしの場合はnull）
+  referenceStrength?: number | null
+}
+
+// ジョブレコード
+export interface GenerationJob {
+  id: string
+  status: JobStatus
+  model: string
+  requestId: string
+  position: number | null
+  imageUrl: string | null
+  imageUrls: string[]
+  error: string | null
+  errorCode?: JobErrorCode | null
+  prompt: string
+  negativePrompt: string
+  templateVersion: string
+  // 使用した参考画像のパス（参考画像なしの場合はnull）
+  referenceImageUrl: string | null
+  params: JobParams
+  // 同じ入力で再投入するための情報（プロバイダーの submit の戻り値）
+  retryInput?: Record<string, unknown> | null
+  // 安全フィルターで不適切と判定された画像の累計枚数と、そのための再投入の回数
+  nsfwFlagged?: number
+  nsfwRetries?: number
+  // 再投入中の問い合わせの確保（同時に届いた問い合わせが二重に再投入しないように使う、再投入していない場合はnull）
+  retryClaim?: { id: string; claimedAt: string } | null
+  // 生成結果を保存するキャッシュのキー（src/lib/cache.ts、キャッシュしない場合はnull）
+  cacheKey?: string | null
+  // キャッシュの結果から作成したジョブはtrue
+  cached?: boolean
+  createdAt: string
+  updatedAt: string
+}
+
+// キャッシュに保存する生成結果（同じ入力の生成で再利用する）
+export type CachedJobResult = Pick<GenerationJob, 'model' | 'prompt' | 'negativePrompt' | 'templateVersion' | 'referenceImageUrl' | 'params' | 'imageUrls'>
+
+// ジョブIDの形式（UUID、KVのキーに使うため文字種と長さを制限する）
+export const JOB_ID_PATTERN = /^[\w-]{1,64}$/
+
+// ジョブの保持期間（24時間）
+const JOB_TTL_SECONDS = 60 * 60 * 24
+
+/**
+ * ジョブストアを取得
+ * @param binding - JOBS KVバインディング
+ */
+function jobStore(binding: KVNamespace | undefined) {
+  return kvStore(binding, 'jobs')
+}
+
+/**
+ * 新しいジョブを作成して保存
+ * @param binding - JOBS KVバインディング
+ * @param input - ジョブ作成に必要な情報
+ * @returns 作成したジョブ
+ */
+export async function createJob(
+  binding: KVNamespace | undefined,
+  input: Pick<GenerationJob, 'model' | 'requestId' | 'position' | 'prompt' | 'negativePrompt' | 'templateVersion' | 'referenceImageUrl' | 'params' | 'retryInput'> & { cacheKey?: string | null }
+): Promise<GenerationJob> {
+  const now = new Date().toISOString()
+  const job: GenerationJob = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    model: input.model,
+    requestId: input.requestId,
+    position: input.position,
+    imageUrl: null,
+    imageUrls: [],
+    error: null,
+    errorCode: null,
+    prompt: input.prompt,
+    negativePrompt: input.negativePrompt,
+    templateVersion: input.templateVersion,
+    referenceImageUrl: input.referenceImageUrl,
+    params: input.params,
+    retryInput: input.retryInput,
+    nsfwFlagged: 0,
+    nsfwRetries: 0,
+    cacheKey: input.cacheKey ?? null,
+    cached: false,
+    createdAt: now,
+    updatedAt: now
+  }
+  await saveJob(binding, job)
+  return job
+}
+
+/**
+ * 生成結果から完了済みのジョブを作成して保存
+ * その場で生成を終えた場合（画像編集）も、投稿の保存時にジョブIDからサーバーで組み立てた生成内容を確認できる
+ * @param binding - JOBS KVバインディング
+ * @param result - 生成結果
+ * @param cached - キャッシュの生成結果を使った場合はtrue
+ * @returns 作成したジョブ
+ */
+export async function createCompletedJob(binding: KVNamespace | undefined, result: CachedJobResult, cached = false): Promise<GenerationJob> {
+  const now = new Date().toISOString()
+  const job: GenerationJob = {
+    ...toCachedResult(result),
+    id: crypto.randomUUID(),
+    status: 'done',
+    requestId: cached ? 'cache' : 'sync',
+    position: null,
+    imageUrl: result.imageUrls[0] ?? null,
+    error: null,
+    errorCode: null,
+    retryInput: null,
+    cacheKey: null,
+    cached,
+    createdAt: now,
+    updatedAt: now
+  }
+  await saveJob(binding, job)
+  return job
+}
+
+/**
+ * キャッシュの生成結果から完了済みのジョブを作成して保存
+ * プロバイダーには投入しないため、クライアントは通常のジョブと同じ手順ですぐに結果を取得できる
+ * @param binding - JOBS KVバインディング
+ * @param cached - キャッシュの生成結果
+ * @returns 作成したジョブ
+ */
+export async function createCachedJob(binding: KVNamespace | undefined, cached: CachedJobResult): Promise<GenerationJob> {
+  return await createCompletedJob(binding, cached, true)
+}
+
+/**
+ * キャッシュに保存する生成結果を取り出す
+ * @param job - 完了したジョブ（またはキャッシュの生成結果）
+ */
+export function toCachedResult(job: CachedJobResult): CachedJobResult {
+  return {
+    model: job.model,
+    prompt: job.prompt,
+    negativePrompt: job.negativePrompt,
+    templateVersion: job.templateVersion,
+    referenceImageUrl: job.referenceImageUrl,
+    params: job.params,
+    imageUrls: job.imageUrls
+  }
+}
+
+/**
+ * ジョブを取得
+ * @param binding - JOBS KVバインディング
+ * @param id - ジョブID
+ * @returns ジョブ（存在しない場合はnull）
+ */
+export async function loadJob(binding: KVNamespace | undefined, id: string): Promise<GenerationJob | null> {
+  return await jobStore(binding).get<GenerationJob>(`job:${id}`)
+}
+
+/**
+ * ジョブを保存（更新日時を更新）
+ * @param binding - JOBS KVバインディング
+ * @param job - 保存するジョブ
+ */
+export async function saveJob(binding: KVNamespace | undefined, job: GenerationJob): Promise<void> {
+  job.updatedAt = new Date().toISOString()
+  await jobStore(binding).put(`job:${job.id}`, job, { expirationTtl: JOB_TTL_SECONDS })
+}
+
+/**
+ * ジョブが終了状態かどうか
+ * @param job - ジョブ
+ */
+export function isFinished(job: GenerationJob): boolean {
+  return job.status === 'done' || job.status === 'failed'
+}
+
+/**
+ * APIレスポンス用にジョブを整形
+ * @param job - ジョブ
+ */
+export function toJobResponse(job: GenerationJob) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    position: job.position,
+    imageUrl: job.imageUrl,
+    // 候補画像導入前に作成されたジョブは imageUrl のみ
+    imageUrls: job.imageUrls ?? (job.imageUrl ? [job.imageUrl] : []),
+    error: job.error,
+    code: job.errorCode ?? null,
+    prompt: job.prompt,
+    negativePrompt: job.negativePrompt,
+    templateVersion: job.templateVersion,
+    referenceImageUrl: job.referenceImageUrl ?? null,
+    params: job.params,
+    // キャッシュの結果から作成したジョブかどうか
+    cached: job.cached ?? false,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * キオスクモード（イベント会場の無人タブレット向け）
+ * KIOSK_MODE=true の場合、参加者向けの各画面に public/static/components/kiosk.js を読み込み、
+ * - 一定時間操作がなければ入力内容（sessionStorage）を消してトップ画面に戻す
+ * - アプリの外へのリンク・新しいタブ・長押しメニューなどを止める
+ * トップ画面では、最近の作品（入力チェックを通った投稿）を背景に順番に表示する
+ */
+
+// 環境変数の型定義
+export type KioskBindings = {
+  KIOSK_MODE?: string
+  // 操作がない場合にトップ画面に戻すまでの秒数
+  KIOSK_IDLE_SECONDS?: string
+}
+
+// 操作がない場合にトップ画面に戻すまでの秒数（既定）
+export const DEFAULT_KIOSK_IDLE_SECONDS = 90
+
+// トップ画面の背景に表示する最近の作品の件数
+export const KIOSK_SHOWCASE_COUNT = 12
+
+/**
+ * キオスクモードかどうか
+ * @param env - 環境変数
+ */
+export function kioskEnabled(env: KioskBindings): boolean {
+  return env.KIOSK_MODE === 'true'
+}
+
+/**
+ * トップ画面に戻すまでの秒数
+ * @param env - 環境変数
+ */
+export function kioskIdleSeconds(env: KioskBindings): number {
+  const seconds = Number.parseInt(env.KIOSK_IDLE_SECONDS || '', 10)
+  return Number.isNaN(seconds) || seconds < 10 ? DEFAULT_KIOSK_IDLE_SECONDS : seconds
+}
+
+/**
+ * 参加者向け画面に埋め込むキオスクモードのスクリプト
+ * @param env - 環境変数
+ * @returns scriptタグ（キオスクモードでない場合は空文字）
+ */
+export function kioskScript(env: KioskBindings): string {
+  if (!kioskEnabled(env)) {
+    return ''
+  }
+  return `<script src="/static/components/kiosk.js" data-idle-seconds="${kioskIdleSeconds(env)}"></script>`
+}
@@ -0,0 +1,86 @@
+/**
+ * KVストアユーティリティ
+ * Cloudflare KVバインディングをJSON値の読み書き用に薄くラップする
+ *
+ * バインディングが未設定の場合（ローカル開発など）は
+ * メモリ上の簡易ストアで代替する（同一isolate内でのみ有効）
+ */
+
+// KVストアの共通インターフェース
+export interface KeyValueStore {
+  get<T>(key: string): Promise<T | null>
+  put(key: string, value: unknown, options?: { expirationTtl?: number }): Promise<void>
+  delete(key: string): Promise<void>
+}
+
+// メモリストアの保存エントリ
+interface MemoryEntry {
+  value: string
+  expiresAt: number | null
+}
+
+// ストア名ごとのメモリストア（isolate内で共有）
+const memoryStores = new Map<string, Map<string, MemoryEntry>>()
+
+/**
+ * メモリ上の簡易KVストアを作成
+ * @param name - ストア名（同じ名前なら同じデータを共有する）
+ */
+function createMemoryStore(name: string): KeyValueStore {
+  let entries = memoryStores.get(name)
+  if (!entries) {
+    entries = new Map()
+    memoryStores.set(name, entries)
+  }
+  const store = entries
+
+  return {
+    async get<T>(key: string): Promise<T | null> {
+      const entry = store.get(key)
+      if (!entry) {
+        return null
+      }
+      if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+        store.delete(key)
+        return null
+      }
+      return JSON.parse(entry.value) as T
+    },
+    async put(key, value, options) {
+      const ttl = options?.expirationTtl
+      store.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttl ? Date.now() + ttl * 1000 : null
+      })
+    },
+    async delete(key) {
+      store.delete(key)
+    }
+  }
+}
+
+/**
+ * KVバインディングからストアを取得
+ * @param binding - KVNamespaceバインディング（未設定ならundefined）
+ * @param name - メモリ代替時のストア名
+ * @returns JSON値を読み書きできるストア
+ */
+export function kvStore(binding: KVNamespace | undefined, name: string): KeyValueStore {
+  if (!binding) {
+    return createMemoryStore(name)
+  }
+
+  return {
+    async get<T>(key: string): Promise<T | null> {
+      return await binding.get<T>(key, 'json')
+    },
+    async put(key, value, options) {
+      // KVのexpirationTtlは60秒以上が必須
+      const ttl = options?.expirationTtl
+      await binding.put(key, JSON.stringify(value), ttl ? { expirationTtl: Math.max(60, ttl) } : undefined)
+    },
+    async delete(key) {
+      await binding.delete(key)
+    }
+  }
+}
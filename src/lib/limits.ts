@@ -0,0 +1,310 @@
+/**
+ * 有料APIの利用制限
+ * 画像生成・プロンプト変換は呼び出しごとに fal.ai / OpenAI の料金がかかるため、
+ * セッション・IPごとの回数制限と、1日あたりの概算費用の上限を設ける
+ *
+ * - 回数制限: 一定時間（RATE_LIMIT_WINDOW_SECONDS）あたりの回数を
+ *   セッション（Cookie）ごと・IPごとに数える（RATE_LIMIT_SESSION / RATE_LIMIT_IP、0で無効）
+ * - 費用上限: 生成タイプ・枚数から概算した費用を日本時間の日付ごとに合計し、
+ *   DAILY_BUDGET_USD を超える場合は生成を止める（未設定なら上限なし、合計は常に記録する）
+ *
+ * カウンターはKV（JOBS、未設定時はメモリ）に保存する
+ * KVは書き込みが即時に反映されないため、同時に届いたリクエストでは上限をわずかに超えることがある
+ * 制限にかかった記録は運営者向けにD1（limit_events）に残し、管理画面の利用状況で確認する
+ */
+import type { Context } from 'hono'
+import { getCookie, setCookie } from 'hono/cookie'
+import { createMiddleware } from 'hono/factory'
+import { kvStore } from './kv'
+
+// 環境変数の型定義
+export type LimitBindings = {
+  JOBS?: KVNamespace
+  DB?: D1Database
+  RATE_LIMIT_SESSION?: string
+  RATE_LIMIT_IP?: string
+  RATE_LIMIT_WINDOW_SECONDS?: string
+  DAILY_BUDGET_USD?: string
+}
+
+// 有料APIの種類
+export type PaidEndpoint = 'generate' | 'creative' | 'translate'
+
+// 制限の種類（session / ip: 回数制限、budget: 費用上限）
+export type LimitKind = 'session' | 'ip' | 'budget'
+
+// 1回あたりの概算費用（USD、各サービスの料金表からの目安）
+export const COST_ESTIMATES_USD = {
+  inpaint: 0.05,         // fal.ai FLUX General Inpainting（候補画像1枚）
+  imageEdit: 0.07,       // OpenAI 画像編集（候補画像1枚）
+  promptRewrite: 0.001   // OpenAI プロンプト変換（1回）
+}
+
+// 回数制限の既定値（イベント会場では複数の端末が同じIPを使うため、IPは多めにする）
+export const RATE_LIMIT_DEFAULTS = {
+  session: 10,
+  ip: 60,
+  windowSeconds: 600
+}
+
+// セッションIDのCookie名
+export const SESSION_COOKIE = 'yumemachi_session'
+
+// 参加者に表示するメッセージ
+export const LIMIT_MESSAGES = {
+  rateLimited: 'たくさん作ってくれてありがとう！少し時間をおいてから、もう一度ためしてね',
+  budgetExhausted: '今日の画像づくりはおしまいです。また遊びに来てね！'
+}
+
+// 日ごとの概算費用
+export interface DailySpend {
+  date: string
+  usd: number
+  requests: number
+}
+
+// 制限にかかった記録
+export interface LimitEvent {
+  id: number
+  createdAt: string
+  kind: LimitKind
+  endpoint: string
+  client: string | null
+  detail: string | null
+}
+
+// D1の limit_events テーブルの行
+interface LimitEventRow {
+  id: number
+  created_at: string
+  kind: LimitKind
+  endpoint: string
+  client: string | null
+  detail: string | null
+}
+
+// 日ごとの費用を保持する期間（秒）
+const SPEND_TTL_SECONDS = 2 * 24 * 60 * 60
+
+/**
+ * 環境変数の数値を読む
+ * @param value - 環境変数の値
+ * @param fallback - 未設定・不正な場合の値
+ */
+function readNumber(value: string | undefined, fallback: number): number {
+  const parsed = Number.parseFloat(value || '')
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback
+}
+
+/**
+ * 日本時間の日付
+ * @param now - 基準の時刻（ミリ秒）
+ * @returns 例: 2026-05-03
+ */
+export function japanDate(now = Date.now()): string {
+  return new Date(now + 9 * 60 * 60 * 1000).toISOString().slice(0, 10)
+}
+
+/**
+ * 日ごとの費用のKVキー
+ * @param date - 日付（YYYY-MM-DD）
+ */
+function spendKey(date: string): string {
+  return `spend:${date}`
+}
+
+/**
+ * 1日あたりの費用上限（USD、未設定ならnull）
+ * @param env - 環境変数
+ */
+export function dailyBudgetUsd(env: LimitBindings): number | null {
+  const budget = readNumber(env.DAILY_BUDGET_USD, 0)
+  return budget > 0 ? budget : null
+}
+
+/**
+ * 日ごとの概算費用を取得
+ * @param env - 環境変数
+ * @param date - 日付（省略時は今日）
+ */
+export async function getDailySpend(env: LimitBindings, date = japanDate()): Promise<DailySpend> {
+  const spend = await kvStore(env.JOBS, 'limits').get<DailySpend>(spendKey(date))
+  return spend || { date, usd: 0, requests: 0 }
+}
+
+/**
+ * 日ごとの概算費用に加算する
+ * @param env - 環境変数
+ * @param cost - 加算する費用（USD）
+ * @param date - 日付（省略時は今日）
+ */
+export async function addDailySpend(env: LimitBindings, cost: number, date = japanDate()): Promise<void> {
+  const spend = await getDailySpend(env, date)
+  await kvStore(env.JOBS, 'limits').put(spendKey(date), {
+    date,
+    usd: Math.round((spend.usd + cost) * 1000) / 1000,
+    requests: spend.requests + 1
+  }, { expirationTtl: SPEND_TTL_SECONDS })
+}
+
+/**
+ * 今日の残りの予算で費用をまかなえるか（上限なしの場合は常にtrue）
+ * @param env - 環境変数
+ * @param cost - 費用（USD）
+ * @returns 判定と、その時点の概算費用
+ */
+export async function withinBudget(env: LimitBindings, cost: number): Promise<{ ok: boolean; spend: DailySpend; budget: number | null }> {
+  const budget = dailyBudgetUsd(env)
+  const spend = await getDailySpend(env)
+  return { ok: budget === null || spend.usd + cost <= budget, spend, budget }
+}
+
+/**
+ * 制限にかかったことを記録する（ログとD1）
+ * 記録の失敗で応答を止めないよう、D1のエラーはログのみ
+ * @param env - 環境変数
+ * @param event - 記録内容
+ */
+async function recordLimitHit(
+  env: LimitBindings,
+  event: { kind: LimitKind; endpoint: PaidEndpoint; client: string | null; detail: string }
+): Promise<void> {
+  console.warn('=== 利用制限 ===', event.kind, event.endpoint, event.client || '-', event.detail)
+  if (!env.DB) {
+    return
+  }
+  try {
+    await env.DB.prepare(
+      'INSERT INTO limit_events (created_at, kind, endpoint, client, detail) VALUES (?, ?, ?, ?, ?)'
+    ).bind(new Date().toISOString(), event.kind, event.endpoint, event.client, event.detail).run()
+  } catch (error) {
+    console.error('利用制限の記録エラー:', error)
+  }
+}
+
+/**
+ * 制限にかかった記録を新しい順に取得
+ * @param db - D1データベース
+ * @param limit - 取得件数
+ */
+export async function listLimitEvents(db: D1Database, limit: number): Promise<LimitEvent[]> {
+  const { results } = await db.prepare(
+    'SELECT id, created_at, kind, endpoint, client, detail FROM limit_events ORDER BY id DESC LIMIT ?'
+  ).bind(limit).all<LimitEventRow>()
+  return results.map((row: LimitEventRow) => ({
+    id: row.id,
+    createdAt: row.created_at,
+    kind: row.kind,
+    endpoint: row.endpoint,
+    client: row.client,
+    detail: row.detail
+  }))
+}
+
+/**
+ * セッションIDを取得（Cookieがなければ発行する）
+ * Cookieを送り返さないクライアントは毎回新しいIDになるため、発行したばかりのIDは数えずIPごとの上限だけで制限する
+ * @param c - コンテキスト
+ * @returns Cookieで送られたセッションID（発行した場合はnull）
+ */
+function sessionId(c: Context): string | null {
+  const current = getCookie(c, SESSION_COOKIE)
+  if (current && /^[\w-]{1,64}$/.test(current)) {
+    return current
+  }
+  setCookie(c, SESSION_COOKIE, crypto.randomUUID(), {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'Lax',
+    secure: new URL(c.req.url).protocol === 'https:',
+    maxAge: 24 * 60 * 60
+  })
+  return null
+}
+
+/**
+ * セッション・IPごとの回数制限ミドルウェア
+ * 入力エラーのリクエストを数えないよう、リクエストボディの検証（jsonBody）の後に置く
+ * 上限に達した場合は429（Retry-After つき）
+ * @param endpoint - 有料APIの種類
+ */
+export function rateLimit(endpoint: PaidEndpoint) {
+  return createMiddleware<{ Bindings: LimitBindings }>(async (c, next) => {
+    const windowSeconds = Math.max(1, readNumber(c.env.RATE_LIMIT_WINDOW_SECONDS, RATE_LIMIT_DEFAULTS.windowSeconds))
+    const nowSeconds = Math.floor(Date.now() / 1000)
+    const windowStart = nowSeconds - nowSeconds % windowSeconds
+    const store = kvStore(c.env.JOBS, 'limits')
+
+    const session = sessionId(c)
+    const counters = [
+      { kind: 'session' as const, client: session, max: session ? readNumber(c.env.RATE_LIMIT_SESSION, RATE_LIMIT_DEFAULTS.session) : 0 },
+      { kind: 'ip' as const, client: c.req.header('cf-connecting-ip') || 'unknown', max: readNumber(c.env.RATE_LIMIT_IP, RATE_LIMIT_DEFAULTS.ip) }
+    ].filter((counter) => counter.max > 0)
+
+    const counts: number[] = []
+    for (const counter of counters) {
+      const count = await store.get<number>(`rate:${counter.kind}:${counter.client}:${windowStart}`) || 0
+      if (count >= counter.max) {
+        const retryAfter = windowStart + windowSeconds - nowSeconds
+        await recordLimitHit(c.env, {
+          kind: counter.kind,
+          endpoint,
+          client: counter.client,
+          detail: `${windowSeconds}秒あたり${counter.max}回`
+        })
+        c.header('Retry-After', String(retryAfter))
+        return c.json({
+          success: false,
+          error: LIMIT_MESSAGES.rateLimited,
+          code: 'rate_limited',
+          retryAfter
+        }, 429)
+      }
+      counts.push(count)
+    }
+
+    // 制限内なら回数を数えてから処理する
+    await Promise.all(counters.map((counter, index) =>
+      store.put(`rate:${counter.kind}:${counter.client}:${windowStart}`, counts[index] + 1, { expirationTtl: windowSeconds })
+    ))
+    await next()
+  })
+}
+
+/**
+ * 1日あたりの費用上限ミドルウェア
+ * リクエストボディの検証（jsonBody）の後に置く
+ * 上限を超える場合は503、処理が成功した場合は概算費用を加算する
+ * キャッシュを使った場合など、実際の費用が見積もりと異なる場合は処理側で c.set('spent', 費用) を設定する
+ * @param endpoint - 有料APIの種類
+ * @param estimate - 検証済みのリクエストボディから概算費用（USD）を求める関数
+ */
+export function dailyBudget<E extends LimitBindings, B>(endpoint: PaidEndpoint, estimate: (body: B, env: E) => number) {
+  return createMiddleware<{ Bindings: E; Variables: { body: B; spent: number | undefined } }>(async (c, next) => {
+    const cost = estimate(c.get('body'), c.env)
+    const date = japanDate()
+
+    const { ok, spend, budget } = await withinBudget(c.env, cost)
+    if (!ok) {
+      await recordLimitHit(c.env, {
+        kind: 'budget',
+        endpoint,
+        client: null,
+        detail: `$${spend.usd.toFixed(2)} + $${cost.toFixed(3)} > $${budget}`
+      })
+      return c.json({
+        success: false,
+        error: LIMIT_MESSAGES.budgetExhausted,
+        code: 'budget_exhausted'
+      }, 503)
+    }
+
+    await next()
+
+    // 失敗した呼び出しは費用に含めない（概算のため、プロバイダー側で失敗した分の誤差は許容する）
+    const spent = c.get('spent') ?? cost
+    if (c.res.status < 300 && spent > 0) {
+      await addDailySpend(c.env, spent, date)
+    }
+  })
+}
@@ -0,0 +1,65 @@
+/**
+ * マスク画像の変換
+ * このアプリのマスク（白=変更領域、黒=固定領域）を OpenAI 画像編集のマスク
+ * （透明=変更領域、不透明=固定領域）に変換する
+ */
+import { decodePng, encodePng, readImageSize } from './png'
+
+// 白とみなす明るさのしきい値（0〜255）
+const MASK_THRESHOLD = 128
+
+/**
+ * Base64データ（Data URI可）をバイト列に変換
+ * @param base64Data - Base64エンコードされた画像データ
+ * @returns バイト列
+ */
+export function decodeBase64Image(base64Data: string): Uint8Array {
+  const base64 = base64Data.replace(/^data:image\/[\w+.-]+;base64,/, '')
+  const binaryData = atob(base64)
+  const bytes = new Uint8Array(binaryData.length)
+  for (let i = 0; i < binaryData.length; i++) {
+    bytes[i] = binaryData.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * バイト列をBase64に変換（大きな画像でも呼び出しの引数の上限を超えないよう分割して変換する）
+ * @param bytes - バイト列
+ * @returns Base64エンコードされたデータ
+ */
+export function encodeBase64(bytes: Uint8Array): string {
+  const chunkSize = 0x8000
+  const chunks: string[] = []
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    chunks.push(String.fromCharCode(...bytes.subarray(offset, offset + chunkSize)))
+  }
+  return btoa(chunks.join(''))
+}
+
+/**
+ * 白黒マスクを OpenAI 画像編集用の透過マスクに変換
+ * 元画像とサイズが異なる場合は最近傍法で元画像のサイズに合わせる
+ * @param maskBytes - マスク画像（PNG、白=変更領域）
+ * @param imageBytes - 元画像（PNG / JPEG、サイズの取得に使用）
+ * @returns 透過マスク（PNG、透明=変更領域）
+ */
+export async function toEditMask(maskBytes: Uint8Array, imageBytes: Uint8Array): Promise<Uint8Array> {
+  const mask = await decodePng(maskBytes)
+  const { width, height } = readImageSize(imageBytes) ?? mask
+
+  const data = new Uint8Array(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    const sourceY = Math.min(mask.height - 1, Math.floor(y * mask.height / height))
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.min(mask.width - 1, Math.floor(x * mask.width / width))
+      const source = (sourceY * mask.width + sourceX) * 4
+      // 透明な画素は固定領域として扱う
+      const brightness = (mask.data[source] + mask.data[source + 1] + mask.data[source + 2]) / 3
+      const isChangeArea = mask.data[source + 3] >= MASK_THRESHOLD && brightness >= MASK_THRESHOLD
+      data[(y * width + x) * 4 + 3] = isChangeArea ? 0 : 255
+    }
+  }
+
+  return encodePng({ width, height, data })
+}
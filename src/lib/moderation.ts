@@ -0,0 +1,187 @@
+/**
+ * 参加者の入力チェック（有料APIを呼ぶ前に行う）
+ * 自由文・その他の建物・ニックネームはそのままプロンプトや画面に使われるため、
+ * 不適切な言葉を含む場合は生成・投稿を止めて、子ども向けのメッセージを返す
+ *
+ * - NGワード: 既定の一覧（DEFAULT_NG_WORDS）に環境変数 NG_WORDS（カンマ・改行区切り）を追加
+ *   全角・半角と大文字・小文字、空白の有無を区別せずに部分一致で判定する
+ *   （英数字の語は単語単位で判定する: skill は kill に一致しない）
+ * - モデル判定: MODERATION_MODEL=true の場合のみ、プロバイダーの入力チェックも使う
+ *   モデル判定が失敗した場合はNGワードの結果だけで判定する（生成後の安全フィルターもあるため）
+ *
+ * 判定結果は投稿と一緒に保存する（submissions.moderation）
+ */
+import type { Context } from 'hono'
+import { createMiddleware } from 'hono/factory'
+import { getProviders, type ProviderBindings } from './providers'
+import type { PromptChoices } from './prompts'
+
+// 環境変数の型定義
+export type ModerationBindings = ProviderBindings & {
+  NG_WORDS?: string
+  MODERATION_MODEL?: string
+}
+
+// 既定のNGワード（暴力・性的・悪口・薬物）
+// ひらがなの短い語は普通の言葉に含まれやすいため（例: むかしねこ）、漢字・カタカナの形で登録する
+export const DEFAULT_NG_WORDS = [
+  '死ね', '殺す', '殺せ', '殺し', '殺人', '自殺', '爆弾', 'テロ', '死体', '血まみれ', '拳銃',
+  '裸', 'ヌード', 'エロ', 'セックス', 'おっぱい', 'ちんこ', 'まんこ', 'アダルト',
+  'きもい', 'キモい', 'うざい', 'ブス', 'デブ', 'ガイジ',
+  '麻薬', '覚醒剤', '大麻',
+  'kill', 'sex', 'nude', 'naked', 'porn', 'fuck', 'shit', 'nazi', 'bomb', 'gun', 'blood'
+]
+
+// 参加者に表示するメッセージ
+export const MODERATION_MESSAGE = 'ごめんね、その言葉はつかえないよ。ちがう言葉で書いてみてね'
+
+// 判定に使ったチェック
+export type ModerationCheck = 'words' | 'model'
+
+// 不適切と判定された項目
+export interface ModerationFlag {
+  // 項目名（freeText / otherBuilding / nickname）
+  field: string
+  source: ModerationCheck
+  // 一致したNGワード、またはモデルのカテゴリ
+  reason: string
+}
+
+// 判定結果
+export interface ModerationResult {
+  status: 'passed' | 'rejected'
+  checkedAt: string
+  checks: ModerationCheck[]
+  flags: ModerationFlag[]
+  // モデル判定が失敗した場合のエラー（NGワードのみで判定）
+  modelError?: string
+}
+
+/**
+ * 判定用に文字列を正規化（全角・半角、大文字・小文字、空白を揃える）
+ * @param text - 入力
+ */
+export function normalizeText(text: string): string {
+  return text.normalize('NFKC').toLowerCase().replace(/\s+/g, '')
+}
+
+/**
+ * NGワードの一覧（既定＋環境変数 NG_WORDS）
+ * @param env - 環境変数
+ */
+export function ngWords(env: ModerationBindings): string[] {
+  const extra = (env.NG_WORDS || '').split(/[,\n、]/)
+  return [...DEFAULT_NG_WORDS, ...extra]
+    .map((word) => word.trim())
+    .filter((word) => word.length > 0)
+}
+
+/**
+ * NGワードを含むか判定
+ * @param text - 入力
+ * @param words - NGワードの一覧
+ * @returns 一致したNGワード（なければnull）
+ */
+export function findNgWord(text: string, words: string[]): string | null {
+  const normalized = normalizeText(text)
+  // 英数字の語は単語単位で判定するため、空白を残した形でも比較する
+  const spaced = text.normalize('NFKC').toLowerCase()
+  for (const word of words) {
+    const target = normalizeText(word)
+    if (/^[a-z0-9]+$/.test(target)) {
+      if (new RegExp(`(^|[^a-z0-9])${target}([^a-z0-9]|$)`).test(spaced)) {
+        return word
+      }
+    } else if (normalized.includes(target)) {
+      return word
+    }
+  }
+  return null
+}
+
+/**
+ * 項目ごとの入力を判定する
+ * @param env - 環境変数
+ * @param fields - 項目名と入力（未入力は判定しない）
+ */
+export async function moderateTexts(env: ModerationBindings, fields: Record<string, string | null | undefined>): Promise<ModerationResult> {
+  const entries = Object.entries(fields)
+    .filter((entry): entry is [string, string] => typeof entry[1] === 'string' && entry[1].trim().length > 0)
+  const words = ngWords(env)
+  const result: ModerationResult = {
+    status: 'passed',
+    checkedAt: new Date().toISOString(),
+    checks: ['words'],
+    flags: []
+  }
+
+  for (const [field, text] of entries) {
+    const word = findNgWord(text, words)
+    if (word) {
+      result.flags.push({ field, source: 'words', reason: word })
+    }
+  }
+
+  // モデル判定（NGワードに一致しなかった項目のみ）
+  const provider = env.MODERATION_MODEL === 'true' ? getProviders(env).moderation : null
+  const remaining = entries.filter(([field]) => !result.flags.some((flag) => flag.field === field))
+  if (provider && remaining.length > 0) {
+    result.checks.push('model')
+    try {
+      const verdicts = await Promise.all(remaining.map(([, text]) => provider.check(text)))
+      verdicts.forEach((verdict, index) => {
+        if (verdict.flagged) {
+          result.flags.push({ field: remaining[index][0], source: 'model', reason: verdict.categories.join(', ') || 'flagged' })
+        }
+      })
+    } catch (error) {
+      console.error('入力チェック（モデル）エラー:', error)
+      result.modelError = error instanceof Error ? error.message : '不明なエラー'
+    }
+  }
+
+  if (result.flags.length > 0) {
+    result.status = 'rejected'
+  }
+  return result
+}
+
+/**
+ * 選択内容のうち参加者が入力した項目（自由文・その他の建物）
+ * @param choices - 選択内容
+ */
+export function choiceTexts(choices: Pick<PromptChoices, 'freeText' | 'otherBuilding'>) {
+  return { freeText: choices.freeText, otherBuilding: choices.otherBuilding }
+}
+
+/**
+ * 入力チェックで止めた場合の応答（422）
+ * @param c - コンテキスト
+ * @param result - 判定結果
+ */
+function moderationRejected(c: Context, result: ModerationResult) {
+  console.warn('=== 入力チェックで不適切 ===', c.req.path, JSON.stringify(result.flags))
+  return c.json({
+    success: false,
+    error: MODERATION_MESSAGE,
+    code: 'moderation_rejected',
+    details: result.flags.map((flag) => ({ field: flag.field, message: MODERATION_MESSAGE }))
+  }, 422)
+}
+
+/**
+ * 入力チェックのミドルウェア
+ * リクエストボディの検証（jsonBody）の後、有料APIの呼び出し・費用の加算の前に置く
+ * 判定結果は c.get('moderation') で取得する
+ * @param pickFields - 検証済みのリクエストボディから判定する項目を取り出す関数
+ */
+export function moderateBody<B>(pickFields: (body: B) => Record<string, string | null | undefined>) {
+  return createMiddleware<{ Bindings: ModerationBindings; Variables: { body: B; moderation: ModerationResult } }>(async (c, next) => {
+    const result = await moderateTexts(c.env, pickFields(c.get('body')))
+    if (result.status === 'rejected') {
+      return moderationRejected(c, result)
+    }
+    c.set('moderation', result)
+    await next()
+  })
+}
@@ -0,0 +1,427 @@
+/**
+ * 通知メールの送信キュー（アウトボックス、Cloudflare D1）
+ * 投稿の保存と同時に送る通知を notifications テーブルに登録し、送信に失敗したものは間隔を空けて再送する
+ * メールの失敗で投稿を止めないが、失敗を見えなくもしない（管理画面で投稿ごとに送信状況を確認する）
+ *
+ * - 投稿API: 保存後に登録し、応答を待たせずにすぐ1回目を送る（deliverNotifications）
+ * - 再送: cron で動くWorker（src/outbox-worker.ts）と、管理画面の「今すぐ再送」が期限の来たものを送る（processOutbox）
+ * - 再送の間隔は1分から倍々に延ばし（最大1時間）、NOTIFICATION_MAX_ATTEMPTS 回（既定5回）失敗したら諦める
+ *
+ * 同じ通知を重ねて送らないよう、送信する前に next_attempt_at を先に延ばして確保する
+ * （送信中に処理が止まった場合は、その時刻を過ぎると再送の対象に戻る）
+ * テーブル定義は migrations/ を参照
+ */
+import { getSubmission, type Submission } from './submissions'
+import {
+  emailRecipients,
+  loadImageAttachment,
+  participantEmailEnabled,
+  sendNotificationEmail,
+  type EmailBindings,
+  type NotificationKind,
+  type NotificationResult
+} from './email'
+import { getProviders, type MailAttachment } from './providers'
+
+// 環境変数の型定義
+export type OutboxBindings = EmailBindings & {
+  DB?: D1Database
+  NOTIFICATION_MAX_ATTEMPTS?: string
+}
+
+// 送信状況
+// - pending: 送信待ち（再送待ちを含む）
+// - sent: 送信済み
+// - skipped: メールプロバイダー・宛先が未設定のため送らず
+// - failed: 再送の上限に達した
+export type OutboxStatus = 'pending' | 'sent' | 'skipped' | 'failed'
+
+// 送信キューの1通
+export interface OutboxEntry {
+  id: string
+  submissionId: string
+  kind: NotificationKind
+  recipients: string[]
+  status: OutboxStatus
+  attempts: number
+  nextAttemptAt: string
+  lastError: string | null
+  createdAt: string
+  updatedAt: string
+  sentAt: string | null
+}
+
+// notificationsテーブルの行
+interface OutboxRow {
+  id: string
+  submission_id: string
+  kind: NotificationKind
+  recipients: string | null
+  status: OutboxStatus
+  attempts: number
+  next_attempt_at: string
+  last_error: string | null
+  created_at: string
+  updated_at: string
+  sent_at: string | null
+}
+
+// 送信状況ごとの件数の行
+interface StatusCountRow {
+  status: OutboxStatus
+  total: number
+}
+
+// 再送の処理結果（件数）
+export interface OutboxRunSummary {
+  processed: number
+  sent: number
+  skipped: number
+  retrying: number
+  failed: number
+}
+
+// 送信の上限回数の既定値
+export const DEFAULT_NOTIFICATION_MAX_ATTEMPTS = 5
+
+// 送信中として確保する時間（ミリ秒、この間は他の処理が送らない）
+const LEASE_MS = 2 * 60 * 1000
+
+// 再送の間隔（ミリ秒、1回目の失敗後は1分、以降は倍々で最大1時間）
+const RETRY_BASE_MS = 60 * 1000
+const RETRY_MAX_MS = 60 * 60 * 1000
+
+// 1回の再送処理で送る上限
+const PROCESS_BATCH_SIZE = 20
+
+/**
+ * 送信の上限回数
+ * @param env - 環境変数
+ */
+export function notificationMaxAttempts(env: OutboxBindings): number {
+  const attempts = Number.parseInt(env.NOTIFICATION_MAX_ATTEMPTS || '', 10)
+  return Number.isNaN(attempts) || attempts < 1 ? DEFAULT_NOTIFICATION_MAX_ATTEMPTS : attempts
+}
+
+/**
+ * 次の再送までの間隔
+ * @param attempts - これまでの送信回数（1以上）
+ * @returns ミリ秒
+ */
+export function retryDelayMs(attempts: number): number {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1))
+}
+
+/**
+ * テーブルの行を送信キューの1通に変換
+ * @param row - notificationsテーブルの行
+ */
+function toEntry(row: OutboxRow): OutboxEntry {
+  return {
+    id: row.id,
+    submissionId: row.submission_id,
+    kind: row.kind,
+    recipients: row.recipients ? row.recipients.split(',') : [],
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    sentAt: row.sent_at
+  }
+}
+
+/**
+ * 投稿の通知を送信キューに登録する
+ * 登録した通知はすぐに deliverNotifications で送るため、その間は再送の対象にしない
+ * @param env - 環境変数
+ * @param db - D1データベース
+ * @param submission - 保存済みの投稿レコード
+ * @param participantEmail - 参加者のメールアドレス（PARTICIPANT_EMAIL=true の場合のみひかえを登録）
+ * @returns 登録した通知（運営者への通知、参加者へのひかえの順）
+ */
+export async function enqueueNotifications(
+  env: OutboxBindings,
+  db: D1Database,
+  submission: Submission,
+  participantEmail: string | null
+): Promise<OutboxEntry[]> {
+  const now = new Date()
+  const createdAt = now.toISOString()
+  const nextAttemptAt = new Date(now.getTime() + LEASE_MS).toISOString()
+
+  const targets: Array<{ kind: NotificationKind; recipients: string[] }> = [
+    { kind: 'staff', recipients: emailRecipients(env) }
+  ]
+  if (participantEmail && participantEmailEnabled(env)) {
+    targets.push({ kind: 'participant', recipients: [participantEmail] })
+  }
+
+  const entries: OutboxEntry[] = targets.map(({ kind, recipients }) => ({
+    id: crypto.randomUUID(),
+    submissionId: submission.id,
+    kind,
+    recipients,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt,
+    lastError: null,
+    createdAt,
+    updatedAt: createdAt,
+    sentAt: null
+  }))
+
+  await db.batch(entries.map((entry) => db.prepare(
+    `INSERT INTO notifications (
+      id, submission_id, kind, recipients, status, attempts, next_attempt_at, last_error, created_at, updated_at, sent_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    entry.id,
+    entry.submissionId,
+    entry.kind,
+    entry.recipients.join(','),
+    entry.status,
+    entry.attempts,
+    entry.nextAttemptAt,
+    entry.lastError,
+    entry.createdAt,
+    entry.updatedAt,
+    entry.sentAt
+  )))
+
+  console.log('=== 通知を登録 ===', submission.id, entries.map((entry) => entry.kind).join(', '))
+  return entries
+}
+
+/**
+ * 送信結果を記録する
+ * 失敗した場合は上限回数までは次の再送日時を決めて送信待ちに戻し、上限に達したら failed にする
+ * 参加者のアドレスは送信が終わったら消す
+ * @param env - 環境変数
+ * @param db - D1データベース
+ * @param entry - 送信した通知
+ * @param result - 送信結果
+ * @returns 記録後の通知
+ */
+async function recordAttempt(env: OutboxBindings, db: D1Database, entry: OutboxEntry, result: NotificationResult): Promise<OutboxEntry> {
+  const now = Date.now()
+  const attempts = entry.attempts + 1
+
+  let status: OutboxStatus = result.status
+  let nextAttemptAt = entry.nextAttemptAt
+  if (result.status === 'failed' && attempts < notificationMaxAttempts(env)) {
+    status = 'pending'
+    nextAttemptAt = new Date(now + retryDelayMs(attempts)).toISOString()
+  }
+
+  const finished = status !== 'pending'
+  const updated: OutboxEntry = {
+    ...entry,
+    recipients: finished && entry.kind === 'participant' ? [] : entry.recipients,
+    status,
+    attempts,
+    nextAttemptAt,
+    lastError: result.error ?? null,
+    updatedAt: new Date(now).toISOString(),
+    sentAt: status === 'sent' ? new Date(now).toISOString() : null
+  }
+
+  await db.prepare(
+    `UPDATE notifications
+      SET recipients = ?, status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ?, sent_at = ?
+      WHERE id = ?`
+  ).bind(
+    updated.recipients.join(','),
+    updated.status,
+    updated.attempts,
+    updated.nextAttemptAt,
+    updated.lastError,
+    updated.updatedAt,
+    updated.sentAt,
+    updated.id
+  ).run()
+
+  if (status === 'pending') {
+    console.warn('=== 通知の送信失敗（再送待ち） ===', entry.id, `${attempts}回目`, '次回:', nextAttemptAt, result.error)
+  } else if (status === 'failed') {
+    console.error('=== 通知の送信失敗（再送の上限） ===', entry.id, `${attempts}回目`, result.error)
+  } else {
+    console.log('通知の送信結果:', entry.id, status)
+  }
+  return updated
+}
+
+/**
+ * 通知を送り、結果を記録する
+ * 生成画像は投稿ごとに1回だけ取得して、運営者への通知と参加者へのひかえで使い回す
+ * @param env - 環境変数
+ * @param db - D1データベース
+ * @param entries - 送る通知（送信中として確保済みのもの）
+ * @param submissions - 通知の対象の投稿（投稿IDごと、見つからない場合はnull）
+ * @returns 記録後の通知
+ */
+async function sendEntries(
+  env: OutboxBindings,
+  db: D1Database,
+  entries: OutboxEntry[],
+  submissions: Map<string, Submission | null>
+): Promise<OutboxEntry[]> {
+  const attachments = new Map<string, Promise<MailAttachment | null>>()
+  const results: OutboxEntry[] = []
+  // 画像の取得は送信する場合のみ（失敗した場合は添付なしで送る）
+  const canSend = getProviders(env).mail !== null
+
+  for (const entry of entries) {
+    let result: NotificationResult
+    const submission = submissions.get(entry.submissionId)
+    try {
+      if (!submission) {
+        result = { status: 'failed', error: '投稿が見つかりません' }
+      } else {
+        if (submission.imageUrl && canSend && entry.recipients.length > 0 && !attachments.has(submission.id)) {
+          attachments.set(submission.id, loadImageAttachment(env, submission.imageUrl))
+        }
+        const attachment = await (attachments.get(submission.id) ?? null)
+        result = await sendNotificationEmail(env, entry.kind, submission, entry.recipients, attachment)
+      }
+    } catch (error) {
+      result = { status: 'failed', error: error instanceof Error ? error.message : '不明なエラー' }
+    }
+
+    try {
+      results.push(await recordAttempt(env, db, entry, result))
+    } catch (error) {
+      // 記録できなかった場合は、確保した時刻を過ぎると再送の対象に戻る
+      console.error('通知の送信結果の記録エラー:', entry.id, error)
+      results.push(entry)
+    }
+  }
+  return results
+}
+
+/**
+ * 登録したばかりの通知を送る（投稿APIから、参加者を待たせないよう応答とは別に実行する）
+ * @param env - 環境変数
+ * @param db - D1データベース
+ * @param submission - 保存済みの投稿レコード
+ * @param entries - enqueueNotifications で登録した通知
+ * @returns 記録後の通知
+ */
+export async function deliverNotifications(
+  env: OutboxBindings,
+  db: D1Database,
+  submission: Submission,
+  entries: OutboxEntry[]
+): Promise<OutboxEntry[]> {
+  return await sendEntries(env, db, entries, new Map([[submission.id, submission]]))
+}
+
+/**
+ * 再送の期限が来た通知を送る（cron のWorkerと管理画面から呼び出す）
+ * @param env - 環境変数
+ * @param limit - 1回で送る上限
+ * @returns 処理結果（件数）
+ */
+export async function processOutbox(env: OutboxBindings, limit = PROCESS_BATCH_SIZE): Promise<OutboxRunSummary> {
+  const summary: OutboxRunSummary = { processed: 0, sent: 0, skipped: 0, retrying: 0, failed: 0 }
+  const db = env.DB
+  if (!db) {
+    console.warn('データベースが設定されていないため、通知の再送を行いません')
+    return summary
+  }
+
+  const now = new Date().toISOString()
+  const { results: rows } = await db.prepare(
+    `SELECT * FROM notifications WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?`
+  ).bind(now, limit).all<OutboxRow>()
+
+  // 送信中として確保する（他の処理が先に確保したものは除く）
+  const lease = new Date(Date.now() + LEASE_MS).toISOString()
+  const claimed: OutboxEntry[] = []
+  for (const row of rows) {
+    const result = await db.prepare(
+      `UPDATE notifications SET next_attempt_at = ? WHERE id = ? AND status = 'pending' AND next_attempt_at = ?`
+    ).bind(lease, row.id, row.next_attempt_at).run()
+    if (result.meta.changes === 1) {
+      claimed.push({ ...toEntry(row), nextAttemptAt: lease })
+    }
+  }
+  if (claimed.length === 0) {
+    return summary
+  }
+  console.log('=== 通知の再送 ===', `${claimed.length}件`)
+
+  const submissions = new Map<string, Submission | null>()
+  for (const entry of claimed) {
+    if (!submissions.has(entry.submissionId)) {
+      submissions.set(entry.submissionId, await getSubmission(db, entry.submissionId))
+    }
+  }
+
+  for (const entry of await sendEntries(env, db, claimed, submissions)) {
+    summary.processed++
+    if (entry.status === 'pending') {
+      summary.retrying++
+    } else {
+      summary[entry.status]++
+    }
+  }
+  console.log('通知の再送結果:', JSON.stringify(summary))
+  return summary
+}
+
+/**
+ * 投稿の通知を登録順に取得
+ * @param db - D1データベース
+ * @param submissionId - 投稿ID
+ */
+export async function listNotifications(db: D1Database, submissionId: string): Promise<OutboxEntry[]> {
+  const { results } = await db.prepare(
+    'SELECT * FROM notifications WHERE submission_id = ? ORDER BY created_at, kind DESC'
+  ).bind(submissionId).all<OutboxRow>()
+  return results.map(toEntry)
+}
+
+/**
+ * 送信待ち・送信失敗の通知を新しい順に取得（管理画面の送信状況）
+ * @param db - D1データベース
+ * @param limit - 取得件数
+ */
+export async function listUndeliveredNotifications(db: D1Database, limit: number): Promise<OutboxEntry[]> {
+  const { results } = await db.prepare(
+    `SELECT * FROM notifications WHERE status IN ('pending', 'failed') ORDER BY created_at DESC LIMIT ?`
+  ).bind(limit).all<OutboxRow>()
+  return results.map(toEntry)
+}
+
+/**
+ * 送信状況ごとの件数（管理画面の送信状況）
+ * @param db - D1データベース
+ */
+export async function countNotifications(db: D1Database): Promise<Record<OutboxStatus, number>> {
+  const { results } = await db.prepare(
+    'SELECT status, COUNT(*) AS total FROM notifications GROUP BY status'
+  ).all<StatusCountRow>()
+  const counts: Record<OutboxStatus, number> = { pending: 0, sent: 0, skipped: 0, failed: 0 }
+  for (const row of results as StatusCountRow[]) {
+    counts[row.status] = row.total
+  }
+  return counts
+}
+
+/**
+ * 再送を諦めた通知を送信待ちに戻す（管理画面の「再送」、次の再送処理で送る）
+ * 参加者へのひかえはアドレスを消しているため戻せない
+ * @param db - D1データベース
+ * @param id - 通知ID
+ * @returns 戻せたかどうか
+ */
+export async function requeueNotification(db: D1Database, id: string): Promise<boolean> {
+  const now = new Date().toISOString()
+  const result = await db.prepare(
+    `UPDATE notifications SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'failed' AND kind = 'staff'`
+  ).bind(now, now, id).run()
+  return result.meta.changes === 1
+}
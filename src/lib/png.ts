@@ -0,0 +1,300 @@
+/**
+ * PNG の最小限のデコード・エンコード
+ * マスク画像の変換（OpenAI画像編集用の透過マスク作成）に使用する
+ *
+ * 対応形式: 8bit / インターレースなし（グレースケール・RGB・パレット・グレースケール+α・RGBA）
+ * 圧縮・展開は Workers 標準の CompressionStream / DecompressionStream（zlib）を使う
+ */
+
+// デコード結果（常にRGBA 8bit）
+export interface RgbaImage {
+  width: number
+  height: number
+  data: Uint8Array
+}
+
+// PNGシグネチャ
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+
+// カラータイプごとの1画素あたりのチャンネル数
+const CHANNELS: Record<number, number> = {
+  0: 1,  // グレースケール
+  2: 3,  // RGB
+  3: 1,  // パレット
+  4: 2,  // グレースケール + α
+  6: 4   // RGBA
+}
+
+/**
+ * ストリームで変換してバイト列を得る
+ * @param data - 入力
+ * @param transform - CompressionStream / DecompressionStream
+ */
+async function pipeBytes(data: Uint8Array, transform: TransformStream<Uint8Array, Uint8Array>): Promise<Uint8Array> {
+  const stream = new Blob([data]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * バイト列がPNGかどうか
+ * @param bytes - 画像データ
+ */
+export function isPng(bytes: Uint8Array): boolean {
+  return PNG_SIGNATURE.every((value, index) => bytes[index] === value)
+}
+
+/**
+ * 先頭のバイト列から画像形式を判定する（PNG / JPEG / WebP）
+ * @param bytes - 画像データ
+ * @returns MIMEタイプ（判別できない場合はnull）
+ */
+export function detectImageType(bytes: Uint8Array): 'image/png' | 'image/jpeg' | 'image/webp' | null {
+  if (isPng(bytes)) {
+    return 'image/png'
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'image/jpeg'
+  }
+  if (String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') {
+    return 'image/webp'
+  }
+  return null
+}
+
+/**
+ * 画像の幅と高さを読み取る（PNG / JPEG）
+ * @param bytes - 画像データ
+ * @returns 幅と高さ（判別できない場合はnull）
+ */
+export function readImageSize(bytes: Uint8Array): { width: number; height: number } | null {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  if (isPng(bytes) && bytes.length >= 24) {
+    return { width: view.getUint32(16), height: view.getUint32(20) }
+  }
+
+  // JPEG: SOFマーカー（SOF0〜SOF15、DHT/JPG/DACを除く）から取得
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        return null
+      }
+      const marker = bytes[offset + 1]
+      const length = view.getUint16(offset + 2)
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) }
+      }
+      offset += 2 + length
+    }
+  }
+
+  return null
+}
+
+/**
+ * Paethフィルタの予測値
+ */
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c
+  const pa = Math.abs(p - a)
+  const pb = Math.abs(p - b)
+  const pc = Math.abs(p - c)
+  if (pa <= pb && pa <= pc) {
+    return a
+  }
+  return pb <= pc ? b : c
+}
+
+/**
+ * PNGをRGBAにデコード
+ * @param bytes - PNGデータ
+ * @returns RGBA画像
+ */
+export async function decodePng(bytes: Uint8Array): Promise<RgbaImage> {
+  if (!isPng(bytes)) {
+    throw new Error('PNG形式ではありません')
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let width = 0
+  let height = 0
+  let colorType = 0
+  let palette: Uint8Array | null = null
+  let transparency: Uint8Array | null = null
+  const idatChunks: Uint8Array[] = []
+
+  // チャンクを読む
+  let offset = PNG_SIGNATURE.length
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset)
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    const body = bytes.subarray(offset + 8, offset + 8 + length)
+
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8)
+      height = view.getUint32(offset + 12)
+      const bitDepth = body[8]
+      colorType = body[9]
+      const interlace = body[12]
+      if (bitDepth !== 8 || interlace !== 0 || !(colorType in CHANNELS)) {
+        throw new Error('対応していないPNG形式です')
+      }
+    } else if (type === 'PLTE') {
+      palette = body
+    } else if (type === 'tRNS') {
+      transparency = body
+    } else if (type === 'IDAT') {
+      idatChunks.push(body)
+    } else if (type === 'IEND') {
+      break
+    }
+    offset += 12 + length
+  }
+
+  if (width === 0 || height === 0) {
+    throw new Error('PNGのヘッダーが見つかりません')
+  }
+
+  // 画像データを展開
+  const compressed = new Uint8Array(idatChunks.reduce((sum, chunk) => sum + chunk.length, 0))
+  let position = 0
+  for (const chunk of idatChunks) {
+    compressed.set(chunk, position)
+    position += chunk.length
+  }
+  const raw = await pipeBytes(compressed, new DecompressionStream('deflate'))
+
+  // フィルタを戻す
+  const channels = CHANNELS[colorType]
+  const stride = width * channels
+  const pixels = new Uint8Array(stride * height)
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)]
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1))
+    const out = y * stride
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0
+      const up = y > 0 ? pixels[out - stride + x] : 0
+      const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0
+      let predicted = 0
+      if (filter === 1) {
+        predicted = left
+      } else if (filter === 2) {
+        predicted = up
+      } else if (filter === 3) {
+        predicted = (left + up) >> 1
+      } else if (filter === 4) {
+        predicted = paeth(left, up, upLeft)
+      }
+      pixels[out + x] = (line[x] + predicted) & 0xff
+    }
+  }
+
+  // RGBAに変換
+  const data = new Uint8Array(width * height * 4)
+  for (let i = 0; i < width * height; i++) {
+    const source = i * channels
+    const target = i * 4
+    if (colorType === 6) {
+      data.set(pixels.subarray(source, source + 4), target)
+    } else if (colorType === 2) {
+      data.set(pixels.subarray(source, source + 3), target)
+      data[target + 3] = 255
+    } else if (colorType === 3) {
+      const index = pixels[source]
+      data[target] = palette?.[index * 3] ?? 0
+      data[target + 1] = palette?.[index * 3 + 1] ?? 0
+      data[target + 2] = palette?.[index * 3 + 2] ?? 0
+      data[target + 3] = transparency?.[index] ?? 255
+    } else {
+      const gray = pixels[source]
+      data[target] = gray
+      data[target + 1] = gray
+      data[target + 2] = gray
+      data[target + 3] = colorType === 4 ? pixels[source + 1] : 255
+    }
+  }
+
+  return { width, height, data }
+}
+
+// CRC32テーブル
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * CRC32を計算
+ * @param bytes - 対象のバイト列
+ */
+function crc32(bytes: Uint8Array): number {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * PNGチャンクを作成
+ * @param type - チャンク種別（4文字）
+ * @param body - チャンクの内容
+ */
+function createChunk(type: string, body: Uint8Array): Uint8Array {
+  const chunk = new Uint8Array(12 + body.length)
+  const view = new DataView(chunk.buffer)
+  view.setUint32(0, body.length)
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i)
+  }
+  chunk.set(body, 8)
+  view.setUint32(8 + body.length, crc32(chunk.subarray(4, 8 + body.length)))
+  return chunk
+}
+
+/**
+ * RGBA画像をPNGにエンコード（フィルタなし）
+ * @param image - RGBA画像
+ * @returns PNGデータ
+ */
+export async function encodePng(image: RgbaImage): Promise<Uint8Array> {
+  const { width, height, data } = image
+  const stride = width * 4
+
+  // 各行の先頭にフィルタ種別（0: なし）を付ける
+  const raw = new Uint8Array((stride + 1) * height)
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1)
+  }
+  const compressed = await pipeBytes(raw, new CompressionStream('deflate'))
+
+  const header = new Uint8Array(13)
+  const headerView = new DataView(header.buffer)
+  headerView.setUint32(0, width)
+  headerView.setUint32(4, height)
+  header[8] = 8   // ビット深度
+  header[9] = 6   // RGBA
+
+  const chunks = [
+    new Uint8Array(PNG_SIGNATURE),
+    createChunk('IHDR', header),
+    createChunk('IDAT', compressed),
+    createChunk('IEND', new Uint8Array(0))
+  ]
+  const png = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0))
+  let position = 0
+  for (const chunk of chunks) {
+    png.set(chunk, position)
+    position += chunk.length
+  }
+  return png
+}
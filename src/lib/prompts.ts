@@ -0,0 +1,492 @@
+/**
+ * プロンプトテンプレート
+ * 参加者の選択内容（生成タイプ・建物・自由文・自動プロンプト）から
+ * 最終的な画像生成プロンプトをサーバー側で組み立てる
+ *
+ * テンプレートは名前とバージョンで管理し、生成結果にはどのテンプレートで
+ * 作られたかを templateVersion（例: inpaint-faithful@1）として記録する
+ * ※ テンプレートの文言を変更した場合は必ず version を上げること
+ *
+ * 会場ごとに異なる文言（シーン説明・変更範囲など）は src/lib/scenes.ts で管理し、
+ * 生成結果には sceneVersion（例: station-front@1）として記録する
+ */
+import { getScene, sceneLabel, type Scene } from './scenes'
+
+// ========================================
+// 選択肢の定義
+// ========================================
+
+// 生成タイプ
+// - faithful / modern / creative: fal.ai Inpainting
+// - image-centered: GPT-Image（/api/creative）
+export const IMAGE_MODES = ['faithful', 'modern', 'creative', 'image-centered'] as const
+export type ImageMode = typeof IMAGE_MODES[number]
+
+// Inpaintingで使用する生成タイプ
+export const INPAINT_MODES = ['faithful', 'modern', 'creative'] as const
+export type InpaintMode = typeof INPAINT_MODES[number]
+
+// 建物タイプ
+export const BUILDING_TYPES = ['fountain', 'merry-go-round', 'cafe-stand', 'other'] as const
+export type BuildingType = typeof BUILDING_TYPES[number]
+
+// 生成タイプの表示名
+export const IMAGE_MODE_LABELS: Record<ImageMode, string> = {
+  'faithful': '指示に忠実',
+  'modern': 'モダン性加味',
+  'creative': '創造性加味',
+  'image-centered': '生成画像中心'
+}
+
+// 建物タイプの表示名
+export const BUILDING_TYPE_LABELS: Record<BuildingType, string> = {
+  'fountain': '噴水',
+  'merry-go-round': 'メリーゴーランド',
+  'cafe-stand': 'おしゃれなカフェスタンド',
+  'other': 'その他'
+}
+
+// 参加者の選択内容（クライアントから送られる構造化データ）
+export interface PromptChoices {
+  sceneId?: string
+  imageMode: ImageMode
+  buildingType: BuildingType
+  otherBuilding?: string
+  freeText?: string
+  autoPrompt?: boolean
+}
+
+// 入力文字数の上限（画面の maxlength と合わせる）
+export const FREE_TEXT_MAX_LENGTH = 100
+export const OTHER_BUILDING_MAX_LENGTH = 30
+
+// ========================================
+// 共通パーツ（固定）
+// ========================================
+
+// 建物別プロンプト（建物タイプごとの詳細指示、area はシーンの変更領域）
+const BUILDING_PROMPTS: Record<Exclude<BuildingType, 'other'>, (area: string) => string> = {
+  'fountain': (area) => `Install an elegant fountain with water jets in the ${area}.
+The fountain should have a modern design with multiple water streams.
+Include decorative elements and proper lighting fixtures.`,
+  'merry-go-round': (area) => `Install a colorful merry-go-round carousel in the ${area}.
+The carousel should have classic horses and decorative elements.
+Include ornate canopy and lighting.`,
+  'cafe-stand': (area) => `Install a stylish outdoor cafe stand in the ${area}.
+The cafe should have modern furniture, umbrellas, and attractive display.
+Include seating area for customers.`
+}
+
+// スタイル（固定：写真風）
+const STYLE_TAG = 'photorealistic, professional photography, high resolution'
+
+// ライティング（固定：自然光）
+const LIGHTING_TAG = 'natural lighting, daylight'
+
+// 構図（固定：全体像）
+const COMPOSITION_TAG = 'full body shot, wide angle'
+
+// 人と構造物の可視性（人数の最低保証 + 分布 + 少人数禁止）
+const VISIBILITY_TAG =
+  'Include AT LEAST 30 to 50 people as a mandatory and essential part of the scene. ' +
+  'People are distributed across the entire plaza, visible in the foreground and midground. ' +
+  'People are clearly visible, expressive, and in focus. ' +
+  'Do not generate the scene without people. ' +
+  'Do not generate scenes with sparse crowds or only a few people.'
+
+// ネガティブプロンプト（写真風用）
+const NEGATIVE_PROMPT = [
+  'cartoon, anime, illustration, painting, 3d render',
+  'low quality, blurry, noise, jpeg artifacts',
+  'distorted face, deformed hands, extra limbs, bad anatomy',
+  'text, watermark, logo, signage, subtitles',
+  'overexposed, underexposed, unnatural colors'
+].join(', ')
+
+// fal.aiパラメータ（固定）
+export const INPAINT_PARAMS = {
+  strength: 0.75,
+  steps: 45,
+  guidance: 9.5
+}
+
+// 候補画像の枚数（1回の生成で作る画像の数、結果画面で1枚を選ぶ）
+// 既定値は環境変数 CANDIDATE_COUNT で変更できる
+export const CANDIDATE_COUNT = {
+  default: 2,
+  min: 1,
+  max: 4
+}
+
+/**
+ * 候補画像の枚数を決定
+ * リクエストでの指定 > 環境変数 > 既定値 の順に採用し、上限・下限に収める
+ * @param requested - リクエストで指定された枚数（任意）
+ * @param configured - 環境変数 CANDIDATE_COUNT の値（任意）
+ */
+export function resolveCandidateCount(requested: unknown, configured: string | undefined): number {
+  const configuredCount = Number.parseInt(configured || '', 10)
+  const count = Number.isInteger(requested)
+    ? requested as number
+    : Number.isNaN(configuredCount) ? CANDIDATE_COUNT.default : configuredCount
+  return Math.min(CANDIDATE_COUNT.max, Math.max(CANDIDATE_COUNT.min, count))
+}
+
+// ========================================
+// テンプレート定義
+// ========================================
+
+// Inpaintingテンプレート
+interface InpaintTemplate {
+  name: string
+  version: number
+  // モード別の追加指示（なければnull）
+  modeInstruction: string | null
+}
+
+const INPAINT_TEMPLATES: Record<InpaintMode, InpaintTemplate> = {
+  // 1) 指示に忠実: 建物別プロンプト + 自由文
+  'faithful': {
+    name: 'inpaint-faithful',
+    version: 1,
+    modeInstruction: null
+  },
+  // 2) モダン性加味: 建物別プロンプトの後にモダンデザインの指示を追加
+  'modern': {
+    name: 'inpaint-modern',
+    version: 1,
+    modeInstruction: 'Apply modern, contemporary design aesthetics. Use clean lines, minimalist forms, and current architectural trends.'
+  },
+  // 3) 創造性加味: 建物別プロンプトの後に創造的デザインの指示を追加
+  'creative': {
+    name: 'inpaint-creative',
+    version: 1,
+    modeInstruction: 'Apply creative and imaginative design. Allow artistic expression, unique forms, and innovative concepts while maintaining realism.'
+  }
+}
+
+// 4) 生成画像中心テンプレート（GPT-Image 画像編集用、元画像とマスクを一緒に渡す）
+const IMAGE_CENTERED_TEMPLATE = {
+  name: 'creative-image-centered',
+  version: 3,
+  build: (scene: Scene, buildingPrompt: string, freeText: string) => {
+    const { backgroundElements, replacementArea, groundSurface } = scene.prompt
+    // 建物別プロンプトを含める
+    const buildingLine = buildingPrompt
+      ? `\n\nBuilding specification:\n${buildingPrompt}`
+      : ''
+
+    return `Preserve all existing background elements exactly as they are, including ${backgroundElements}, lighting, perspective, and camera angle.
+Do not modify, replace, stylize, reinterpret, or regenerate any background structures or environment outside the masked ${replacementArea}.
+
+Replace ONLY the masked ${replacementArea} of this photo with a highly creative, non-traditional public-space installation.
+Do not assume or default to any conventional plaza, playground, or fountain design.${buildingLine}
+
+Install an imaginative, sculptural, or experiential centerpiece that may include water, light, landscape, art, or play elements, but is not limited to a fountain.
+Allow abstract, organic, or story-like forms that prioritize artistic expression and emotional impact over clear function or usability.
+
+Use low-height elements, gentle curves, and human-scale proportions suitable for families and children.
+The design should feel safe, approachable, and emotionally engaging rather than monumental or architectural.
+
+Maintain realistic materials, believable physics, and accurate scale.
+Ensure the installation integrates naturally with the existing ${groundSurface} and surroundings.
+
+Do NOT include people unless strictly required for scale reference.
+If included, keep them minimal and visually subordinate.
+
+Maintain photorealistic quality with natural daylight, consistent shadows, and color temperature matching the original image.
+Ensure seamless blending at the boundary between the modified ${replacementArea} and the unchanged background.
+
+Output a single, cohesive, high-resolution photorealistic image.
+
+User request: ${freeText}`
+  }
+}
+
+// ========================================
+// 自動プロンプト
+// ========================================
+
+// 自動プロンプトで判定する自由文の意図（カテゴリ）
+export const AUTO_PROMPT_CATEGORIES = ['fountain', 'carousel', 'cafe', 'playground', 'greenery', 'art', 'event', 'other'] as const
+export type AutoPromptCategory = typeof AUTO_PROMPT_CATEGORIES[number]
+
+// 自動プロンプトの出力（モデルのJSON出力を検証したもの、または既定の変換）
+// Inpaintingプロンプトの組み立てでは各項目を別々に使う
+export interface StructuredPrompt {
+  // 設置物と利用の様子（英語、シーン説明・写真の指示・ネガティブを含まない）
+  positive: string
+  // ネガティブプロンプトに追加する語（英語、カンマ区切り）
+  negative: string
+  // 人の指定（人数・年齢・動作）
+  people: string
+  // 構造物の指定（大きさ・素材・基礎・稼働状況）
+  structure: string
+  // 自由文の意図の要約（英語、ログ・確認用）
+  intent: string
+  category: AutoPromptCategory
+  // モデルの出力が使えず既定の変換を使った場合はtrue
+  fallback: boolean
+}
+
+// 自動プロンプト（GPT-4.1-mini）テンプレート
+// ※ 自由文が空の場合の入力はシーンの defaultFreeText を使用する
+// ※ 出力はJSONオブジェクト（src/lib/translator.ts で検証、不正な場合は TRANSLATE_FALLBACK_TEMPLATE を使う）
+export const TRANSLATE_TEMPLATE = {
+  name: 'translate',
+  version: 3,
+  // システムメッセージ（プロンプト生成ルール）
+  buildSystemMessage: (scene: Scene) => `You are a prompt generator for fal.ai image inpainting using the model fal-ai/flux-general/inpainting.
+
+Your task:
+- Read a short Japanese user request for a new installation in the ${scene.prompt.targetArea}.
+- Output a SINGLE JSON object with exactly these keys:
+  "positive", "negative", "people", "structure", "intent", "category".
+- Output ONLY the JSON object. No markdown, no code fences, no explanations.
+
+Scene context (already added by the caller, do NOT repeat it):
+- The scene description, the masked area, the photography style, lighting and composition are added separately.
+- The original ${scene.prompt.originalFeature} in the ${scene.prompt.targetArea} is removed and replaced by the caller.
+- Keep existing ${scene.prompt.preservedElements} out of every field.
+
+Field rules (all values in English ONLY):
+- "positive": construction-style instructions for the installation and how it is used.
+  Use ONLY imperative construction verbs such as Install, Include, Keep, Capture.
+  NEVER use first-person language, narration, or negative terms.
+- "negative": comma-separated terms to avoid, WITHOUT the word "no"
+  (e.g. "text, logos, watermarks, distorted geometry, extra buildings").
+- "people": people as a mandatory element of the scene.
+  Specify numeric ranges (no fewer than 10 people unless requested otherwise, e.g. 20–40 people),
+  age ranges for children if implied, and observable actions
+  (playing, running, laughing, talking, pointing, watching, walking).
+  Require visible facial expressions and state that people are clearly visible, expressive, and in focus.
+- "structure": physical specification of the installation.
+  Always specify numeric ranges for size and scale (meters), ground contact or foundation type,
+  materials, and whether it is active, operating, or open to the public.
+  Allow creative, contemporary forms (curved geometry, layered volumes, canopy structures)
+  while keeping realistic, buildable, structurally plausible architecture. No abstract or surreal designs.
+- "intent": one short sentence summarizing what the user wants.
+- "category": one of ${AUTO_PROMPT_CATEGORIES.map((category) => `"${category}"`).join(', ')}.`
+}
+
+// 自由文の意図を判定するキーワード（既定の変換用、上から順に判定）
+const CATEGORY_KEYWORDS: Array<[AutoPromptCategory, string[]]> = [
+  ['fountain', ['噴水', '水', 'ふんすい', 'みず', 'じゃぶじゃぶ']],
+  ['carousel', ['メリーゴーランド', '回転木馬', '観覧車', '乗り物', 'のりもの']],
+  ['cafe', ['カフェ', '喫茶', 'お店', 'おみせ', '屋台', 'パン', 'ケーキ', 'ジュース', 'たべもの', '食べ物']],
+  ['playground', ['遊具', '公園', 'すべり台', 'すべりだい', 'ブランコ', 'ぶらんこ', 'あそび', '遊び', '広場']],
+  ['greenery', ['花', 'はな', '木', '森', 'もり', '緑', 'みどり', '芝生', '庭']],
+  ['art', ['アート', '彫刻', 'オブジェ', 'モニュメント', '像', '光', 'ひかり', 'イルミネーション']],
+  ['event', ['祭', 'まつり', 'イベント', 'コンサート', 'ステージ', 'マルシェ', 'マーケット']]
+]
+
+// カテゴリごとの既定の設置物（既定の変換用、area はシーンの変更領域）
+const CATEGORY_FALLBACKS: Record<AutoPromptCategory, { positive: (area: string) => string; structure: string }> = {
+  'fountain': {
+    positive: (area) => `Install an interactive water fountain with ground-level water jets in the ${area}.`,
+    structure: 'A circular fountain basin 8–12 meters in diameter and 0.3–0.6 meters high, built on a stone foundation flush with the paving. Water jets are active and operating, open to the public.'
+  },
+  'carousel': {
+    positive: (area) => `Install a colorful carousel ride with a decorative canopy in the ${area}.`,
+    structure: 'A carousel 8–10 meters in diameter and 4–6 meters high on a raised concrete platform. The ride is operating and open to the public.'
+  },
+  'cafe': {
+    positive: (area) => `Install a stylish outdoor cafe stand with tables, chairs and umbrellas in the ${area}.`,
+    structure: 'A cafe kiosk 4–6 meters wide and 3–4 meters high with a wooden canopy on a concrete base, surrounded by 8–12 tables. The cafe is open to the public.'
+  },
+  'playground': {
+    positive: (area) => `Install a family-friendly play area with low play equipment and benches in the ${area}.`,
+    structure: 'Play structures 1–3 meters high on soft rubber safety surfacing over a 15–20 meter wide area. The play area is open to the public.'
+  },
+  'greenery': {
+    positive: (area) => `Install a green garden with trees, flower beds and seating in the ${area}.`,
+    structure: 'Planted beds 0.4–0.8 meters high with trees 3–6 meters tall, set on raised stone edging across a 15–20 meter wide area. The garden is open to the public.'
+  },
+  'art': {
+    positive: (area) => `Install a contemporary public art sculpture with integrated lighting in the ${area}.`,
+    structure: 'A sculpture 4–7 meters high made of metal and glass on a low concrete plinth 6–8 meters wide. The installation is lit and open to the public.'
+  },
+  'event': {
+    positive: (area) => `Install a festive open-air event space with a small stage and market stalls in the ${area}.`,
+    structure: 'A stage 6–8 meters wide and 0.8–1.2 meters high with 6–10 market stalls on temporary steel frames. The event space is active and open to the public.'
+  },
+  'other': {
+    positive: (area) => `Install a welcoming public-space installation with seating and shade in the ${area}.`,
+    structure: 'A pavilion 8–12 meters wide and 3–5 meters high with a canopy on a concrete foundation. The installation is open to the public.'
+  }
+}
+
+// 既定の変換で使う人の指定
+const FALLBACK_PEOPLE =
+  'Include 20–40 people of all ages, including children aged 4–10, walking, talking, playing and laughing. ' +
+  'People are clearly visible, expressive, and in focus, with smiling faces and natural gestures.'
+
+// 既定の変換で使うネガティブの語
+const FALLBACK_NEGATIVE = 'text, logos, watermarks, signage changes, distorted geometry, extra buildings, blurry faces'
+
+/**
+ * 自由文の意図をキーワードで判定（既定の変換用）
+ * @param text - 日本語の自由文
+ */
+export function detectCategory(text: string): AutoPromptCategory {
+  const found = CATEGORY_KEYWORDS.find(([, keywords]) => keywords.some((keyword) => text.includes(keyword)))
+  return found ? found[0] : 'other'
+}
+
+// 自動プロンプトの既定の変換（モデルの出力が不正な場合に使う、同じ入力には同じ結果を返す）
+// 日本語の自由文はプロンプトに含めず、キーワードで判定したカテゴリの設置物にする
+export const TRANSLATE_FALLBACK_TEMPLATE = {
+  name: 'translate-fallback',
+  version: 1,
+  build: (scene: Scene, text: string): StructuredPrompt => {
+    const category = detectCategory(text)
+    const fallback = CATEGORY_FALLBACKS[category]
+    return {
+      positive: fallback.positive(scene.prompt.targetArea),
+      negative: FALLBACK_NEGATIVE,
+      people: FALLBACK_PEOPLE,
+      structure: fallback.structure,
+      intent: `A ${category} installation for the ${scene.prompt.targetArea}.`,
+      category,
+      fallback: true
+    }
+  }
+}
+
+/**
+ * テンプレートのバージョン表記を生成
+ * @param template - テンプレート（name, version）
+ * @returns 例: inpaint-faithful@1
+ */
+function templateLabel(template: { name: string; version: number }): string {
+  return `${template.name}@${template.version}`
+}
+
+// ========================================
+// プロンプト構築
+// ========================================
+
+/**
+ * 選択内容のシーンを取得（リクエストのスキーマで検証済みの前提、src/lib/validation.ts）
+ * @param sceneId - シーンID（未指定の場合は既定のシーン）
+ */
+export function requireScene(sceneId: string | undefined): Scene {
+  const scene = getScene(sceneId)
+  if (!scene) {
+    throw new Error('会場が不正です')
+  }
+  return scene
+}
+
+/**
+ * 建物タイプから建物別プロンプトを取得
+ * @param scene - シーン
+ * @param buildingType - 建物タイプ
+ * @param otherBuilding - その他の場合の入力値
+ * @returns 建物別プロンプト
+ */
+export function getBuildingPrompt(scene: Scene, buildingType: BuildingType, otherBuilding?: string): string {
+  if (buildingType === 'other') {
+    // 「その他」の場合：ユーザー入力内容をそのまま建物別プロンプトとして使用
+    return otherBuilding?.trim() || ''
+  }
+  const build = BUILDING_PROMPTS[buildingType]
+  return build ? build(scene.prompt.targetArea) : ''
+}
+
+/**
+ * ネガティブプロンプトを結合する（大文字・小文字を区別せずに重複を除く）
+ * @param base - テンプレートのネガティブプロンプト
+ * @param extra - 追加する語（カンマ区切り）
+ */
+export function mergeNegativePrompt(base: string, extra: string): string {
+  const seen = new Set<string>()
+  return [...base.split(','), ...extra.split(',')]
+    .map((term) => term.trim())
+    .filter((term) => {
+      const key = term.toLowerCase()
+      if (!term || seen.has(key)) {
+        return false
+      }
+      seen.add(key)
+      return true
+    })
+    .join(', ')
+}
+
+/**
+ * Inpainting用プロンプトを構築する
+ * 自動プロンプトOFF: 【制御用】英語 + 【建物指定】+【モード指示】+【意味追加】日本語（自由文）
+ * 自動プロンプトON: 【制御用】英語 + 【建物指定】+【構造物の指定】+【モード指示】+【人の指定】+【設置物の指示】
+ * （自動プロンプトの人の指定は固定の人数指示の代わりに使い、ネガティブの語はネガティブプロンプトに加える）
+ * @param choices - 参加者の選択内容（imageMode は Inpainting 用のモード）
+ * @param autoPrompt - 自動プロンプトの出力（OFFの場合はnull）
+ */
+export function composeInpaintPrompt(
+  choices: PromptChoices & { imageMode: InpaintMode },
+  autoPrompt: StructuredPrompt | null
+) {
+  const scene = requireScene(choices.sceneId)
+  const template = INPAINT_TEMPLATES[choices.imageMode]
+  const freeText = choices.freeText?.trim() || ''
+  const buildingPrompt = getBuildingPrompt(scene, choices.buildingType, choices.otherBuilding)
+
+  const parts = [
+    scene.prompt.sceneBase,
+    scene.prompt.modificationInstruction,
+    buildingPrompt,
+    autoPrompt?.structure,
+    template.modeInstruction,
+    STYLE_TAG,
+    LIGHTING_TAG,
+    COMPOSITION_TAG,
+    autoPrompt ? autoPrompt.people : VISIBILITY_TAG,  // 人数の最低保証・分布・少人数禁止
+    '',  // 空行で区切り
+    autoPrompt ? autoPrompt.positive : freeText  // 自動プロンプトON時は日本語自由文を重ねない
+  ].filter(Boolean)  // 空文字列を除去
+
+  const translateTemplate = autoPrompt?.fallback ? TRANSLATE_FALLBACK_TEMPLATE : TRANSLATE_TEMPLATE
+  const templateVersion = autoPrompt
+    ? `${templateLabel(template)}+${templateLabel(translateTemplate)}`
+    : templateLabel(template)
+
+  return {
+    prompt: parts.join(',\n'),
+    negativePrompt: autoPrompt ? mergeNegativePrompt(NEGATIVE_PROMPT, autoPrompt.negative) : NEGATIVE_PROMPT,
+    params: { ...INPAINT_PARAMS },
+    buildingPrompt,
+    templateVersion,
+    sceneVersion: sceneLabel(scene)
+  }
+}
+
+/**
+ * 選択内容で使うテンプレートの版（プロンプトを組み立てる前に決まる版、キャッシュのキーに使う）
+ * 自動プロンプトONの場合は、モデルで変換した場合の版
+ * @param choices - 参加者の選択内容
+ * @returns 例: inpaint-faithful@1+translate@3
+ */
+export function choicesTemplateVersion(choices: Pick<PromptChoices, 'imageMode' | 'autoPrompt'>): string {
+  if (choices.imageMode === 'image-centered') {
+    return templateLabel(IMAGE_CENTERED_TEMPLATE)
+  }
+  const label = templateLabel(INPAINT_TEMPLATES[choices.imageMode])
+  return choices.autoPrompt ? `${label}+${templateLabel(TRANSLATE_TEMPLATE)}` : label
+}
+
+/**
+ * 生成画像中心モード（GPT-Image）用プロンプトを構築する
+ * @param choices - 参加者の選択内容
+ */
+export function composeImageCenteredPrompt(choices: PromptChoices) {
+  const scene = requireScene(choices.sceneId)
+  const freeText = choices.freeText?.trim() || ''
+  const buildingPrompt = getBuildingPrompt(scene, choices.buildingType, choices.otherBuilding)
+
+  return {
+    prompt: IMAGE_CENTERED_TEMPLATE.build(scene, buildingPrompt, freeText),
+    buildingPrompt,
+    templateVersion: templateLabel(IMAGE_CENTERED_TEMPLATE),
+    sceneVersion: sceneLabel(scene)
+  }
+}
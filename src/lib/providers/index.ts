@@ -0,0 +1,158 @@
+/**
+ * 外部サービス（画像生成・プロンプト変換・入力チェック・メール）のプロバイダー層
+ * 各APIはこのインターフェース経由で外部サービスを呼び出し、fal.ai / OpenAI / Resend を直接は扱わない
+ *
+ * 環境変数 PROVIDER で切り替える
+ * - live（既定）: fal.ai / OpenAI / Resend を使用（./live.ts）
+ * - mock: ネットワークを使わない決定的なモック（./mock.ts）
+ *   APIキーなしで npm run dev の5画面の流れを確認できる
+ */
+import { createLiveProviders } from './live'
+import { createMockProviders } from './mock'
+
+// プロバイダーの選択に使う環境変数
+export type ProviderBindings = {
+  PROVIDER?: string
+  FAL_KEY?: string
+  OPENAI_API_KEY?: string
+  RESEND_API_KEY?: string
+  JOBS?: KVNamespace
+  MOCK_DELAY_MS?: string
+}
+
+// Inpaintingの入力（画像はBase64データ、マスクは白=変更領域）
+export interface InpaintInput {
+  imageData: string
+  maskData: string
+  prompt: string
+  negativePrompt: string
+  strength: number
+  steps: number
+  guidance: number
+  numImages: number
+  // 参考画像（uploadReference で取得したURL、参考画像なしの場合はnull）
+  referenceImageUrl: string | null
+  referenceStrength: number | null
+  referenceEnd: number | null
+}
+
+// キューへの投入結果
+export interface InpaintSubmission {
+  requestId: string
+  position: number | null
+  // 同じ入力で再投入するための情報（ジョブに保存するため、JSONにできる小さな値にする）
+  retryInput: Record<string, unknown>
+}
+
+// 生成結果の画像（nsfw: 安全フィルターで不適切と判定された画像、fal.ai では黒い画像になる）
+export interface InpaintOutput {
+  url: string
+  nsfw: boolean
+}
+
+// キュー上のリクエストの状態
+export type InpaintStatus =
+  | { status: 'queued'; position: number | null }
+  | { status: 'running' }
+  | { status: 'completed' }
+
+// Inpainting（キュー方式、POST /api/generate → GET /api/jobs/:id）
+export interface InpaintProvider {
+  // ジョブに記録するモデル名
+  model: string
+  // 参考画像をプロバイダーから参照できる場所に置き、そのURLを返す
+  uploadReference(blob: Blob): Promise<string>
+  submit(input: InpaintInput): Promise<InpaintSubmission>
+  // 同じ入力を別のシードで再投入する（retryInput は submit の戻り値）
+  resubmit(retryInput: Record<string, unknown>, seed: number): Promise<InpaintSubmission>
+  // 状態確認（通信エラーは例外、呼び出し側で次回再試行）
+  status(requestId: string): Promise<InpaintStatus>
+  // 生成結果の画像一覧（失敗時は例外）
+  result(requestId: string): Promise<InpaintOutput[]>
+}
+
+// 生成画像中心モードの画像編集の入力（画像はBase64データ、マスクは白=変更領域）
+export interface ImageEditInput {
+  imageData: string
+  maskData: string
+  prompt: string
+  numImages: number
+}
+
+// 画像編集（同期方式、POST /api/creative）
+export interface ImageEditProvider {
+  model: string
+  // 生成画像のURL一覧（URL または Data URI）
+  edit(input: ImageEditInput): Promise<string[]>
+}
+
+// 自動プロンプト（日本語の自由文 → 英語プロンプトのJSON）
+export interface PromptRewriteProvider {
+  model: string
+  // モデルの出力（JSON文字列、検証は呼び出し側で行う）
+  rewrite(systemMessage: string, text: string): Promise<string>
+}
+
+// モデルによる入力チェックの結果（categories は該当したカテゴリ名）
+export interface ModerationVerdict {
+  flagged: boolean
+  categories: string[]
+}
+
+// モデルによる入力チェック（参加者の自由文など、失敗時は例外）
+export interface ModerationProvider {
+  model: string
+  check(text: string): Promise<ModerationVerdict>
+}
+
+// メールの添付ファイル（contentはBase64）
+export interface MailAttachment {
+  filename: string
+  content: string
+  // MIMEタイプ（例: image/png）
+  contentType: string
+  // HTML本文から cid: で参照する場合のID（インライン画像）
+  contentId?: string
+}
+
+// 送信するメール（html がある場合も、HTMLを表示できない環境向けに text を付ける）
+export interface MailMessage {
+  from: string
+  to: string[]
+  subject: string
+  text: string
+  html?: string
+  attachments?: MailAttachment[]
+}
+
+// メール送信（失敗時は例外）
+export interface MailProvider {
+  name: string
+  send(message: MailMessage): Promise<void>
+}
+
+// 用途ごとのプロバイダー（APIキー未設定で使えないものはnull）
+export interface Providers {
+  inpaint: InpaintProvider | null
+  imageEdit: ImageEditProvider | null
+  promptRewrite: PromptRewriteProvider | null
+  moderation: ModerationProvider | null
+  mail: MailProvider | null
+}
+
+/**
+ * モックプロバイダーを使うかどうか
+ * @param env - 環境変数
+ */
+export function isMockProvider(env: ProviderBindings): boolean {
+  return env.PROVIDER === 'mock'
+}
+
+/**
+ * 環境変数に応じたプロバイダーを取得
+ * @param env - 環境変数（PROVIDER と各APIキー）
+ * @returns 用途ごとのプロバイダー
+ */
+export function getProviders(env: ProviderBindings): Providers {
+  return isMockProvider(env) ? createMockProviders(env) : createLiveProviders(env)
+}
@@ -0,0 +1,354 @@
+/**
+ * 本番用プロバイダー
+ * - Inpainting: fal.ai Flux General Inpainting（キューAPI）
+ * - 画像編集: OpenAI gpt-image-1 (images/edits)
+ * - 自動プロンプト: OpenAI GPT-4.1-mini (chat/completions)
+ * - 入力チェック: OpenAI omni-moderation (moderations)
+ * - メール: Resend
+ */
+import type { FluxGeneralInpaintingInput } from '@fal-ai/client/endpoints'
+import { fal, configureFal, uploadBase64Image, INPAINTING_MODEL } from '../fal'
+import { decodeBase64Image, toEditMask } from '../masks'
+import { detectImageType } from '../png'
+import type {
+  ImageEditProvider,
+  InpaintProvider,
+  InpaintSubmission,
+  MailProvider,
+  ModerationProvider,
+  PromptRewriteProvider,
+  ProviderBindings,
+  Providers
+} from './index'
+
+// 画像編集・自動プロンプト・入力チェックに使用するOpenAIのモデル
+const IMAGE_EDIT_MODEL = 'gpt-image-1'
+const PROMPT_REWRITE_MODEL = 'gpt-4.1-mini'
+const MODERATION_MODEL = 'omni-moderation-latest'
+
+/**
+ * Base64の画像の形式を先頭のバイト列から判定する
+ * @param base64Data - Base64エンコードされた画像データ（Data URI可）
+ * @returns MIMEタイプ（判別できない場合は JPEG とみなす）
+ */
+function base64ImageType(base64Data: string): string {
+  const head = decodeBase64Image(base64Data.replace(/^data:[^,]*,/, '').slice(0, 24))
+  return detectImageType(head) || 'image/jpeg'
+}
+
+/**
+ * fal.ai Flux General Inpainting のキューに投入
+ * fal.run は生成完了までリクエストを保持するため使用しない
+ * @param falInput - 入力パラメータ（画像はアップロード済みのURL）
+ */
+async function submitToQueue(falInput: FluxGeneralInpaintingInput): Promise<InpaintSubmission> {
+  console.log('fal.ai キュー投入開始...')
+  const queued = await fal.queue.submit(INPAINTING_MODEL, {
+    input: falInput
+  })
+  return {
+    requestId: queued.request_id,
+    position: queued.queue_position ?? null,
+    retryInput: falInput as unknown as Record<string, unknown>
+  }
+}
+
+/**
+ * fal.ai Inpainting プロバイダー
+ * @param falKey - fal.ai APIキー
+ */
+function createFalInpaintProvider(falKey: string): InpaintProvider {
+  configureFal(falKey)
+
+  return {
+    model: INPAINTING_MODEL,
+
+    async uploadReference(blob) {
+      return await fal.storage.upload(blob)
+    },
+
+    async submit(input) {
+      // 元画像とマスク画像を並列でアップロード（サブリクエスト数削減）
+      console.log('画像アップロード開始...')
+      const [imageUrl, maskUrl] = await Promise.all([
+        uploadBase64Image(input.imageData, base64ImageType(input.imageData)),
+        uploadBase64Image(input.maskData, 'image/png')
+      ])
+      console.log('元画像アップロード完了:', imageUrl)
+      console.log('マスク画像アップロード完了:', maskUrl)
+
+      // fal.ai Inpainting API入力パラメータを構築
+      const falInput: FluxGeneralInpaintingInput = {
+        image_url: imageUrl,
+        mask_url: maskUrl,
+        prompt: input.prompt,
+        // ※ Inpainting APIが対応していない場合はエラーになる可能性あり
+        negative_prompt: input.negativePrompt,
+        strength: input.strength,
+        num_inference_steps: input.steps,
+        guidance_scale: input.guidance,
+        num_images: input.numImages,
+        enable_safety_checker: true,
+        output_format: 'jpeg'
+      }
+
+      // 参考画像（Reference-Only）: 建物の形やスタイルを参考画像に寄せる
+      if (input.referenceImageUrl) {
+        falInput.reference_image_url = input.referenceImageUrl
+        falInput.reference_strength = input.referenceStrength ?? undefined
+        falInput.reference_end = input.referenceEnd ?? undefined
+      }
+
+      return await submitToQueue(falInput)
+    },
+
+    async resubmit(retryInput, seed) {
+      // アップロード済みの画像URLを含む入力をそのまま使い、シードだけ変える
+      return await submitToQueue({ ...retryInput as unknown as FluxGeneralInpaintingInput, seed })
+    },
+
+    async status(requestId) {
+      const queueStatus = await fal.queue.status(INPAINTING_MODEL, {
+        requestId: requestId,
+        logs: false
+      })
+      if (queueStatus.status === 'IN_QUEUE') {
+        return { status: 'queued', position: queueStatus.queue_position }
+      }
+      if (queueStatus.status === 'IN_PROGRESS') {
+        return { status: 'running' }
+      }
+      return { status: 'completed' }
+    },
+
+    async result(requestId) {
+      const result = await fal.queue.result(INPAINTING_MODEL, { requestId: requestId })
+      const resultData = result.data as { images?: Array<{ url: string }>; has_nsfw_concepts?: boolean[] } | undefined
+      if (!resultData || !resultData.images || resultData.images.length === 0) {
+        console.error('画像生成結果:', JSON.stringify(result))
+        throw new Error('画像の生成に失敗しました')
+      }
+      // has_nsfw_concepts は画像ごとの安全フィルターの判定（true の画像は黒く塗りつぶされている）
+      return resultData.images.map((image, index) => ({
+        url: image.url,
+        nsfw: resultData.has_nsfw_concepts?.[index] === true
+      }))
+    }
+  }
+}
+
+/**
+ * OpenAI 画像編集プロバイダー
+ * OpenAI のマスクは透明=変更領域のため、白黒マスクを変換してから送る
+ * @param apiKey - OpenAI APIキー
+ */
+function createOpenAiImageEditProvider(apiKey: string): ImageEditProvider {
+  return {
+    model: IMAGE_EDIT_MODEL,
+
+    async edit(input) {
+      const imageBytes = decodeBase64Image(input.imageData)
+      const maskBytes = await toEditMask(decodeBase64Image(input.maskData), imageBytes)
+
+      const formData = new FormData()
+      formData.append('model', IMAGE_EDIT_MODEL)
+      formData.append('image', new Blob([imageBytes], { type: detectImageType(imageBytes) || 'image/jpeg' }), 'image')
+      formData.append('mask', new Blob([maskBytes], { type: 'image/png' }), 'mask.png')
+      formData.append('prompt', input.prompt)
+      formData.append('n', String(input.numImages))
+      // 元画像の縦横比に近いサイズを自動で選ばせる
+      formData.append('size', 'auto')
+      formData.append('quality', 'high')
+      // 候補画像はData URIで画面のセッションストレージに保持するため、PNGより小さいJPEGで受け取る
+      formData.append('output_format', 'jpeg')
+      formData.append('output_compression', '85')
+
+      const response = await fetch('https://api.openai.com/v1/images/edits', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: formData
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        console.error('OpenAI Images API エラー:', response.status, errorData)
+        throw new Error(`OpenAI Images API エラー: ${response.status}`)
+      }
+
+      const data = await response.json() as {
+        data?: Array<{
+          url?: string
+          b64_json?: string
+        }>
+      }
+
+      // URL または Base64 の場合はData URI
+      return (data.data || [])
+        .map((imageData) => imageData.url || (imageData.b64_json ? `data:image/jpeg;base64,${imageData.b64_json}` : null))
+        .filter((url): url is string => Boolean(url))
+    }
+  }
+}
+
+/**
+ * OpenAI 自動プロンプトプロバイダー
+ * @param apiKey - OpenAI APIキー
+ */
+function createOpenAiPromptRewriteProvider(apiKey: string): PromptRewriteProvider {
+  return {
+    model: PROMPT_REWRITE_MODEL,
+
+    async rewrite(systemMessage, text) {
+      const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: PROMPT_REWRITE_MODEL,
+          messages: [
+            {
+              role: 'system',
+              content: systemMessage
+            },
+            {
+              role: 'user',
+              content: text
+            }
+          ],
+          temperature: 0.1,
+          // JSONオブジェクトで出力させる（項目の検証は src/lib/translator.ts）
+          response_format: { type: 'json_object' }
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        console.error('OpenAI API エラー:', response.status, errorData)
+        throw new Error(`OpenAI API エラー: ${response.status}`)
+      }
+
+      const data = await response.json() as {
+        choices?: Array<{
+          message?: {
+            content?: string
+          }
+        }>
+      }
+
+      const generatedPrompt = data.choices?.[0]?.message?.content?.trim()
+      if (!generatedPrompt) {
+        throw new Error('プロンプトの生成に失敗しました')
+      }
+      return generatedPrompt
+    }
+  }
+}
+
+/**
+ * OpenAI 入力チェックプロバイダー
+ * @param apiKey - OpenAI APIキー
+ */
+function createOpenAiModerationProvider(apiKey: string): ModerationProvider {
+  return {
+    model: MODERATION_MODEL,
+
+    async check(text) {
+      const response = await fetch('https://api.openai.com/v1/moderations', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: MODERATION_MODEL,
+          input: text
+        })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        console.error('OpenAI Moderation API エラー:', response.status, errorData)
+        throw new Error(`OpenAI Moderation API エラー: ${response.status}`)
+      }
+
+      const data = await response.json() as {
+        results?: Array<{
+          flagged?: boolean
+          categories?: Record<string, boolean>
+        }>
+      }
+
+      const result = data.results?.[0]
+      if (!result) {
+        throw new Error('入力チェックの結果がありません')
+      }
+      return {
+        flagged: result.flagged === true,
+        categories: Object.entries(result.categories || {})
+          .filter(([, flagged]) => flagged)
+          .map(([category]) => category)
+      }
+    }
+  }
+}
+
+/**
+ * Resend メールプロバイダー
+ * @param apiKey - Resend APIキー
+ */
+function createResendMailProvider(apiKey: string): MailProvider {
+  return {
+    name: 'resend',
+
+    async send(message) {
+      console.log('Resend APIでメール送信...')
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          from: message.from,
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+          attachments: message.attachments?.map((attachment) => ({
+            filename: attachment.filename,
+            content: attachment.content,
+            content_type: attachment.contentType,
+            content_id: attachment.contentId
+          }))
+        })
+      })
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}))
+        console.error('Resend API エラー:', response.status, error)
+        throw new Error(`Resend API エラー: ${response.status}`)
+      }
+
+      const result = await response.json()
+      console.log('Resend API 送信成功:', result)
+    }
+  }
+}
+
+/**
+ * 本番用プロバイダーを作成（APIキーが未設定のものはnull）
+ * @param env - 環境変数（FAL_KEY / OPENAI_API_KEY / RESEND_API_KEY）
+ */
+export function createLiveProviders(env: ProviderBindings): Providers {
+  return {
+    inpaint: env.FAL_KEY ? createFalInpaintProvider(env.FAL_KEY) : null,
+    imageEdit: env.OPENAI_API_KEY ? createOpenAiImageEditProvider(env.OPENAI_API_KEY) : null,
+    promptRewrite: env.OPENAI_API_KEY ? createOpenAiPromptRewriteProvider(env.OPENAI_API_KEY) : null,
+    moderation: env.OPENAI_API_KEY ? createOpenAiModerationProvider(env.OPENAI_API_KEY) : null,
+    mail: env.RESEND_API_KEY ? createResendMailProvider(env.RESEND_API_KEY) : null
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * モックプロバイダー（PROVIDER=mock）
+ * ネットワークを使わず、同じ入力には同じ結果を返す
+ *
+ * - Inpainting / 画像編集: 元画像のマスク領域に色を重ねたSVG画像（Data URI）を返す
+ *   色はプロンプトと候補番号から決まる
+ * - 自動プロンプト: 自由文のキーワードで判定したカテゴリを埋め込んだ固定の英語プロンプト（JSON）を返す
+ * - 入力チェック: MOCK_FLAGGED_WORDS を含む文だけを不適切と判定する
+ * - メール: 送信せずログに出力する
+ *
+ * Inpaintingのキューは投入からの経過時間で queued → running → completed と進む
+ */
+import { kvStore } from '../kv'
+import { decodeBase64Image } from '../masks'
+import { readImageSize } from '../png'
+import { detectCategory } from '../prompts'
+import type { ProviderBindings, Providers } from './index'
+
+// キュー待ち・生成中を再現する時間（ミリ秒、MOCK_DELAY_MS で変更可）
+const DEFAULT_MOCK_DELAY_MS = 3000
+
+// モックのリクエストの保持期間（24時間、ジョブと同じ）
+const MOCK_REQUEST_TTL_SECONDS = 60 * 60 * 24
+
+// モックの入力チェックで不適切と判定する語（モデル判定の流れを確認する用）
+const MOCK_FLAGGED_WORDS = ['暴力', 'violence']
+
+// 元画像のサイズが読み取れない場合の既定サイズ
+const DEFAULT_SIZE = { width: 1024, height: 576 }
+
+// キューに投入したモックのリクエスト
+interface MockRequest {
+  submittedAt: number
+  imageUrls: string[]
+}
+
+/**
+ * 文字列から0〜359の色相を求める（FNV-1a）
+ * @param text - 元にする文字列
+ */
+function hueOf(text: string): number {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0) % 360
+}
+
+/**
+ * Base64データをData URIにそろえる
+ * @param base64Data - Base64データ（Data URI可）
+ * @param mimeType - プレフィックスがない場合のMIMEタイプ
+ */
+function toDataUri(base64Data: string, mimeType: string): string {
+  return base64Data.startsWith('data:') ? base64Data : `data:${mimeType};base64,${base64Data}`
+}
+
+/**
+ * 元画像のマスク領域に色を重ねた画像を作成
+ * @param imageData - 元画像のBase64データ
+ * @param maskData - マスク画像のBase64データ（白=変更領域）
+ * @param prompt - プロンプト（色の決定に使用）
+ * @param numImages - 枚数
+ * @returns SVG画像のData URI一覧
+ */
+function createTintedImages(imageData: string, maskData: string, prompt: string, numImages: number): string[] {
+  const { width, height } = readImageSize(decodeBase64Image(imageData)) ?? DEFAULT_SIZE
+  const image = toDataUri(imageData, 'image/jpeg')
+  const mask = toDataUri(maskData, 'image/png')
+
+  return Array.from({ length: numImages }, (_, index) => {
+    const hue = hueOf(`${prompt}#${index}`)
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+      + `<defs><mask id="area" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">`
+      + `<image href="${mask}" width="${width}" height="${height}" preserveAspectRatio="none"/></mask></defs>`
+      + `<image href="${image}" width="${width}" height="${height}" preserveAspectRatio="none"/>`
+      + `<rect width="${width}" height="${height}" fill="hsl(${hue}, 80%, 55%)" fill-opacity="0.55" mask="url(#area)"/>`
+      + `</svg>`
+    return `data:image/svg+xml;base64,${btoa(svg)}`
+  })
+}
+
+/**
+ * モックプロバイダーを作成
+ * @param env - 環境変数（JOBS: キューの状態の保存先、MOCK_DELAY_MS: 待ち時間）
+ */
+export function createMockProviders(env: ProviderBindings): Providers {
+  const store = kvStore(env.JOBS, 'mock')
+  const parsedDelay = Number(env.MOCK_DELAY_MS)
+  const delay = Number.isFinite(parsedDelay) && parsedDelay >= 0 ? parsedDelay : DEFAULT_MOCK_DELAY_MS
+
+  return {
+    inpaint: {
+      model: 'mock/inpainting',
+
+      async uploadReference() {
+        // 参考画像は結果に影響しないためアップロードしない
+        return 'mock://reference'
+      },
+
+      async submit(input) {
+        const requestId = crypto.randomUUID()
+        const request: MockRequest = {
+          submittedAt: Date.now(),
+          imageUrls: createTintedImages(input.imageData, input.maskData, input.prompt, input.numImages)
+        }
+        await store.put(`mock:${requestId}`, request, { expirationTtl: MOCK_REQUEST_TTL_SECONDS })
+        console.log('モック: キュー投入', requestId)
+        return { requestId, position: 0, retryInput: { sourceRequestId: requestId } }
+      },
+
+      async resubmit(retryInput) {
+        // 元のリクエストの結果をそのまま使う（モックの画像はシードによらない）
+        const source = await store.get<MockRequest>(`mock:${retryInput.sourceRequestId}`)
+        if (!source) {
+          throw new Error('モックのリクエストが見つかりません')
+        }
+        const requestId = crypto.randomUUID()
+        await store.put(`mock:${requestId}`, { ...source, submittedAt: Date.now() }, { expirationTtl: MOCK_REQUEST_TTL_SECONDS })
+        console.log('モック: キュー再投入', requestId)
+        return { requestId, position: 0, retryInput }
+      },
+
+      async status(requestId) {
+        const request = await store.get<MockRequest>(`mock:${requestId}`)
+        if (!request) {
+          throw new Error('モックのリクエストが見つかりません')
+        }
+        const elapsed = Date.now() - request.submittedAt
+        if (elapsed < delay / 3) {
+          return { status: 'queued', position: 0 }
+        }
+        if (elapsed < delay) {
+          return { status: 'running' }
+        }
+        return { status: 'completed' }
+      },
+
+      async result(requestId) {
+        const request = await store.get<MockRequest>(`mock:${requestId}`)
+        if (!request) {
+          throw new Error('モックのリクエストが見つかりません')
+        }
+        return request.imageUrls.map((url) => ({ url, nsfw: false }))
+      }
+    },
+
+    imageEdit: {
+      model: 'mock/image-edit',
+
+      async edit(input) {
+        console.log('モック: 画像編集')
+        return createTintedImages(input.imageData, input.maskData, input.prompt, input.numImages)
+      }
+    },
+
+    promptRewrite: {
+      model: 'mock/prompt-rewrite',
+
+      async rewrite(_systemMessage, text) {
+        const category = detectCategory(text)
+        console.log('モック: 自動プロンプト', category)
+        return JSON.stringify({
+          positive: `Install a family-friendly ${category} installation in the plaza.`,
+          negative: 'text, logos, watermarks',
+          people: 'Include 20–30 people of all ages walking and talking, clearly visible and in focus.',
+          structure: 'An installation 6–10 meters wide and 2–4 meters high on a concrete base, open to the public.',
+          intent: `A ${category} installation for the plaza.`,
+          category
+        })
+      }
+    },
+
+    moderation: {
+      model: 'mock/moderation',
+
+      async check(text) {
+        const flagged = MOCK_FLAGGED_WORDS.some((word) => text.toLowerCase().includes(word))
+        console.log('モック: 入力チェック', flagged ? '不適切' : '問題なし')
+        return { flagged, categories: flagged ? ['violence'] : [] }
+      }
+    },
+
+    mail: {
+      name: 'mock',
+
+      async send(message) {
+        console.log('=== モック: メール送信 ===')
+        console.log('宛先:', message.to.join(', '))
+        console.log('件名:', message.subject)
+        console.log('形式:', message.html ? 'HTML＋テキスト' : 'テキスト')
+        console.log('添付:', (message.attachments || []).map((attachment) => `${attachment.filename}（${attachment.contentType}）`).join(', ') || 'なし')
+      }
+    }
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * 参考画像
+ * 建物タイプごとの参考画像（public/static/images/references/）を管理し、
+ * Inpaintingの reference_image_url（Reference-Only）としてfal.aiに渡す
+ *
+ * 参考画像は本番ドメイン経由ではなく、プロバイダーのストレージ（fal.storage）にアップロードして渡す
+ * アップロード済みのURLはKV（JOBSバインディング）にプロバイダーごとにキャッシュする
+ */
+import { kvStore } from './kv'
+import type { BuildingType } from './prompts'
+import type { InpaintProvider } from './providers'
+
+// 参考画像パス（建物タイプ別、「その他」は参考画像なし）
+export const REFERENCE_IMAGES: Partial<Record<BuildingType, readonly string[]>> = {
+  'fountain': [
+    '/static/images/references/001-funsui-01.png',
+    '/static/images/references/001-funsui-02.png',
+    '/static/images/references/001-funsui-03.png'
+  ],
+  'merry-go-round': [
+    '/static/images/references/002-merigoland-01.png',
+    '/static/images/references/002-merigoland-02.png',
+    '/static/images/references/002-merigoland-03.png'
+  ],
+  'cafe-stand': [
+    '/static/images/references/003-cafestand-01.png',
+    '/static/images/references/003-cafestand-02.png',
+    '/static/images/references/003-cafestand-03.png'
+  ]
+}
+
+// 参考画像の効かせ方（fal.ai reference_strength / reference_end）
+export const REFERENCE_PARAMS = {
+  strength: 0.65,
+  end: 1
+}
+
+// アップロード済みURLのキャッシュ期間（7日）
+const REFERENCE_CACHE_TTL_SECONDS = 60 * 60 * 24 * 7
+
+// 静的ファイルの取得に必要なバインディング
+export type ReferenceBindings = {
+  ASSETS?: Fetcher
+  JOBS?: KVNamespace
+}
+
+/**
+ * 参考画像が建物タイプの一覧に含まれるか
+ * @param buildingType - 建物タイプ
+ * @param path - 参考画像のパス
+ */
+export function isReferenceImage(buildingType: BuildingType, path: string): boolean {
+  return REFERENCE_IMAGES[buildingType]?.includes(path) ?? false
+}
+
+/**
+ * 建物タイプから参考画像をランダムに選択
+ * @param buildingType - 建物タイプ
+ * @returns 参考画像のパス（参考画像がない場合はnull）
+ */
+export function pickReferenceImage(buildingType: BuildingType): string | null {
+  const images = REFERENCE_IMAGES[buildingType]
+  if (!images || images.length === 0) {
+    return null
+  }
+  return images[Math.floor(Math.random() * images.length)]
+}
+
+/**
+ * 参考画像をプロバイダーにアップロード（キャッシュがあれば再利用）
+ * @param env - バインディング（ASSETS: 静的ファイル、JOBS: キャッシュ）
+ * @param provider - Inpaintingのプロバイダー
+ * @param path - 参考画像のパス（/static/images/references/...）
+ * @param origin - リクエストのオリジン（ASSETSがない開発環境で使用）
+ * @returns プロバイダーからアクセスできる参考画像のURL
+ */
+export async function uploadReferenceImage(
+  env: ReferenceBindings,
+  provider: InpaintProvider,
+  path: string,
+  origin: string
+): Promise<string> {
+  const cache = kvStore(env.JOBS, 'references')
+  const cacheKey = `reference:${provider.model}:${path}`
+  const cached = await cache.get<string>(cacheKey)
+  if (cached) {
+    return cached
+  }
+
+  // 静的ファイルを取得（本番は ASSETS バインディング、開発時は同じサーバーから）
+  const assetUrl = new URL(path, origin)
+  const response = env.ASSETS
+    ? await env.ASSETS.fetch(assetUrl)
+    : await fetch(assetUrl)
+  if (!response.ok) {
+    throw new Error(`参考画像の取得に失敗しました: ${response.status}`)
+  }
+
+  const blob = new Blob([await response.arrayBuffer()], {
+    type: response.headers.get('Content-Type') || 'image/png'
+  })
+  const url = await provider.uploadReference(blob)
+  await cache.put(cacheKey, url, { expirationTtl: REFERENCE_CACHE_TTL_SECONDS })
+  return url
+}
@@ -0,0 +1,90 @@
+/**
+ * シーン（会場）レジストリ
+ * 会場ごとの元画像・マスク画像・シーン説明・選べる建物・プロンプトの指示を管理する
+ *
+ * 新しい会場を追加する場合:
+ * 1. 元画像とマスク画像（白=変更領域、黒=固定領域、元画像と同じサイズ）を public/static/images/scenes/ に置く
+ * 2. SCENES に定義を追加する
+ * ※ 既存シーンのプロンプト文言を変更した場合は version を上げること
+ */
+import type { BuildingType } from './prompts'
+
+// シーンごとのプロンプト指示（英語）
+export interface ScenePromptRules {
+  // シーンの説明（例: In an existing station-front urban plaza and rotary）
+  sceneBase: string
+  // 変更範囲の指示（Inpainting用）
+  modificationInstruction: string
+  // 変更する領域（建物別プロンプト・自動プロンプトで使用、例: central plaza area）
+  targetArea: string
+  // 元々ある撤去対象（例: flower bed）
+  originalFeature: string
+  // 変更しない周囲の要素（例: station buildings, roads, and rotary）
+  preservedElements: string
+  // 生成画像中心モードで保持する背景要素
+  backgroundElements: string
+  // 生成画像中心モードで置き換える領域
+  replacementArea: string
+  // 設置物がなじむべき地面（例: plaza paving）
+  groundSurface: string
+}
+
+// シーン定義
+export interface Scene {
+  id: string
+  version: number
+  // 表示名（会場選択で使用）
+  name: string
+  // 元画像とマスク画像のパス
+  baseImage: string
+  maskImage: string
+  // この会場で選べる建物タイプ
+  buildingTypes: readonly BuildingType[]
+  // 自動プロンプトで自由文が空の場合に使用する入力
+  defaultFreeText: string
+  prompt: ScenePromptRules
+}
+
+// 既定のシーン（sceneId 未指定の旧クライアント・旧データ用）
+export const DEFAULT_SCENE_ID = 'station-front'
+
+export const SCENES: readonly Scene[] = [
+  {
+    id: 'station-front',
+    version: 1,
+    name: '駅前ロータリー',
+    baseImage: '/static/images/base-image.jpg',
+    maskImage: '/static/images/mask-image.png',
+    buildingTypes: ['fountain', 'merry-go-round', 'cafe-stand', 'other'],
+    defaultFreeText: '駅前広場に人々が集まる賑やかで楽しい雰囲気',
+    prompt: {
+      sceneBase: 'In an existing station-front urban plaza and rotary',
+      modificationInstruction: 'Modify only the central flower bed and surrounding plaza area. Keep the existing station buildings, roads, and rotary unchanged.',
+      targetArea: 'central plaza area',
+      originalFeature: 'flower bed',
+      preservedElements: 'station buildings, roads, and rotary',
+      backgroundElements: 'station buildings, surrounding roads, sidewalks, trees, sky',
+      replacementArea: 'central circular plaza area',
+      groundSurface: 'plaza paving'
+    }
+  }
+]
+
+/**
+ * シーンIDからシーンを取得
+ * @param sceneId - シーンID（未指定の場合は既定のシーン）
+ * @returns シーン（存在しない場合はnull）
+ */
+export function getScene(sceneId: string | undefined | null): Scene | null {
+  const id = sceneId || DEFAULT_SCENE_ID
+  return SCENES.find((scene) => scene.id === id) || null
+}
+
+/**
+ * シーンのバージョン表記を生成
+ * @param scene - シーン
+ * @returns 例: station-front@1
+ */
+export function sceneLabel(scene: Scene): string {
+  return `${scene.id}@${scene.version}`
+}
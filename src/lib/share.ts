@@ -0,0 +1,47 @@
+/**
+ * 作品の共有ページ（/share/:id）のURLとQRコード
+ * 完了画面にQRコードを表示し、会場の端末で作った作品を参加者のスマートフォンで開けるようにする
+ */
+import qrcode from 'qrcode-generator'
+
+// 環境変数の型定義
+export type ShareBindings = {
+  // 共有ページのURLの基準（例: https://yumemachi-canvas.pages.dev、未設定の場合はアクセスしたURL）
+  SHARE_BASE_URL?: string
+}
+
+// QRコードの1セルの大きさ（viewBox内の単位、表示サイズはCSSで決める）と余白（セル数）
+const QR_CELL_SIZE = 4
+const QR_MARGIN = 4
+
+/**
+ * 共有ページのパス
+ * @param id - 投稿ID
+ */
+export function sharePath(id: string): string {
+  return `/share/${encodeURIComponent(id)}`
+}
+
+/**
+ * 共有ページなどの絶対URLを作る
+ * 会場の端末を localhost で動かす場合などは、SHARE_BASE_URL にスマートフォンから開けるURLを設定する
+ * @param env - 環境変数
+ * @param requestUrl - リクエストのURL
+ * @param path - パス（/share/:id など）
+ */
+export function publicUrl(env: ShareBindings, requestUrl: string, path: string): string {
+  const base = env.SHARE_BASE_URL?.trim().replace(/\/+$/, '') || new URL(requestUrl).origin
+  return `${base}${path}`
+}
+
+/**
+ * QRコードのSVGを作る
+ * @param text - QRコードにする文字列（URL）
+ */
+export function qrCodeSvg(text: string): string {
+  // 型番号は内容に合わせて自動、誤り訂正レベルはM（画面越しの読み取り向け）
+  const qr = qrcode(0, 'M')
+  qr.addData(text)
+  qr.make()
+  return qr.createSvgTag({ cellSize: QR_CELL_SIZE, margin: QR_MARGIN, scalable: true })
+}
@@ -0,0 +1,348 @@
+/**
+ * 投稿データストア（Cloudflare D1）
+ * 設定内容確認画面で確定した参加者のデータを保存・取得する
+ *
+ * テーブル定義は migrations/ を参照
+ * ローカルでは `npm run db:migrate:local` でテーブルを作成する
+ */
+import { BUILDING_TYPE_LABELS, type BuildingType, type ImageMode } from './prompts'
+import { getScene, DEFAULT_SCENE_ID } from './scenes'
+import type { ModerationResult } from './moderation'
+import type { WorkshopTag } from './workshops'
+
+// 生成データ（投稿APIが生成ジョブの記録と選択内容から組み立てる、以前の投稿は画面の sessionStorage.generationData と同じ形式）
+export interface GenerationData {
+  prompt: string | null
+  negativePrompt?: string | null
+  templateVersion?: string | null
+  sceneVersion?: string | null
+  baseImageUrl?: string | null
+  // 既定マスクのパス、または参加者が編集したマスク（/images/:id、以前の投稿は Data URI）
+  maskImageUrl?: string | null
+  maskEdited?: boolean
+  // 生成に使った参考画像のパス
+  referenceImageUrl?: string | null
+  // 候補画像の枚数と、選んだ候補の番号（0始まり）
+  candidateCount?: number
+  selectedCandidate?: number
+  params?: Record<string, unknown> | null
+  // ワークショップのセッション（参加コードから入った場合、src/lib/workshops.ts）
+  session?: WorkshopTag | null
+  options: {
+    sceneId?: string
+    freeText?: string
+    autoPrompt?: boolean
+    imageMode: ImageMode
+    imageModeName?: string
+    buildingType: BuildingType
+    otherBuilding?: string
+    buildingPrompt?: string | null
+    [key: string]: unknown
+  }
+  [key: string]: unknown
+}
+
+// プロジェクターの壁への表示の可否（pending: 運営者の承認待ち、approved: 表示する、rejected: 表示しない）
+export type WallStatus = 'pending' | 'approved' | 'rejected'
+
+// 投稿レコード
+export interface Submission {
+  id: string
+  createdAt: string
+  nickname: string
+  sceneId: string
+  imageMode: ImageMode
+  buildingType: BuildingType
+  otherBuilding: string | null
+  freeText: string
+  autoPrompt: boolean
+  prompt: string | null
+  templateVersion: string | null
+  // 生成画像のURL（/images/:id、R2の導入前の投稿はプロバイダーのURL・Data URI、またはnull）
+  imageUrl: string | null
+  generationData: GenerationData
+  // 入力チェックの結果（入力チェック導入前の投稿はnull）
+  moderation: ModerationResult | null
+  // 壁への表示の可否と、表示を許可した日時（壁の導入前の投稿はnull）
+  wallStatus: WallStatus | null
+  wallAt: string | null
+  // ワークショップのセッションID（セッションを通さない投稿はnull）
+  sessionId: string | null
+}
+
+// submissionsテーブルの行
+interface SubmissionRow {
+  id: string
+  created_at: string
+  nickname: string
+  scene_id: string
+  image_mode: string
+  building_type: string
+  other_building: string | null
+  free_text: string
+  auto_prompt: number
+  prompt: string | null
+  template_version: string | null
+  image_url: string | null
+  generation_data: string
+  moderation: string | null
+  wall_status?: string | null
+  wall_at?: string | null
+  session_id?: string | null
+}
+
+/**
+ * テーブルの行を投稿レコードに変換
+ * @param row - submissionsテーブルの行
+ */
+function toSubmission(row: SubmissionRow): Submission {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    nickname: row.nickname,
+    sceneId: row.scene_id,
+    imageMode: row.image_mode as ImageMode,
+    buildingType: row.building_type as BuildingType,
+    otherBuilding: row.other_building,
+    freeText: row.free_text,
+    autoPrompt: row.auto_prompt === 1,
+    prompt: row.prompt,
+    templateVersion: row.template_version,
+    imageUrl: row.image_url,
+    generationData: JSON.parse(row.generation_data) as GenerationData,
+    moderation: row.moderation ? JSON.parse(row.moderation) as ModerationResult : null,
+    wallStatus: (row.wall_status as WallStatus | null | undefined) ?? null,
+    wallAt: row.wall_at ?? null,
+    sessionId: row.session_id ?? null
+  }
+}
+
+/**
+ * 投稿の建物表示名を取得（その他の場合は入力内容）
+ * @param submission - 投稿レコード
+ */
+export function buildingLabel(submission: Pick<Submission, 'buildingType' | 'otherBuilding'>): string {
+  if (submission.buildingType === 'other') {
+    return submission.otherBuilding || BUILDING_TYPE_LABELS.other
+  }
+  return BUILDING_TYPE_LABELS[submission.buildingType] || submission.buildingType
+}
+
+/**
+ * 投稿の会場表示名を取得
+ * @param submission - 投稿レコード
+ */
+export function sceneName(submission: Pick<Submission, 'sceneId'>): string {
+  return getScene(submission.sceneId)?.name || submission.sceneId
+}
+
+/**
+ * 投稿を保存
+ * @param db - D1データベース
+ * @param input - 投稿内容（wallStatus は壁に表示するか、運営者の承認待ちにするか、
+ *   ワークショップのセッションは generationData.session）
+ * @returns 保存した投稿レコード
+ */
+export async function createSubmission(
+  db: D1Database,
+  input: {
+    nickname: string
+    imageUrl: string
+    generationData: GenerationData
+    moderation: ModerationResult | null
+    wallStatus: 'pending' | 'approved'
+  }
+): Promise<Submission> {
+  const { options } = input.generationData
+  const createdAt = new Date().toISOString()
+  const submission: Submission = {
+    id: crypto.randomUUID(),
+    createdAt,
+    nickname: input.nickname,
+    sceneId: options.sceneId || DEFAULT_SCENE_ID,
+    imageMode: options.imageMode,
+    buildingType: options.buildingType,
+    otherBuilding: options.otherBuilding || null,
+    freeText: options.freeText || '',
+    autoPrompt: options.autoPrompt === true,
+    prompt: input.generationData.prompt ?? null,
+    templateVersion: input.generationData.templateVersion ?? null,
+    imageUrl: input.imageUrl,
+    generationData: input.generationData,
+    moderation: input.moderation,
+    wallStatus: input.wallStatus,
+    wallAt: input.wallStatus === 'approved' ? createdAt : null,
+    sessionId: input.generationData.session?.id ?? null
+  }
+
+  await db.prepare(
+    `INSERT INTO submissions (
+      id, created_at, nickname, scene_id, image_mode, building_type, other_building,
+      free_text, auto_prompt, prompt, template_version, image_url, generation_data,
+      moderation_status, moderation, wall_status, wall_at, session_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    submission.id,
+    submission.createdAt,
+    submission.nickname,
+    submission.sceneId,
+    submission.imageMode,
+    submission.buildingType,
+    submission.otherBuilding,
+    submission.freeText,
+    submission.autoPrompt ? 1 : 0,
+    submission.prompt,
+    submission.templateVersion,
+    submission.imageUrl,
+    JSON.stringify(submission.generationData),
+    submission.moderation?.status ?? null,
+    submission.moderation ? JSON.stringify(submission.moderation) : null,
+    submission.wallStatus,
+    submission.wallAt,
+    submission.sessionId
+  ).run()
+
+  return submission
+}
+
+/**
+ * 投稿を取得
+ * @param db - D1データベース
+ * @param id - 投稿ID
+ * @returns 投稿レコード（存在しない場合はnull）
+ */
+export async function getSubmission(db: D1Database, id: string): Promise<Submission | null> {
+  const row = await db.prepare('SELECT * FROM submissions WHERE id = ?')
+    .bind(id)
+    .first<SubmissionRow>()
+  return row ? toSubmission(row) : null
+}
+
+// 一覧の絞り込み条件
+export interface SubmissionFilter {
+  sceneId?: string
+  buildingType?: string
+  imageMode?: string
+  // 日付（YYYY-MM-DD、日本時間）
+  dateFrom?: string
+  dateTo?: string
+  // ニックネーム（部分一致）
+  nickname?: string
+  // 壁への表示の可否
+  wallStatus?: WallStatus
+  // ワークショップのセッションID
+  sessionId?: string
+}
+
+/**
+ * 日本時間の日付をUTCのISO文字列に変換
+ * @param date - YYYY-MM-DD
+ * @param endOfDay - trueの場合は翌日0時（その日の終わり）を返す
+ * @returns ISO文字列（日付が不正な場合はnull）
+ */
+function jstDateToIso(date: string, endOfDay: boolean): string | null {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return null
+  }
+  const time = new Date(`${date}T00:00:00+09:00`).getTime()
+  if (Number.isNaN(time)) {
+    return null
+  }
+  return new Date(endOfDay ? time + 24 * 60 * 60 * 1000 : time).toISOString()
+}
+
+/**
+ * 絞り込み条件からWHERE句を構築
+ * @param filter - 絞り込み条件
+ */
+function buildWhere(filter: SubmissionFilter): { where: string; params: unknown[] } {
+  const conditions: string[] = []
+  const params: unknown[] = []
+
+  if (filter.sceneId) {
+    conditions.push('scene_id = ?')
+    params.push(filter.sceneId)
+  }
+  if (filter.buildingType) {
+    conditions.push('building_type = ?')
+    params.push(filter.buildingType)
+  }
+  if (filter.imageMode) {
+    conditions.push('image_mode = ?')
+    params.push(filter.imageMode)
+  }
+  const from = filter.dateFrom ? jstDateToIso(filter.dateFrom, false) : null
+  if (from) {
+    conditions.push('created_at >= ?')
+    params.push(from)
+  }
+  const to = filter.dateTo ? jstDateToIso(filter.dateTo, true) : null
+  if (to) {
+    conditions.push('created_at < ?')
+    params.push(to)
+  }
+  if (filter.sessionId) {
+    conditions.push('session_id = ?')
+    params.push(filter.sessionId)
+  }
+  if (filter.wallStatus) {
+    conditions.push('wall_status = ?')
+    params.push(filter.wallStatus)
+  }
+  if (filter.nickname) {
+    conditions.push("nickname LIKE ? ESCAPE '\\'")
+    params.push(`%${filter.nickname.replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`)
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  }
+}
+
+/**
+ * 投稿を新しい順に一覧取得
+ * @param db - D1データベース
+ * @param filter - 絞り込み条件
+ * @param page - ページ指定（limit: 件数, offset: 開始位置）
+ * @returns 投稿一覧と絞り込み後の総件数
+ */
+export async function listSubmissions(
+  db: D1Database,
+  filter: SubmissionFilter,
+  page: { limit: number; offset: number }
+): Promise<{ submissions: Submission[]; total: number }> {
+  const { where, params } = buildWhere(filter)
+
+  const [rows, count] = await Promise.all([
+    db.prepare(`SELECT * FROM submissions ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+      .bind(...params, page.limit, page.offset)
+      .all<SubmissionRow>(),
+    db.prepare(`SELECT COUNT(*) AS total FROM submissions ${where}`)
+      .bind(...params)
+      .first<{ total: number }>()
+  ])
+
+  return {
+    submissions: rows.results.map(toSubmission),
+    total: count?.total ?? 0
+  }
+}
+
+/**
+ * 入力チェックを通った最近の投稿を新しい順に取得（キオスクモードのトップ画面に表示する）
+ * 壁への表示が許可され（WALL_APPROVAL=true の場合は運営者が承認した）、
+ * 生成画像をR2に保存した投稿（/images/:id）のみ対象にする
+ * @param db - D1データベース
+ * @param limit - 件数
+ */
+export async function listRecentApproved(db: D1Database, limit: number): Promise<Submission[]> {
+  const rows = await db.prepare(
+    `SELECT * FROM submissions
+     WHERE moderation_status = 'passed' AND wall_status = 'approved' AND image_url LIKE '/images/%'
+     ORDER BY created_at DESC LIMIT ?`
+  )
+    .bind(limit)
+    .all<SubmissionRow>()
+  return rows.results.map(toSubmission)
+}
@@ -0,0 +1,142 @@
+/**
+ * 自動プロンプト生成（GPT-4.1-mini）
+ * 日本語の自由文を、項目ごとに分かれた英語のInpaintingプロンプト（JSON）に変換する
+ *
+ * /api/translate-prompt と /api/generate（自動プロンプトON時）の両方から利用する
+ * モデルの呼び出しはプロバイダー（src/lib/providers/）が行う
+ * モデルの出力がJSONとして読めない・項目が不正な場合は、既定の変換（TRANSLATE_FALLBACK_TEMPLATE）を使う
+ * 同じ入力の変換結果はキャッシュする（src/lib/cache.ts）
+ */
+import { z } from 'zod'
+import { AUTO_PROMPT_CATEGORIES, TRANSLATE_FALLBACK_TEMPLATE, TRANSLATE_TEMPLATE, type StructuredPrompt } from './prompts'
+import { sceneLabel, type Scene } from './scenes'
+import { cacheKey, readCache, writeCache, type CacheBindings, type CacheStatus } from './cache'
+import type { PromptRewriteProvider } from './providers'
+
+// 各項目の上限（プロンプトが長くなりすぎないように）
+const FIELD_MAX_LENGTH = 1000
+
+// 日本語（ひらがな・カタカナ・漢字）
+const JAPANESE_PATTERN = /[぀-ヿ㐀-鿿]/
+
+/**
+ * 英語の項目
+ * @param label - エラーメッセージに使う項目名
+ */
+function englishField(label: string) {
+  return z.string()
+    .trim()
+    .min(1, `${label}が空です`)
+    .max(FIELD_MAX_LENGTH, `${label}が長すぎます`)
+    .refine((value) => !JAPANESE_PATTERN.test(value), `${label}に日本語が含まれています`)
+}
+
+// モデルの出力のスキーマ
+const structuredPromptSchema = z.object({
+  positive: englishField('positive')
+    .refine((value) => !/\bnegative\b/i.test(value), 'positive にネガティブの指示が含まれています'),
+  // ネガティブの語は先頭の no を除く（例: "No text" → "text"）
+  negative: englishField('negative')
+    .transform((value) => value.split(',').map((term) => term.trim().replace(/^no\s+/i, '')).filter(Boolean).join(', ')),
+  people: englishField('people'),
+  structure: englishField('structure'),
+  intent: englishField('intent'),
+  category: z.enum(AUTO_PROMPT_CATEGORIES)
+})
+
+/**
+ * モデルの出力をJSONとして読み、項目を検証する
+ * @param output - モデルの出力（コードブロックで囲まれている場合は外す）
+ * @returns 検証済みの出力（不正な場合は理由）
+ */
+export function parseStructuredPrompt(output: string): { ok: true; prompt: StructuredPrompt } | { ok: false; reason: string } {
+  const json = output.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '')
+  let raw: unknown
+  try {
+    raw = JSON.parse(json)
+  } catch {
+    return { ok: false, reason: 'JSONとして読めません' }
+  }
+
+  const result = structuredPromptSchema.safeParse(raw)
+  if (!result.success) {
+    return { ok: false, reason: result.error.issues.map((issue) => `${issue.path.join('.') || '(全体)'}: ${issue.message}`).join(' / ') }
+  }
+  return { ok: true, prompt: { ...result.data, fallback: false } }
+}
+
+/**
+ * 変換する入力（空テキストの場合はシーンのデフォルト文）
+ * @param text - 日本語の自由文
+ * @param scene - 会場
+ */
+function resolveInputText(text: string | undefined, scene: Scene): string {
+  return (text && text.trim().length > 0) ? text.trim() : scene.defaultFreeText
+}
+
+/**
+ * 自由文を項目ごとの英語プロンプトに変換
+ * モデルの呼び出しに失敗した場合は画面表示用のメッセージを持つErrorを投げる
+ * （モデルの出力が不正な場合は失敗にせず、既定の変換を使う）
+ * @param provider - 自動プロンプトのプロバイダー
+ * @param text - 日本語の自由文（空の場合はシーンのデフォルト文を使用）
+ * @param scene - 会場（変更範囲・保持する要素のルールに使用）
+ * @returns 項目ごとの英語プロンプト
+ */
+export async function translateToPrompt(provider: PromptRewriteProvider, text: string | undefined, scene: Scene): Promise<StructuredPrompt> {
+  const inputText = resolveInputText(text, scene)
+
+  console.log('=== 自動プロンプト生成開始 ===')
+  console.log('モデル:', provider.model)
+  console.log('会場:', scene.id)
+  console.log('入力テキスト:', inputText)
+  console.log('デフォルト使用:', text !== inputText)
+
+  const output = await provider.rewrite(TRANSLATE_TEMPLATE.buildSystemMessage(scene), inputText)
+  const parsed = parseStructuredPrompt(output)
+  if (!parsed.ok) {
+    console.warn('=== 自動プロンプトの出力が不正（既定の変換を使用） ===', parsed.reason)
+    console.warn('モデルの出力:', output)
+    return TRANSLATE_FALLBACK_TEMPLATE.build(scene, inputText)
+  }
+
+  console.log('=== 生成されたプロンプト ===', parsed.prompt.category, parsed.prompt.intent)
+  console.log(JSON.stringify(parsed.prompt))
+
+  return parsed.prompt
+}
+
+/**
+ * キャッシュを使って自由文を変換（同じ自由文・会場・テンプレート・モデルならモデルを呼ばない）
+ * 既定の変換になった結果は、次回モデルで変換し直すため保存しない
+ * @param env - 環境変数
+ * @param provider - 自動プロンプトのプロバイダー
+ * @param text - 日本語の自由文
+ * @param scene - 会場
+ * @returns 項目ごとの英語プロンプトと、キャッシュを使ったか
+ */
+export async function translateWithCache(
+  env: CacheBindings,
+  provider: PromptRewriteProvider,
+  text: string | undefined,
+  scene: Scene
+): Promise<{ prompt: StructuredPrompt; cache: CacheStatus }> {
+  const key = await cacheKey('translate', {
+    template: `${TRANSLATE_TEMPLATE.name}@${TRANSLATE_TEMPLATE.version}`,
+    model: provider.model,
+    scene: sceneLabel(scene),
+    text: resolveInputText(text, scene)
+  })
+
+  const cached = await readCache<StructuredPrompt>(env, key)
+  if (cached) {
+    console.log('=== 自動プロンプト（キャッシュ） ===', cached.category, cached.intent)
+    return { prompt: cached, cache: 'hit' }
+  }
+
+  const prompt = await translateToPrompt(provider, text, scene)
+  if (!prompt.fallback) {
+    await writeCache(env, key, prompt)
+  }
+  return { prompt, cache: 'miss' }
+}
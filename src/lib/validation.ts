@@ -0,0 +1,229 @@
+/**
+ * リクエストの入力チェック
+ * 各APIはリクエストボディのスキーマ（zod）を宣言し、jsonBody() ミドルウェアで検証する
+ *
+ * 検証に失敗した場合は400で次の形式を返す
+ * { success: false, error: 最初のエラーメッセージ, details: [{ field, message }] }
+ * （error は画面表示用、details は項目ごとのエラー）
+ */
+import { z } from 'zod'
+import type { Context } from 'hono'
+import { createMiddleware } from 'hono/factory'
+import { decodeBase64Image } from './masks'
+import { detectImageType, readImageSize } from './png'
+import {
+  BUILDING_TYPES,
+  FREE_TEXT_MAX_LENGTH,
+  IMAGE_MODES,
+  OTHER_BUILDING_MAX_LENGTH,
+  type PromptChoices
+} from './prompts'
+import { getScene } from './scenes'
+
+// 項目ごとのエラー（field はドット区切りのパス、ボディ全体の場合は空文字）
+export interface FieldError {
+  field: string
+  message: string
+}
+
+// リクエストボディ全体の上限（元画像・マスク画像のData URIを含む）
+export const BODY_MAX_BYTES = 16 * 1024 * 1024
+
+// 画像データの上限（デコード後のサイズと縦横のピクセル数）
+export const IMAGE_LIMITS = {
+  maxBytes: 4 * 1024 * 1024,
+  maxWidth: 2048,
+  maxHeight: 2048
+}
+
+// 画像形式の表示名
+const IMAGE_TYPE_LABELS: Record<string, string> = {
+  'image/png': 'PNG',
+  'image/jpeg': 'JPEG',
+  'image/webp': 'WebP',
+  'image/svg+xml': 'SVG'
+}
+
+// 画像データの検証ルール
+export interface ImageRule {
+  // エラーメッセージに使う項目名（例: 元画像）
+  label: string
+  // 受け付ける画像形式
+  mimeTypes: readonly string[]
+}
+
+/**
+ * 400エラーを返す
+ * @param c - コンテキスト
+ * @param details - 項目ごとのエラー
+ */
+export function validationError(c: Context, details: FieldError[]) {
+  return c.json({
+    success: false,
+    error: details[0]?.message ?? '入力内容が正しくありません',
+    details
+  }, 400)
+}
+
+/**
+ * zodのエラーを項目ごとのエラーに変換
+ * @param error - zodの検証エラー
+ */
+function toFieldErrors(error: z.ZodError): FieldError[] {
+  return error.issues.map((issue) => ({
+    field: issue.path.join('.'),
+    message: issue.message
+  }))
+}
+
+/**
+ * JSONのリクエストボディを検証するミドルウェア
+ * 検証済みの値は c.get('body') で取得する
+ * @param schema - リクエストボディのスキーマ
+ */
+export function jsonBody<S extends z.ZodType>(schema: S) {
+  return createMiddleware<{ Variables: { body: z.output<S> } }>(async (c, next) => {
+    let raw: unknown
+    try {
+      raw = await c.req.json()
+    } catch (error) {
+      // JSONの構文エラー以外（bodyLimit によるサイズ超過など）はそのまま投げる
+      if (!(error instanceof SyntaxError)) {
+        throw error
+      }
+      return validationError(c, [{ field: '', message: 'リクエストの形式が正しくありません（JSON）' }])
+    }
+
+    const result = await schema.safeParseAsync(raw)
+    if (!result.success) {
+      console.warn('入力チェックエラー:', c.req.path, JSON.stringify(result.error.issues.map((issue) => issue.path.join('.'))))
+      return validationError(c, toFieldErrors(result.error))
+    }
+
+    c.set('body', result.data)
+    await next()
+  })
+}
+
+/**
+ * パスパラメーターを検証するミドルウェア
+ * 検証済みの値は c.get('params') で取得する
+ * @param schema - パスパラメーターのスキーマ
+ */
+export function pathParams<S extends z.ZodType>(schema: S) {
+  return createMiddleware<{ Variables: { params: z.output<S> } }>(async (c, next) => {
+    const result = await schema.safeParseAsync(c.req.param())
+    if (!result.success) {
+      return validationError(c, toFieldErrors(result.error))
+    }
+
+    c.set('params', result.data)
+    await next()
+  })
+}
+
+/**
+ * 範囲つきの数値
+ * @param label - 項目名
+ * @param min - 最小値
+ * @param max - 最大値
+ * @param integer - 整数のみ受け付けるか
+ */
+export function rangedNumber(label: string, min: number, max: number, integer = false) {
+  const message = `${label}は${min}〜${max}の${integer ? '整数' : '数値'}で指定してください`
+  const schema = z.number({ error: message }).min(min, message).max(max, message)
+  return integer ? schema.int(message) : schema
+}
+
+/**
+ * Data URI（またはBase64）の画像データを検証
+ * @param value - 画像データ
+ * @param rule - 検証ルール
+ * @returns エラーメッセージ（問題なければnull）
+ */
+export function checkImageData(value: string, rule: ImageRule): string | null {
+  const prefix = value.match(/^data:([\w/+.-]+);base64,/)
+  const base64Length = value.length - (prefix ? prefix[0].length : 0)
+
+  // デコード前に長さで上限を確認する（Base64は4文字で3バイト）
+  if (Math.floor(base64Length * 3 / 4) > IMAGE_LIMITS.maxBytes + 2) {
+    return `${rule.label}のファイルサイズが大きすぎます（${IMAGE_LIMITS.maxBytes / 1024 / 1024}MBまで）`
+  }
+
+  let bytes: Uint8Array
+  try {
+    bytes = decodeBase64Image(value)
+  } catch {
+    return `${rule.label}のデータが不正です`
+  }
+  if (bytes.length === 0) {
+    return `${rule.label}のデータが不正です`
+  }
+  if (bytes.length > IMAGE_LIMITS.maxBytes) {
+    return `${rule.label}のファイルサイズが大きすぎます（${IMAGE_LIMITS.maxBytes / 1024 / 1024}MBまで）`
+  }
+
+  // 形式は中身から判定する（SVGは宣言された形式と先頭の文字列で判定）
+  const isSvg = prefix?.[1] === 'image/svg+xml' && /^\s*(<\?xml|<svg)/.test(new TextDecoder().decode(bytes.subarray(0, 64)))
+  const type = isSvg ? 'image/svg+xml' : detectImageType(bytes)
+  if (!type || !rule.mimeTypes.includes(type)) {
+    const allowed = rule.mimeTypes.map((mimeType) => IMAGE_TYPE_LABELS[mimeType] || mimeType).join(' / ')
+    return `${rule.label}は ${allowed} の画像にしてください`
+  }
+
+  const size = readImageSize(bytes)
+  if (size && (size.width > IMAGE_LIMITS.maxWidth || size.height > IMAGE_LIMITS.maxHeight)) {
+    return `${rule.label}の大きさは${IMAGE_LIMITS.maxWidth}×${IMAGE_LIMITS.maxHeight}ピクセルまでです`
+  }
+
+  return null
+}
+
+/**
+ * 画像データ（Data URI またはBase64）の項目
+ * @param rule - 検証ルール
+ * @param requiredMessage - 未指定の場合のメッセージ
+ */
+export function imageDataField(rule: ImageRule, requiredMessage: string) {
+  return z.string({ error: requiredMessage })
+    .min(1, requiredMessage)
+    .superRefine((value, ctx) => {
+      const message = checkImageData(value, rule)
+      if (message) {
+        ctx.addIssue({ code: 'custom', message })
+      }
+    })
+}
+
+// 元画像（クライアントはJPEG、PNGも可）とマスク画像（PNG、白=変更領域）
+export const BASE_IMAGE_RULE: ImageRule = { label: '元画像', mimeTypes: ['image/jpeg', 'image/png'] }
+export const MASK_IMAGE_RULE: ImageRule = { label: 'マスク画像', mimeTypes: ['image/png'] }
+
+// 参加者の選択内容（PromptChoices）の各項目
+// 生成タイプはAPIごとに使えるものが異なるため、各APIで上書きする
+export const CHOICES_SHAPE = {
+  sceneId: z.string({ error: '会場が不正です' })
+    .refine((sceneId) => getScene(sceneId) !== null, '会場が不正です')
+    .optional(),
+  imageMode: z.enum(IMAGE_MODES, { error: '生成タイプが不正です' }),
+  buildingType: z.enum(BUILDING_TYPES, { error: '建物の種類が不正です' }),
+  otherBuilding: z.string({ error: 'その他の建物が不正です' })
+    .max(OTHER_BUILDING_MAX_LENGTH, `その他の建物は${OTHER_BUILDING_MAX_LENGTH}文字以内で入力してください`)
+    .optional(),
+  freeText: z.string({ error: '自由文が不正です' })
+    .max(FREE_TEXT_MAX_LENGTH, `自由文は${FREE_TEXT_MAX_LENGTH}文字以内で入力してください`)
+    .optional(),
+  autoPrompt: z.boolean({ error: '自動プロンプトの指定が不正です' }).optional()
+}
+
+/**
+ * 会場で選べない建物を検出する（superRefine 用）
+ * @param choices - 項目ごとの検証を通過した選択内容
+ * @param ctx - zodの検証コンテキスト
+ */
+export function refineChoices(choices: Pick<PromptChoices, 'sceneId' | 'buildingType'>, ctx: z.RefinementCtx) {
+  const scene = getScene(choices.sceneId)
+  if (scene && !scene.buildingTypes.includes(choices.buildingType)) {
+    ctx.addIssue({ code: 'custom', path: ['buildingType'], message: 'この会場では選べない建物です' })
+  }
+}
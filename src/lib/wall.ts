@@ -0,0 +1,138 @@
+/**
+ * プロジェクターの壁（/wall）に表示する投稿
+ * 表示が許可された投稿（submissions.wall_status = 'approved'）を、許可した順（wall_at）に返す
+ * WALL_APPROVAL=true の場合、投稿は承認待ちで保存し、管理画面（/admin/wall）で承認したものだけを表示する
+ *
+ * 壁は「位置（カーソル）」より後の投稿を受け取る
+ * カーソルは wall_at と投稿IDをつなげた文字列（同じ日時の投稿も取りこぼさない）
+ * ワークショップのセッションを指定した場合は、そのセッションの投稿だけを返す（会場ごとに投影する）
+ */
+import { buildingLabel, type Submission, type WallStatus } from './submissions'
+
+// 環境変数の型定義
+export type WallBindings = {
+  WALL_APPROVAL?: string
+}
+
+// 壁に表示する投稿
+export interface WallItem {
+  id: string
+  // この投稿の位置（次の取得で after に渡す）
+  cursor: string
+  nickname: string
+  building: string
+  // ねがい（自由文）
+  wish: string
+  imageUrl: string
+}
+
+// 最初に表示する件数（新しいものから）
+export const WALL_INITIAL_COUNT = 30
+
+// 1回に返す新しい投稿の上限
+const WALL_BATCH_SIZE = 50
+
+// 運営者の承認待ちの一覧の件数
+export const WALL_PENDING_COUNT = 100
+
+// カーソルの形式（wall_at _ 投稿ID）
+const CURSOR_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)_([0-9a-f-]{36})$/
+
+// submissionsテーブルの行（壁の表示に使う列）
+interface WallRow {
+  id: string
+  nickname: string
+  building_type: string
+  other_building: string | null
+  free_text: string
+  image_url: string
+  wall_at: string
+}
+
+/**
+ * 運営者の承認が必要かどうか
+ * @param env - 環境変数
+ */
+export function wallApprovalRequired(env: WallBindings): boolean {
+  return env.WALL_APPROVAL === 'true'
+}
+
+/**
+ * 新しい投稿の壁への表示の可否（承認が必要な場合は承認待ち）
+ * @param env - 環境変数
+ */
+export function initialWallStatus(env: WallBindings): 'pending' | 'approved' {
+  return wallApprovalRequired(env) ? 'pending' : 'approved'
+}
+
+/**
+ * カーソルの形式か
+ * @param cursor - カーソル
+ */
+export function isWallCursor(cursor: string): boolean {
+  return CURSOR_PATTERN.test(cursor)
+}
+
+/**
+ * テーブルの行を壁に表示する投稿に変換
+ * @param row - submissionsテーブルの行
+ */
+function toWallItem(row: WallRow): WallItem {
+  return {
+    id: row.id,
+    cursor: `${row.wall_at}_${row.id}`,
+    nickname: row.nickname,
+    building: buildingLabel({ buildingType: row.building_type as Submission['buildingType'], otherBuilding: row.other_building }),
+    wish: row.free_text,
+    imageUrl: row.image_url
+  }
+}
+
+/**
+ * 壁に表示する投稿を古い順に取得
+ * @param db - D1データベース
+ * @param after - この位置より後の投稿を返す（nullの場合は最新の WALL_INITIAL_COUNT 件）
+ * @param sessionId - ワークショップのセッションID（nullの場合はすべての投稿）
+ */
+export async function listWallItems(db: D1Database, after: string | null, sessionId: string | null = null): Promise<WallItem[]> {
+  const columns = 'id, nickname, building_type, other_building, free_text, image_url, wall_at'
+  const session = sessionId ? ' AND session_id = ?' : ''
+  const sessionParams = sessionId ? [sessionId] : []
+  const match = after?.match(CURSOR_PATTERN)
+  if (!match) {
+    const rows = await db.prepare(
+      `SELECT ${columns} FROM submissions
+       WHERE wall_status = 'approved' AND wall_at IS NOT NULL AND image_url LIKE '/images/%'${session}
+       ORDER BY wall_at DESC, id DESC LIMIT ?`
+    )
+      .bind(...sessionParams, WALL_INITIAL_COUNT)
+      .all<WallRow>()
+    return rows.results.map(toWallItem).reverse()
+  }
+
+  const [, wallAt, id] = match
+  const rows = await db.prepare(
+    `SELECT ${columns} FROM submissions
+     WHERE wall_status = 'approved' AND image_url LIKE '/images/%'${session}
+       AND (wall_at > ? OR (wall_at = ? AND id > ?))
+     ORDER BY wall_at ASC, id ASC LIMIT ?`
+  )
+    .bind(...sessionParams, wallAt, wallAt, id, WALL_BATCH_SIZE)
+    .all<WallRow>()
+  return rows.results.map(toWallItem)
+}
+
+/**
+ * 壁への表示の可否を変更する
+ * 承認した投稿は、承認した時点で壁に追加されるよう表示順（wall_at）を今にする
+ * @param db - D1データベース
+ * @param id - 投稿ID
+ * @param status - approved: 表示する、rejected: 表示しない
+ * @returns 変更できたか（投稿が見つからない場合はfalse）
+ */
+export async function setWallStatus(db: D1Database, id: string, status: Exclude<WallStatus, 'pending'>): Promise<boolean> {
+  const result = await db.prepare('UPDATE submissions SET wall_status = ?, wall_at = ? WHERE id = ?')
+    .bind(status, status === 'approved' ? new Date().toISOString() : null, id)
+    .run()
+  return result.meta.changes === 1
+}
@@ -0,0 +1,281 @@
+/**
+ * ワークショップのセッション（Cloudflare D1）
+ * 運営者が回ごと（学校・公民館など）に作成し、参加コードを配る
+ * 参加者が参加コードのURL（/join/:code）から入ると、その端末ではセッションの会場・生成タイプ・建物だけを選べ、
+ * 生成データ（generationData.session）と投稿（submissions.session_id）にセッションが記録される
+ *
+ * 参加中のセッションはCookie（参加コード）で覚え、画面の表示と投稿の保存のたびにD1で確認する
+ * テーブル定義は migrations/0007_create_workshop_sessions.sql を参照
+ */
+import type { Context } from 'hono'
+import { deleteCookie, getCookie, setCookie } from 'hono/cookie'
+import { BUILDING_TYPES, IMAGE_MODES, type BuildingType, type ImageMode, type PromptChoices } from './prompts'
+import { getScene } from './scenes'
+import type { FieldError } from './validation'
+
+// ワークショップのセッション
+export interface WorkshopSession {
+  id: string
+  code: string
+  name: string
+  // 開催日（YYYY-MM-DD）
+  date: string
+  sceneId: string
+  imageModes: ImageMode[]
+  buildingTypes: BuildingType[]
+  createdAt: string
+}
+
+// 生成データ・投稿に記録するセッション
+export interface WorkshopTag {
+  id: string
+  code: string
+  name: string
+}
+
+// 参加中のセッションのCookie名（値は参加コード）
+export const WORKSHOP_COOKIE = 'yumemachi_workshop'
+
+// 参加中のセッションを覚えておく時間（1日のワークショップの間）
+const WORKSHOP_COOKIE_MAX_AGE = 12 * 60 * 60
+
+// 参加コードの文字（見間違えやすい 0/O・1/I/L は使わない）と長さ
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+const JOIN_CODE_LENGTH = 6
+
+// 参加コードの重複時に作り直す回数
+const JOIN_CODE_ATTEMPTS = 5
+
+// セッション名の上限文字数
+export const WORKSHOP_NAME_MAX_LENGTH = 40
+
+// セッションIDの形式（UUID）
+export const WORKSHOP_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+// workshop_sessionsテーブルの行
+interface WorkshopSessionRow {
+  id: string
+  code: string
+  name: string
+  date: string
+  scene_id: string
+  image_modes: string
+  building_types: string
+  created_at: string
+}
+
+/**
+ * カンマ区切りの値から、候補に含まれるものだけを取り出す
+ * @param value - カンマ区切りの値
+ * @param allowed - 候補
+ */
+function parseList<T extends string>(value: string, allowed: readonly T[]): T[] {
+  return value.split(',').filter((item): item is T => (allowed as readonly string[]).includes(item))
+}
+
+/**
+ * テーブルの行をセッションに変換
+ * @param row - workshop_sessionsテーブルの行
+ */
+function toWorkshopSession(row: WorkshopSessionRow): WorkshopSession {
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    date: row.date,
+    sceneId: row.scene_id,
+    imageModes: parseList(row.image_modes, IMAGE_MODES),
+    buildingTypes: parseList(row.building_types, BUILDING_TYPES),
+    createdAt: row.created_at
+  }
+}
+
+/**
+ * 参加コードを作る
+ */
+function generateJoinCode(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(JOIN_CODE_LENGTH))
+  return Array.from(bytes, (byte) => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('')
+}
+
+/**
+ * 入力された参加コードを正規化する（小文字・空白・ハイフンを許す）
+ * @param code - 入力された参加コード
+ * @returns 参加コード（形式が正しくない場合はnull）
+ */
+export function normalizeJoinCode(code: string): string | null {
+  const normalized = code.toUpperCase().replace(/[\s-]/g, '')
+  const pattern = new RegExp(`^[${JOIN_CODE_ALPHABET}]{${JOIN_CODE_LENGTH}}$`)
+  return pattern.test(normalized) ? normalized : null
+}
+
+/**
+ * 参加コードのURLのパス
+ * @param code - 参加コード
+ */
+export function joinPath(code: string): string {
+  return `/join/${encodeURIComponent(code)}`
+}
+
+/**
+ * 生成データ・投稿に記録するセッション
+ * @param session - セッション
+ */
+export function workshopTag(session: WorkshopSession): WorkshopTag {
+  return { id: session.id, code: session.code, name: session.name }
+}
+
+/**
+ * セッションで選べる建物（会場で選べるもののうち、セッションで許可したもの）
+ * @param session - セッション
+ */
+export function workshopBuildingTypes(session: WorkshopSession): BuildingType[] {
+  const scene = getScene(session.sceneId)
+  return session.buildingTypes.filter((type) => scene?.buildingTypes.includes(type))
+}
+
+/**
+ * セッションで選べない選択内容を検出する
+ * @param session - セッション
+ * @param choices - 選択内容
+ * @returns 項目ごとのエラー（問題なければ空）
+ */
+export function workshopChoiceErrors(
+  session: WorkshopSession,
+  choices: Pick<PromptChoices, 'sceneId' | 'imageMode' | 'buildingType'>
+): FieldError[] {
+  const errors: FieldError[] = []
+  if (getScene(choices.sceneId)?.id !== session.sceneId) {
+    errors.push({ field: 'generationData.options.sceneId', message: 'このワークショップでは選べない会場です' })
+  }
+  if (!session.imageModes.includes(choices.imageMode)) {
+    errors.push({ field: 'generationData.options.imageMode', message: 'このワークショップでは選べない生成タイプです' })
+  }
+  if (!workshopBuildingTypes(session).includes(choices.buildingType)) {
+    errors.push({ field: 'generationData.options.buildingType', message: 'このワークショップでは選べない建物です' })
+  }
+  return errors
+}
+
+/**
+ * セッションを作成（参加コードが重複した場合は作り直す）
+ * @param db - D1データベース
+ * @param input - セッションの内容
+ * @returns 作成したセッション
+ */
+export async function createWorkshopSession(
+  db: D1Database,
+  input: Pick<WorkshopSession, 'name' | 'date' | 'sceneId' | 'imageModes' | 'buildingTypes'>
+): Promise<WorkshopSession> {
+  for (let attempt = 1; ; attempt++) {
+    const session: WorkshopSession = {
+      id: crypto.randomUUID(),
+      code: generateJoinCode(),
+      ...input,
+      createdAt: new Date().toISOString()
+    }
+    try {
+      await db.prepare(
+        `INSERT INTO workshop_sessions (id, code, name, date, scene_id, image_modes, building_types, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        session.id,
+        session.code,
+        session.name,
+        session.date,
+        session.sceneId,
+        session.imageModes.join(','),
+        session.buildingTypes.join(','),
+        session.createdAt
+      ).run()
+      return session
+    } catch (error) {
+      if (attempt >= JOIN_CODE_ATTEMPTS || !(error instanceof Error) || !error.message.includes('UNIQUE')) {
+        throw error
+      }
+      console.warn('参加コードが重複したため作り直します:', session.code)
+    }
+  }
+}
+
+/**
+ * セッションを取得
+ * @param db - D1データベース
+ * @param id - セッションID
+ * @returns セッション（存在しない場合はnull）
+ */
+export async function getWorkshopSession(db: D1Database, id: string): Promise<WorkshopSession | null> {
+  const row = await db.prepare('SELECT * FROM workshop_sessions WHERE id = ?')
+    .bind(id)
+    .first<WorkshopSessionRow>()
+  return row ? toWorkshopSession(row) : null
+}
+
+/**
+ * 参加コードからセッションを取得
+ * @param db - D1データベース
+ * @param code - 参加コード（正規化済み）
+ * @returns セッション（存在しない場合はnull）
+ */
+export async function findWorkshopSessionByCode(db: D1Database, code: string): Promise<WorkshopSession | null> {
+  const row = await db.prepare('SELECT * FROM workshop_sessions WHERE code = ?')
+    .bind(code)
+    .first<WorkshopSessionRow>()
+  return row ? toWorkshopSession(row) : null
+}
+
+/**
+ * セッションを開催日の新しい順に一覧取得（投稿数つき）
+ * @param db - D1データベース
+ */
+export async function listWorkshopSessions(db: D1Database): Promise<Array<WorkshopSession & { submissionCount: number }>> {
+  const rows = await db.prepare(
+    `SELECT workshop_sessions.*,
+       (SELECT COUNT(*) FROM submissions WHERE submissions.session_id = workshop_sessions.id) AS submission_count
+     FROM workshop_sessions
+     ORDER BY date DESC, created_at DESC`
+  ).all<WorkshopSessionRow & { submission_count: number }>()
+  return rows.results.map((row: WorkshopSessionRow & { submission_count: number }) => ({ ...toWorkshopSession(row), submissionCount: row.submission_count }))
+}
+
+/**
+ * 端末が参加中のセッションを取得（Cookieの参加コードから、見つからない場合はnull）
+ * @param c - コンテキスト
+ * @param db - D1データベース（未設定の場合はセッションなし）
+ */
+export async function currentWorkshopSession(c: Context, db: D1Database | undefined): Promise<WorkshopSession | null> {
+  const code = normalizeJoinCode(getCookie(c, WORKSHOP_COOKIE) || '')
+  if (!db || !code) {
+    return null
+  }
+  try {
+    return await findWorkshopSessionByCode(db, code)
+  } catch (error) {
+    // セッションを確認できなくても、参加者の画面は通常どおり表示する
+    console.error('ワークショップのセッションの取得エラー:', error)
+    return null
+  }
+}
+
+/**
+ * 端末をセッションに参加させる（参加コードをCookieに記録）
+ * @param c - コンテキスト
+ * @param session - セッション
+ */
+export function joinWorkshopSession(c: Context, session: WorkshopSession): void {
+  setCookie(c, WORKSHOP_COOKIE, session.code, {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'Lax',
+    secure: new URL(c.req.url).protocol === 'https:',
+    maxAge: WORKSHOP_COOKIE_MAX_AGE
+  })
+}
+
+/**
+ * 端末をセッションから抜けさせる
+ * @param c - コンテキスト
+ */
+export function leaveWorkshopSession(c: Context): void {
+  deleteCookie(c, WORKSHOP_COOKIE, { path: '/' })
+}
@@ -0,0 +1,16 @@
+/**
+ * 通知メールの再送Worker（cron）
+ * Cloudflare Pages は cron で動かせないため、送信キュー（src/lib/outbox.ts）の再送だけを行う別のWorkerとして動かす
+ * 設定は wrangler.outbox.jsonc（投稿と同じD1を使う）
+ *
+ * ローカル: npm run outbox:dev で起動し、/__scheduled を開くと1回分の再送を実行する
+ * 本番: npm run outbox:deploy（RESEND_API_KEY は `wrangler secret put -c wrangler.outbox.jsonc` で設定）
+ */
+import { processOutbox, type OutboxBindings } from './lib/outbox'
+
+export default {
+  async scheduled(controller, env, ctx) {
+    console.log('=== 通知の再送（cron） ===', controller.cron)
+    ctx.waitUntil(processOutbox(env))
+  }
+} satisfies ExportedHandler<OutboxBindings>
@@ -0,0 +1,887 @@
+/**
+ * 管理画面（運営者向け）
+ * 参加者の投稿をサムネイル一覧で確認し、条件で絞り込む
+ *
+ * Basic認証で保護する（ADMIN_USERNAME / ADMIN_PASSWORD）
+ * ADMIN_PASSWORD が未設定の場合は管理画面自体を無効にする
+ * フォームのPOSTは同じオリジンからのものだけ受け付ける（CSRF対策）
+ *
+ * GET /admin                  投稿一覧（ワークショップ・会場・建物・生成タイプ・日付・ニックネームで絞り込み）
+ * GET /admin/export.csv       投稿一覧のCSV（一覧と同じ絞り込み）
+ * GET /admin/submissions/:id  投稿詳細（プロンプト・パラメータ・自由文）
+ * GET /admin/usage            利用状況（今日の概算費用と、利用制限にかかった記録）
+ * GET /admin/notifications    通知メールの送信状況（送信待ち・送信失敗の一覧）
+ * POST /admin/notifications/process    期限の来た通知を今すぐ再送
+ * POST /admin/notifications/:id/retry  再送を諦めた通知を送信待ちに戻す
+ * GET /admin/wall             プロジェクターの壁への表示の承認（承認待ち・表示中の一覧）
+ * POST /admin/submissions/:id/wall     壁への表示の可否を変更（status: approved / rejected）
+ * GET /admin/sessions         ワークショップのセッション一覧（参加コード・QRコード）と作成フォーム
+ * POST /admin/sessions        セッションを作成（name, date, scene, modes, buildings）
+ */
+import { Hono, type Context } from 'hono'
+import { csrf } from 'hono/csrf'
+import { htmlHead, htmlFoot, escapeHtml } from './layout'
+import { adminAuth, type AdminBindings } from '../lib/auth'
+import { listSubmissions, getSubmission, buildingLabel, sceneName, type Submission, type SubmissionFilter, type WallStatus } from '../lib/submissions'
+import { BUILDING_TYPES, BUILDING_TYPE_LABELS, IMAGE_MODES, IMAGE_MODE_LABELS } from '../lib/prompts'
+import { SCENES, getScene } from '../lib/scenes'
+import { dailyBudgetUsd, getDailySpend, listLimitEvents, type LimitBindings, type LimitKind } from '../lib/limits'
+import type { ModerationResult } from '../lib/moderation'
+import {
+  countNotifications,
+  listNotifications,
+  listUndeliveredNotifications,
+  processOutbox,
+  requeueNotification,
+  type OutboxBindings,
+  type OutboxEntry,
+  type OutboxStatus
+} from '../lib/outbox'
+import type { NotificationKind } from '../lib/email'
+import { setWallStatus, wallApprovalRequired, WALL_PENDING_COUNT, type WallBindings } from '../lib/wall'
+import {
+  createWorkshopSession,
+  joinPath,
+  listWorkshopSessions,
+  WORKSHOP_ID_PATTERN,
+  WORKSHOP_NAME_MAX_LENGTH,
+  type WorkshopSession
+} from '../lib/workshops'
+import { publicUrl, qrCodeSvg, type ShareBindings } from '../lib/share'
+
+// 環境変数の型定義
+type Bindings = LimitBindings & OutboxBindings & AdminBindings & WallBindings & ShareBindings & {
+  DB?: D1Database
+}
+
+// 1ページあたりの表示件数
+const PAGE_SIZE = 60
+
+// 利用状況に表示する制限記録の件数
+const LIMIT_EVENT_COUNT = 100
+
+// 制限の種類の表示名
+const LIMIT_KIND_LABELS: Record<LimitKind, string> = {
+  session: '回数制限（セッション）',
+  ip: '回数制限（IP）',
+  budget: '1日の費用上限'
+}
+
+// 送信状況に表示する通知の件数
+const NOTIFICATION_COUNT = 100
+
+// 通知の送信状況の表示名
+const NOTIFICATION_STATUS_LABELS: Record<OutboxStatus, string> = {
+  pending: '送信待ち',
+  sent: '送信済み',
+  skipped: '送らず（設定なし）',
+  failed: '送信失敗'
+}
+
+// 通知の種類の表示名
+const NOTIFICATION_KIND_LABELS: Record<NotificationKind, string> = {
+  staff: '運営者への通知',
+  participant: '参加者へのひかえ'
+}
+
+// 壁への表示の可否の表示名
+const WALL_STATUS_LABELS: Record<WallStatus, string> = {
+  pending: '承認待ち',
+  approved: '表示中',
+  rejected: '表示しない'
+}
+
+// 壁の承認画面に表示する表示中の投稿の件数
+const WALL_APPROVED_COUNT = 30
+
+// CSVの書き出しで1回に読み込む件数
+const EXPORT_BATCH_SIZE = 200
+
+// CSVの列（見出し）
+const EXPORT_COLUMNS = [
+  '投稿ID', '日時', 'ワークショップ', '参加コード', 'ニックネーム', '会場', '生成タイプ', '建物',
+  '自由文', '自動プロンプト', '入力チェック', '壁への表示', '画像URL', 'プロンプト'
+]
+
+const adminApp = new Hono<{ Bindings: Bindings }>()
+
+// Basic認証（パスワード未設定時は管理画面を無効化、src/lib/auth.ts）
+adminApp.use('*', adminAuth)
+
+// 別のサイトからのフォーム送信を拒否する（Basic認証はブラウザが自動で送るため、403にする）
+adminApp.use('*', csrf())
+
+/**
+ * 日時を日本時間で表示用に整形
+ * @param iso - ISO形式の日時
+ */
+function formatDateTime(iso: string): string {
+  return new Date(iso).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })
+}
+
+/**
+ * 入力チェックの結果を表示用に整形
+ * @param moderation - 判定結果（入力チェック導入前の投稿はnull）
+ */
+function moderationLabel(moderation: ModerationResult | null): string {
+  if (!moderation) {
+    return '未チェック'
+  }
+  const checks = moderation.checks.map((check) => check === 'model' ? 'モデル' : 'NGワード').join('＋')
+  const status = moderation.status === 'passed'
+    ? '問題なし'
+    : `不適切（${moderation.flags.map((flag) => `${flag.field}: ${flag.reason}`).join(' / ')}）`
+  return `${status}［${checks}］${moderation.modelError ? ` モデル判定エラー: ${moderation.modelError}` : ''}`
+}
+
+/**
+ * 通知の送信状況を表示用に整形
+ * @param entry - 送信キューの通知
+ */
+function notificationStatusLabel(entry: OutboxEntry): string {
+  const label = NOTIFICATION_STATUS_LABELS[entry.status] || entry.status
+  if (entry.status === 'pending' && entry.attempts > 0) {
+    return `${label}（${entry.attempts}回失敗、次回 ${formatDateTime(entry.nextAttemptAt)}）`
+  }
+  if (entry.status === 'sent' && entry.sentAt) {
+    return `${label}（${formatDateTime(entry.sentAt)}）`
+  }
+  return entry.status === 'failed' ? `${label}（${entry.attempts}回）` : label
+}
+
+/**
+ * 通知の一覧の表を生成
+ * @param entries - 送信キューの通知
+ * @param withSubmission - 投稿へのリンクと再送ボタンを表示するか（送信状況の画面）
+ */
+function renderNotificationTable(entries: OutboxEntry[], withSubmission: boolean): string {
+  return `
+    <table class="admin-detail-table">
+      <tr>
+        <th>登録日時</th>${withSubmission ? '<th>投稿</th>' : ''}<th>種類</th><th>宛先</th><th>状況</th><th>エラー</th>${withSubmission ? '<th></th>' : ''}
+      </tr>
+      ${entries.map((entry) => `
+        <tr>
+          <td>${formatDateTime(entry.createdAt)}</td>
+          ${withSubmission ? `<td><a href="/admin/submissions/${escapeHtml(entry.submissionId)}">${escapeHtml(entry.submissionId.slice(0, 8))}</a></td>` : ''}
+          <td>${escapeHtml(NOTIFICATION_KIND_LABELS[entry.kind] || entry.kind)}</td>
+          <td>${escapeHtml(entry.recipients.join(', ') || '-')}</td>
+          <td>${escapeHtml(notificationStatusLabel(entry))}</td>
+          <td>${escapeHtml(entry.lastError || '-')}</td>
+          ${withSubmission ? `<td>${entry.status === 'failed' && entry.kind === 'staff' ? `
+            <form class="admin-action" method="post" action="/admin/notifications/${escapeHtml(entry.id)}/retry">
+              <button type="submit">再送</button>
+            </form>` : ''}</td>` : ''}
+        </tr>
+      `).join('')}
+    </table>
+  `
+}
+
+/**
+ * 選択肢（option要素）を生成
+ * @param values - 値の一覧
+ * @param labels - 値ごとの表示名
+ * @param selected - 選択中の値
+ */
+function renderOptions(values: readonly string[], labels: Record<string, string>, selected: string | undefined): string {
+  return values.map((value) => `
+    <option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(labels[value] || value)}</option>
+  `).join('')
+}
+
+/**
+ * ワークショップのセッションの表示名（開催日つき）
+ * @param session - セッション
+ */
+function sessionLabel(session: WorkshopSession): string {
+  return `${session.date} ${session.name}`
+}
+
+/**
+ * 絞り込みフォームを生成
+ * @param filter - 現在の絞り込み条件
+ * @param sessions - ワークショップのセッション
+ */
+function renderFilterForm(filter: SubmissionFilter, sessions: WorkshopSession[]): string {
+  const sceneNames = Object.fromEntries(SCENES.map((scene) => [scene.id, scene.name]))
+  const sessionNames = Object.fromEntries(sessions.map((session) => [session.id, sessionLabel(session)]))
+  return `
+    <form class="admin-filter" method="get" action="/admin">
+      <label>ワークショップ
+        <select name="session">
+          <option value="">すべて</option>
+          ${renderOptions(Object.keys(sessionNames), sessionNames, filter.sessionId)}
+        </select>
+      </label>
+      <label>会場
+        <select name="scene">
+          <option value="">すべて</option>
+          ${renderOptions(Object.keys(sceneNames), sceneNames, filter.sceneId)}
+        </select>
+      </label>
+      <label>建物
+        <select name="building">
+          <option value="">すべて</option>
+          ${renderOptions(BUILDING_TYPES, BUILDING_TYPE_LABELS, filter.buildingType)}
+        </select>
+      </label>
+      <label>生成タイプ
+        <select name="mode">
+          <option value="">すべて</option>
+          ${renderOptions(IMAGE_MODES, IMAGE_MODE_LABELS, filter.imageMode)}
+        </select>
+      </label>
+      <label>日付（から）
+        <input type="date" name="from" value="${escapeHtml(filter.dateFrom)}">
+      </label>
+      <label>日付（まで）
+        <input type="date" name="to" value="${escapeHtml(filter.dateTo)}">
+      </label>
+      <label>ニックネーム
+        <input type="text" name="nickname" value="${escapeHtml(filter.nickname)}" maxlength="20">
+      </label>
+      <button type="submit">絞り込み</button>
+      <a href="/admin">クリア</a>
+    </form>
+  `
+}
+
+/**
+ * 投稿カード（サムネイル）を生成
+ * @param submission - 投稿レコード
+ */
+function renderCard(submission: Submission): string {
+  const thumbnail = submission.imageUrl
+    ? `<img src="${escapeHtml(submission.imageUrl)}" alt="生成画像" loading="lazy">`
+    : '<div class="admin-no-image">画像なし</div>'
+
+  return `
+    <a class="admin-card" href="/admin/submissions/${escapeHtml(submission.id)}">
+      ${thumbnail}
+      <div class="admin-card-body">
+        <div class="admin-card-nickname">${escapeHtml(submission.nickname || '（未入力）')}</div>
+        <div class="admin-card-meta">${escapeHtml(sceneName(submission))}</div>
+        <div class="admin-card-meta">${escapeHtml(buildingLabel(submission))} / ${escapeHtml(IMAGE_MODE_LABELS[submission.imageMode] || submission.imageMode)}</div>
+        <div class="admin-card-meta">${formatDateTime(submission.createdAt)}</div>
+        <div class="admin-card-text">${escapeHtml(submission.freeText)}</div>
+      </div>
+    </a>
+  `
+}
+
+/**
+ * 壁への表示の可否を変更するボタンを生成
+ * @param submission - 投稿レコード
+ * @param back - 変更後に戻る画面のパス
+ */
+function renderWallActions(submission: Submission, back: string): string {
+  const button = (status: 'approved' | 'rejected', label: string) => `
+    <form class="admin-action" method="post" action="/admin/submissions/${escapeHtml(submission.id)}/wall">
+      <input type="hidden" name="status" value="${status}">
+      <input type="hidden" name="back" value="${escapeHtml(back)}">
+      <button type="submit">${label}</button>
+    </form>
+  `
+  return `
+    <div class="admin-wall-actions">
+      ${submission.wallStatus !== 'approved' ? button('approved', '壁に表示する') : ''}
+      ${submission.wallStatus !== 'rejected' ? button('rejected', '表示しない') : ''}
+    </div>
+  `
+}
+
+/**
+ * ページ送りリンクを生成
+ * @param query - 現在のクエリ（page以外）
+ * @param page - 現在のページ番号（1始まり）
+ * @param totalPages - 総ページ数
+ */
+function renderPager(query: URLSearchParams, page: number, totalPages: number): string {
+  if (totalPages <= 1) {
+    return ''
+  }
+  const link = (target: number, label: string) => {
+    const params = new URLSearchParams(query)
+    params.set('page', String(target))
+    return `<a href="/admin?${escapeHtml(params.toString())}">${label}</a>`
+  }
+  return `
+    <nav class="admin-pager">
+      ${page > 1 ? link(page - 1, '← 前へ') : ''}
+      <span>${page} / ${totalPages}</span>
+      ${page < totalPages ? link(page + 1, '次へ →') : ''}
+    </nav>
+  `
+}
+
+/**
+ * クエリから絞り込み条件を読み取る（不正な値は無視する）
+ * 投稿一覧とCSVの書き出しで共有する
+ * @param c - コンテキスト
+ */
+function parseFilter(c: Context): SubmissionFilter {
+  const session = c.req.query('session')
+  const scene = c.req.query('scene')
+  const building = c.req.query('building')
+  const mode = c.req.query('mode')
+  return {
+    sessionId: session && WORKSHOP_ID_PATTERN.test(session) ? session : undefined,
+    sceneId: scene && getScene(scene) ? scene : undefined,
+    buildingType: building && (BUILDING_TYPES as readonly string[]).includes(building) ? building : undefined,
+    imageMode: mode && (IMAGE_MODES as readonly string[]).includes(mode) ? mode : undefined,
+    dateFrom: c.req.query('from') || undefined,
+    dateTo: c.req.query('to') || undefined,
+    nickname: c.req.query('nickname')?.trim() || undefined
+  }
+}
+
+/**
+ * CSVの1セルを整形（表計算ソフトで数式として扱われないよう、=+-@ で始まる値には ' を付ける）
+ * @param value - セルの値
+ */
+function csvCell(value: string): string {
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 投稿一覧
+ * GET /admin
+ */
+adminApp.get('/', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const filter = parseFilter(c)
+  const page = Math.max(1, Number.parseInt(c.req.query('page') || '1', 10) || 1)
+
+  const [{ submissions, total }, sessions] = await Promise.all([
+    listSubmissions(db, filter, {
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    }),
+    listWorkshopSessions(db)
+  ])
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  // ページ送り・CSVの書き出し用のクエリ（page以外の条件を引き継ぐ）
+  const query = new URLSearchParams(c.req.query())
+  query.delete('page')
+  const exportUrl = query.size > 0 ? `/admin/export.csv?${query.toString()}` : '/admin/export.csv'
+
+  return c.html(`
+    ${htmlHead('管理画面')}
+    <div class="admin-container">
+      <header class="admin-header">
+        <h1>投稿一覧</h1>
+        <span class="admin-count">${total}件</span>
+        <a href="/admin/usage">利用状況</a>
+        <a href="/admin/notifications">通知メール</a>
+        <a href="/admin/sessions">ワークショップ</a>
+        <a href="/admin/wall">壁の承認</a>
+        <a href="/wall">壁</a>
+        <a href="${escapeHtml(exportUrl)}">CSVで書き出し</a>
+      </header>
+
+      ${renderFilterForm(filter, sessions)}
+
+      <div class="admin-grid">
+        ${submissions.length > 0
+          ? submissions.map(renderCard).join('')
+          : '<p class="admin-empty">該当する投稿はありません</p>'}
+      </div>
+
+      ${renderPager(query, page, totalPages)}
+    </div>
+    ${htmlFoot}
+  `)
+})
+
+/**
+ * 投稿一覧のCSV（一覧と同じ絞り込み、新しい順）
+ * Excelで文字化けしないようBOMを付ける
+ * GET /admin/export.csv
+ */
+adminApp.get('/export.csv', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const filter = parseFilter(c)
+  const sessions = new Map((await listWorkshopSessions(db)).map((session) => [session.id, session]))
+  const lines = [EXPORT_COLUMNS.map(csvCell).join(',')]
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const { submissions } = await listSubmissions(db, filter, { limit: EXPORT_BATCH_SIZE, offset })
+    for (const submission of submissions) {
+      const session = submission.sessionId ? sessions.get(submission.sessionId) : undefined
+      lines.push([
+        submission.id,
+        formatDateTime(submission.createdAt),
+        session?.name ?? '',
+        session?.code ?? '',
+        submission.nickname,
+        sceneName(submission),
+        IMAGE_MODE_LABELS[submission.imageMode] || submission.imageMode,
+        buildingLabel(submission),
+        submission.freeText,
+        submission.autoPrompt ? '使用' : '未使用',
+        moderationLabel(submission.moderation),
+        submission.wallStatus ? WALL_STATUS_LABELS[submission.wallStatus] : '',
+        submission.imageUrl ? publicUrl(c.env, c.req.url, submission.imageUrl) : '',
+        submission.prompt ?? ''
+      ].map(csvCell).join(','))
+    }
+    if (submissions.length < EXPORT_BATCH_SIZE) {
+      break
+    }
+  }
+
+  const date = new Date().toLocaleDateString('sv-SE', { timeZone: 'Asia/Tokyo' })
+  return c.body(`\uFEFF${lines.join('\r\n')}\r\n`, 200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="submissions-${date}.csv"`
+  })
+})
+
+/**
+ * 投稿詳細
+ * GET /admin/submissions/:id
+ */
+adminApp.get('/submissions/:id', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const submission = await getSubmission(db, c.req.param('id'))
+  if (!submission) {
+    return c.text('投稿が見つかりません', 404)
+  }
+
+  const { generationData } = submission
+  const notifications = await listNotifications(db, submission.id)
+  const rows: Array<[string, string]> = [
+    ['投稿ID', submission.id],
+    ['日時', formatDateTime(submission.createdAt)],
+    ['ワークショップ', generationData.session ? `${generationData.session.name}（${generationData.session.code}）` : '-'],
+    ['ニックネーム', submission.nickname || '（未入力）'],
+    ['会場', sceneName(submission)],
+    ['生成タイプ', IMAGE_MODE_LABELS[submission.imageMode] || submission.imageMode],
+    ['建物', buildingLabel(submission)],
+    ['自由文', submission.freeText || '（未入力）'],
+    ['自動プロンプト', submission.autoPrompt ? '使用' : '未使用'],
+    ['入力チェック', moderationLabel(submission.moderation)],
+    ['壁への表示', submission.wallStatus ? WALL_STATUS_LABELS[submission.wallStatus] : '-'],
+    ['テンプレート', submission.templateVersion || '-'],
+    ['会場バージョン', generationData.sceneVersion || '-'],
+    ['パラメータ', generationData.params ? JSON.stringify(generationData.params) : '-'],
+    ['参考画像', generationData.referenceImageUrl || 'なし'],
+    ['選んだ候補', generationData.candidateCount ? `${(generationData.selectedCandidate ?? 0) + 1} / ${generationData.candidateCount}` : '-']
+  ]
+
+  return c.html(`
+    ${htmlHead('投稿詳細')}
+    <div class="admin-container">
+      <header class="admin-header">
+        <a href="/admin">← 一覧に戻る</a>
+        <h1>投稿詳細</h1>
+      </header>
+
+      <div class="admin-detail">
+        <div class="admin-detail-image">
+          ${submission.imageUrl
+            ? `<img src="${escapeHtml(submission.imageUrl)}" alt="生成画像">`
+            : '<div class="admin-no-image">画像なし</div>'}
+        </div>
+
+        <table class="admin-detail-table">
+          ${rows.map(([label, value]) => `
+            <tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>
+          `).join('')}
+        </table>
+      </div>
+
+      ${renderWallActions(submission, `/admin/submissions/${submission.id}`)}
+
+      <h2 class="admin-section-title">プロンプト</h2>
+      <pre class="admin-pre">${escapeHtml(submission.prompt || '-')}</pre>
+
+      <h2 class="admin-section-title">ネガティブプロンプト</h2>
+      <pre class="admin-pre">${escapeHtml(generationData.negativePrompt || '-')}</pre>
+
+      <h2 class="admin-section-title">通知メール</h2>
+      ${notifications.length > 0
+        ? renderNotificationTable(notifications, false)
+        : '<p class="admin-empty">通知の記録はありません</p>'}
+
+      <details>
+        <summary>生成データ（JSON）</summary>
+        <pre class="admin-pre">${escapeHtml(JSON.stringify(generationData, null, 2))}</pre>
+      </details>
+    </div>
+    ${htmlFoot}
+  `)
+})
+
+/**
+ * 利用状況
+ * GET /admin/usage
+ */
+adminApp.get('/usage', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const spend = await getDailySpend(c.env)
+  const budget = dailyBudgetUsd(c.env)
+  const events = await listLimitEvents(db, LIMIT_EVENT_COUNT)
+
+  const rows: Array<[string, string]> = [
+    ['日付', spend.date],
+    ['生成・変換の回数', `${spend.requests}回`],
+    ['概算費用', `$${spend.usd.toFixed(2)}`],
+    ['1日の上限', budget !== null ? `$${budget.toFixed(2)}（残り $${Math.max(0, budget - spend.usd).toFixed(2)}）` : '上限なし']
+  ]
+
+  return c.html(`
+    ${htmlHead('利用状況')}
+    <div class="admin-container">
+      <header class="admin-header">
+        <a href="/admin">← 一覧に戻る</a>
+        <h1>利用状況</h1>
+      </header>
+
+      <table class="admin-detail-table">
+        ${rows.map(([label, value]) => `
+          <tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>
+        `).join('')}
+      </table>
+
+      <h2 class="admin-section-title">利用制限の記録（新しい順、${LIMIT_EVENT_COUNT}件まで）</h2>
+      ${events.length > 0 ? `
+        <table class="admin-detail-table">
+          <tr><th>日時</th><th>種類</th><th>API</th><th>セッション / IP</th><th>内容</th></tr>
+          ${events.map((event) => `
+            <tr>
+              <td>${formatDateTime(event.createdAt)}</td>
+              <td>${escapeHtml(LIMIT_KIND_LABELS[event.kind] || event.kind)}</td>
+              <td>${escapeHtml(event.endpoint)}</td>
+              <td>${escapeHtml(event.client || '-')}</td>
+              <td>${escapeHtml(event.detail || '-')}</td>
+            </tr>
+          `).join('')}
+        </table>
+      ` : '<p class="admin-empty">利用制限にかかった記録はありません</p>'}
+    </div>
+    ${htmlFoot}
+  `)
+})
+
+/**
+ * 通知メールの送信状況
+ * GET /admin/notifications
+ */
+adminApp.get('/notifications', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const [counts, entries] = await Promise.all([
+    countNotifications(db),
+    listUndeliveredNotifications(db, NOTIFICATION_COUNT)
+  ])
+  const rows = (Object.keys(NOTIFICATION_STATUS_LABELS) as OutboxStatus[])
+    .map((status) => [NOTIFICATION_STATUS_LABELS[status], `${counts[status]}件`])
+
+  // 再送の結果（POST /admin/notifications/process からのリダイレクト）
+  const processed = c.req.query('processed')
+
+  return c.html(`
+    ${htmlHead('通知メール')}
+    <div class="admin-container">
+      <header class="admin-header">
+        <a href="/admin">← 一覧に戻る</a>
+        <h1>通知メール</h1>
+      </header>
+
+      ${processed !== undefined ? `<p class="admin-notice">${escapeHtml(processed)}件を再送しました</p>` : ''}
+
+      <table class="admin-detail-table">
+        ${rows.map(([label, value]) => `
+          <tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>
+        `).join('')}
+      </table>
+
+      <form class="admin-action" method="post" action="/admin/notifications/process">
+        <button type="submit">期限の来た通知を今すぐ再送</button>
+      </form>
+
+      <h2 class="admin-section-title">送信待ち・送信失敗（新しい順、${NOTIFICATION_COUNT}件まで）</h2>
+      ${entries.length > 0
+        ? renderNotificationTable(entries, true)
+        : '<p class="admin-empty">送信待ち・送信失敗の通知はありません</p>'}
+    </div>
+    ${htmlFoot}
+  `)
+})
+
+/**
+ * 期限の来た通知を今すぐ再送（再送Workerを待たずに送る、ローカル開発でも使う）
+ * POST /admin/notifications/process
+ */
+adminApp.post('/notifications/process', async (c) => {
+  if (!c.env.DB) {
+    return c.text('データベースが設定されていません', 500)
+  }
+  const summary = await processOutbox(c.env)
+  return c.redirect(`/admin/notifications?processed=${summary.processed}`, 303)
+})
+
+/**
+ * 再送を諦めた通知を送信待ちに戻す
+ * POST /admin/notifications/:id/retry
+ */
+adminApp.post('/notifications/:id/retry', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+  if (!await requeueNotification(db, c.req.param('id'))) {
+    return c.text('再送できる通知が見つかりません', 404)
+  }
+  const summary = await processOutbox(c.env)
+  return c.redirect(`/admin/notifications?processed=${summary.processed}`, 303)
+})
+
+/**
+ * プロジェクターの壁への表示の承認
+ * GET /admin/wall
+ */
+adminApp.get('/wall', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const [pending, approved] = await Promise.all([
+    listSubmissions(db, { wallStatus: 'pending' }, { limit: WALL_PENDING_COUNT, offset: 0 }),
+    listSubmissions(db, { wallStatus: 'approved' }, { limit: WALL_APPROVED_COUNT, offset: 0 })
+  ])
+  const renderItems = (submissions: Submission[], empty: string) => submissions.length > 0
+    ? submissions.map((submission) => `
+        <div class="admin-wall-item">
+          ${renderCard(submission)}
+          ${renderWallActions(submission, '/admin/wall')}
+        </div>
+      `).join('')
+    : `<p class="admin-empty">${empty}</p>`
+
+  return c.html(`
+    ${htmlHead('壁の承認')}
+    <div class="admin-container">
+      <header class="admin-header">
+        <a href="/admin">← 一覧に戻る</a>
+        <h1>壁の承認</h1>
+        <a href="/wall">壁を開く</a>
+      </header>
+
+      <p class="admin-notice">
+        ${wallApprovalRequired(c.env)
+          ? '新しい投稿は承認するまで壁に表示されません（WALL_APPROVAL=true）'
+          : '新しい投稿はすぐに壁に表示されます（承認が必要な場合は WALL_APPROVAL=true）'}
+      </p>
+
+      <h2 class="admin-section-title">承認待ち（${pending.total}件）</h2>
+      <div class="admin-grid">
+        ${renderItems(pending.submissions, '承認待ちの投稿はありません')}
+      </div>
+
+      <h2 class="admin-section-title">表示中（新しい順、${WALL_APPROVED_COUNT}件まで）</h2>
+      <div class="admin-grid">
+        ${renderItems(approved.submissions, '表示中の投稿はありません')}
+      </div>
+    </div>
+    ${htmlFoot}
+  `)
+})
+
+/**
+ * 壁への表示の可否を変更
+ * 表示しないにした投稿は、壁を開き直すと消える
+ * POST /admin/submissions/:id/wall
+ */
+adminApp.post('/submissions/:id/wall', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const form = await c.req.parseBody()
+  const status = form.status
+  if (status !== 'approved' && status !== 'rejected') {
+    return c.text('表示の可否が不正です', 400)
+  }
+  if (!await setWallStatus(db, c.req.param('id'), status)) {
+    return c.text('投稿が見つかりません', 404)
+  }
+
+  // 戻り先は管理画面の中だけにする
+  const back = typeof form.back === 'string' && form.back.startsWith('/admin/') ? form.back : '/admin/wall'
+  return c.redirect(back, 303)
+})
+
+/**
+ * ワークショップのセッションを作成するフォームを生成
+ */
+function renderSessionForm(): string {
+  const checkboxes = (name: string, values: readonly string[], labels: Record<string, string>) => values.map((value) => `
+    <label class="admin-checkbox">
+      <input type="checkbox" name="${name}" value="${value}" checked> ${escapeHtml(labels[value] || value)}
+    </label>
+  `).join('')
+  const today = new Date().toLocaleDateString('sv-SE', { timeZone: 'Asia/Tokyo' })
+  return `
+    <form class="admin-filter" method="post" action="/admin/sessions">
+      <label>名前（学校・会場など）
+        <input type="text" name="name" maxlength="${WORKSHOP_NAME_MAX_LENGTH}" required>
+      </label>
+      <label>開催日
+        <input type="date" name="date" value="${today}" required>
+      </label>
+      <label>会場
+        <select name="scene">
+          ${SCENES.map((scene) => `<option value="${scene.id}">${escapeHtml(scene.name)}</option>`).join('')}
+        </select>
+      </label>
+      <fieldset class="admin-fieldset">
+        <legend>生成タイプ</legend>
+        ${checkboxes('modes', IMAGE_MODES, IMAGE_MODE_LABELS)}
+      </fieldset>
+      <fieldset class="admin-fieldset">
+        <legend>建物（会場で選べるもののみ）</legend>
+        ${checkboxes('buildings', BUILDING_TYPES, BUILDING_TYPE_LABELS)}
+      </fieldset>
+      <button type="submit">作成</button>
+    </form>
+  `
+}
+
+/**
+ * ワークショップのセッション一覧
+ * GET /admin/sessions
+ */
+adminApp.get('/sessions', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const sessions = await listWorkshopSessions(db)
+  const label = (values: readonly string[], labels: Record<string, string>) => values.map((value) => labels[value] || value).join('・')
+
+  return c.html(`
+    ${htmlHead('ワークショップ')}
+    <div class="admin-container">
+      <header class="admin-header">
+        <a href="/admin">← 一覧に戻る</a>
+        <h1>ワークショップ</h1>
+      </header>
+
+      <p class="admin-notice">
+        参加コードのURL・QRコードから入った端末では、セッションの会場・生成タイプ・建物だけを選べ、投稿にセッションが記録されます
+      </p>
+
+      <h2 class="admin-section-title">新しいセッション</h2>
+      ${renderSessionForm()}
+
+      <h2 class="admin-section-title">セッション（開催日の新しい順）</h2>
+      ${sessions.length > 0 ? sessions.map((session) => {
+        const joinUrl = publicUrl(c.env, c.req.url, joinPath(session.code))
+        const query = `session=${encodeURIComponent(session.id)}`
+        const rows: Array<[string, string]> = [
+          ['開催日', session.date],
+          ['会場', getScene(session.sceneId)?.name || session.sceneId],
+          ['生成タイプ', label(session.imageModes, IMAGE_MODE_LABELS)],
+          ['建物', label(session.buildingTypes, BUILDING_TYPE_LABELS)],
+          ['参加コード', session.code],
+          ['参加URL', joinUrl],
+          ['投稿数', `${session.submissionCount}件`]
+        ]
+        return `
+          <div class="admin-session">
+            <div class="admin-session-qr">${qrCodeSvg(joinUrl)}</div>
+            <div class="admin-session-body">
+              <h3>${escapeHtml(session.name)}</h3>
+              <table class="admin-detail-table">
+                ${rows.map(([name, value]) => `
+                  <tr><th>${name}</th><td>${escapeHtml(value)}</td></tr>
+                `).join('')}
+              </table>
+              <nav class="admin-session-links">
+                <a href="/admin?${query}">投稿一覧</a>
+                <a href="/admin/export.csv?${query}">CSVで書き出し</a>
+                <a href="/wall?${query}">壁を開く</a>
+              </nav>
+            </div>
+          </div>
+        `
+      }).join('') : '<p class="admin-empty">セッションはまだありません</p>'}
+    </div>
+    ${htmlFoot}
+  `)
+})
+
+/**
+ * ワークショップのセッションを作成
+ * POST /admin/sessions
+ */
+adminApp.post('/sessions', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const form = await c.req.parseBody({ all: true })
+  const values = (value: unknown) => (Array.isArray(value) ? value : [value]).filter((item): item is string => typeof item === 'string')
+  const name = values(form.name)[0]?.trim() ?? ''
+  const date = values(form.date)[0] ?? ''
+  const scene = getScene(values(form.scene)[0] || '')
+  const imageModes = IMAGE_MODES.filter((mode) => values(form.modes).includes(mode))
+  const buildingTypes = BUILDING_TYPES.filter((type) => values(form.buildings).includes(type))
+
+  if (!name || name.length > WORKSHOP_NAME_MAX_LENGTH) {
+    return c.text(`名前は${WORKSHOP_NAME_MAX_LENGTH}文字以内で入力してください`, 400)
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return c.text('開催日が不正です', 400)
+  }
+  if (!scene) {
+    return c.text('会場が不正です', 400)
+  }
+  if (imageModes.length === 0) {
+    return c.text('生成タイプを1つ以上選んでください', 400)
+  }
+  // 会場で選べない建物は除く
+  const allowedBuildings = buildingTypes.filter((type) => scene.buildingTypes.includes(type))
+  if (allowedBuildings.length === 0) {
+    return c.text('この会場で選べる建物を1つ以上選んでください', 400)
+  }
+
+  const session = await createWorkshopSession(db, {
+    name,
+    date,
+    sceneId: scene.id,
+    imageModes,
+    buildingTypes: allowedBuildings
+  })
+  console.log('ワークショップのセッションを作成:', session.code, session.name)
+  return c.redirect('/admin/sessions', 303)
+})
+
+export default adminApp
@@ -0,0 +1,131 @@
+/**
+ * ワークショップへの参加（参加者向け）
+ * 運営者が配った参加コードのURL・QRコードから開き、端末をワークショップのセッションに参加させる
+ * 参加中はトップ画面にセッション名を表示し、画像表示画面ではセッションの会場・生成タイプ・建物だけを選べる
+ *
+ * GET /join           参加コードの入力（?code= で参加、参加中の場合はセッション名と抜けるボタン）
+ * GET /join/:code     参加コードのURL（参加してトップ画面へ）
+ * POST /join/leave    セッションから抜ける
+ */
+import { Hono } from 'hono'
+import { htmlHead, htmlFoot, escapeHtml } from './layout'
+import {
+  currentWorkshopSession,
+  findWorkshopSessionByCode,
+  joinPath,
+  joinWorkshopSession,
+  leaveWorkshopSession,
+  normalizeJoinCode,
+  type WorkshopSession
+} from '../lib/workshops'
+
+// 環境変数の型定義
+type Bindings = {
+  DB?: D1Database
+}
+
+const joinApp = new Hono<{ Bindings: Bindings }>()
+
+/**
+ * 参加コードの入力画面
+ * @param options - 参加中のセッション・入力された参加コード・エラーメッセージ
+ */
+function joinPage(options: { current: WorkshopSession | null; code?: string; error?: string }): string {
+  const { current, code, error } = options
+  return `
+    ${htmlHead('ワークショップに参加', '<meta name="robots" content="noindex">')}
+    <div class="screen-container">
+      <div class="screen-name">ワークショップに参加</div>
+      <main class="main-content join-content">
+        <h1 class="section-title">ワークショップに参加</h1>
+
+        ${current ? `
+        <div class="join-current">
+          <p>参加中：<strong>${escapeHtml(current.name)}</strong>（${escapeHtml(current.date)}）</p>
+          <div class="join-actions">
+            <a class="join-button" href="/">はじめる</a>
+            <form method="post" action="/join/leave">
+              <button type="submit" class="join-leave">ワークショップから抜ける</button>
+            </form>
+          </div>
+        </div>
+        ` : ''}
+
+        <form class="join-form" method="get" action="/join">
+          <label for="joinCode" class="form-label">参加コード</label>
+          <input
+            type="text"
+            id="joinCode"
+            name="code"
+            class="form-input join-code-input"
+            value="${escapeHtml(code)}"
+            maxlength="12"
+            autocomplete="off"
+            autocapitalize="characters"
+            placeholder="例：ABC234"
+          >
+          ${error ? `<p class="join-error">${escapeHtml(error)}</p>` : ''}
+          <button type="submit" class="join-button">参加する</button>
+        </form>
+      </main>
+    </div>
+    ${htmlFoot}
+  `
+}
+
+/**
+ * 参加コードの入力
+ * GET /join
+ */
+joinApp.get('/', async (c) => {
+  const input = c.req.query('code')
+  if (input !== undefined) {
+    const code = normalizeJoinCode(input)
+    if (code) {
+      return c.redirect(joinPath(code))
+    }
+    return c.html(joinPage({
+      current: await currentWorkshopSession(c, c.env.DB),
+      code: input,
+      error: '参加コードは英数字6文字です'
+    }), 400)
+  }
+
+  return c.html(joinPage({ current: await currentWorkshopSession(c, c.env.DB) }))
+})
+
+/**
+ * セッションから抜ける
+ * POST /join/leave
+ */
+joinApp.post('/leave', (c) => {
+  leaveWorkshopSession(c)
+  return c.redirect('/join', 303)
+})
+
+/**
+ * 参加コードのURL
+ * GET /join/:code
+ */
+joinApp.get('/:code', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const code = normalizeJoinCode(c.req.param('code'))
+  const session = code ? await findWorkshopSessionByCode(db, code) : null
+  if (!session) {
+    return c.html(joinPage({
+      current: await currentWorkshopSession(c, db),
+      code: c.req.param('code'),
+      error: '参加コードが見つかりません。もう一度確かめてください'
+    }), 404)
+  }
+
+  joinWorkshopSession(c, session)
+  console.log('ワークショップに参加:', session.code, session.name)
+  return c.redirect('/')
+})
+
+export default joinApp
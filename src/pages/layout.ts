@@ -0,0 +1,44 @@
+/**
+ * 画面共通のHTMLレイアウト
+ * 参加者向け画面（src/index.tsx）と管理画面（src/pages/admin.ts）で共有する
+ */
+
+/**
+ * 共通HTMLヘッダー生成
+ * @param title - ページタイトル
+ * @param head - headに追加する要素（OGPのmetaタグなど、エスケープ済みのHTML）
+ */
+export const htmlHead = (title: string, head = '') => `
+  <!DOCTYPE html>
+  <html lang="ja">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
+    <title>${title} - ゆめまち☆キャンバス【テスト版】</title>
+    <link rel="stylesheet" href="/static/styles.css">
+    ${head}
+  </head>
+  <body>
+`
+
+/**
+ * 共通HTMLフッター生成
+ */
+export const htmlFoot = `
+  </body>
+  </html>
+`
+
+/**
+ * HTML特殊文字をエスケープ
+ * 参加者が入力した文字列（ニックネーム・自由文など）を埋め込む際は必ず通すこと
+ * @param value - エスケープする値
+ */
+export function escapeHtml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
@@ -0,0 +1,185 @@
+/**
+ * 作品の共有ページ（参加者向け、公開）
+ * 完了画面のQRコードから開き、会場で作った作品を参加者のスマートフォンに持ち帰ってもらう
+ *
+ * GET /share/:id         共有ページ（変更前・変更後の画像、建物、ねがい、名前、OGP・Twitterカード）
+ * GET /share/:id/qr.svg  共有ページのURLのQRコード（完了画面に表示する）
+ *
+ * 投稿IDは推測できないUUIDのため、URLを知っている人だけが開ける（検索エンジンには載せない）
+ */
+import { Hono } from 'hono'
+import { htmlHead, htmlFoot, escapeHtml } from './layout'
+import { getSubmission, buildingLabel, sceneName, type Submission } from '../lib/submissions'
+import { getScene } from '../lib/scenes'
+import { imageIdFromUrl } from '../lib/images'
+import { publicUrl, qrCodeSvg, sharePath, type ShareBindings } from '../lib/share'
+
+// 環境変数の型定義
+type Bindings = ShareBindings & {
+  DB?: D1Database
+}
+
+// 投稿IDの形式（crypto.randomUUID）
+const SUBMISSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+// サイト名（OGP）
+const SITE_NAME = 'ゆめまち☆キャンバス'
+
+const shareApp = new Hono<{ Bindings: Bindings }>()
+
+/**
+ * 共有ページのタイトル
+ * @param submission - 投稿レコード
+ */
+function shareTitle(submission: Submission): string {
+  return submission.nickname ? `${submission.nickname}さんのゆめのまち` : 'ゆめのまち'
+}
+
+/**
+ * 共有ページの説明文（リンクのプレビューに表示する）
+ * @param submission - 投稿レコード
+ */
+function shareDescription(submission: Submission): string {
+  const description = `${sceneName(submission)}に「${buildingLabel(submission)}」をつくりました。`
+  return submission.freeText ? `${description}ねがい：${submission.freeText}` : description
+}
+
+/**
+ * OGP・Twitterカードのmetaタグ
+ * @param meta - タイトル・説明文・ページと画像の絶対URL
+ */
+function shareMetaTags(meta: { title: string; description: string; url: string; imageUrl: string | null }): string {
+  const tags: Array<[string, string, string]> = [
+    ['name', 'robots', 'noindex'],
+    ['name', 'description', meta.description],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', meta.title],
+    ['property', 'og:description', meta.description],
+    ['property', 'og:url', meta.url],
+    ['name', 'twitter:card', meta.imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', meta.title],
+    ['name', 'twitter:description', meta.description]
+  ]
+  if (meta.imageUrl) {
+    tags.push(
+      ['property', 'og:image', meta.imageUrl],
+      ['property', 'og:image:alt', meta.title],
+      ['name', 'twitter:image', meta.imageUrl]
+    )
+  }
+  return tags
+    .map(([attribute, key, value]) => `<meta ${attribute}="${key}" content="${escapeHtml(value)}">`)
+    .join('\n    ')
+}
+
+/**
+ * 見つからない場合のページ
+ */
+function notFoundPage(): string {
+  return `
+    ${htmlHead('作品が見つかりません', '<meta name="robots" content="noindex">')}
+    <div class="screen-container">
+      <main class="main-content">
+        <p class="complete-submessage">作品が見つかりませんでした。<br>URLをもう一度確かめてください。</p>
+      </main>
+    </div>
+    ${htmlFoot}
+  `
+}
+
+/**
+ * 共有ページ
+ * GET /share/:id
+ */
+shareApp.get('/:id', async (c) => {
+  const db = c.env.DB
+  if (!db) {
+    return c.text('データベースが設定されていません', 500)
+  }
+
+  const id = c.req.param('id')
+  const submission = SUBMISSION_ID_PATTERN.test(id) ? await getSubmission(db, id) : null
+  if (!submission) {
+    return c.html(notFoundPage(), 404)
+  }
+
+  // 生成画像はR2に保存したもの（/images/:id）だけを表示する（R2の導入前の投稿は期限切れのため表示しない）
+  const imageUrl = submission.imageUrl && imageIdFromUrl(submission.imageUrl) ? submission.imageUrl : null
+  const baseImage = getScene(submission.sceneId)?.baseImage ?? null
+  const title = shareTitle(submission)
+  const description = shareDescription(submission)
+  const head = shareMetaTags({
+    title,
+    description,
+    url: publicUrl(c.env, c.req.url, sharePath(submission.id)),
+    imageUrl: imageUrl ? publicUrl(c.env, c.req.url, imageUrl) : null
+  })
+  const rows: Array<[string, string]> = [
+    ['名前', submission.nickname || '（なし）'],
+    ['場所', sceneName(submission)],
+    ['建物', buildingLabel(submission)],
+    ['ねがい', submission.freeText || '（なし）'],
+    ['日付', new Date(submission.createdAt).toLocaleDateString('ja-JP', { timeZone: 'Asia/Tokyo' })]
+  ]
+
+  return c.html(`
+    ${htmlHead(escapeHtml(title), head)}
+    <div class="screen-container">
+      <main class="main-content share-content">
+        <h1 class="share-title">${escapeHtml(title)}</h1>
+
+        <!-- 変更前・変更後 -->
+        <div class="share-images">
+          ${baseImage ? `
+          <figure class="confirm-image-section">
+            <figcaption class="confirm-label">いまのまち</figcaption>
+            <div class="confirm-image-container">
+              <img src="${escapeHtml(baseImage)}" alt="変更前の${escapeHtml(sceneName(submission))}" class="confirm-image">
+            </div>
+          </figure>
+          ` : ''}
+          <figure class="confirm-image-section">
+            <figcaption class="confirm-label">ゆめのまち</figcaption>
+            <div class="confirm-image-container">
+              ${imageUrl
+                ? `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(title)}" class="confirm-image">`
+                : '<p class="share-no-image">画像の保存期間が終わりました</p>'}
+            </div>
+          </figure>
+        </div>
+
+        <!-- 作品の内容 -->
+        <div class="confirm-settings">
+          ${rows.map(([label, value]) => `
+          <div class="confirm-setting-item">
+            <span class="confirm-setting-label">${label}：</span>
+            <span class="confirm-setting-value">${escapeHtml(value)}</span>
+          </div>
+          `).join('')}
+        </div>
+
+        ${imageUrl ? '<p class="share-hint">画像を長押しすると保存できます</p>' : ''}
+      </main>
+    </div>
+    ${htmlFoot}
+  `)
+})
+
+/**
+ * 共有ページのURLのQRコード
+ * GET /share/:id/qr.svg
+ */
+shareApp.get('/:id/qr.svg', (c) => {
+  const id = c.req.param('id')
+  if (!SUBMISSION_ID_PATTERN.test(id)) {
+    return c.text('投稿が見つかりません', 404)
+  }
+
+  return c.body(qrCodeSvg(publicUrl(c.env, c.req.url, sharePath(id))), 200, {
+    'Content-Type': 'image/svg+xml',
+    'Cache-Control': 'public, max-age=86400'
+  })
+})
+
+export default shareApp
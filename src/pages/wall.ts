@@ -0,0 +1,59 @@
+/**
+ * プロジェクターの壁（運営者向け、Basic認証）
+ * ワークショップの会場で投影し、確定した作品が届くたびにモザイク状に追加していく
+ * 表示する投稿は /api/wall（src/api/wall.ts）から受け取る（SSE、使えない場合は定期取得）
+ *
+ * GET /wall          壁（?poll=1 でSSEを使わず定期取得にする、?session= でワークショップのセッションの投稿だけにする）
+ */
+import { Hono } from 'hono'
+import { htmlHead, htmlFoot, escapeHtml } from './layout'
+import { adminAuth, type AdminBindings } from '../lib/auth'
+import { getWorkshopSession, WORKSHOP_ID_PATTERN } from '../lib/workshops'
+
+// 環境変数の型定義
+type Bindings = AdminBindings & {
+  DB?: D1Database
+}
+
+const wallApp = new Hono<{ Bindings: Bindings }>()
+
+// Basic認証（管理画面と同じ、src/lib/auth.ts）
+wallApp.use('*', adminAuth)
+
+/**
+ * 壁
+ * GET /wall
+ */
+wallApp.get('/', async (c) => {
+  // ワークショップのセッションの指定（壁の見出しにセッション名を表示する）
+  const sessionId = c.req.query('session')
+  let sessionName: string | null = null
+  if (sessionId) {
+    const session = WORKSHOP_ID_PATTERN.test(sessionId) && c.env.DB ? await getWorkshopSession(c.env.DB, sessionId) : null
+    if (!session) {
+      return c.text('ワークショップが見つかりません', 404)
+    }
+    sessionName = session.name
+  }
+
+  return c.html(`
+    ${htmlHead('壁')}
+    <div class="wall-container">
+      <header class="wall-header">
+        <h1 class="wall-title">ゆめまち☆キャンバス</h1>
+        ${sessionName ? `<span class="wall-session">${escapeHtml(sessionName)}</span>` : ''}
+        <span class="wall-count"><span id="wallCount">0</span>作品</span>
+        <span class="wall-status" id="wallStatus">接続中...</span>
+      </header>
+
+      <!-- 作品のモザイク（新しいものが先頭） -->
+      <main class="wall-grid" id="wallGrid"></main>
+      <p class="wall-empty" id="wallEmpty">作品が届くとここに表示されます</p>
+    </div>
+
+    <script src="/static/pages/wall.js"></script>
+    ${htmlFoot}
+  `)
+})
+
+export default wallApp
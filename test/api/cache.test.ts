@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest'
+import { getDailySpend } from '../../src/lib/limits'
+import { cacheKey } from '../../src/lib/cache'
+import { createEnv, get, jsonResponse, postJson, stubFetch, IMAGE_DATA, MASK_DATA } from '../helpers'
+
+// 通常モードの基本リクエスト（候補画像2枚）
+const REQUEST = {
+  imageMode: 'faithful',
+  buildingType: 'fountain',
+  freeText: 'ワクワクするもの',
+  numImages: 2,
+  imageData: IMAGE_DATA,
+  maskData: MASK_DATA
+}
+
+// OpenAIの出力（項目ごとのプロンプト）
+const OPENAI_OUTPUT = {
+  positive: 'Install an exciting fountain in the plaza.',
+  negative: 'text, logos',
+  people: 'Include 20–40 people playing around the fountain.',
+  structure: 'A fountain basin 8–10 meters in diameter on a stone foundation.',
+  intent: 'An exciting fountain.',
+  category: 'fountain'
+}
+
+describe('cacheKey', () => {
+  it('全角・半角、大文字・小文字、空白とキーの順の違いを無視する', async () => {
+    const a = await cacheKey('translate', { text: 'ワクワク する Fountain', scene: 'station-front@1' })
+    const b = await cacheKey('translate', { scene: 'station-front@1', text: 'ワクワクするｆｏｕｎｔａｉｎ' })
+    expect(a).toBe(b)
+    expect(a).toMatch(/^translate:[0-9a-f]{64}$/)
+    expect(await cacheKey('translate', { text: 'ドキドキするもの', scene: 'station-front@1' })).not.toBe(a)
+  })
+})
+
+describe('自動プロンプトのキャッシュ', () => {
+  it('同じ自由文はモデルを呼ばずにキャッシュから返し、費用に含めない', async () => {
+    const fetchMock = stubFetch(() => jsonResponse({ choices: [{ message: { content: JSON.stringify(OPENAI_OUTPUT) } }] }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+
+    const first = await (await postJson('/api/translate-prompt', { text: 'ワクワクするもの' }, env)).json()
+    expect(first.cache).toEqual({ translation: 'miss', images: null })
+
+    const second = await (await postJson('/api/translate-prompt', { text: ' ワクワク するもの ' }, env)).json()
+    expect(second.cache).toEqual({ translation: 'hit', images: null })
+    expect(second.structured).toEqual(first.structured)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(await getDailySpend(env)).toMatchObject({ usd: 0.001, requests: 1 })
+  })
+
+  it('既定の変換になった結果はキャッシュしない', async () => {
+    const fetchMock = stubFetch(() => jsonResponse({ choices: [{ message: { content: 'A fountain' } }] }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+    await postJson('/api/translate-prompt', { text: '噴水' }, env)
+    const res = await (await postJson('/api/translate-prompt', { text: '噴水' }, env)).json()
+    expect(res.cache.translation).toBe('miss')
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  it('画像生成の自動プロンプトにも使う', async () => {
+    const env = createEnv()
+    const first = await (await postJson('/api/generate', { ...REQUEST, autoPrompt: true }, env)).json()
+    expect(first.cache).toEqual({ translation: 'miss', images: null })
+    const second = await (await postJson('/api/generate', { ...REQUEST, autoPrompt: true }, env)).json()
+    expect(second.cache).toEqual({ translation: 'hit', images: null })
+    expect(second.prompt).toBe(first.prompt)
+  })
+})
+
+describe('生成画像の再利用', () => {
+  it('reuse を指定すると同じ入力の生成画像を完了済みのジョブで返す', async () => {
+    const env = createEnv()
+    const submitted = await (await postJson('/api/generate', REQUEST, env)).json()
+    const done = await (await get(submitted.statusUrl, env)).json()
+    expect(done).toMatchObject({ status: 'done', cached: false })
+
+    const res = await postJson('/api/generate', { ...REQUEST, freeText: 'ワクワク するもの', reuse: true }, env)
+    expect(res.status).toBe(202)
+    const reused = await res.json()
+    expect(reused).toMatchObject({
+      status: 'done',
+      cached: true,
+      imageUrls: done.imageUrls,
+      prompt: done.prompt,
+      cache: { translation: null, images: 'hit' }
+    })
+    expect(reused.jobId).not.toBe(submitted.jobId)
+    expect(await (await get(reused.statusUrl, env)).json()).toMatchObject({ status: 'done', imageUrls: done.imageUrls })
+
+    // キャッシュから返した分は費用に含めない
+    expect(await getDailySpend(env)).toMatchObject({ usd: 0.1, requests: 1 })
+  })
+
+  it('再利用しない場合・入力が異なる場合は新しく生成する', async () => {
+    const env = createEnv()
+    const submitted = await (await postJson('/api/generate', REQUEST, env)).json()
+    await get(submitted.statusUrl, env)
+
+    expect((await (await postJson('/api/generate', REQUEST, env)).json()).cache).toEqual({ translation: null, images: null })
+    const other = await (await postJson('/api/generate', { ...REQUEST, numImages: 1, reuse: true }, env)).json()
+    expect(other).toMatchObject({ status: 'queued', cache: { images: 'miss' } })
+  })
+
+  it('CACHE_REUSE_IMAGES=true の場合は reuse を省略しても再利用する', async () => {
+    const env = createEnv({ CACHE_REUSE_IMAGES: 'true' })
+    const request = { ...REQUEST, imageMode: 'image-centered' }
+    const first = await (await postJson('/api/creative', request, env)).json()
+    expect(first.cache).toEqual({ translation: null, images: 'miss' })
+
+    const second = await (await postJson('/api/creative', request, env)).json()
+    expect(second).toMatchObject({ success: true, imageUrls: first.imageUrls, prompt: first.prompt, cache: { images: 'hit' } })
+    expect(await getDailySpend(env)).toMatchObject({ usd: 0.14, requests: 1 })
+
+    // リクエストで再利用しない指定が優先される
+    expect((await (await postJson('/api/creative', { ...request, reuse: false }, env)).json()).cache.images).toBeNull()
+  })
+
+  it('CACHE_TTL_SECONDS=0 の場合はキャッシュしない', async () => {
+    const env = createEnv({ CACHE_TTL_SECONDS: '0' })
+    const request = { ...REQUEST, imageMode: 'image-centered', reuse: true }
+    await postJson('/api/creative', request, env)
+    expect((await (await postJson('/api/creative', request, env)).json()).cache.images).toBeNull()
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest'
+import { decodePng } from '../../src/lib/png'
+import { sha256Hex } from '../../src/lib/cache'
+import { loadJob } from '../../src/lib/jobs'
+import { createEnv, get, jsonResponse, postJson, stubFetch, IMAGE_DATA, MASK_DATA } from '../helpers'
+
+// 生成画像中心モードの基本リクエスト
+const REQUEST = {
+  imageMode: 'image-centered',
+  buildingType: 'fountain',
+  freeText: '光る噴水',
+  imageData: IMAGE_DATA,
+  maskData: MASK_DATA
+}
+
+describe('POST /api/creative', () => {
+  it('モックプロバイダーで候補画像を返す', async () => {
+    const res = await postJson('/api/creative', { ...REQUEST, numImages: 3 }, createEnv())
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.success).toBe(true)
+    expect(body.imageUrls).toHaveLength(3)
+    expect(body.imageUrl).toBe(body.imageUrls[0])
+    // 生成画像はR2にコピーしてアプリのURLで返す
+    expect(body.imageUrl).toMatch(/^\/images\/[0-9a-f]{64}$/)
+    expect((await get(body.imageUrl, createEnv())).headers.get('Content-Type')).toBe('image/svg+xml')
+    expect(body.templateVersion).toMatch(/^creative-image-centered@/)
+    expect(body.sceneVersion).toBe('station-front@1')
+    expect(body.params).toEqual({ numImages: 3 })
+  })
+
+  it('生成結果を完了済みのジョブとして記録する', async () => {
+    const env = createEnv()
+    const body = await (await postJson('/api/creative', REQUEST, env)).json()
+    const job = await (await get(`/api/jobs/${body.jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'done', imageUrls: body.imageUrls })
+    expect(await loadJob(env.JOBS as KVNamespace, body.jobId)).toMatchObject({ templateVersion: body.templateVersion, prompt: body.prompt })
+  })
+
+  it('同じ入力には同じ画像を返す', async () => {
+    const first = await (await postJson('/api/creative', REQUEST, createEnv())).json()
+    const second = await (await postJson('/api/creative', REQUEST, createEnv())).json()
+    expect(second.imageUrls).toEqual(first.imageUrls)
+  })
+
+  it('OpenAIの画像編集に元画像と透過マスクを送る', async () => {
+    const fetchMock = stubFetch(() => jsonResponse({ data: [{ b64_json: 'AAAA' }] }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key', CANDIDATE_COUNT: '1' })
+    const res = await postJson('/api/creative', REQUEST, env)
+    expect(res.status).toBe(200)
+    expect((await res.json()).imageUrls).toEqual([`/images/${await sha256Hex(new Uint8Array([0, 0, 0]))}`])
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('https://api.openai.com/v1/images/edits')
+    const form = init?.body as FormData
+    expect(form.get('n')).toBe('1')
+    expect(form.get('prompt')).toContain('光る噴水')
+
+    // 変更領域（白）が透明になっている
+    // Workers の型では FormData の値は文字列だが、テスト（Node.js）ではファイルが入る
+    const mask = await decodePng(new Uint8Array(await (form.get('mask') as unknown as Blob).arrayBuffer()))
+    expect(mask.width).toBe(1024)
+    expect(mask.height).toBe(576)
+    const alphas = new Set<number>()
+    for (let i = 3; i < mask.data.length; i += 4) {
+      alphas.add(mask.data[i])
+    }
+    expect([...alphas].sort()).toEqual([0, 255])
+  })
+
+  it.each([
+    [{ imageData: undefined }, '元画像データは必須です'],
+    [{ maskData: undefined }, 'マスク画像データは必須です'],
+    [{ maskData: 'not-a-png' }, 'マスク画像のデータが不正です'],
+    [{ maskData: 'data:image/jpeg;base64,/9j/4AAQSkZJRg==' }, 'マスク画像は PNG の画像にしてください'],
+    [{ buildingType: 'castle' }, '建物の種類が不正です'],
+    [{ sceneId: 'unknown' }, '会場が不正です'],
+    [{ imageMode: 'faithful' }, 'この生成タイプは /api/generate を使用してください'],
+    [{ freeText: 'あ'.repeat(101) }, '自由文は100文字以内で入力してください'],
+    [{ numImages: 5 }, 'numImagesは1〜4の整数で指定してください']
+  ])('入力が不正な場合は400 (%j)', async (override, error) => {
+    const res = await postJson('/api/creative', { ...REQUEST, ...override }, createEnv())
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ success: false, error })
+  })
+
+  it('OpenAI APIキーがない場合は500', async () => {
+    const res = await postJson('/api/creative', REQUEST, createEnv({ PROVIDER: undefined }))
+    expect(res.status).toBe(500)
+    expect(await res.json()).toEqual({ success: false, error: 'OpenAI APIキーが設定されていません' })
+  })
+
+  it.each([400, 500])('OpenAIが%iを返した場合は500', async (status) => {
+    stubFetch(() => jsonResponse({ error: { message: 'upstream' } }, status))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+    const res = await postJson('/api/creative', REQUEST, env)
+    expect(res.status).toBe(500)
+    expect((await res.json()).error).toBe(`画像生成中にエラーが発生しました: OpenAI Images API エラー: ${status}`)
+  })
+
+  it('OpenAIが画像を返さない場合は500', async () => {
+    stubFetch(() => jsonResponse({ data: [] }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+    const res = await postJson('/api/creative', REQUEST, env)
+    expect(res.status).toBe(500)
+    expect((await res.json()).error).toBe('画像の生成に失敗しました')
+  })
+
+  it('不正なJSONは400', async () => {
+    const res = await postJson('/api/creative', 'not json', createEnv())
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toBe('リクエストの形式が正しくありません（JSON）')
+  })
+})
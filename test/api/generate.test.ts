@@ -0,0 +1,326 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { NSFW_MESSAGE } from '../../src/lib/jobs'
+import { createEnv, get, postJson, storedImageUrl, stubFetch, stubProviderImages, IMAGE_DATA, MASK_DATA } from '../helpers'
+
+// fal.ai クライアントのスタブ（本番プロバイダーの経路で使用）
+const falMock = vi.hoisted(() => ({
+  config: vi.fn(),
+  storage: { upload: vi.fn() },
+  queue: { submit: vi.fn(), status: vi.fn(), result: vi.fn() }
+}))
+
+vi.mock('@fal-ai/client', () => ({ fal: falMock }))
+
+// 通常モードの基本リクエスト
+const REQUEST = {
+  imageMode: 'faithful',
+  buildingType: 'fountain',
+  freeText: '大きな噴水',
+  imageData: IMAGE_DATA,
+  maskData: MASK_DATA
+}
+
+// fal.ai を使う環境変数
+function liveEnv() {
+  return createEnv({ PROVIDER: undefined, FAL_KEY: 'test-key', OPENAI_API_KEY: 'test-key' })
+}
+
+beforeEach(() => {
+  falMock.storage.upload.mockImplementation(async () => `https://fal.media/files/${crypto.randomUUID()}`)
+  falMock.queue.submit.mockResolvedValue({ request_id: 'req-1', queue_position: 2 })
+})
+
+describe('POST /api/generate', () => {
+  it('モックプロバイダーでジョブを投入し、ジョブ状況で結果を取得する', async () => {
+    const env = createEnv()
+    const res = await postJson('/api/generate', REQUEST, env)
+    expect(res.status).toBe(202)
+    const submitted = await res.json()
+    expect(submitted.success).toBe(true)
+    expect(submitted.status).toBe('queued')
+    expect(submitted.statusUrl).toBe(`/api/jobs/${submitted.jobId}`)
+    expect(submitted.prompt).toContain('大きな噴水')
+    expect(submitted.templateVersion).toMatch(/^inpaint-faithful@/)
+    expect(submitted.referenceImageUrl).toMatch(/^\/static\/images\/references\/001-funsui-/)
+
+    const job = await (await get(submitted.statusUrl, env)).json()
+    expect(job.status).toBe('done')
+    expect(job.imageUrls).toHaveLength(2)
+    expect(job.imageUrl).toBe(job.imageUrls[0])
+  })
+
+  it('自動プロンプトONの場合は変換したプロンプトを使う', async () => {
+    const res = await postJson('/api/generate', { ...REQUEST, autoPrompt: true }, createEnv())
+    expect(res.status).toBe(202)
+    const submitted = await res.json()
+    expect(submitted.templateVersion).toBe('inpaint-faithful@1+translate@3')
+    // 自動プロンプトの項目を使い、日本語の自由文は重ねない
+    expect(submitted.prompt).toContain('Install a family-friendly fountain installation in the plaza.')
+    expect(submitted.prompt).toContain('Include 20–30 people')
+    expect(submitted.prompt).not.toContain('大きな噴水')
+    expect(submitted.negativePrompt).toMatch(/, logos, watermarks$/)
+  })
+
+  it('fal.ai のキューに画像・マスク・参考画像を渡す', async () => {
+    const res = await postJson('/api/generate', { ...REQUEST, numImages: 1 }, liveEnv())
+    expect(res.status).toBe(202)
+    const submitted = await res.json()
+    expect(submitted.position).toBe(2)
+
+    expect(falMock.config).toHaveBeenCalledWith({ credentials: 'test-key' })
+    const [model, { input }] = falMock.queue.submit.mock.calls[0]
+    expect(model).toBe('fal-ai/flux-general/inpainting')
+    expect(input.image_url).toMatch(/^https:\/\/fal\.media\//)
+    expect(input.mask_url).toMatch(/^https:\/\/fal\.media\//)
+    expect(input.reference_image_url).toMatch(/^https:\/\/fal\.media\//)
+    expect(input.num_images).toBe(1)
+    expect(input.prompt).toBe(submitted.prompt)
+  })
+
+  it('元画像は拡張子ではなく中身の形式でアップロードする', async () => {
+    // base-image.jpg の中身は PNG
+    expect((await postJson('/api/generate', REQUEST, liveEnv())).status).toBe(202)
+    const [image, mask] = falMock.storage.upload.mock.calls.slice(-2).map(([blob]) => blob as Blob)
+    expect(image.type).toBe('image/png')
+    expect(mask.type).toBe('image/png')
+  })
+
+  it('参考画像のアップロードに失敗しても参考画像なしで生成する', async () => {
+    // 参考画像は元画像・マスク画像より先にアップロードする
+    falMock.storage.upload.mockRejectedValueOnce(new Error('upload failed'))
+    const res = await postJson('/api/generate', { ...REQUEST, buildingType: 'merry-go-round' }, liveEnv())
+    expect(res.status).toBe(202)
+    expect((await res.json()).referenceImageUrl).toBeNull()
+    const [, { input }] = falMock.queue.submit.mock.calls[0]
+    expect(input.reference_image_url).toBeUndefined()
+  })
+
+  it.each([
+    [{ imageData: undefined }, '元画像データは必須です'],
+    [{ maskData: undefined }, 'マスク画像データは必須です'],
+    [{ imageMode: undefined }, '生成タイプが不正です'],
+    [{ imageMode: 'image-centered' }, 'この生成タイプは /api/creative を使用してください'],
+    [{ buildingType: 'castle' }, '建物の種類が不正です'],
+    [{ buildingType: 'other', otherBuilding: 'あ'.repeat(31) }, 'その他の建物は30文字以内で入力してください'],
+    [{ referenceImageUrl: '/static/images/references/002-merigoland-01.png' }, '参考画像が不正です'],
+    [{ strength: 1.5 }, 'strengthは0〜1の数値で指定してください'],
+    [{ steps: 2.5 }, 'stepsは1〜50の整数で指定してください'],
+    [{ guidance: '7' }, 'guidanceは0〜20の数値で指定してください'],
+    [{ numImages: 0 }, 'numImagesは1〜4の整数で指定してください']
+  ])('入力が不正な場合は400 (%j)', async (override, error) => {
+    const res = await postJson('/api/generate', { ...REQUEST, ...override }, createEnv())
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ success: false, error })
+  })
+
+  it('項目ごとのエラーを details で返す', async () => {
+    const res = await postJson('/api/generate', { ...REQUEST, buildingType: 'castle', steps: 100 }, createEnv())
+    expect(res.status).toBe(400)
+    expect(await res.json()).toEqual({
+      success: false,
+      error: '建物の種類が不正です',
+      details: [
+        { field: 'buildingType', message: '建物の種類が不正です' },
+        { field: 'steps', message: 'stepsは1〜50の整数で指定してください' }
+      ]
+    })
+  })
+
+  it('リクエストが大きすぎる場合は413', async () => {
+    const res = await postJson('/api/generate', { ...REQUEST, imageData: 'A'.repeat(17 * 1024 * 1024) }, createEnv())
+    expect(res.status).toBe(413)
+    expect((await res.json()).error).toBe('リクエストが大きすぎます')
+  })
+
+  it('fal.ai APIキーがない場合は500', async () => {
+    const res = await postJson('/api/generate', REQUEST, createEnv({ PROVIDER: undefined }))
+    expect(res.status).toBe(500)
+    expect(await res.json()).toEqual({ success: false, error: 'APIキーが設定されていません' })
+  })
+
+  it('自動プロンプトONでOpenAI APIキーがない場合は500', async () => {
+    const env = createEnv({ PROVIDER: undefined, FAL_KEY: 'test-key' })
+    const res = await postJson('/api/generate', { ...REQUEST, autoPrompt: true }, env)
+    expect(res.status).toBe(500)
+    expect(await res.json()).toEqual({ success: false, error: 'OpenAI APIキーが設定されていません' })
+  })
+
+  it.each([422, 500])('fal.ai が%iを返した場合は500', async (status) => {
+    falMock.queue.submit.mockRejectedValue(Object.assign(new Error(`Request failed: ${status}`), {
+      status,
+      body: { detail: 'upstream' }
+    }))
+    const res = await postJson('/api/generate', REQUEST, liveEnv())
+    expect(res.status).toBe(500)
+    expect(await res.json()).toEqual({
+      success: false,
+      error: `画像生成中にエラーが発生しました: Request failed: ${status}`
+    })
+  })
+
+  it('不正なJSONは400', async () => {
+    const res = await postJson('/api/generate', '{', createEnv())
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toBe('リクエストの形式が正しくありません（JSON）')
+  })
+})
+
+describe('GET /api/jobs/:id', () => {
+  it('存在しないジョブは404', async () => {
+    const res = await get('/api/jobs/unknown', createEnv())
+    expect(res.status).toBe(404)
+    expect(await res.json()).toEqual({ success: false, error: 'ジョブが見つかりません' })
+  })
+
+  it('不正なジョブIDは400', async () => {
+    const res = await get(`/api/jobs/${'a'.repeat(65)}`, createEnv())
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ success: false, error: 'ジョブIDが不正です' })
+  })
+
+  it('fal.ai の状態を queued → running → done と反映する', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+
+    falMock.queue.status.mockResolvedValueOnce({ status: 'IN_QUEUE', queue_position: 1 })
+    let job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'queued', position: 1 })
+
+    falMock.queue.status.mockResolvedValueOnce({ status: 'IN_PROGRESS' })
+    job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'running', position: null })
+
+    falMock.queue.status.mockResolvedValueOnce({ status: 'COMPLETED' })
+    falMock.queue.result.mockResolvedValueOnce({ data: { images: [{ url: 'https://fal.media/a.jpg' }, { url: 'https://fal.media/b.jpg' }] } })
+    stubProviderImages()
+    job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    // 生成画像はR2にコピーしてアプリのURLで返す
+    const imageUrls = [await storedImageUrl('https://fal.media/a.jpg'), await storedImageUrl('https://fal.media/b.jpg')]
+    expect(job).toMatchObject({ status: 'done', imageUrl: imageUrls[0], imageUrls })
+    const image = await get(imageUrls[1], env)
+    expect(image.headers.get('Content-Type')).toBe('image/jpeg')
+
+    // 終了済みのジョブは問い合わせない
+    falMock.queue.status.mockClear()
+    await get(`/api/jobs/${jobId}`, env)
+    expect(falMock.queue.status).not.toHaveBeenCalled()
+  })
+
+  it('状態確認の通信エラーではジョブを失敗にしない', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    falMock.queue.status.mockRejectedValueOnce(new Error('network'))
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job.status).toBe('queued')
+  })
+
+  it('生成画像をコピーできない場合はジョブを失敗にする', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    falMock.queue.status.mockResolvedValueOnce({ status: 'COMPLETED' })
+    falMock.queue.result.mockResolvedValueOnce({ data: { images: [{ url: 'https://fal.media/a.jpg' }] } })
+    stubFetch(() => new Response('Not Found', { status: 404 }))
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'failed', error: '生成画像の保存中にエラーが発生しました: 生成画像の取得に失敗しました: 404' })
+  })
+
+  it('結果の取得に失敗した場合はジョブを失敗にする', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    falMock.queue.status.mockResolvedValueOnce({ status: 'COMPLETED' })
+    falMock.queue.result.mockResolvedValueOnce({ data: { images: [] } })
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'failed', error: '画像生成中にエラーが発生しました: 画像の生成に失敗しました' })
+  })
+})
+
+describe('安全フィルター（NSFW判定）', () => {
+  // 候補画像2枚の結果（has_nsfw_concepts つき）
+  function completeWith(nsfw: boolean[]) {
+    falMock.queue.status.mockResolvedValueOnce({ status: 'COMPLETED' })
+    falMock.queue.result.mockResolvedValueOnce({
+      data: {
+        images: nsfw.map((_, index) => ({ url: `https://fal.media/${index}.jpg` })),
+        has_nsfw_concepts: nsfw
+      }
+    })
+  }
+
+  it('不適切と判定された候補画像は結果から除く', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    completeWith([true, false])
+    const fetchMock = stubProviderImages()
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    const imageUrl = await storedImageUrl('https://fal.media/1.jpg')
+    expect(job).toMatchObject({ status: 'done', imageUrl, imageUrls: [imageUrl], code: null })
+    // 不適切な画像はコピーしない
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(['https://fal.media/1.jpg'])
+  })
+
+  it('すべて不適切な場合はシードを変えて再投入する', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    falMock.queue.submit.mockResolvedValueOnce({ request_id: 'req-2', queue_position: 0 })
+    completeWith([true, true])
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'queued', position: 0 })
+
+    // アップロード済みの画像をそのまま使い、シードだけ変える
+    expect(falMock.queue.submit).toHaveBeenCalledTimes(2)
+    const [, { input: first }] = falMock.queue.submit.mock.calls[0]
+    const [, { input: retried }] = falMock.queue.submit.mock.calls[1]
+    expect(retried).toEqual({ ...first, seed: expect.any(Number) })
+
+    falMock.queue.status.mockClear()
+    completeWith([false, true])
+    stubProviderImages()
+    expect(await (await get(`/api/jobs/${jobId}`, env)).json()).toMatchObject({ status: 'done', imageUrls: [await storedImageUrl('https://fal.media/0.jpg')] })
+    expect(falMock.queue.status).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ requestId: 'req-2' }))
+  })
+
+  it('同時に届いた問い合わせでも再投入は1回だけ', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    falMock.queue.submit.mockResolvedValueOnce({ request_id: 'req-2', queue_position: 0 })
+    completeWith([true, true])
+    completeWith([true, true])
+    await Promise.all([get(`/api/jobs/${jobId}`, env), get(`/api/jobs/${jobId}`, env)])
+    expect(falMock.queue.submit).toHaveBeenCalledTimes(2)
+
+    // 次の問い合わせは再投入したリクエストの状態を確かめる
+    falMock.queue.status.mockClear()
+    falMock.queue.status.mockResolvedValueOnce({ status: 'IN_QUEUE', queue_position: 0 })
+    expect(await (await get(`/api/jobs/${jobId}`, env)).json()).toMatchObject({ status: 'queued', position: 0 })
+    expect(falMock.queue.status).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ requestId: 'req-2' }))
+  })
+
+  it('再投入しても不適切な場合は nsfw_flagged で失敗にする', async () => {
+    const env = liveEnv()
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    completeWith([true, true])
+    await get(`/api/jobs/${jobId}`, env)
+    completeWith([true, true])
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'failed', code: 'nsfw_flagged', error: NSFW_MESSAGE })
+    expect(falMock.queue.submit).toHaveBeenCalledTimes(2)
+  })
+
+  it('NSFW_RETRY_LIMIT=0 の場合は再投入しない', async () => {
+    const env = { ...liveEnv(), NSFW_RETRY_LIMIT: '0' }
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    completeWith([true, true])
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'failed', code: 'nsfw_flagged' })
+    expect(falMock.queue.submit).toHaveBeenCalledTimes(1)
+  })
+
+  it('今日の予算が足りない場合は再投入しない', async () => {
+    const env = { ...liveEnv(), DAILY_BUDGET_USD: '0.15' }
+    const { jobId } = await (await postJson('/api/generate', REQUEST, env)).json()
+    completeWith([true, true])
+    const job = await (await get(`/api/jobs/${jobId}`, env)).json()
+    expect(job).toMatchObject({ status: 'failed', code: 'nsfw_flagged' })
+    expect(falMock.queue.submit).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, expect, it, vi } from 'vitest'
+import { storeImage } from '../../src/lib/images'
+import { sha256Hex } from '../../src/lib/cache'
+import { createEnv, get, storedImageUrl, stubProviderImages, MASK_DATA } from '../helpers'
+
+/**
+ * R2バケットのスタブ（head / put / get のみ）
+ */
+function createFakeR2() {
+  const objects = new Map<string, { bytes: Uint8Array; contentType?: string }>()
+  const bucket = {
+    head: vi.fn(async (key: string) => objects.has(key) ? { key } : null),
+    put: vi.fn(async (key: string, value: Uint8Array, options?: { httpMetadata?: { contentType?: string } }) => {
+      objects.set(key, { bytes: value, contentType: options?.httpMetadata?.contentType })
+      return { key }
+    }),
+    get: vi.fn(async (key: string) => {
+      const object = objects.get(key)
+      return object
+        ? { body: new Response(object.bytes).body, size: object.bytes.byteLength, httpMetadata: { contentType: object.contentType } }
+        : null
+    })
+  }
+  return { bucket, objects }
+}
+
+describe('storeImage', () => {
+  it('プロバイダーの画像をSHA-256のIDでR2に保存し、同じ画像は上書きしない', async () => {
+    const { bucket, objects } = createFakeR2()
+    const fetchMock = stubProviderImages()
+    const env = { IMAGES: bucket as unknown as R2Bucket }
+
+    const url = await storeImage(env, 'https://fal.media/a.jpg')
+    expect(url).toBe(await storedImageUrl('https://fal.media/a.jpg'))
+    expect(await storeImage(env, 'https://fal.media/a.jpg')).toBe(url)
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(bucket.put).toHaveBeenCalledTimes(1)
+    expect(bucket.put.mock.calls[0][2]).toEqual({ httpMetadata: { contentType: 'image/jpeg' } })
+    expect([...objects.keys()]).toEqual([`generated/${url.slice('/images/'.length)}`])
+
+    // 保存済みのURLはそのまま返す
+    expect(await storeImage(env, url)).toBe(url)
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  it('形式は中身から判定する', async () => {
+    const { bucket } = createFakeR2()
+    await storeImage({ IMAGES: bucket as unknown as R2Bucket }, MASK_DATA.replace('image/png', 'image/jpeg'))
+    expect(bucket.put.mock.calls[0][2]).toEqual({ httpMetadata: { contentType: 'image/png' } })
+  })
+
+  it('保存できない画像は例外', async () => {
+    await expect(storeImage({}, 'data:image/gif;base64,R0lGODlhAQABAAAAACw=')).rejects.toThrow('保存できない画像形式です: image/gif')
+  })
+})
+
+describe('GET /images/:id', () => {
+  it('R2の画像を長期間キャッシュできるヘッダーで返す', async () => {
+    const { bucket } = createFakeR2()
+    const env = createEnv({ IMAGES: bucket })
+    const url = await storeImage(env, MASK_DATA)
+
+    const res = await get(url, env)
+    expect(res.status).toBe(200)
+    expect(res.headers.get('Content-Type')).toBe('image/png')
+    expect(res.headers.get('Cache-Control')).toBe('public, max-age=31536000, immutable')
+    expect(res.headers.get('X-Content-Type-Options')).toBe('nosniff')
+    const body = new Uint8Array(await res.arrayBuffer())
+    expect(await sha256Hex(body)).toBe(url.slice('/images/'.length))
+    expect(res.headers.get('ETag')).toBe(`"${url.slice('/images/'.length)}"`)
+  })
+
+  it('ETagが一致する場合は304', async () => {
+    const { bucket } = createFakeR2()
+    const env = createEnv({ IMAGES: bucket })
+    const url = await storeImage(env, MASK_DATA)
+    const etag = (await get(url, env)).headers.get('ETag') ?? ''
+
+    const res = await get(url, env, { 'If-None-Match': etag })
+    expect(res.status).toBe(304)
+    expect(bucket.get).toHaveBeenCalledTimes(1)
+  })
+
+  it('保存されていない画像は404', async () => {
+    const { bucket } = createFakeR2()
+    const res = await get(`/images/${'0'.repeat(64)}`, createEnv({ IMAGES: bucket }))
+    expect(res.status).toBe(404)
+    expect(await res.json()).toEqual({ success: false, error: '画像が見つかりません' })
+  })
+
+  it('画像IDが不正な場合は400', async () => {
+    const res = await get('/images/result.jpg', createEnv())
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ success: false, details: [{ field: 'id', message: '画像IDが不正です' }] })
+  })
+})
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { kioskIdleSeconds } from '../../src/lib/kiosk'
+import { createEnv, createFakeD1, get } from '../helpers'
+
+// 入力チェックを通った投稿（submissionsテーブルの行）
+const SUBMISSION_ROW = {
+  id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+  created_at: '2026-05-03T01:00:00.000Z',
+  nickname: 'ゆめちゃん',
+  scene_id: 'station-front',
+  image_mode: 'faithful',
+  building_type: 'other',
+  other_building: 'ひみつきち',
+  free_text: '',
+  auto_prompt: 0,
+  prompt: 'A secret base',
+  template_version: 'inpaint-faithful@3',
+  image_url: `/images/${'a'.repeat(64)}`,
+  generation_data: JSON.stringify({ prompt: 'A secret base', options: { imageMode: 'faithful', buildingType: 'other' } }),
+  moderation: JSON.stringify({ status: 'passed', checks: ['ng_words'] })
+}
+
+// 参加者向けの画面
+const PAGES = ['/', '/image-display', '/result', '/confirm', '/complete']
+
+describe('キオスクモード', () => {
+  it.each(PAGES)('KIOSK_MODE=true の場合は %s でキオスクモードのスクリプトを読み込む', async (path) => {
+    const html = await (await get(path, createEnv({ KIOSK_MODE: 'true', KIOSK_IDLE_SECONDS: '120' }))).text()
+    expect(html).toContain('<script src="/static/components/kiosk.js" data-idle-seconds="120"></script>')
+    expect(await (await get(path, createEnv())).text()).not.toContain('kiosk.js')
+  })
+
+  it('トップ画面に最近の作品の表示欄を出す', async () => {
+    expect(await (await get('/', createEnv({ KIOSK_MODE: 'true' }))).text()).toContain('id="attractLoop"')
+    expect(await (await get('/', createEnv())).text()).not.toContain('id="attractLoop"')
+  })
+
+  it('画像のダウンロードと作品ページへのリンクを出さない', async () => {
+    const env = createEnv({ KIOSK_MODE: 'true' })
+    expect(await (await get('/confirm', env)).text()).not.toContain('id="saveImageButton"')
+    const complete = await (await get('/complete', env)).text()
+    expect(complete).toContain('id="shareQr"')
+    expect(complete).not.toContain('id="shareLink"')
+  })
+
+  it('戻るまでの秒数は未設定・不正な値・短すぎる値なら既定の90秒', () => {
+    expect([undefined, 'abc', '5', '300'].map((value) => kioskIdleSeconds({ KIOSK_IDLE_SECONDS: value }))).toEqual([90, 90, 90, 300])
+  })
+})
+
+describe('GET /api/kiosk/showcase', () => {
+  it('入力チェックを通った最近の作品を返す', async () => {
+    const { db, statements } = createFakeD1((sql) => sql.includes('FROM submissions') ? [SUBMISSION_ROW] : undefined)
+    const res = await get('/api/kiosk/showcase', createEnv({ DB: db, KIOSK_MODE: 'true' }))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({
+      success: true,
+      items: [{ id: SUBMISSION_ROW.id, imageUrl: SUBMISSION_ROW.image_url, building: 'ひみつきち' }]
+    })
+    expect(statements[0].sql).toContain("moderation_status = 'passed'")
+    expect(statements[0].sql).toContain("wall_status = 'approved'")
+    expect(statements[0].sql).toContain("image_url LIKE '/images/%'")
+    expect(statements[0].params).toEqual([12])
+  })
+
+  it('キオスクモードでなければ404', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await get('/api/kiosk/showcase', createEnv({ DB: db }))
+    expect(res.status).toBe(404)
+    expect(await res.json()).toEqual({ success: false, error: 'キオスクモードが無効です' })
+    expect(statements).toHaveLength(0)
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, expect, it, vi } from 'vitest'
+import { getDailySpend, LIMIT_MESSAGES, SESSION_COOKIE } from '../../src/lib/limits'
+import { createEnv, createFakeD1, get, postJson, IMAGE_DATA, MASK_DATA } from '../helpers'
+
+// 通常モードの基本リクエスト（候補画像2枚）
+const GENERATE_REQUEST = {
+  imageMode: 'faithful',
+  buildingType: 'fountain',
+  freeText: '大きな噴水',
+  numImages: 2,
+  imageData: IMAGE_DATA,
+  maskData: MASK_DATA
+}
+
+// セッションとIPを指定するヘッダー
+function client(session: string, ip = '203.0.113.1') {
+  return { Cookie: `${SESSION_COOKIE}=${session}`, 'CF-Connecting-IP': ip }
+}
+
+describe('回数制限', () => {
+  it('セッションごとの上限を超えると429', async () => {
+    const env = createEnv({ RATE_LIMIT_SESSION: '2', RATE_LIMIT_WINDOW_SECONDS: '600' })
+    for (let i = 0; i < 2; i++) {
+      const res = await postJson('/api/translate-prompt', { text: '噴水' }, env, client('session-a'))
+      expect(res.status).toBe(200)
+    }
+
+    const res = await postJson('/api/translate-prompt', { text: '噴水' }, env, client('session-a'))
+    expect(res.status).toBe(429)
+    expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0)
+    expect(await res.json()).toMatchObject({ success: false, error: LIMIT_MESSAGES.rateLimited, code: 'rate_limited' })
+
+    // 別のセッションは制限されない
+    expect((await postJson('/api/translate-prompt', { text: '噴水' }, env, client('session-b'))).status).toBe(200)
+  })
+
+  it('Cookieがない場合はセッションIDを発行し、発行したIDで数え始める', async () => {
+    const env = createEnv({ RATE_LIMIT_SESSION: '1' })
+    const first = await postJson('/api/translate-prompt', { text: '噴水' }, env)
+    const cookie = first.headers.get('Set-Cookie') || ''
+    expect(cookie).toMatch(new RegExp(`^${SESSION_COOKIE}=[\\w-]+;`))
+    expect(cookie).toContain('HttpOnly')
+
+    const session = cookie.split(';')[0].split('=')[1]
+    expect((await postJson('/api/translate-prompt', { text: '噴水' }, env, client(session))).status).toBe(200)
+    expect((await postJson('/api/translate-prompt', { text: '噴水' }, env, client(session))).status).toBe(429)
+  })
+
+  it('Cookieを送らないクライアントはIPごとの上限で止める', async () => {
+    const env = createEnv({ RATE_LIMIT_SESSION: '1', RATE_LIMIT_IP: '3' })
+    const put = vi.spyOn(env.JOBS as KVNamespace, 'put')
+    const headers = { 'CF-Connecting-IP': '203.0.113.1' }
+    for (let i = 0; i < 3; i++) {
+      expect((await postJson('/api/generate', GENERATE_REQUEST, env, headers)).status).toBe(202)
+    }
+
+    const res = await postJson('/api/generate', GENERATE_REQUEST, env, headers)
+    expect(res.status).toBe(429)
+    expect(await res.json()).toMatchObject({ code: 'rate_limited' })
+
+    // 発行しただけのセッションIDでは数えない
+    expect(put.mock.calls.filter(([key]) => key.includes('rate:session:'))).toHaveLength(0)
+  })
+
+  it('入力エラーのリクエストは回数に数えない', async () => {
+    const env = createEnv({ RATE_LIMIT_SESSION: '1' })
+    expect((await postJson('/api/generate', { ...GENERATE_REQUEST, numImages: 9 }, env, client('session-a'))).status).toBe(400)
+    expect((await postJson('/api/generate', GENERATE_REQUEST, env, client('session-a'))).status).toBe(202)
+  })
+
+  it('IPごとの上限はセッションをまたいで数える', async () => {
+    const env = createEnv({ RATE_LIMIT_SESSION: '0', RATE_LIMIT_IP: '2' })
+    await postJson('/api/generate', GENERATE_REQUEST, env, client('session-a'))
+    await postJson('/api/creative', { ...GENERATE_REQUEST, imageMode: 'image-centered' }, env, client('session-b'))
+
+    const res = await postJson('/api/translate-prompt', { text: '噴水' }, env, client('session-c'))
+    expect(res.status).toBe(429)
+    expect((await postJson('/api/translate-prompt', { text: '噴水' }, env, client('session-c', '198.51.100.7'))).status).toBe(200)
+  })
+
+  it('制限にかかったことをD1に記録する', async () => {
+    const { db, statements } = createFakeD1()
+    const env = createEnv({ DB: db, RATE_LIMIT_SESSION: '1' })
+    await postJson('/api/translate-prompt', { text: '噴水' }, env, client('session-a'))
+    await postJson('/api/translate-prompt', { text: '噴水' }, env, client('session-a'))
+
+    expect(statements).toHaveLength(1)
+    expect(statements[0].sql).toContain('INSERT INTO limit_events')
+    expect(statements[0].params.slice(1, 4)).toEqual(['session', 'translate', 'session-a'])
+  })
+})
+
+describe('1日の費用上限', () => {
+  it('上限を超える生成は503で止め、超えない呼び出しは続けられる', async () => {
+    const env = createEnv({ DAILY_BUDGET_USD: '0.15' })
+    expect((await postJson('/api/generate', GENERATE_REQUEST, env)).status).toBe(202)
+
+    const res = await postJson('/api/generate', GENERATE_REQUEST, env)
+    expect(res.status).toBe(503)
+    expect(await res.json()).toEqual({ success: false, error: LIMIT_MESSAGES.budgetExhausted, code: 'budget_exhausted' })
+
+    // プロンプト変換は残りの予算内
+    expect((await postJson('/api/translate-prompt', { text: '噴水' }, env)).status).toBe(200)
+    expect(await getDailySpend(env)).toMatchObject({ usd: 0.101, requests: 2 })
+  })
+
+  it('失敗した呼び出しは費用に含めない', async () => {
+    const env = createEnv({ PROVIDER: undefined })
+    expect((await postJson('/api/creative', { ...GENERATE_REQUEST, imageMode: 'image-centered' }, env)).status).toBe(500)
+    expect((await postJson('/api/creative', { ...GENERATE_REQUEST, imageMode: 'image-centered', numImages: 9 }, env)).status).toBe(400)
+    expect(await getDailySpend(env)).toMatchObject({ usd: 0, requests: 0 })
+  })
+
+  it('管理画面の利用状況に今日の概算費用を表示する', async () => {
+    const { db } = createFakeD1()
+    const env = createEnv({ DB: db, DAILY_BUDGET_USD: '10', ADMIN_PASSWORD: 'secret' })
+    await postJson('/api/creative', { ...GENERATE_REQUEST, imageMode: 'image-centered' }, env)
+
+    const res = await get('/admin/usage', env, { Authorization: `Basic ${btoa('admin:secret')}` })
+    expect(res.status).toBe(200)
+    const html = await res.text()
+    expect(html).toContain('$0.14')
+    expect(html).toContain('残り $9.86')
+  })
+})
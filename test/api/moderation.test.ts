@@ -0,0 +1,118 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { getDailySpend } from '../../src/lib/limits'
+import { MODERATION_MESSAGE } from '../../src/lib/moderation'
+import { createEnv, createFakeD1, jsonResponse, postJson, postSubmission, storeTestImage, stubFetch, IMAGE_DATA, MASK_DATA } from '../helpers'
+
+// fal.ai クライアントのスタブ（有料APIが呼ばれないことの確認用）
+const falMock = vi.hoisted(() => ({
+  config: vi.fn(),
+  storage: { upload: vi.fn() },
+  queue: { submit: vi.fn(), status: vi.fn(), result: vi.fn() }
+}))
+
+vi.mock('@fal-ai/client', () => ({ fal: falMock }))
+
+// 通常モードの基本リクエスト
+const REQUEST = {
+  imageMode: 'faithful',
+  buildingType: 'fountain',
+  freeText: '大きな噴水',
+  imageData: IMAGE_DATA,
+  maskData: MASK_DATA
+}
+
+// 投稿の基本リクエスト
+const SUBMISSION = {
+  nickname: 'ゆめちゃん',
+  imageUrl: await storeTestImage(),
+  generationData: {
+    options: { sceneId: 'station-front', imageMode: 'faithful', buildingType: 'fountain', freeText: '噴水' }
+  }
+}
+
+// OpenAI の入力チェックAPIの応答
+function moderationResponse(flagged: boolean) {
+  return jsonResponse({ results: [{ flagged, categories: { violence: flagged, sexual: false } }] })
+}
+
+beforeEach(() => {
+  falMock.storage.upload.mockResolvedValue('https://fal.media/files/upload')
+  falMock.queue.submit.mockResolvedValue({ request_id: 'req-1', queue_position: 0 })
+})
+
+describe('入力チェック', () => {
+  it('NGワードを含む自由文は有料APIを呼ばずに422', async () => {
+    const env = createEnv({ PROVIDER: undefined, FAL_KEY: 'test-key' })
+    const res = await postJson('/api/generate', { ...REQUEST, freeText: '爆弾のある広場' }, env)
+    expect(res.status).toBe(422)
+    expect(await res.json()).toEqual({
+      success: false,
+      error: MODERATION_MESSAGE,
+      code: 'moderation_rejected',
+      details: [{ field: 'freeText', message: MODERATION_MESSAGE }]
+    })
+    expect(falMock.queue.submit).not.toHaveBeenCalled()
+    expect(await getDailySpend(env)).toMatchObject({ requests: 0 })
+  })
+
+  it.each([
+    ['/api/creative', { ...REQUEST, imageMode: 'image-centered', buildingType: 'other', otherBuilding: 'ﾃﾛの基地' }, 'otherBuilding'],
+    ['/api/translate-prompt', { text: 'エロい噴水' }, 'text']
+  ])('%s でも判定する', async (path, body, field) => {
+    const res = await postJson(path, body, createEnv())
+    expect(res.status).toBe(422)
+    expect((await res.json()).details).toEqual([{ field, message: MODERATION_MESSAGE }])
+  })
+
+  it('NG_WORDS で追加した語も判定する', async () => {
+    const res = await postJson('/api/translate-prompt', { text: 'おばけの噴水' }, createEnv({ NG_WORDS: 'おばけ' }))
+    expect(res.status).toBe(422)
+  })
+
+  it('MODERATION_MODEL=true ならモデルでも判定する', async () => {
+    const fetchMock = stubFetch((url) => url.endsWith('/moderations') ? moderationResponse(true) : new Response('Not Found', { status: 404 }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key', MODERATION_MODEL: 'true' })
+    const res = await postJson('/api/translate-prompt', { text: 'みんなをこわがらせる噴水' }, env)
+    expect(res.status).toBe(422)
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('https://api.openai.com/v1/moderations')
+    expect(JSON.parse(String(init?.body))).toEqual({ model: 'omni-moderation-latest', input: 'みんなをこわがらせる噴水' })
+    // プロンプト変換は呼ばれない
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('モデル判定が失敗した場合はNGワードの結果で続ける', async () => {
+    stubFetch((url) => url.endsWith('/moderations')
+      ? jsonResponse({ error: { message: 'upstream' } }, 500)
+      : jsonResponse({ choices: [{ message: { content: 'A fountain' } }] }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key', MODERATION_MODEL: 'true' })
+    const res = await postJson('/api/translate-prompt', { text: '噴水' }, env)
+    expect(res.status).toBe(200)
+  })
+
+  it('投稿にはニックネームも含めた判定結果を保存する', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission(SUBMISSION, createEnv({ DB: db, MODERATION_MODEL: 'true' }))
+    expect(res.status).toBe(201)
+
+    // moderation_status, moderation の列
+    const [status, moderation] = statements[0].params.slice(13, 15)
+    expect(status).toBe('passed')
+    expect(JSON.parse(String(moderation))).toMatchObject({ status: 'passed', checks: ['words', 'model'], flags: [] })
+  })
+
+  it('ニックネームにNGワードがある投稿は保存しない', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission({ ...SUBMISSION, nickname: 'ブス' }, createEnv({ DB: db }))
+    expect(res.status).toBe(422)
+    expect((await res.json()).details).toEqual([{ field: 'nickname', message: MODERATION_MESSAGE }])
+    expect(statements).toHaveLength(0)
+  })
+
+  it('モックのモデル判定は流れの確認用の語だけを不適切とする', async () => {
+    const env = createEnv({ MODERATION_MODEL: 'true' })
+    expect((await postJson('/api/translate-prompt', { text: '暴力的な噴水' }, env)).status).toBe(422)
+    expect((await postJson('/api/translate-prompt', { text: '光る噴水' }, env)).status).toBe(200)
+  })
+})
@@ -0,0 +1,203 @@
+import { describe, expect, it } from 'vitest'
+import app from '../../src/index'
+import { processOutbox, retryDelayMs } from '../../src/lib/outbox'
+import { createEnv, createFakeD1, get, postJson, storeTestImage, stubResend, type RecordedStatement } from '../helpers'
+
+// 保存済みの投稿（submissionsテーブルの行）
+const SUBMISSION_ROW = {
+  id: 'submission-1',
+  created_at: '2026-05-03T01:00:00.000Z',
+  nickname: 'ゆめちゃん',
+  scene_id: 'station-front',
+  image_mode: 'faithful',
+  building_type: 'fountain',
+  other_building: null,
+  free_text: '噴水',
+  auto_prompt: 0,
+  prompt: 'A fountain',
+  template_version: 'inpaint-faithful@3',
+  image_url: await storeTestImage(),
+  generation_data: JSON.stringify({ prompt: 'A fountain', options: { imageMode: 'faithful', buildingType: 'fountain' } }),
+  moderation: null
+}
+
+/**
+ * 再送の期限が来た通知（notificationsテーブルの行）
+ * @param overrides - 上書きする値
+ */
+function dueRow(overrides: Record<string, unknown> = {}) {
+  return {
+    id: 'notification-1',
+    submission_id: SUBMISSION_ROW.id,
+    kind: 'staff',
+    recipients: 'staff@example.com',
+    status: 'pending',
+    attempts: 1,
+    next_attempt_at: '2026-05-03T01:01:00.000Z',
+    last_error: 'Resend API エラー: 500',
+    created_at: '2026-05-03T01:00:00.000Z',
+    updated_at: '2026-05-03T01:00:00.000Z',
+    sent_at: null,
+    ...overrides
+  }
+}
+
+/**
+ * 送信キューと投稿を返すD1スタブ
+ * @param rows - 再送の期限が来た通知
+ * @param submission - 通知の対象の投稿
+ */
+function createOutboxD1(rows: unknown[], submission: Record<string, unknown> = SUBMISSION_ROW) {
+  return createFakeD1((sql) => {
+    if (sql.includes('FROM notifications WHERE status = \'pending\'')) {
+      return rows
+    }
+    if (sql.includes('FROM submissions')) {
+      return [submission]
+    }
+    if (sql.includes('GROUP BY status')) {
+      return [{ status: 'sent', total: 12 }, { status: 'failed', total: 1 }]
+    }
+    if (sql.includes('FROM notifications')) {
+      return [dueRow({ status: 'failed', attempts: 5 })]
+    }
+    return undefined
+  })
+}
+
+// 記録された送信結果
+function recorded(statements: RecordedStatement[]) {
+  return statements
+    .filter(({ sql }) => sql.includes('SET recipients'))
+    .map(({ params }) => ({ recipients: params[0], status: params[1], attempts: params[2], error: params[4] }))
+}
+
+describe('retryDelayMs', () => {
+  it('1分から倍々に延ばし、1時間で止める', () => {
+    expect([1, 2, 3, 6, 7, 20].map((attempts) => retryDelayMs(attempts) / 60000)).toEqual([1, 2, 4, 32, 60, 60])
+  })
+})
+
+describe('processOutbox', () => {
+  it('期限の来た通知を確保してから送り、送信済みにする', async () => {
+    const { db, statements } = createOutboxD1([dueRow()])
+    const fetchMock = stubResend(200)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+
+    expect(await processOutbox(env)).toEqual({ processed: 1, sent: 1, skipped: 0, retrying: 0, failed: 0 })
+
+    // 同じ通知を重ねて送らないよう、送る前に次の送信日時を延ばす
+    const claim = statements.find(({ sql }) => sql.includes('SET next_attempt_at = ?'))
+    expect(claim?.params.slice(1)).toEqual(['notification-1', '2026-05-03T01:01:00.000Z'])
+    expect(Date.parse(String(claim?.params[0]))).toBeGreaterThan(Date.now())
+
+    expect(recorded(statements)).toEqual([{ recipients: 'staff@example.com', status: 'sent', attempts: 2, error: null }])
+    const email = JSON.parse(String(fetchMock.mock.calls.find(([url]) => url === 'https://api.resend.com/emails')?.[1]?.body))
+    expect(email).toMatchObject({ to: ['staff@example.com'], attachments: [{ content_type: 'image/jpeg' }] })
+  })
+
+  it('添付画像が保存先にない場合は添付なしで送信する', async () => {
+    const { db, statements } = createOutboxD1([dueRow()], { ...SUBMISSION_ROW, image_url: `/images/${'0'.repeat(64)}` })
+    const fetchMock = stubResend(200)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+
+    expect(await processOutbox(env)).toMatchObject({ sent: 1 })
+    expect(recorded(statements)).toEqual([{ recipients: 'staff@example.com', status: 'sent', attempts: 2, error: null }])
+    const email = JSON.parse(String(fetchMock.mock.calls.find(([url]) => url === 'https://api.resend.com/emails')?.[1]?.body))
+    expect(email.attachments).toBeUndefined()
+  })
+
+  it('上限回数まで失敗したら送信失敗にし、参加者のアドレスを消す', async () => {
+    const { db, statements } = createOutboxD1([
+      dueRow({ attempts: 4 }),
+      dueRow({ id: 'notification-2', kind: 'participant', recipients: 'yume@example.com', attempts: 1 })
+    ])
+    stubResend(500)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key', NOTIFICATION_MAX_ATTEMPTS: '2' })
+
+    expect(await processOutbox(env)).toEqual({ processed: 2, sent: 0, skipped: 0, retrying: 0, failed: 2 })
+    expect(recorded(statements)).toEqual([
+      { recipients: 'staff@example.com', status: 'failed', attempts: 5, error: 'Resend API エラー: 500' },
+      { recipients: '', status: 'failed', attempts: 2, error: 'Resend API エラー: 500' }
+    ])
+  })
+
+  it('上限に達していなければ間隔を空けて再送待ちに戻す', async () => {
+    const { db, statements } = createOutboxD1([dueRow({ attempts: 2 })])
+    stubResend(500)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+
+    expect(await processOutbox(env)).toMatchObject({ processed: 1, retrying: 1 })
+    const update = statements.find(({ sql }) => sql.includes('SET recipients'))
+    const delay = Date.parse(String(update?.params[3])) - Date.now()
+    expect(delay).toBeGreaterThan(3.5 * 60 * 1000)
+    expect(delay).toBeLessThanOrEqual(4 * 60 * 1000)
+  })
+
+  it('他の処理が先に確保した通知は送らない', async () => {
+    const { db } = createOutboxD1([dueRow()])
+    const fetchMock = stubResend(200)
+    const lostClaim = {
+      prepare(sql: string) {
+        const statement = db.prepare(sql)
+        return sql.includes('SET next_attempt_at = ?')
+          ? { bind: () => ({ run: async () => ({ success: true, meta: { changes: 0 } }) }) }
+          : statement
+      }
+    }
+    const env = createEnv({ DB: lostClaim, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+
+    expect(await processOutbox(env)).toMatchObject({ processed: 0 })
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+})
+
+describe('管理画面の通知メール', () => {
+  const auth = { Authorization: `Basic ${btoa('admin:secret')}` }
+
+  it('送信状況ごとの件数と送信失敗の通知を表示する', async () => {
+    const { db } = createOutboxD1([])
+    const res = await get('/admin/notifications', createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), auth)
+    expect(res.status).toBe(200)
+    const html = await res.text()
+    expect(html).toContain('<tr><th>送信済み</th><td>12件</td></tr>')
+    expect(html).toContain('送信失敗（5回）')
+    expect(html).toContain('action="/admin/notifications/notification-1/retry"')
+  })
+
+  it('投稿詳細に通知の送信状況を表示する', async () => {
+    const { db } = createOutboxD1([])
+    const res = await get('/admin/submissions/submission-1', createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), auth)
+    const html = await res.text()
+    expect(html).toContain('運営者への通知')
+    expect(html).toContain('Resend API エラー: 500')
+  })
+
+  it('今すぐ再送は期限の来た通知を送って送信状況に戻る', async () => {
+    const { db, statements } = createOutboxD1([dueRow()])
+    const res = await postJson('/admin/notifications/process', {}, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), auth)
+    expect(res.status).toBe(303)
+    expect(res.headers.get('Location')).toBe('/admin/notifications?processed=1')
+    expect(recorded(statements)).toEqual([{ recipients: 'staff@example.com', status: 'sent', attempts: 2, error: null }])
+  })
+
+  it('送信失敗の通知を送信待ちに戻して再送する', async () => {
+    const { db, statements } = createOutboxD1([])
+    const res = await postJson('/admin/notifications/notification-1/retry', {}, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), auth)
+    expect(res.status).toBe(303)
+    const requeue = statements.find(({ sql }) => sql.includes("SET status = 'pending'"))
+    expect(requeue?.params[2]).toBe('notification-1')
+  })
+
+  it('別のサイトからのフォーム送信は403で、通知を送らない', async () => {
+    const { db, statements } = createOutboxD1([dueRow()])
+    const env = createEnv({ DB: db, ADMIN_PASSWORD: 'secret' })
+    const init = (origin: string) => ({ method: 'POST', headers: { ...auth, Origin: origin }, body: new URLSearchParams() })
+
+    expect((await app.request('/admin/notifications/process', init('https://evil.example'), env)).status).toBe(403)
+    expect((await app.request('/admin/notifications/notification-1/retry', init('https://evil.example'), env)).status).toBe(403)
+    expect(statements).toEqual([])
+
+    expect((await app.request('/admin/notifications/process', init('http://localhost'), env)).status).toBe(303)
+  })
+})
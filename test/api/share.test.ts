@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest'
+import { createEnv, createFakeD1, get } from '../helpers'
+
+// 生成画像（R2に保存した画像のURL）
+const IMAGE_URL = `/images/${'a'.repeat(64)}`
+
+// 保存済みの投稿（submissionsテーブルの行）
+const SUBMISSION_ROW = {
+  id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+  created_at: '2026-05-03T01:00:00.000Z',
+  nickname: '<ゆめ>',
+  scene_id: 'station-front',
+  image_mode: 'faithful',
+  building_type: 'fountain',
+  other_building: null,
+  free_text: 'みんなが集まる広場',
+  auto_prompt: 0,
+  prompt: 'A fountain',
+  template_version: 'inpaint-faithful@3',
+  image_url: IMAGE_URL,
+  generation_data: JSON.stringify({ prompt: 'A fountain', options: { imageMode: 'faithful', buildingType: 'fountain' } }),
+  moderation: null
+}
+
+/**
+ * 投稿を返すD1スタブ
+ * @param row - submissionsテーブルの行（nullの場合は見つからない）
+ */
+function createShareD1(row: Record<string, unknown> | null) {
+  return createFakeD1((sql) => sql.includes('FROM submissions') ? (row ? [row] : []) : undefined)
+}
+
+describe('GET /share/:id', () => {
+  it('変更前・変更後の画像と作品の内容を表示する', async () => {
+    const { db } = createShareD1(SUBMISSION_ROW)
+    const res = await get(`/share/${SUBMISSION_ROW.id}`, createEnv({ DB: db }))
+    expect(res.status).toBe(200)
+    const html = await res.text()
+    expect(html).toContain('src="/static/images/base-image.jpg"')
+    expect(html).toContain(`src="${IMAGE_URL}"`)
+    expect(html).toContain('&lt;ゆめ&gt;さんのゆめのまち')
+    expect(html).toContain('噴水')
+    expect(html).toContain('みんなが集まる広場')
+    expect(html).not.toContain('<ゆめ>')
+  })
+
+  it('リンクのプレビュー用にOGP・Twitterカードを絶対URLで出す', async () => {
+    const { db } = createShareD1(SUBMISSION_ROW)
+    const html = await (await get(`/share/${SUBMISSION_ROW.id}`, createEnv({ DB: db }))).text()
+    expect(html).toContain('<meta property="og:title" content="&lt;ゆめ&gt;さんのゆめのまち">')
+    expect(html).toContain(`<meta property="og:url" content="http://localhost/share/${SUBMISSION_ROW.id}">`)
+    expect(html).toContain(`<meta property="og:image" content="http://localhost${IMAGE_URL}">`)
+    expect(html).toContain('<meta name="twitter:card" content="summary_large_image">')
+    expect(html).toContain('<meta property="og:description" content="駅前ロータリーに「噴水」をつくりました。ねがい：みんなが集まる広場">')
+    expect(html).toContain('<meta name="robots" content="noindex">')
+  })
+
+  it('SHARE_BASE_URL があればURLの基準にする', async () => {
+    const { db } = createShareD1(SUBMISSION_ROW)
+    const env = createEnv({ DB: db, SHARE_BASE_URL: 'https://canvas.example.com/' })
+    const html = await (await get(`/share/${SUBMISSION_ROW.id}`, env)).text()
+    expect(html).toContain(`<meta property="og:image" content="https://canvas.example.com${IMAGE_URL}">`)
+  })
+
+  it('R2に保存していない古い画像は表示しない', async () => {
+    const { db } = createShareD1({ ...SUBMISSION_ROW, image_url: 'https://fal.media/files/result.jpg' })
+    const html = await (await get(`/share/${SUBMISSION_ROW.id}`, createEnv({ DB: db }))).text()
+    expect(html).not.toContain('fal.media')
+    expect(html).not.toContain('og:image')
+    expect(html).toContain('<meta name="twitter:card" content="summary">')
+  })
+
+  it('投稿が見つからない場合は404', async () => {
+    const { db, statements } = createShareD1(null)
+    expect((await get(`/share/${SUBMISSION_ROW.id}`, createEnv({ DB: db }))).status).toBe(404)
+    // 投稿IDの形式でなければD1を見ない
+    expect((await get('/share/unknown', createEnv({ DB: db }))).status).toBe(404)
+    expect(statements).toHaveLength(1)
+  })
+})
+
+describe('GET /share/:id/qr.svg', () => {
+  it('共有ページのURLのQRコードをSVGで返す', async () => {
+    const res = await get(`/share/${SUBMISSION_ROW.id}/qr.svg`, createEnv())
+    expect(res.status).toBe(200)
+    expect(res.headers.get('Content-Type')).toBe('image/svg+xml')
+    const svg = await res.text()
+    expect(svg).toMatch(/^<svg [^>]*viewBox="0 0 \d+ \d+"/)
+    expect(svg).toContain('<path d="M')
+  })
+
+  it('投稿IDの形式でなければ404', async () => {
+    expect((await get('/share/unknown/qr.svg', createEnv())).status).toBe(404)
+  })
+})
+
+describe('GET /complete', () => {
+  it('共有ページのQRコードの表示欄を出す', async () => {
+    const html = await (await get('/complete', createEnv())).text()
+    expect(html).toContain('id="shareQr"')
+    expect(html).toContain('/static/pages/complete.js')
+  })
+})
@@ -0,0 +1,306 @@
+import { describe, expect, it } from 'vitest'
+import { createEnv, createFakeD1, get, postJson, postSubmission, storeTestImage, storeTestJob, stubResend, MASK_DATA, type RecordedStatement } from '../helpers'
+
+// 設定内容確認画面から送る基本リクエスト（生成画像は保存済みのもの）
+const REQUEST = {
+  nickname: 'ゆめちゃん',
+  imageUrl: await storeTestImage(),
+  generationData: {
+    options: {
+      sceneId: 'station-front',
+      imageMode: 'faithful',
+      buildingType: 'fountain',
+      freeText: '噴水'
+    }
+  }
+}
+
+// 送信キューに記録された送信結果（種類は登録順）
+function deliveries(statements: RecordedStatement[]) {
+  return statements
+    .filter(({ sql }) => sql.includes('UPDATE notifications'))
+    .map(({ params }) => ({ status: params[1], attempts: params[2], error: params[4] }))
+}
+
+describe('POST /api/submissions', () => {
+  it('投稿をD1に保存する', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission(REQUEST, createEnv({ DB: db }))
+    expect(res.status).toBe(201)
+    const body = await res.json()
+    expect(body.success).toBe(true)
+    expect(body.submissionId).toEqual(expect.any(String))
+    expect(body.shareUrl).toBe(`/share/${body.submissionId}`)
+
+    expect(statements[0].sql).toContain('INSERT INTO submissions')
+    expect(statements[0].params).toEqual(expect.arrayContaining([body.submissionId, 'ゆめちゃん', 'station-front', 'faithful', 'fountain']))
+  })
+
+  it('プロンプト・パラメータ・テンプレートの版は生成ジョブの記録を保存する', async () => {
+    const { db, statements } = createFakeD1()
+    const env = createEnv({ DB: db })
+    const other = await storeTestImage('data:image/jpeg;base64,/9j/2w==')
+    const job = await storeTestJob(env, [other, REQUEST.imageUrl])
+    expect((await postSubmission({ ...REQUEST, jobId: job.id }, env)).status).toBe(201)
+
+    expect(statements[0].params.slice(9, 11)).toEqual(['A fountain', 'inpaint-faithful@3'])
+    expect(JSON.parse(String(statements[0].params[12]))).toEqual({
+      prompt: 'A fountain',
+      negativePrompt: 'blurry',
+      templateVersion: 'inpaint-faithful@3',
+      sceneVersion: 'station-front@1',
+      baseImageUrl: '/static/images/base-image.jpg',
+      maskImageUrl: '/static/images/mask-image.png',
+      maskEdited: false,
+      referenceImageUrl: null,
+      candidateCount: 2,
+      selectedCandidate: 1,
+      params: job.params,
+      session: null,
+      options: {
+        ...REQUEST.generationData.options,
+        sceneName: '駅前ロータリー',
+        imageModeName: '指示に忠実',
+        buildingPrompt: expect.any(String)
+      }
+    })
+  })
+
+  it('画面から送られたプロンプトなどは受け付けない', async () => {
+    const { db, statements } = createFakeD1()
+    const generationData = { ...REQUEST.generationData, prompt: 'forged', templateVersion: 'forged@1' }
+    const res = await postSubmission({ ...REQUEST, generationData }, createEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect(statements).toHaveLength(0)
+  })
+
+  it('編集したマスクはR2に保存してURLを記録する', async () => {
+    const { db, statements } = createFakeD1()
+    const env = createEnv({ DB: db })
+    const generationData = { ...REQUEST.generationData, maskData: MASK_DATA }
+    expect((await postSubmission({ ...REQUEST, generationData }, env)).status).toBe(201)
+
+    const recorded = JSON.parse(String(statements[0].params[12]))
+    expect(recorded).toMatchObject({ maskImageUrl: expect.stringMatching(/^\/images\/[0-9a-f]{64}$/), maskEdited: true })
+    expect((await get(recorded.maskImageUrl, env)).headers.get('Content-Type')).toBe('image/png')
+  })
+
+  it('生成結果にない画像は400', async () => {
+    const { db, statements } = createFakeD1()
+    const env = createEnv({ DB: db })
+    const job = await storeTestJob(env, [await storeTestImage('data:image/jpeg;base64,/9j/2w==')])
+    const res = await postSubmission({ ...REQUEST, jobId: job.id }, env)
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ details: [{ field: 'imageUrl', message: '生成画像が生成結果と一致しません' }] })
+    expect(statements).toHaveLength(0)
+  })
+
+  it('生成結果のジョブが見つからない場合は400', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission({ ...REQUEST, jobId: crypto.randomUUID() }, createEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ details: [{ field: 'jobId', message: '生成結果が見つかりません。もう一度生成してください' }] })
+    expect(statements).toHaveLength(0)
+  })
+
+  it('WALL_APPROVAL=true の場合は壁への表示を承認待ちで保存する', async () => {
+    const wallColumns = async (env: Record<string, unknown>) => {
+      const { db, statements } = createFakeD1()
+      await postSubmission(REQUEST, createEnv({ DB: db, ...env }))
+      return statements[0].params.slice(15, 17)
+    }
+    expect(await wallColumns({ WALL_APPROVAL: 'true' })).toEqual(['pending', null])
+    expect(await wallColumns({})).toEqual(['approved', expect.any(String)])
+  })
+
+  it('通知を送信キューに登録し、応答では送信待ちとして返す', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission(REQUEST, createEnv({ DB: db }))
+    const body = await res.json()
+    expect(body.notification).toEqual({ id: expect.any(String), status: 'pending' })
+    expect(body.confirmation).toBeNull()
+
+    const insert = statements.find(({ sql }) => sql.includes('INSERT INTO notifications'))
+    expect(insert?.params.slice(0, 6)).toEqual([body.notification.id, body.submissionId, 'staff', 'staff@example.com', 'pending', 0])
+    // 登録直後に送る分は、再送の対象にならないよう次の送信日時を先にしておく
+    expect(Date.parse(String(insert?.params[6]))).toBeGreaterThan(Date.now())
+  })
+
+  it('メールプロバイダーがない場合は通知をスキップする', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission(REQUEST, createEnv({ DB: db, PROVIDER: undefined }))
+    expect(res.status).toBe(201)
+    expect(deliveries(statements)).toEqual([{ status: 'skipped', attempts: 1, error: null }])
+  })
+
+  it('モックプロバイダーでは送信済みとして扱う', async () => {
+    const { db, statements } = createFakeD1()
+    stubResend(200)
+    await postSubmission(REQUEST, createEnv({ DB: db }))
+    expect(deliveries(statements)).toEqual([{ status: 'sent', attempts: 1, error: null }])
+  })
+
+  it('Resendに画像を添付して送信する', async () => {
+    const { db, statements } = createFakeD1()
+    const fetchMock = stubResend(200)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+    const res = await postSubmission(REQUEST, env)
+    expect(res.status).toBe(201)
+    expect(deliveries(statements)).toEqual([{ status: 'sent', attempts: 1, error: null }])
+
+    const resendCall = fetchMock.mock.calls.find(([url]) => url === 'https://api.resend.com/emails')
+    const email = JSON.parse(String(resendCall?.[1]?.body))
+    expect(email).toMatchObject({ from: 'Yumecan <onboarding@resend.dev>', to: ['staff@example.com'], subject: '<Yumecan> ゆめきゃん画像生成' })
+    expect(email.text).toContain('名前：ゆめちゃん')
+    expect(email.html).toContain('<img src="cid:submission-image"')
+    expect(email.html).toContain('ゆめちゃん')
+    expect(email.attachments).toEqual([{
+      filename: expect.stringMatching(/\.jpg$/),
+      content: '/9j/',
+      content_type: 'image/jpeg',
+      content_id: 'submission-image'
+    }])
+  })
+
+  it('画像の形式に合わせた拡張子で添付する', async () => {
+    const { db } = createFakeD1()
+    const imageUrl = await storeTestImage(MASK_DATA)
+    const fetchMock = stubResend(200)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+    expect((await postSubmission({ ...REQUEST, imageUrl }, env)).status).toBe(201)
+
+    const resendCall = fetchMock.mock.calls.find(([url]) => url === 'https://api.resend.com/emails')
+    const [attachment] = JSON.parse(String(resendCall?.[1]?.body)).attachments
+    expect(attachment).toMatchObject({ filename: expect.stringMatching(/\.png$/), content_type: 'image/png' })
+    expect(attachment.content).toBe(MASK_DATA.split(',')[1])
+  })
+
+  it('宛先・差出人・件名は環境変数で設定する', async () => {
+    const { db } = createFakeD1()
+    const fetchMock = stubResend(200)
+    const env = createEnv({
+      DB: db,
+      PROVIDER: undefined,
+      RESEND_API_KEY: 'test-key',
+      EMAIL_TO: 'a@example.com,\n b@example.com',
+      EMAIL_FROM: 'Canvas <canvas@example.com>',
+      EMAIL_SUBJECT: '新しい投稿'
+    })
+    await postSubmission({ ...REQUEST, nickname: '<b>ゆめ</b>' }, env)
+
+    const resendCall = fetchMock.mock.calls.find(([url]) => url === 'https://api.resend.com/emails')
+    const email = JSON.parse(String(resendCall?.[1]?.body))
+    expect(email).toMatchObject({ from: 'Canvas <canvas@example.com>', to: ['a@example.com', 'b@example.com'], subject: '新しい投稿' })
+    expect(email.html).toContain('&lt;b&gt;ゆめ&lt;/b&gt;')
+  })
+
+  it('宛先が未設定の場合は通知をスキップする', async () => {
+    const { db, statements } = createFakeD1()
+    const fetchMock = stubResend(200)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key', EMAIL_TO: undefined })
+    await postSubmission(REQUEST, env)
+    expect(deliveries(statements)).toEqual([{ status: 'skipped', attempts: 1, error: null }])
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('PARTICIPANT_EMAIL=true の場合は参加者にひかえを送る', async () => {
+    const { db, statements } = createFakeD1()
+    const fetchMock = stubResend(200)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key', PARTICIPANT_EMAIL: 'true' })
+    const res = await postSubmission({ ...REQUEST, email: ' yume@example.com ' }, env)
+    expect(await res.json()).toMatchObject({ notification: { status: 'pending' }, confirmation: { status: 'pending' } })
+    expect(deliveries(statements).map(({ status }) => status)).toEqual(['sent', 'sent'])
+
+    const emails = fetchMock.mock.calls
+      .filter(([url]) => url === 'https://api.resend.com/emails')
+      .map(([, init]) => JSON.parse(String(init?.body)))
+    expect(emails.map((email) => email.to)).toEqual([['staff@example.com'], ['yume@example.com']])
+    expect(emails[1]).toMatchObject({ subject: 'ゆめまち☆キャンバス 作品のひかえ' })
+    expect(emails[1].text).not.toContain('投稿ID')
+    expect(emails[1].attachments).toHaveLength(1)
+    // アドレスは投稿に保存せず、送信キューからも送信後に消す
+    expect(JSON.stringify(statements[0].params)).not.toContain('yume@example.com')
+    const participantUpdate = statements.filter(({ sql }) => sql.includes('UPDATE notifications'))[1]
+    expect(participantUpdate.params[0]).toBe('')
+  })
+
+  it('PARTICIPANT_EMAIL が無効の場合はひかえを送らない', async () => {
+    const { db } = createFakeD1()
+    const fetchMock = stubResend(200)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+    const res = await postSubmission({ ...REQUEST, email: 'yume@example.com' }, env)
+    expect((await res.json()).confirmation).toBeNull()
+    expect(fetchMock.mock.calls.filter(([url]) => url === 'https://api.resend.com/emails')).toHaveLength(1)
+  })
+
+  it('保存されていない生成画像は400', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission({ ...REQUEST, imageUrl: `/images/${'0'.repeat(64)}` }, createEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ success: false, details: [{ field: 'imageUrl', message: '生成画像が見つかりません' }] })
+    expect(statements).toHaveLength(0)
+  })
+
+  it.each([422, 500])('Resendが%iを返しても投稿は保存済みとして201、通知は再送待ちにする', async (status) => {
+    const { db, statements } = createFakeD1()
+    stubResend(status)
+    const env = createEnv({ DB: db, PROVIDER: undefined, RESEND_API_KEY: 'test-key' })
+    const res = await postSubmission(REQUEST, env)
+    expect(res.status).toBe(201)
+    expect((await res.json()).notification).toMatchObject({ status: 'pending' })
+    expect(deliveries(statements)).toEqual([{ status: 'pending', attempts: 1, error: `Resend API エラー: ${status}` }])
+
+    // 次の再送は1分後
+    const update = statements.find(({ sql }) => sql.includes('UPDATE notifications'))
+    const delay = Date.parse(String(update?.params[3])) - Date.now()
+    expect(delay).toBeGreaterThan(50 * 1000)
+    expect(delay).toBeLessThanOrEqual(60 * 1000)
+  })
+
+  it('通知の登録に失敗しても投稿は保存済みとして201', async () => {
+    const { db } = createFakeD1()
+    const env = createEnv({ DB: { ...db, prepare: db.prepare, batch: async () => { throw new Error('no such table: notifications') } } })
+    const res = await postSubmission(REQUEST, env)
+    expect(res.status).toBe(201)
+    expect(await res.json()).toMatchObject({ success: true, notification: null, confirmation: null })
+  })
+
+  it.each([
+    [{ imageUrl: '' }, '生成画像は必須です'],
+    [{ generationData: undefined }, '生成データは必須です'],
+    [{ generationData: { options: { ...REQUEST.generationData.options, buildingType: 'castle' } } }, '建物の種類が不正です'],
+    [{ nickname: 'あ'.repeat(21) }, '名前は20文字以内で入力してください'],
+    [{ imageUrl: 'https://fal.media/files/result.jpg' }, '生成画像のURLが不正です'],
+    [{ imageUrl: 'data:image/jpeg;base64,/9j/' }, '生成画像のURLが不正です'],
+    [{ generationData: { options: { ...REQUEST.generationData.options, sceneId: 'unknown' } } }, '会場が不正です'],
+    [{ email: 'yume@' }, 'メールアドレスが正しくありません'],
+    [{ jobId: undefined }, '生成ジョブは必須です'],
+    [{ jobId: '../job' }, '生成ジョブが不正です'],
+    [{ generationData: { options: { ...REQUEST.generationData.options, style: 'あ'.repeat(21) } } }, '画風が不正です'],
+    [{ generationData: { ...REQUEST.generationData, maskData: 'data:image/png;base64,AAAA' } }, 'マスク画像は PNG の画像にしてください']
+  ])('入力が不正な場合は400 (%j)', async (override, error) => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission({ ...REQUEST, ...override }, createEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ success: false, error })
+    expect(statements).toHaveLength(0)
+  })
+
+  it('設定内容確認画面は PARTICIPANT_EMAIL=true の場合のみメールアドレスの入力欄を表示する', async () => {
+    expect(await (await get('/confirm', createEnv())).text()).not.toContain('id="participantEmail"')
+    expect(await (await get('/confirm', createEnv({ PARTICIPANT_EMAIL: 'true' }))).text()).toContain('id="participantEmail"')
+  })
+
+  it('データベースがない場合は500', async () => {
+    const res = await postSubmission(REQUEST, createEnv())
+    expect(res.status).toBe(500)
+    expect(await res.json()).toEqual({ success: false, error: 'データベースが設定されていません' })
+  })
+
+  it('不正なJSONは400', async () => {
+    const { db } = createFakeD1()
+    const res = await postJson('/api/submissions', '{"nickname":', createEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toBe('リクエストの形式が正しくありません（JSON）')
+  })
+})
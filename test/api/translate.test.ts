@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import { createEnv, jsonResponse, postJson, stubFetch } from '../helpers'
+
+// OpenAIの出力（項目ごとのプロンプト）
+const OPENAI_OUTPUT = {
+  positive: 'Install a fountain in the plaza.',
+  negative: 'No text, no logos',
+  people: 'Include 20–40 people playing around the fountain.',
+  structure: 'A fountain basin 8–10 meters in diameter on a stone foundation.',
+  intent: 'A fountain where children can play.',
+  category: 'fountain'
+}
+
+describe('POST /api/translate-prompt', () => {
+  it('モックプロバイダーで自由文を英語プロンプトに変換する', async () => {
+    const res = await postJson('/api/translate-prompt', { text: '噴水がほしい' }, createEnv())
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.success).toBe(true)
+    expect(body.prompt).toBe('Install a family-friendly fountain installation in the plaza.')
+    expect(body.structured).toMatchObject({ category: 'fountain', fallback: false })
+    expect(body.structured.positive).toBe(body.prompt)
+    expect(body.originalText).toBe('噴水がほしい')
+  })
+
+  it('自由文が空の場合は会場のデフォルト文を使う', async () => {
+    const res = await postJson('/api/translate-prompt', { text: '' }, createEnv())
+    const body = await res.json()
+    // 駅前広場に人々が集まる… → 広場
+    expect(body.structured.category).toBe('playground')
+  })
+
+  it('OpenAIの応答（JSON）から項目ごとのプロンプトを取り出す', async () => {
+    const fetchMock = stubFetch(() => jsonResponse({
+      choices: [{ message: { content: JSON.stringify(OPENAI_OUTPUT) } }]
+    }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+    const res = await postJson('/api/translate-prompt', { text: '噴水' }, env)
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.prompt).toBe('Install a fountain in the plaza.')
+    expect(body.structured).toEqual({ ...OPENAI_OUTPUT, negative: 'text, logos', fallback: false })
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('https://api.openai.com/v1/chat/completions')
+    const request = JSON.parse(String(init?.body))
+    expect(request.messages[1].content).toBe('噴水')
+    expect(request.response_format).toEqual({ type: 'json_object' })
+  })
+
+  it.each([
+    ['JSONでない', 'A fountain in the plaza'],
+    ['項目が足りない', JSON.stringify({ positive: 'Install a fountain.' })],
+    ['日本語を含む', JSON.stringify({ ...OPENAI_OUTPUT, positive: '噴水を設置する' })],
+    ['カテゴリが不正', JSON.stringify({ ...OPENAI_OUTPUT, category: 'castle' })]
+  ])('OpenAIの出力が不正（%s）な場合は既定の変換を使う', async (_label, content) => {
+    stubFetch(() => jsonResponse({ choices: [{ message: { content } }] }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+    const res = await postJson('/api/translate-prompt', { text: '大きな噴水' }, env)
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.structured).toMatchObject({ category: 'fountain', fallback: true })
+    expect(body.prompt).toBe('Install an interactive water fountain with ground-level water jets in the central plaza area.')
+  })
+
+  it('存在しない会場は400', async () => {
+    const res = await postJson('/api/translate-prompt', { text: '噴水', sceneId: 'unknown' }, createEnv())
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ success: false, error: '会場が不正です' })
+  })
+
+  it('OpenAI APIキーがない場合は500', async () => {
+    const res = await postJson('/api/translate-prompt', { text: '噴水' }, createEnv({ PROVIDER: undefined }))
+    expect(res.status).toBe(500)
+    expect(await res.json()).toEqual({ success: false, error: 'OpenAI APIキーが設定されていません' })
+  })
+
+  it.each([401, 503])('OpenAIが%iを返した場合は500', async (status) => {
+    stubFetch(() => jsonResponse({ error: { message: 'upstream' } }, status))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+    const res = await postJson('/api/translate-prompt', { text: '噴水' }, env)
+    expect(res.status).toBe(500)
+    expect(await res.json()).toEqual({ success: false, error: `OpenAI API エラー: ${status}` })
+  })
+
+  it('OpenAIの応答が空の場合は500', async () => {
+    stubFetch(() => jsonResponse({ choices: [] }))
+    const env = createEnv({ PROVIDER: undefined, OPENAI_API_KEY: 'test-key' })
+    const res = await postJson('/api/translate-prompt', { text: '噴水' }, env)
+    expect(res.status).toBe(500)
+    expect((await res.json()).error).toBe('プロンプトの生成に失敗しました')
+  })
+
+  it('自由文が長すぎる場合は400', async () => {
+    const res = await postJson('/api/translate-prompt', { text: 'あ'.repeat(101) }, createEnv())
+    expect(res.status).toBe(400)
+    expect(await res.json()).toEqual({
+      success: false,
+      error: '自由文は100文字以内で入力してください',
+      details: [{ field: 'text', message: '自由文は100文字以内で入力してください' }]
+    })
+  })
+
+  it('不正なJSONは400', async () => {
+    const res = await postJson('/api/translate-prompt', '{"text":', createEnv())
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toBe('リクエストの形式が正しくありません（JSON）')
+  })
+})
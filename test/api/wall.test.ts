@@ -0,0 +1,157 @@
+import { describe, expect, it } from 'vitest'
+import app from '../../src/index'
+import { createEnv, createFakeD1, get } from '../helpers'
+
+// 壁に表示する投稿（submissionsテーブルの行）
+const WALL_ROW = {
+  id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+  nickname: 'ゆめちゃん',
+  building_type: 'other',
+  other_building: 'ひみつきち',
+  free_text: 'みんなで遊べる場所',
+  image_url: `/images/${'a'.repeat(64)}`,
+  wall_at: '2026-05-03T01:00:00.000Z'
+}
+const CURSOR = `${WALL_ROW.wall_at}_${WALL_ROW.id}`
+
+// Basic認証のヘッダー
+const AUTH = { Authorization: `Basic ${btoa('admin:secret')}` }
+
+// 管理画面のパスワードを設定した環境変数
+function adminEnv(overrides: Record<string, unknown> = {}) {
+  return createEnv({ ADMIN_PASSWORD: 'secret', ...overrides })
+}
+
+describe('プロジェクターの壁の認証', () => {
+  it.each(['/wall', '/api/wall/submissions'])('%s はパスワード未設定なら503、認証なしなら401', async (path) => {
+    expect((await get(path, createEnv())).status).toBe(503)
+    expect((await get(path, adminEnv())).status).toBe(401)
+  })
+
+  it('壁の画面を返す', async () => {
+    const res = await get('/wall', adminEnv(), AUTH)
+    expect(res.status).toBe(200)
+    const html = await res.text()
+    expect(html).toContain('id="wallGrid"')
+    expect(html).toContain('/static/pages/wall.js')
+  })
+})
+
+describe('GET /api/wall/submissions', () => {
+  it('位置がない場合は最新の投稿を古い順に返す', async () => {
+    const { db, statements } = createFakeD1((sql) => sql.includes('FROM submissions') ? [WALL_ROW] : undefined)
+    const res = await get('/api/wall/submissions', adminEnv({ DB: db }), AUTH)
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({
+      success: true,
+      items: [{
+        id: WALL_ROW.id,
+        cursor: CURSOR,
+        nickname: 'ゆめちゃん',
+        building: 'ひみつきち',
+        wish: 'みんなで遊べる場所',
+        imageUrl: WALL_ROW.image_url
+      }],
+      cursor: CURSOR
+    })
+    expect(statements[0].sql).toContain("wall_status = 'approved'")
+    expect(statements[0].sql).toContain('ORDER BY wall_at DESC')
+    expect(statements[0].params).toEqual([30])
+  })
+
+  it('位置を指定するとそれより後の投稿を返す', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await get(`/api/wall/submissions?after=${encodeURIComponent(CURSOR)}`, adminEnv({ DB: db }), AUTH)
+    expect(await res.json()).toEqual({ success: true, items: [], cursor: CURSOR })
+    expect(statements[0].sql).toContain('wall_at > ? OR (wall_at = ? AND id > ?)')
+    expect(statements[0].params).toEqual([WALL_ROW.wall_at, WALL_ROW.wall_at, WALL_ROW.id, 50])
+  })
+
+  it('不正な位置は400', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await get('/api/wall/submissions?after=latest', adminEnv({ DB: db }), AUTH)
+    expect(res.status).toBe(400)
+    expect(await res.json()).toEqual({
+      success: false,
+      error: '表示位置が不正です',
+      details: [{ field: 'after', message: '表示位置が不正です' }]
+    })
+    expect(statements).toHaveLength(0)
+  })
+})
+
+describe('GET /api/wall/stream', () => {
+  it('新しい投稿をSSEで送る（再接続時は Last-Event-ID より後から）', async () => {
+    const { db, statements } = createFakeD1((sql) => sql.includes('FROM submissions') ? [WALL_ROW] : undefined)
+    const res = await get('/api/wall/stream', adminEnv({ DB: db }), { ...AUTH, 'Last-Event-ID': CURSOR })
+    expect(res.status).toBe(200)
+    expect(res.headers.get('Content-Type')).toContain('text/event-stream')
+
+    // 最初の投稿が届くまで読む
+    const reader = res.body!.pipeThrough(new TextDecoderStream()).getReader()
+    let text = ''
+    while (!text.includes('event: submission')) {
+      const { value, done } = await reader.read()
+      if (done) {
+        break
+      }
+      text += value
+    }
+    await reader.cancel()
+
+    expect(text).toContain('event: ready')
+    expect(text).toContain('retry: 3000')
+    expect(text).toContain(`id: ${CURSOR}`)
+    expect(text).toContain('"building":"ひみつきち"')
+    expect(statements[0].params).toEqual([WALL_ROW.wall_at, WALL_ROW.wall_at, WALL_ROW.id, 50])
+  })
+})
+
+describe('POST /admin/submissions/:id/wall', () => {
+  // 管理画面のフォームを送る（同じオリジンから）
+  async function postForm(path: string, form: Record<string, string>, env: Record<string, unknown>) {
+    return await app.request(path, { method: 'POST', headers: { ...AUTH, Origin: 'http://localhost' }, body: new URLSearchParams(form) }, env)
+  }
+
+  it('承認すると表示順を今にして戻り先へリダイレクトする', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postForm(`/admin/submissions/${WALL_ROW.id}/wall`, { status: 'approved', back: `/admin/submissions/${WALL_ROW.id}` }, adminEnv({ DB: db }))
+    expect(res.status).toBe(303)
+    expect(res.headers.get('Location')).toBe(`/admin/submissions/${WALL_ROW.id}`)
+    expect(statements[0].sql).toContain('UPDATE submissions SET wall_status = ?, wall_at = ?')
+    expect(statements[0].params).toEqual(['approved', expect.any(String), WALL_ROW.id])
+  })
+
+  it('表示しないにすると表示順を消し、管理画面の外へは戻らない', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postForm(`/admin/submissions/${WALL_ROW.id}/wall`, { status: 'rejected', back: 'https://example.com/' }, adminEnv({ DB: db }))
+    expect(res.headers.get('Location')).toBe('/admin/wall')
+    expect(statements[0].params).toEqual(['rejected', null, WALL_ROW.id])
+  })
+
+  it('不正な値は400', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postForm(`/admin/submissions/${WALL_ROW.id}/wall`, { status: 'pending' }, adminEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect(statements).toHaveLength(0)
+  })
+
+  it('別のサイトからのフォーム送信は403で、表示の可否を変えない', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await app.request(`/admin/submissions/${WALL_ROW.id}/wall`, {
+      method: 'POST',
+      headers: { ...AUTH, Origin: 'https://evil.example' },
+      body: new URLSearchParams({ status: 'approved' })
+    }, adminEnv({ DB: db }))
+    expect(res.status).toBe(403)
+    expect(statements).toHaveLength(0)
+  })
+
+  it('承認の画面に承認待ちの投稿を表示する', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await get('/admin/wall', adminEnv({ DB: db, WALL_APPROVAL: 'true' }), AUTH)
+    expect(res.status).toBe(200)
+    expect(await res.text()).toContain('新しい投稿は承認するまで壁に表示されません')
+    expect(statements.some(({ sql, params }) => sql.includes('wall_status = ?') && params.includes('pending'))).toBe(true)
+  })
+})
@@ -0,0 +1,258 @@
+import { describe, expect, it } from 'vitest'
+import app from '../../src/index'
+import { normalizeJoinCode } from '../../src/lib/workshops'
+import { createEnv, createFakeD1, get, postSubmission, storeTestImage } from '../helpers'
+
+// ワークショップのセッション（workshop_sessionsテーブルの行）
+const SESSION_ROW = {
+  id: '6f1c2b7e-3d4a-4e5f-9a8b-7c6d5e4f3a2b',
+  code: 'ABC234',
+  name: 'ゆめまち小学校',
+  date: '2026-11-03',
+  scene_id: 'station-front',
+  image_modes: 'faithful,modern',
+  building_types: 'fountain,cafe-stand',
+  created_at: '2026-10-19T01:00:00.000Z'
+}
+
+// 参加中の端末のCookie
+const JOINED = { Cookie: `yumemachi_workshop=${SESSION_ROW.code}` }
+
+// Basic認証のヘッダー
+const AUTH = { Authorization: `Basic ${btoa('admin:secret')}` }
+
+// セッションを返すD1スタブ
+function sessionD1() {
+  return createFakeD1((sql) => sql.includes('FROM workshop_sessions') ? [SESSION_ROW] : undefined)
+}
+
+// 参加コードから入った端末が送る投稿
+const REQUEST = {
+  nickname: 'ゆめちゃん',
+  imageUrl: await storeTestImage(),
+  generationData: {
+    session: { id: SESSION_ROW.id },
+    options: {
+      sceneId: 'station-front',
+      imageMode: 'faithful',
+      buildingType: 'fountain',
+      freeText: '噴水'
+    }
+  }
+}
+
+describe('ワークショップへの参加', () => {
+  it('参加コードのURLでCookieに記録してトップ画面へ', async () => {
+    const { db, statements } = sessionD1()
+    const res = await get('/join/abc234', createEnv({ DB: db }))
+    expect(res.status).toBe(302)
+    expect(res.headers.get('Location')).toBe('/')
+    expect(res.headers.get('Set-Cookie')).toContain('yumemachi_workshop=ABC234')
+    expect(statements[0].params).toEqual(['ABC234'])
+  })
+
+  it('見つからない参加コードは404', async () => {
+    const { db } = createFakeD1()
+    const res = await get('/join/ZZZ999', createEnv({ DB: db }))
+    expect(res.status).toBe(404)
+    expect(await res.text()).toContain('参加コードが見つかりません')
+    expect(res.headers.get('Set-Cookie')).toBeNull()
+  })
+
+  it('入力された参加コードは正規化して参加コードのURLへ', async () => {
+    const res = await get('/join?code=abc-234', createEnv())
+    expect(res.status).toBe(302)
+    expect(res.headers.get('Location')).toBe('/join/ABC234')
+    expect((await get('/join?code=ab', createEnv())).status).toBe(400)
+    // 見間違えやすい文字（0/O・1/I/L）は使わない
+    expect(['ABC234', ' abc 234 ', 'ABC230', 'ABCI34', 'ABC2345'].map(normalizeJoinCode)).toEqual(['ABC234', 'ABC234', null, null, null])
+  })
+
+  it('セッションから抜けるとCookieを消す', async () => {
+    const res = await app.request('/join/leave', { method: 'POST', headers: JOINED }, createEnv())
+    expect(res.status).toBe(303)
+    expect(res.headers.get('Set-Cookie')).toMatch(/^yumemachi_workshop=;.*Max-Age=0/)
+  })
+
+  it('参加中はトップ画面にセッション名を表示する', async () => {
+    const { db } = sessionD1()
+    expect(await (await get('/', createEnv({ DB: db }), JOINED)).text()).toContain('<p class="workshop-badge">ゆめまち小学校</p>')
+    expect(await (await get('/', createEnv({ DB: db }))).text()).not.toContain('workshop-badge')
+  })
+
+  it('参加中は画像表示画面でセッションの生成タイプ・建物だけを選べる', async () => {
+    const { db } = sessionD1()
+    const html = await (await get('/image-display', createEnv({ DB: db }), JOINED)).text()
+    expect(html).toContain(`data-workshop-id="${SESSION_ROW.id}"`)
+    expect(html).toContain('data-building-types="fountain,cafe-stand"')
+    expect(html).toContain('value="modern"')
+    expect(html).not.toContain('value="creative"')
+
+    const normal = await (await get('/image-display', createEnv({ DB: db }))).text()
+    expect(normal).not.toContain('data-workshop-id')
+    expect(normal).toContain('value="creative"')
+  })
+})
+
+describe('POST /api/submissions（ワークショップ）', () => {
+  it('投稿と生成データにセッションを記録する（名前などはD1の内容にする）', async () => {
+    const { db, statements } = sessionD1()
+    const res = await postSubmission(REQUEST, createEnv({ DB: db }))
+    expect(res.status).toBe(201)
+
+    const insert = statements.find(({ sql }) => sql.includes('INSERT INTO submissions'))
+    expect(insert?.params[17]).toBe(SESSION_ROW.id)
+    expect(JSON.parse(String(insert?.params[12])).session).toEqual({ id: SESSION_ROW.id, code: 'ABC234', name: 'ゆめまち小学校' })
+  })
+
+  it('セッションを通さない投稿はセッションなし', async () => {
+    const { db, statements } = createFakeD1()
+    const { session: _, ...generationData } = REQUEST.generationData
+    await postSubmission({ ...REQUEST, generationData }, createEnv({ DB: db }))
+    expect(statements[0].params[17]).toBeNull()
+  })
+
+  it('見つからないセッションは400', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await postSubmission(REQUEST, createEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ error: 'ワークショップが見つかりません' })
+    expect(statements.some(({ sql }) => sql.includes('INSERT'))).toBe(false)
+  })
+
+  it('セッションで選べない生成タイプ・建物は400', async () => {
+    const { db } = sessionD1()
+    const res = await postSubmission({
+      ...REQUEST,
+      generationData: { ...REQUEST.generationData, options: { ...REQUEST.generationData.options, imageMode: 'creative', buildingType: 'merry-go-round' } }
+    }, createEnv({ DB: db }))
+    expect(res.status).toBe(400)
+    expect((await res.json()).details).toEqual([
+      { field: 'generationData.options.imageMode', message: 'このワークショップでは選べない生成タイプです' },
+      { field: 'generationData.options.buildingType', message: 'このワークショップでは選べない建物です' }
+    ])
+  })
+})
+
+describe('管理画面のワークショップ', () => {
+  // 管理画面のフォームを送る（同じオリジンから）
+  async function postForm(path: string, form: URLSearchParams, env: Record<string, unknown>) {
+    return await app.request(path, { method: 'POST', headers: { ...AUTH, Origin: 'http://localhost' }, body: form }, env)
+  }
+
+  it('セッションを作成する（会場で選べない建物は除く）', async () => {
+    const { db, statements } = createFakeD1()
+    const form = new URLSearchParams([
+      ['name', ' ゆめまち小学校 '], ['date', '2026-11-03'], ['scene', 'station-front'],
+      ['modes', 'faithful'], ['modes', 'modern'], ['buildings', 'fountain'], ['buildings', 'castle']
+    ])
+    const res = await postForm('/admin/sessions', form, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }))
+    expect(res.status).toBe(303)
+    expect(statements[0].sql).toContain('INSERT INTO workshop_sessions')
+    expect(statements[0].params).toEqual([
+      expect.any(String), expect.stringMatching(/^[A-HJKMNP-Z2-9]{6}$/), 'ゆめまち小学校', '2026-11-03', 'station-front', 'faithful,modern', 'fountain', expect.any(String)
+    ])
+  })
+
+  it('生成タイプを選ばない場合は400', async () => {
+    const { db, statements } = createFakeD1()
+    const form = new URLSearchParams([['name', 'ゆめまち小学校'], ['date', '2026-11-03'], ['scene', 'station-front'], ['buildings', 'fountain']])
+    const res = await postForm('/admin/sessions', form, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }))
+    expect(res.status).toBe(400)
+    expect(statements).toHaveLength(0)
+  })
+
+  it('別のサイトからのフォーム送信は403で、セッションを作成しない', async () => {
+    const { db, statements } = createFakeD1()
+    const form = new URLSearchParams([['name', 'ゆめまち小学校'], ['date', '2026-11-03'], ['scene', 'station-front'], ['modes', 'faithful'], ['buildings', 'fountain']])
+    const res = await app.request('/admin/sessions', {
+      method: 'POST',
+      headers: { ...AUTH, Origin: 'https://evil.example' },
+      body: form
+    }, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }))
+    expect(res.status).toBe(403)
+    expect(statements).toHaveLength(0)
+  })
+
+  it('セッション一覧に参加URLのQRコードを表示する', async () => {
+    const { db } = createFakeD1((sql) => sql.includes('FROM workshop_sessions') ? [{ ...SESSION_ROW, submission_count: 3 }] : undefined)
+    const html = await (await get('/admin/sessions', createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), AUTH)).text()
+    expect(html).toContain('http://localhost/join/ABC234')
+    expect(html).toContain('<svg')
+    expect(html).toContain(`/wall?session=${SESSION_ROW.id}`)
+    expect(html).toContain('3件')
+  })
+
+  it('投稿一覧をセッションで絞り込む', async () => {
+    const { db, statements } = createFakeD1()
+    await get(`/admin?session=${SESSION_ROW.id}`, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), AUTH)
+    const list = statements.find(({ sql }) => sql.startsWith('SELECT * FROM submissions'))
+    expect(list?.sql).toContain('session_id = ?')
+    expect(list?.params[0]).toBe(SESSION_ROW.id)
+  })
+
+  it('絞り込んだ投稿をCSVで書き出す', async () => {
+    const submission = {
+      id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+      created_at: '2026-11-03T01:00:00.000Z',
+      nickname: '=ゆめ',
+      scene_id: 'station-front',
+      image_mode: 'faithful',
+      building_type: 'fountain',
+      other_building: null,
+      free_text: 'みんなの, "広場"',
+      auto_prompt: 0,
+      prompt: 'A fountain',
+      template_version: null,
+      image_url: `/images/${'a'.repeat(64)}`,
+      generation_data: JSON.stringify({ prompt: 'A fountain', options: { imageMode: 'faithful', buildingType: 'fountain' } }),
+      moderation: null,
+      wall_status: 'approved',
+      session_id: SESSION_ROW.id
+    }
+    const { db, statements } = createFakeD1((sql) => {
+      if (sql.includes('FROM workshop_sessions')) {
+        return [{ ...SESSION_ROW, submission_count: 1 }]
+      }
+      return sql.startsWith('SELECT * FROM submissions') ? [submission] : undefined
+    })
+    const res = await get(`/admin/export.csv?session=${SESSION_ROW.id}`, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), AUTH)
+    expect(res.status).toBe(200)
+    expect(res.headers.get('Content-Type')).toBe('text/csv; charset=utf-8')
+    expect(res.headers.get('Content-Disposition')).toMatch(/^attachment; filename="submissions-\d{4}-\d{2}-\d{2}\.csv"$/)
+
+    // Excel向けのBOM（text() では取り除かれるため、バイト列で確かめる）
+    const bytes = new Uint8Array(await res.arrayBuffer())
+    expect(Array.from(bytes.slice(0, 3))).toEqual([0xef, 0xbb, 0xbf])
+    const lines = new TextDecoder().decode(bytes).split('\r\n')
+    expect(lines[0]).toBe('投稿ID,日時,ワークショップ,参加コード,ニックネーム,会場,生成タイプ,建物,自由文,自動プロンプト,入力チェック,壁への表示,画像URL,プロンプト')
+    expect(lines[1]).toContain(`${submission.id},`)
+    expect(lines[1]).toContain(",ゆめまち小学校,ABC234,'=ゆめ,駅前ロータリー,")
+    expect(lines[1]).toContain(',"みんなの, ""広場""",')
+    expect(lines[1]).toContain(`,http://localhost/images/${'a'.repeat(64)},`)
+    expect(statements.find(({ sql }) => sql.startsWith('SELECT * FROM submissions'))?.params).toEqual([SESSION_ROW.id, 200, 0])
+  })
+})
+
+describe('壁のセッションの指定', () => {
+  it('セッションの投稿だけを返す', async () => {
+    const { db, statements } = createFakeD1()
+    const res = await get(`/api/wall/submissions?session=${SESSION_ROW.id}`, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), AUTH)
+    expect(res.status).toBe(200)
+    expect(statements[0].sql).toContain('session_id = ?')
+    expect(statements[0].params).toEqual([SESSION_ROW.id, 30])
+  })
+
+  it('不正なセッションは400', async () => {
+    const res = await get('/api/wall/submissions?session=school', createEnv({ DB: createFakeD1().db, ADMIN_PASSWORD: 'secret' }), AUTH)
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ error: 'ワークショップが不正です' })
+  })
+
+  it('壁の見出しにセッション名を表示する', async () => {
+    const { db } = sessionD1()
+    const html = await (await get(`/wall?session=${SESSION_ROW.id}`, createEnv({ DB: db, ADMIN_PASSWORD: 'secret' }), AUTH)).text()
+    expect(html).toContain('<span class="wall-session">ゆめまち小学校</span>')
+    expect((await get(`/wall?session=${SESSION_ROW.id}`, createEnv({ DB: createFakeD1().db, ADMIN_PASSWORD: 'secret' }), AUTH)).status).toBe(404)
+  })
+})
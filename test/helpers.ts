@@ -0,0 +1,254 @@
+/// <reference types="node" />
+/**
+ * ルートテスト共通処理
+ * app.request() で src/index.tsx を呼び出すための環境変数・D1・静的ファイルのスタブ
+ */
+import { readFileSync } from 'node:fs'
+import { vi } from 'vitest'
+import app from '../src/index'
+import { storeImage } from '../src/lib/images'
+import { createCompletedJob, type GenerationJob } from '../src/lib/jobs'
+import { sha256Hex } from '../src/lib/cache'
+
+// テスト用の元画像・マスク画像（Data URI）
+export const IMAGE_DATA = `data:image/jpeg;base64,${readFileSync('public/static/images/base-image.jpg').toString('base64')}`
+export const MASK_DATA = `data:image/png;base64,${readFileSync('public/static/images/mask-image.png').toString('base64')}`
+
+// D1に対して実行されたSQL
+export interface RecordedStatement {
+  sql: string
+  params: unknown[]
+}
+
+/**
+ * 実行したSQLを記録するだけのD1スタブ
+ * SELECT は既定で結果なしを返す（rows を指定するとSQLごとに結果を返す）
+ * 更新は常に1行変更したものとして扱う
+ * @param rows - SELECTの結果を返す関数（undefinedを返すと結果なし）
+ */
+export function createFakeD1(rows: (sql: string, params: unknown[]) => unknown[] | undefined = () => undefined) {
+  const statements: RecordedStatement[] = []
+  const db = {
+    prepare(sql: string) {
+      let params: unknown[] = []
+      const statement = {
+        bind(...values: unknown[]) {
+          params = values
+          return statement
+        },
+        async run() {
+          statements.push({ sql, params })
+          return { success: true, meta: { changes: 1 } }
+        },
+        async first() {
+          statements.push({ sql, params })
+          return rows(sql, params)?.[0] ?? null
+        },
+        async all() {
+          statements.push({ sql, params })
+          return { success: true, results: rows(sql, params) ?? [], meta: {} }
+        }
+      }
+      return statement
+    },
+    async batch(prepared: Array<{ run(): Promise<unknown> }>) {
+      const results = []
+      for (const statement of prepared) {
+        results.push(await statement.run())
+      }
+      return results
+    }
+  }
+  return { db: db as unknown as D1Database, statements }
+}
+
+/**
+ * テストごとに独立したKVのスタブ
+ * （バインディングなしのメモリストアはテスト間で共有されるため、ジョブや利用回数を分ける）
+ */
+export function createFakeKV(): KVNamespace {
+  const values = new Map<string, string>()
+  return {
+    async get(key: string, type?: string) {
+      const value = values.get(key)
+      if (value === undefined) {
+        return null
+      }
+      return type === 'json' ? JSON.parse(value) : value
+    },
+    async put(key: string, value: string) {
+      values.set(key, value)
+    },
+    async delete(key: string) {
+      values.delete(key)
+    }
+  } as unknown as KVNamespace
+}
+
+/**
+ * 静的ファイル（ASSETS）のスタブ
+ * 参考画像などの取得に使う
+ */
+export function createFakeAssets(): Fetcher {
+  return {
+    async fetch(input: RequestInfo | URL) {
+      const url = new URL(input instanceof Request ? input.url : input.toString())
+      try {
+        return new Response(readFileSync(`public${url.pathname}`), {
+          headers: { 'Content-Type': 'image/png' }
+        })
+      } catch {
+        return new Response('Not Found', { status: 404 })
+      }
+    }
+  } as unknown as Fetcher
+}
+
+/**
+ * テスト用の環境変数（既定はモックプロバイダー、待ち時間なし、KVはテストごとに独立）
+ * @param overrides - 上書きする値（undefinedを指定すると削除）
+ */
+export function createEnv(overrides: Record<string, unknown> = {}) {
+  const env: Record<string, unknown> = {
+    PROVIDER: 'mock',
+    MOCK_DELAY_MS: '0',
+    JOBS: createFakeKV(),
+    ASSETS: createFakeAssets(),
+    EMAIL_TO: 'staff@example.com',
+    ...overrides
+  }
+  for (const key of Object.keys(env)) {
+    if (env[key] === undefined) {
+      delete env[key]
+    }
+  }
+  return env
+}
+
+// テストで応答のJSONを直接参照できるようにした Response
+export type TestResponse = Omit<Response, 'json'> & { json(): Promise<any> }
+
+/**
+ * JSONをPOSTする
+ * @param path - パス
+ * @param body - リクエストボディ（文字列の場合はそのまま送る）
+ * @param env - 環境変数
+ * @param headers - 追加のリクエストヘッダー
+ */
+export async function postJson(path: string, body: unknown, env: Record<string, unknown>, headers: Record<string, string> = {}): Promise<TestResponse> {
+  return await app.request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  }, env)
+}
+
+/**
+ * GETする
+ * @param path - パス
+ * @param env - 環境変数
+ * @param headers - 追加のリクエストヘッダー
+ */
+export async function get(path: string, env: Record<string, unknown>, headers: Record<string, string> = {}): Promise<TestResponse> {
+  return await app.request(path, { headers }, env)
+}
+
+/**
+ * 外部APIへのfetchをスタブする
+ * @param handler - URLごとの応答を返す関数
+ * @returns 呼び出しを記録したモック
+ */
+export function stubFetch(handler: (url: string, init?: RequestInit) => Response | Promise<Response>) {
+  const fetchMock = vi.fn(async (input: RequestInfo | URL, init?: RequestInit) => {
+    const url = input instanceof Request ? input.url : input.toString()
+    return await handler(url, init)
+  })
+  vi.stubGlobal('fetch', fetchMock)
+  return fetchMock
+}
+
+/**
+ * JSONの応答を作成
+ * @param body - 応答ボディ
+ * @param status - ステータスコード
+ */
+export function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
+}
+
+/**
+ * Resendへの送信をスタブする
+ * @param status - Resendが返すステータスコード
+ */
+export function stubResend(status: number) {
+  return stubFetch((url) => {
+    if (url === 'https://api.resend.com/emails') {
+      return status < 400 ? jsonResponse({ id: 'email-1' }) : jsonResponse({ message: 'upstream' }, status)
+    }
+    return new Response('Not Found', { status: 404 })
+  })
+}
+
+/**
+ * プロバイダーの生成画像（URLごとに異なるJPEG）
+ * @param url - プロバイダーの画像URL
+ */
+function providerImageBytes(url: string): Uint8Array<ArrayBuffer> {
+  return new Uint8Array([0xff, 0xd8, 0xff, ...new TextEncoder().encode(url)])
+}
+
+/**
+ * プロバイダーの画像URLへのfetchをスタブする（生成画像のR2へのコピーに使われる）
+ * @returns 呼び出しを記録したモック
+ */
+export function stubProviderImages() {
+  return stubFetch((url) => new Response(providerImageBytes(url), { headers: { 'Content-Type': 'image/jpeg' } }))
+}
+
+/**
+ * プロバイダーの画像をコピーした後のアプリの画像URL
+ * @param url - プロバイダーの画像URL（stubProviderImages が返す画像）
+ */
+export async function storedImageUrl(url: string): Promise<string> {
+  return `/images/${await sha256Hex(providerImageBytes(url))}`
+}
+
+/**
+ * 生成画像を保存して、投稿APIに渡せる画像URL（/images/:id）を用意する
+ * バインディングなしのメモリ上の保存先に保存する（テストファイル内で共有される）
+ * @param source - 画像のData URI（既定はJPEGの先頭3バイト）
+ */
+export async function storeTestImage(source = 'data:image/jpeg;base64,/9j/'): Promise<string> {
+  return await storeImage({}, source)
+}
+
+/**
+ * 生成画像を作った完了済みのジョブを用意する（投稿APIの jobId に渡す）
+ * @param env - 環境変数（ジョブは env.JOBS に保存する）
+ * @param imageUrls - 候補画像のURL
+ */
+export async function storeTestJob(env: Record<string, unknown>, imageUrls: string[]): Promise<GenerationJob> {
+  return await createCompletedJob(env.JOBS as KVNamespace, {
+    model: 'mock',
+    prompt: 'A fountain',
+    negativePrompt: 'blurry',
+    templateVersion: 'inpaint-faithful@3',
+    referenceImageUrl: null,
+    params: { strength: 0.85, steps: 30, guidance: 7.5, numImages: imageUrls.length, referenceStrength: null },
+    imageUrls
+  })
+}
+
+/**
+ * 投稿APIにPOSTする（jobId を指定しない場合は、生成画像を作ったジョブを用意して付ける）
+ * @param body - リクエストボディ
+ * @param env - 環境変数
+ * @param headers - 追加のリクエストヘッダー
+ */
+export async function postSubmission(body: Record<string, unknown>, env: Record<string, unknown>, headers: Record<string, string> = {}): Promise<TestResponse> {
+  const jobId = 'jobId' in body ? body.jobId : (await storeTestJob(env, [String(body.imageUrl)])).id
+  return await postJson('/api/submissions', { ...body, jobId }, env, headers)
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest'
+import { findNgWord, ngWords, DEFAULT_NG_WORDS } from '../../src/lib/moderation'
+
+describe('findNgWord', () => {
+  it('全角・半角と空白の違いを無視して一致する', () => {
+    expect(findNgWord('ﾃﾛ を起こす', DEFAULT_NG_WORDS)).toBe('テロ')
+    expect(findNgWord('死 ね', DEFAULT_NG_WORDS)).toBe('死ね')
+    expect(findNgWord('ＫＩＬＬ them', DEFAULT_NG_WORDS)).toBe('kill')
+  })
+
+  it('英単語は単語単位で判定する', () => {
+    expect(findNgWord('skill up park', DEFAULT_NG_WORDS)).toBeNull()
+    expect(findNgWord('Sussex garden', DEFAULT_NG_WORDS)).toBeNull()
+    expect(findNgWord('water gun!', DEFAULT_NG_WORDS)).toBe('gun')
+  })
+
+  it('ふつうの言葉は通す', () => {
+    for (const text of ['むかしねこがいた広場', 'こころすてきな噴水', 'みんなでかえろう', '大きなメリーゴーランド']) {
+      expect(findNgWord(text, DEFAULT_NG_WORDS)).toBeNull()
+    }
+  })
+})
+
+describe('ngWords', () => {
+  it('環境変数 NG_WORDS の語を追加する', () => {
+    const words = ngWords({ NG_WORDS: 'おばけ, ゾンビ\nドクロ' })
+    expect(words).toEqual(expect.arrayContaining(['おばけ', 'ゾンビ', 'ドクロ']))
+    expect(findNgWord('ゾンビのいる広場', words)).toBe('ゾンビ')
+  })
+})
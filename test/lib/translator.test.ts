@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { parseStructuredPrompt } from '../../src/lib/translator'
+import { composeInpaintPrompt, mergeNegativePrompt, requireScene, TRANSLATE_FALLBACK_TEMPLATE } from '../../src/lib/prompts'
+
+// モデルの出力（項目ごとのプロンプト）
+const OUTPUT = {
+  positive: 'Install a carousel with a striped canopy.',
+  negative: 'No text, watermark, Blurry Faces',
+  people: 'Include 20–30 children aged 5–10 riding and waving.',
+  structure: 'A carousel 8–10 meters in diameter on a concrete platform, operating.',
+  intent: 'A carousel for children.',
+  category: 'carousel'
+}
+
+describe('parseStructuredPrompt', () => {
+  it('コードブロックを外して項目を検証し、ネガティブの no を除く', () => {
+    const parsed = parseStructuredPrompt('```json\n' + JSON.stringify(OUTPUT) + '\n```')
+    expect(parsed).toEqual({ ok: true, prompt: { ...OUTPUT, negative: 'text, watermark, Blurry Faces', fallback: false } })
+  })
+
+  it('positive にネガティブの指示が含まれる場合は不正', () => {
+    const parsed = parseStructuredPrompt(JSON.stringify({ ...OUTPUT, positive: 'Install a carousel. Negative: text' }))
+    expect(parsed).toEqual({ ok: false, reason: 'positive: positive にネガティブの指示が含まれています' })
+  })
+})
+
+describe('composeInpaintPrompt（自動プロンプト）', () => {
+  const choices = { imageMode: 'faithful' as const, buildingType: 'merry-go-round' as const, freeText: 'メリーゴーランド' }
+
+  it('項目を別々に使い、ネガティブの語はネガティブプロンプトに加える', () => {
+    const parsed = parseStructuredPrompt(JSON.stringify(OUTPUT))
+    if (!parsed.ok) {
+      throw new Error(parsed.reason)
+    }
+    const composed = composeInpaintPrompt(choices, parsed.prompt)
+    const lines = composed.prompt.split(',\n')
+    expect(lines.at(-1)).toBe(OUTPUT.positive)
+    expect(lines).toContain(OUTPUT.people)
+    expect(lines).toContain(OUTPUT.structure)
+    expect(composed.prompt).not.toContain('メリーゴーランド')
+    expect(composed.prompt).not.toContain('AT LEAST 30 to 50 people')
+    // text・watermark は既定のネガティブにあるため重ねない
+    expect(composed.negativePrompt.split(', ').filter((term) => term === 'text' || term === 'watermark')).toHaveLength(2)
+    expect(composed.negativePrompt).toMatch(/, unnatural colors, Blurry Faces$/)
+  })
+
+  it('既定の変換の場合はテンプレートの版に translate-fallback を記録する', () => {
+    const fallback = TRANSLATE_FALLBACK_TEMPLATE.build(requireScene(undefined), 'メリーゴーランドがほしい')
+    expect(fallback).toMatchObject({ category: 'carousel', fallback: true })
+    expect(composeInpaintPrompt(choices, fallback).templateVersion).toBe('inpaint-faithful@1+translate-fallback@1')
+  })
+})
+
+describe('mergeNegativePrompt', () => {
+  it('大文字・小文字を区別せずに重複を除く', () => {
+    expect(mergeNegativePrompt('text, Logo', 'logo, , glare')).toBe('text, Logo, glare')
+  })
+})
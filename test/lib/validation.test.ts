@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest'
+import { checkImageData, BASE_IMAGE_RULE, MASK_IMAGE_RULE } from '../../src/lib/validation'
+import { IMAGE_DATA, MASK_DATA } from '../helpers'
+
+/**
+ * IHDRまでのPNGヘッダーを作成（大きさの判定だけに使う）
+ * @param width - 幅
+ * @param height - 高さ
+ */
+function pngHeader(width: number, height: number): string {
+  const bytes = new Uint8Array(33)
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52])
+  const view = new DataView(bytes.buffer)
+  view.setUint32(16, width)
+  view.setUint32(20, height)
+  return `data:image/png;base64,${btoa(String.fromCharCode(...bytes))}`
+}
+
+describe('checkImageData', () => {
+  it('会場の元画像とマスク画像は通る', () => {
+    expect(checkImageData(IMAGE_DATA, BASE_IMAGE_RULE)).toBeNull()
+    expect(checkImageData(MASK_DATA, MASK_IMAGE_RULE)).toBeNull()
+  })
+
+  it('Data URI の宣言ではなく中身で形式を判定する', () => {
+    expect(checkImageData(MASK_DATA.replace('image/png', 'image/jpeg'), MASK_IMAGE_RULE)).toBeNull()
+    expect(checkImageData('data:image/png;base64,R0lGODlhAQABAAAAACw=', BASE_IMAGE_RULE))
+      .toBe('元画像は JPEG / PNG の画像にしてください')
+  })
+
+  it('縦横の上限を超える画像は不可', () => {
+    expect(checkImageData(pngHeader(2048, 2048), MASK_IMAGE_RULE)).toBeNull()
+    expect(checkImageData(pngHeader(2049, 1024), MASK_IMAGE_RULE))
+      .toBe('マスク画像の大きさは2048×2048ピクセルまでです')
+  })
+
+  it('ファイルサイズの上限を超える画像はデコード前に不可', () => {
+    expect(checkImageData(`data:image/png;base64,${'A'.repeat(6 * 1024 * 1024)}`, MASK_IMAGE_RULE))
+      .toBe('マスク画像のファイルサイズが大きすぎます（4MBまで）')
+  })
+
+  it('Base64として読めないデータは不可', () => {
+    expect(checkImageData('data:image/png;base64,!!!', MASK_IMAGE_RULE)).toBe('マスク画像のデータが不正です')
+  })
+})
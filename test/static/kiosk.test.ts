@@ -0,0 +1,81 @@
+import { readFileSync } from 'node:fs'
+import { runInNewContext } from 'node:vm'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+// キオスクモードのスクリプト（public/static/components/kiosk.js）
+const KIOSK_SCRIPT = readFileSync('public/static/components/kiosk.js', 'utf8')
+
+// 操作がない場合にトップ画面に戻すまでの秒数
+const IDLE_SECONDS = 90
+
+/**
+ * 画像表示画面を最小限の document・window で再現し、キオスクモードのスクリプトを読み込む
+ * @param page - sessionStorage の内容と、読み込み中の表示が出ているかどうか
+ */
+function loadKiosk(page: { storage?: Record<string, string>; loading?: boolean }) {
+  const storage = new Map(Object.entries(page.storage ?? {}))
+  const listeners: Record<string, Array<() => void>> = {}
+  const element = () => ({ className: '', innerHTML: '', textContent: '', classList: { add() {}, remove() {} }, querySelector: element })
+  const replace = vi.fn()
+  const state = { loading: page.loading ?? false }
+
+  const document = {
+    currentScript: { dataset: { idleSeconds: String(IDLE_SECONDS) } },
+    body: { classList: { add() {} }, appendChild() {} },
+    createElement: element,
+    querySelector: (selector: string) => selector === '.loading-overlay.active' && state.loading ? element() : null,
+    addEventListener: (type: string, listener: () => void) => {
+      (listeners[type] ??= []).push(listener)
+    }
+  }
+  const window = {
+    location: { pathname: '/image-display', href: 'http://localhost/image-display', replace },
+    addEventListener() {}
+  }
+  const sessionStorage = {
+    getItem: (key: string) => storage.get(key) ?? null,
+    clear: () => storage.clear()
+  }
+  const history = { pushState() {} }
+
+  runInNewContext(KIOSK_SCRIPT, { document, window, sessionStorage, history, setTimeout, clearTimeout, setInterval, clearInterval })
+  listeners.DOMContentLoaded.forEach((listener) => listener())
+  return { storage, state, replace }
+}
+
+describe('キオスクモードの操作がない場合のリセット', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('操作がなければ入力内容を消してトップ画面に戻す', () => {
+    const { storage, replace } = loadKiosk({ storage: { nickname: 'ゆめちゃん' } })
+    vi.advanceTimersByTime(IDLE_SECONDS * 1000)
+    expect(replace).toHaveBeenCalledWith('/')
+    expect(storage.size).toBe(0)
+  })
+
+  it('生成中のジョブがある間は戻さず、生成が終わってから数え直す', () => {
+    const { storage, replace } = loadKiosk({ storage: { pendingJobId: 'job-1' } })
+    vi.advanceTimersByTime(IDLE_SECONDS * 3 * 1000)
+    expect(replace).not.toHaveBeenCalled()
+
+    storage.delete('pendingJobId')
+    vi.advanceTimersByTime(IDLE_SECONDS * 1000)
+    expect(replace).toHaveBeenCalledWith('/')
+  })
+
+  it('読み込み中の表示が出ている間は戻さない', () => {
+    const { state, replace } = loadKiosk({ loading: true })
+    vi.advanceTimersByTime(IDLE_SECONDS * 3 * 1000)
+    expect(replace).not.toHaveBeenCalled()
+
+    state.loading = false
+    vi.advanceTimersByTime(IDLE_SECONDS * 1000)
+    expect(replace).toHaveBeenCalledWith('/')
+  })
+})
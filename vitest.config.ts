@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+
+// ルートのテスト（app.request() で src/index.tsx を呼び出す、外部サービスはスタブ）
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.ts'],
+    restoreMocks: true,
+    unstubGlobals: true
+  }
+})